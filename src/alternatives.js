@@ -0,0 +1,115 @@
+/**
+ * 备选路线模块
+ *
+ * 安全规划需要查看避开某条通道的其他路线。网格上采用惩罚法：找到一条路线后，
+ * 把路线走廊内的网格节点代价调高再次搜索，得到绕开该走廊的路线；重复若干次即得到多条互不相同的路线。
+ * 每条备选路线以与最优路线的重叠比例衡量差异。
+ *
+ * 主要功能：
+ * 1. corridorNodes：查找路线走廊内的规则网格节点
+ * 2. pathOverlap：路线落在参考路线走廊内的长度比例
+ *
+ * 距离均为坐标单位。
+ */
+
+/**
+ * 点到线段的距离
+ */
+function distanceToSegment(px, py, ax, ay, bx, by) {
+  const vx = bx - ax;
+  const vy = by - ay;
+  const c2 = vx * vx + vy * vy || 1e-12;
+  const t = Math.max(0, Math.min(1, ((px - ax) * vx + (py - ay) * vy) / c2));
+  return Math.hypot(px - ax - t * vx, py - ay - t * vy);
+}
+
+/**
+ * 点到折线的距离
+ */
+function distanceToPath(px, py, path) {
+  if (path.length === 1) return Math.hypot(px - path[0].lon, py - path[0].lat);
+  let best = Infinity;
+  for (let i = 1; i < path.length; i++) {
+    const a = path[i - 1];
+    const b = path[i];
+    best = Math.min(
+      best,
+      distanceToSegment(px, py, a.lon, a.lat, b.lon, b.lat),
+    );
+  }
+  return best;
+}
+
+/**
+ * 查找路线走廊内的规则网格节点
+ * 网格节点 (r, c) 的序号为 r * (cols + 1) + c，坐标为 (minLon + c * cellLon, minLat + r * cellLat)
+ *
+ * @param {Object} grid - 规则网格 { cols, rows, minLon, minLat, cellLon, cellLat }
+ * @param {Array} path - 路线 [{ lon, lat }]
+ * @param {number} halfWidth - 走廊半宽
+ * @returns {Array<number>} 离路线不超过 halfWidth 的节点序号（不重复）
+ */
+export function corridorNodes(grid, path, halfWidth) {
+  const { cols, rows, minLon, minLat, cellLon, cellLat } = grid;
+  const found = new Set();
+  for (let i = 1; i < path.length; i++) {
+    const a = path[i - 1];
+    const b = path[i];
+    const c0 = Math.max(
+      0,
+      Math.floor((Math.min(a.lon, b.lon) - halfWidth - minLon) / cellLon),
+    );
+    const c1 = Math.min(
+      cols,
+      Math.ceil((Math.max(a.lon, b.lon) + halfWidth - minLon) / cellLon),
+    );
+    const r0 = Math.max(
+      0,
+      Math.floor((Math.min(a.lat, b.lat) - halfWidth - minLat) / cellLat),
+    );
+    const r1 = Math.min(
+      rows,
+      Math.ceil((Math.max(a.lat, b.lat) + halfWidth - minLat) / cellLat),
+    );
+    for (let r = r0; r <= r1; r++) {
+      for (let c = c0; c <= c1; c++) {
+        const x = minLon + c * cellLon;
+        const y = minLat + r * cellLat;
+        if (distanceToSegment(x, y, a.lon, a.lat, b.lon, b.lat) <= halfWidth) {
+          found.add(r * (cols + 1) + c);
+        }
+      }
+    }
+  }
+  return [...found];
+}
+
+/**
+ * 路线落在参考路线走廊内的长度比例
+ * 每段按不超过 tolerance / 2 的步长取样，取样点离参考路线不超过 tolerance 时该小段计为重叠
+ *
+ * @param {Array} path - 路线 [{ lon, lat }]
+ * @param {Array} reference - 参考路线 [{ lon, lat }]
+ * @param {number} tolerance - 走廊半宽
+ * @returns {number} 重叠比例（0 ~ 1），路线长度为 0 时为 1
+ */
+export function pathOverlap(path, reference, tolerance) {
+  let total = 0;
+  let shared = 0;
+  for (let i = 1; i < path.length; i++) {
+    const a = path[i - 1];
+    const b = path[i];
+    const len = Math.hypot(b.lon - a.lon, b.lat - a.lat);
+    if (!len) continue;
+    const steps = Math.max(1, Math.ceil(len / (tolerance / 2)));
+    for (let k = 0; k < steps; k++) {
+      // 取每小段的中点
+      const t = (k + 0.5) / steps;
+      const x = a.lon + (b.lon - a.lon) * t;
+      const y = a.lat + (b.lat - a.lat) * t;
+      if (distanceToPath(x, y, reference) <= tolerance) shared += len / steps;
+    }
+    total += len;
+  }
+  return total > 0 ? shared / total : 1;
+}
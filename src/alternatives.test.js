@@ -0,0 +1,59 @@
+import { describe, expect, it } from "vitest";
+import { corridorNodes, pathOverlap } from "./alternatives.js";
+
+const grid = {
+  cols: 10,
+  rows: 10,
+  minLon: 0,
+  minLat: 0,
+  cellLon: 1,
+  cellLat: 1,
+};
+const line = (...points) => points.map(([lon, lat]) => ({ lon, lat }));
+const nodeAt = (r, c) => r * (grid.cols + 1) + c;
+
+describe("corridorNodes", () => {
+  it("返回离路线不超过半宽的网格节点", () => {
+    const nodes = corridorNodes(grid, line([2, 5], [7, 5]), 1);
+    const expected = [];
+    for (let c = 1; c <= 8; c++) expected.push(nodeAt(5, c));
+    for (let c = 2; c <= 7; c++) expected.push(nodeAt(4, c), nodeAt(6, c));
+    expect([...nodes].sort((a, b) => a - b)).toEqual(
+      expected.sort((a, b) => a - b),
+    );
+  });
+
+  it("折线拐点处的节点不重复，走廊不超出网格", () => {
+    const nodes = corridorNodes(grid, line([0, 0], [3, 0], [3, 3]), 1.5);
+    expect(new Set(nodes).size).toBe(nodes.length);
+    for (const i of nodes) {
+      expect(i).toBeGreaterThanOrEqual(0);
+      expect(i).toBeLessThan((grid.rows + 1) * (grid.cols + 1));
+    }
+    expect(nodes).toContain(nodeAt(0, 0));
+    expect(nodes).toContain(nodeAt(3, 3));
+    expect(nodes).not.toContain(nodeAt(3, 0));
+  });
+});
+
+describe("pathOverlap", () => {
+  const reference = line([0, 0], [10, 0]);
+
+  it("与参考路线相同时完全重叠", () => {
+    expect(pathOverlap(reference, reference, 0.5)).toBe(1);
+  });
+
+  it("走廊外的平行路线不重叠", () => {
+    expect(pathOverlap(line([0, 5], [10, 5]), reference, 0.5)).toBe(0);
+  });
+
+  it("按落在走廊内的长度计算比例", () => {
+    // 第一段 10 全部重叠，第二段只有离拐点 0.5 以内的部分重叠
+    const path = line([0, 0], [10, 0], [10, 10]);
+    expect(pathOverlap(path, reference, 0.5)).toBeCloseTo(10.5 / 20);
+  });
+
+  it("长度为 0 的路线视为完全重叠", () => {
+    expect(pathOverlap(line([3, 3], [3, 3]), reference, 0.5)).toBe(1);
+  });
+});
@@ -0,0 +1,282 @@
+/**
+ * CAD 要素分类模块
+ *
+ * 该模块根据声明式规则集，将 CAD 导出要素的图层、颜色、线型等属性映射为语义角色，
+ * 供障碍物提取与墙体提取共同使用。规则集是纯 JSON，可随项目一起保存。
+ *
+ * 规则集格式：
+ * {
+ *   "version": 1,
+ *   "defaultRole": "wall",
+ *   "rules": [
+ *     { "id": "walls", "name": "墙体", "role": "wall",
+ *       "match": { "layer": ["WALL", "墙*"], "lweight": { "min": 30 } } },
+ *     { "id": "dock", "name": "装卸区", "role": "zone", "cost": 3,
+ *       "match": { "layer": "DOCK" } }
+ *   ]
+ * }
+ *
+ * 匹配条件（match 中每个键对应要素的一个属性，所有条件同时满足才算匹配）：
+ * - 标量：严格相等；字符串不区分大小写，支持 * 和 ? 通配符
+ * - 数组：匹配其中任意一个值
+ * - { "regex": "..." }：正则匹配（不区分大小写）
+ * - { "min": x, "max": y }：数值范围（闭区间）
+ *
+ * 规则按顺序匹配，第一个命中的规则决定角色；都未命中时，
+ * 兼容旧的 walkable/blocked/obstacle/type 标志，带数值属性 zoneCost 的要素为费用区域，其余要素使用 defaultRole。
+ * 角色为 zone 的规则可以用 cost 指定区域的代价系数（见 costZones.js）。
+ */
+
+/** 支持的要素角色 */
+export const ROLES = [
+  "wall",
+  "obstacle",
+  "door",
+  "window",
+  "furniture",
+  "annotation",
+  "zone",
+  "ignore",
+];
+
+/** 会阻挡通行的线要素角色（用于墙体提取） */
+const BLOCKING_LINE_ROLES = new Set([
+  "wall",
+  "obstacle",
+  "window",
+  "furniture",
+]);
+
+/** 会阻挡通行的面要素角色（用于障碍物提取） */
+const BLOCKING_AREA_ROLES = new Set(["obstacle", "furniture"]);
+
+/**
+ * 创建默认规则集：不含规则，未命中的要素按墙体处理，与旧版行为一致
+ *
+ * @returns {Object} 规则集对象
+ */
+export function createDefaultRuleSet() {
+  return { version: 1, defaultRole: "wall", rules: [] };
+}
+
+/**
+ * 校验并标准化规则集，缺失的 id 会自动补齐
+ *
+ * @param {Object} ruleSet - 原始规则集（通常来自 JSON）
+ * @returns {Object} 标准化后的规则集
+ * @throws {Error} 规则集结构、角色、代价系数或正则表达式无效时抛出
+ */
+export function normalizeRuleSet(ruleSet) {
+  if (!ruleSet || typeof ruleSet !== "object" || Array.isArray(ruleSet)) {
+    throw new Error("规则集必须是 JSON 对象");
+  }
+  const defaultRole = ruleSet.defaultRole ?? "wall";
+  if (!ROLES.includes(defaultRole)) {
+    throw new Error(`未知的默认角色: ${defaultRole}`);
+  }
+  const rules = (ruleSet.rules ?? []).map((rule, i) => {
+    if (!rule || typeof rule !== "object") {
+      throw new Error(`第 ${i + 1} 条规则无效`);
+    }
+    if (!ROLES.includes(rule.role)) {
+      throw new Error(`第 ${i + 1} 条规则的角色无效: ${rule.role}`);
+    }
+    if (rule.cost !== undefined && !(Number(rule.cost) > 0)) {
+      throw new Error(`第 ${i + 1} 条规则的代价系数必须大于 0: ${rule.cost}`);
+    }
+    // 正则条件在加载时编译一次，无效的表达式在这里报告
+    for (const [key, cond] of Object.entries(rule.match ?? {})) {
+      for (const c of Array.isArray(cond) ? cond : [cond]) {
+        if (!c || typeof c !== "object" || c.regex === undefined) continue;
+        try {
+          compileRegex(c);
+        } catch (e) {
+          throw new Error(`第 ${i + 1} 条规则的 ${key} ${e.message}`);
+        }
+      }
+    }
+    return {
+      ...rule,
+      id: String(rule.id ?? `rule-${i + 1}`),
+      match: rule.match ?? {},
+    };
+  });
+  return { ...ruleSet, version: 1, defaultRole, rules };
+}
+
+/** 正则条件对象 → 编译后的正则表达式，规则集标准化时预先编译 */
+const regexCache = new WeakMap();
+/** 通配符模式 → 正则表达式 */
+const globCache = new Map();
+
+/**
+ * 编译正则条件 { regex } 并按条件对象缓存
+ *
+ * @param {Object} cond - 正则条件
+ * @returns {RegExp} 不区分大小写的正则表达式
+ * @throws {Error} 表达式无效时抛出
+ */
+function compileRegex(cond) {
+  let re = regexCache.get(cond);
+  if (!re) {
+    try {
+      re = new RegExp(cond.regex, "i");
+    } catch (e) {
+      throw new Error(`正则表达式无效: ${cond.regex}`);
+    }
+    regexCache.set(cond, re);
+  }
+  return re;
+}
+
+/**
+ * 将带通配符的字符串转换为正则表达式
+ *
+ * @param {string} pattern - 通配符模式，* 匹配任意字符，? 匹配单个字符
+ * @returns {RegExp} 正则表达式
+ */
+function globToRegExp(pattern) {
+  let re = globCache.get(pattern);
+  if (!re) {
+    const escaped = pattern
+      .replace(/[.+^${}()|[\]\\]/g, "\\$&")
+      .replace(/\*/g, ".*")
+      .replace(/\?/g, ".");
+    re = new RegExp(`^${escaped}$`, "i");
+    globCache.set(pattern, re);
+  }
+  return re;
+}
+
+/**
+ * 判断单个属性值是否满足匹配条件
+ *
+ * @param {*} value - 要素属性值
+ * @param {*} cond - 匹配条件
+ * @returns {boolean} 满足条件返回 true
+ */
+function matchValue(value, cond) {
+  if (Array.isArray(cond)) return cond.some((c) => matchValue(value, c));
+  if (cond && typeof cond === "object") {
+    if (cond.regex !== undefined) {
+      return value != null && compileRegex(cond).test(String(value));
+    }
+    const n = Number(value);
+    if (value == null || value === "" || !Number.isFinite(n)) return false;
+    if (cond.min !== undefined && n < cond.min) return false;
+    if (cond.max !== undefined && n > cond.max) return false;
+    return true;
+  }
+  if (typeof cond === "string") {
+    if (value == null) return false;
+    return /[*?]/.test(cond)
+      ? globToRegExp(cond).test(String(value))
+      : String(value).toLowerCase() === cond.toLowerCase();
+  }
+  // 数值条件允许与字符串形式的数值比较（如 DXF 读取的句柄、颜色）
+  if (typeof cond === "number") return Number(value) === cond;
+  return value === cond;
+}
+
+/**
+ * 判断要素是否命中规则
+ *
+ * @param {Object} f - GeoJSON 要素
+ * @param {Object} rule - 规则对象
+ * @returns {boolean} 命中返回 true
+ */
+function matchRule(f, rule) {
+  const p = f?.properties || {};
+  for (const [key, cond] of Object.entries(rule.match)) {
+    if (!matchValue(p[key], cond)) return false;
+  }
+  return true;
+}
+
+/**
+ * 判断要素是否满足一组匹配条件（与规则的 match 格式相同），供楼层等其他模块复用
+ *
+ * @param {Object} f - GeoJSON 要素
+ * @param {Object} match - 匹配条件对象
+ * @returns {boolean} 全部条件满足返回 true
+ */
+export function matchesConditions(f, match) {
+  return matchRule(f, { match: match ?? {} });
+}
+
+/**
+ * 旧版障碍物标志判断，保持与 walkable/blocked/obstacle/type 属性的兼容
+ *
+ * @param {Object} f - GeoJSON 要素
+ * @returns {boolean} 带有障碍物标志返回 true
+ */
+function hasLegacyObstacleFlag(f) {
+  const p = f?.properties || {};
+  const type = String(p.type || "").toLowerCase();
+  return (
+    p.walkable === false ||
+    p.blocked === true ||
+    p.obstacle === true ||
+    type === "obstacle"
+  );
+}
+
+/**
+ * 按规则集对要素分类
+ *
+ * @param {Object} f - GeoJSON 要素
+ * @param {Object} [ruleSet] - 规则集，缺省时使用默认规则集
+ * @returns {{role: string, ruleId: string|null}} 要素角色及命中的规则 ID（未命中为 null）
+ */
+export function classifyFeature(f, ruleSet = createDefaultRuleSet()) {
+  for (const rule of ruleSet.rules) {
+    if (matchRule(f, rule)) return { role: rule.role, ruleId: rule.id };
+  }
+  if (hasLegacyObstacleFlag(f)) return { role: "obstacle", ruleId: null };
+  if (Number(f?.properties?.zoneCost) > 0)
+    return { role: "zone", ruleId: null };
+  return { role: ruleSet.defaultRole ?? "wall", ruleId: null };
+}
+
+/**
+ * 判断线要素角色是否作为墙体阻挡通行
+ *
+ * @param {string} role - 要素角色
+ * @returns {boolean} 阻挡通行返回 true
+ */
+export function isBlockingLineRole(role) {
+  return BLOCKING_LINE_ROLES.has(role);
+}
+
+/**
+ * 判断面要素角色是否作为障碍物阻挡通行
+ *
+ * @param {string} role - 要素角色
+ * @returns {boolean} 阻挡通行返回 true
+ */
+export function isBlockingAreaRole(role) {
+  return BLOCKING_AREA_ROLES.has(role);
+}
+
+/**
+ * 统计每条规则命中的要素数量
+ *
+ * @param {Object} geojson - GeoJSON FeatureCollection
+ * @param {Object} ruleSet - 规则集
+ * @returns {{byRule: Object<string, number>, unmatched: number, byRole: Object<string, number>}}
+ *          各规则命中数、未命中任何规则的要素数，以及各角色的要素数
+ */
+export function countRuleMatches(geojson, ruleSet) {
+  const byRule = {};
+  const byRole = {};
+  for (const rule of ruleSet.rules) byRule[rule.id] = 0;
+  let unmatched = 0;
+  for (const f of geojson?.features ?? []) {
+    if (!f) continue;
+    const { role, ruleId } = classifyFeature(f, ruleSet);
+    if (ruleId === null) unmatched++;
+    else byRule[ruleId]++;
+    byRole[role] = (byRole[role] || 0) + 1;
+  }
+  return { byRule, unmatched, byRole };
+}
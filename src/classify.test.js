@@ -0,0 +1,36 @@
+import { describe, expect, it } from "vitest";
+import { classifyFeature, normalizeRuleSet } from "./classify.js";
+
+const feature = (layer) => ({ type: "Feature", properties: { layer } });
+
+describe("normalizeRuleSet 正则条件", () => {
+  it("加载时报告无效的正则表达式", () => {
+    expect(() =>
+      normalizeRuleSet({
+        rules: [
+          { role: "obstacle", match: { layer: "COL*" } },
+          { role: "door", match: { layer: [{ regex: "(" }] } },
+        ],
+      }),
+    ).toThrow(/第 2 条规则的 layer 正则表达式无效/);
+  });
+
+  it("正则与通配符条件按不区分大小写匹配", () => {
+    const rules = normalizeRuleSet({
+      rules: [
+        { id: "col", role: "obstacle", match: { layer: { regex: "^col" } } },
+        { id: "door", role: "door", match: { layer: ["DOOR?", "门*"] } },
+      ],
+    });
+    expect(classifyFeature(feature("Column-1"), rules)).toEqual({
+      role: "obstacle",
+      ruleId: "col",
+    });
+    expect(classifyFeature(feature("door1"), rules).ruleId).toBe("door");
+    expect(classifyFeature(feature("门洞"), rules).ruleId).toBe("door");
+    expect(classifyFeature(feature("WALL"), rules)).toEqual({
+      role: "wall",
+      ruleId: null,
+    });
+  });
+});
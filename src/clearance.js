@@ -0,0 +1,177 @@
+/**
+ * 净距模块
+ *
+ * 服务机器人、推车等有一定宽度，路径离墙体和障碍物边界的距离（净距）不能小于其半径。
+ * 墙体线段与障碍物环的边统一看作边界线段，建立空间索引后按需查询点、线段到最近边界的距离。
+ *
+ * 主要功能：
+ * 1. createClearanceField：收集边界线段并建立空间索引
+ * 2. pointClearance：点到最近边界的距离，点在障碍物内部时为 0
+ * 3. segmentClearance：线段到最近边界的距离，穿过墙体或障碍物时为 0
+ * 4. pathClearances：路径每一段的净距（米）
+ *
+ * 距离均为坐标单位，查询时给出上限 maxDistance，超过上限的边界不再检查，结果不大于上限。
+ */
+
+import { pointInAnyObstacle } from "./obstacles.js";
+import { indexPolygons, indexSegments, searchBBox } from "./spatialIndex.js";
+
+/**
+ * 点到线段的最近点
+ */
+function closestOnSegment(px, py, ax, ay, bx, by) {
+  const vx = bx - ax;
+  const vy = by - ay;
+  const c2 = vx * vx + vy * vy || 1e-12;
+  const t = Math.max(0, Math.min(1, ((px - ax) * vx + (py - ay) * vy) / c2));
+  return [ax + t * vx, ay + t * vy];
+}
+
+/**
+ * 两条线段 ab、cd 之间的最近点对 [ab 上的点, cd 上的点]，相交时两点重合
+ */
+function closestPair(a, b, c, d) {
+  const cross = (p, q, r) =>
+    (q[0] - p[0]) * (r[1] - p[1]) - (q[1] - p[1]) * (r[0] - p[0]);
+  const d1 = cross(a, b, c);
+  const d2 = cross(a, b, d);
+  const d3 = cross(c, d, a);
+  const d4 = cross(c, d, b);
+  if (d1 * d2 < 0 && d3 * d4 < 0) {
+    const t = d3 / (d3 - d4);
+    const p = [a[0] + t * (b[0] - a[0]), a[1] + t * (b[1] - a[1])];
+    return [p, p];
+  }
+  const candidates = [
+    [a, closestOnSegment(a[0], a[1], c[0], c[1], d[0], d[1])],
+    [b, closestOnSegment(b[0], b[1], c[0], c[1], d[0], d[1])],
+    [closestOnSegment(c[0], c[1], a[0], a[1], b[0], b[1]), c],
+    [closestOnSegment(d[0], d[1], a[0], a[1], b[0], b[1]), d],
+  ];
+  let best = candidates[0];
+  let bestD = Infinity;
+  for (const pair of candidates) {
+    const dist = Math.hypot(pair[0][0] - pair[1][0], pair[0][1] - pair[1][1]);
+    if (dist < bestD) {
+      bestD = dist;
+      best = pair;
+    }
+  }
+  return best;
+}
+
+/**
+ * 构建净距查询所需的边界线段与空间索引
+ * 只依赖障碍物和墙体，可在多次查询之间复用
+ *
+ * @param {Array} obstacles - 障碍物多边形数组
+ * @param {Array} walls - 墙体线段数组，每条线段是 [[x, y], [x, y]]
+ * @returns {Object} { obstacles, obstacleIndex, edges, edgeIndex }
+ */
+export function createClearanceField(obstacles, walls) {
+  obstacles = obstacles || [];
+  const edges = (walls || []).slice();
+  for (const rings of obstacles) {
+    for (const ring of rings) {
+      for (let i = 1; i < ring.length; i++) edges.push([ring[i - 1], ring[i]]);
+    }
+  }
+  return {
+    obstacles,
+    obstacleIndex: indexPolygons(obstacles),
+    edges,
+    edgeIndex: indexSegments(edges),
+  };
+}
+
+/**
+ * 点到最近边界的距离
+ *
+ * @param {Object} field - createClearanceField 的结果
+ * @param {number} x - 点 x
+ * @param {number} y - 点 y
+ * @param {number} maxDistance - 查询上限（坐标单位）
+ * @returns {number} 距离，不大于 maxDistance；点在障碍物内部时为 0
+ */
+export function pointClearance(field, x, y, maxDistance) {
+  if (pointInAnyObstacle(x, y, field.obstacles, field.obstacleIndex)) return 0;
+  let best = maxDistance;
+  const r = maxDistance;
+  for (const i of searchBBox(field.edgeIndex, x - r, y - r, x + r, y + r)) {
+    const [a, b] = field.edges[i];
+    const [cx, cy] = closestOnSegment(x, y, a[0], a[1], b[0], b[1]);
+    const dist = Math.hypot(x - cx, y - cy);
+    if (dist < best) best = dist;
+  }
+  return best;
+}
+
+/**
+ * 线段到最近边界的最近点对
+ *
+ * @param {Object} field - createClearanceField 的结果
+ * @param {Array<number>} a - 线段起点 [x, y]
+ * @param {Array<number>} b - 线段终点 [x, y]
+ * @param {number} maxDistance - 查询上限（坐标单位）
+ * @returns {Object|null} { distance, on, at }：on 为线段上的点，at 为边界上的点；
+ *          上限内没有边界时返回 null，线段在障碍物内部时 distance 为 0
+ */
+export function nearestBoundary(field, a, b, maxDistance) {
+  if (pointInAnyObstacle(a[0], a[1], field.obstacles, field.obstacleIndex)) {
+    return { distance: 0, on: a, at: a };
+  }
+  const r = maxDistance;
+  let best = null;
+  for (const i of searchBBox(
+    field.edgeIndex,
+    Math.min(a[0], b[0]) - r,
+    Math.min(a[1], b[1]) - r,
+    Math.max(a[0], b[0]) + r,
+    Math.max(a[1], b[1]) + r,
+  )) {
+    const [c, d] = field.edges[i];
+    const [on, at] = closestPair(a, b, c, d);
+    const dist = Math.hypot(on[0] - at[0], on[1] - at[1]);
+    if (dist <= r && (!best || dist < best.distance)) {
+      best = { distance: dist, on, at };
+      if (dist === 0) break;
+    }
+  }
+  return best;
+}
+
+/**
+ * 线段到最近边界的距离
+ *
+ * @param {Object} field - createClearanceField 的结果
+ * @param {Array<number>} a - 线段起点 [x, y]
+ * @param {Array<number>} b - 线段终点 [x, y]
+ * @param {number} maxDistance - 查询上限（坐标单位）
+ * @returns {number} 距离，不大于 maxDistance；穿过墙体、障碍物边界或在障碍物内部时为 0
+ */
+export function segmentClearance(field, a, b, maxDistance) {
+  return nearestBoundary(field, a, b, maxDistance)?.distance ?? maxDistance;
+}
+
+/**
+ * 计算路径每一段的净距
+ *
+ * @param {Object} field - createClearanceField 的结果
+ * @param {Array<{lon: number, lat: number}>} path - 路径点
+ * @param {Function} distance - 距离函数 (p, q) => 米
+ * @param {number} maxDistance - 查询上限（坐标单位）
+ * @returns {Array<number|null>} 每段的净距（米），上限内没有边界的段为 null
+ */
+export function pathClearances(field, path, distance, maxDistance) {
+  const out = [];
+  for (let i = 1; i < (path || []).length; i++) {
+    const hit = nearestBoundary(
+      field,
+      [path[i - 1].lon, path[i - 1].lat],
+      [path[i].lon, path[i].lat],
+      maxDistance,
+    );
+    out.push(hit ? distance(hit.on, hit.at) : null);
+  }
+  return out;
+}
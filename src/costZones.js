@@ -0,0 +1,257 @@
+/**
+ * 费用区域模块
+ *
+ * 墙体与障碍物只区分可通行与不可通行。费用区域是带代价系数的多边形：如地毯大堂 1.0、装卸区 3.0、
+ * 员工区域 10.0（允许通过但尽量绕开）、标线通道 0.8（优先走）。路线在区域内每米的代价为系数，
+ * 区域外为 1；区域重叠时以面积最小（最具体）的区域为准。
+ *
+ * 区域来自分类规则（角色为 zone 的规则，规则的 cost 为系数）或要素属性 zoneCost（优先于规则）；
+ * 几何可以是 Polygon、MultiPolygon 或首尾闭合的折线。
+ *
+ * 主要功能：
+ * 1. extractCostZones：从 GeoJSON 提取费用区域
+ * 2. createZoneIndex：为费用区域建立空间索引
+ * 3. segmentZonePieces：把线段按区域边界拆分
+ * 4. segmentCostFactor：线段的平均代价系数，用于加权边权重
+ * 5. summarizePathZones：路线经过的区域、各区域内的长度与加权代价
+ * 6. mergeZoneSummaries：合并多段路线经过的区域
+ */
+
+import { classifyFeature } from "./classify.js";
+import { pointInPolygon } from "./obstacles.js";
+import { indexPolygons, searchBBox } from "./spatialIndex.js";
+
+/**
+ * 从 GeoJSON 提取费用区域
+ *
+ * @param {Object} geojson - GeoJSON FeatureCollection
+ * @param {Object} [options={}] - 选项
+ * @param {Object} [options.rules] - 分类规则集（见 classify.js）
+ * @returns {Array} 费用区域 [{ rings, cost, name, source }]，rings 为闭合的环数组（第一个为外环），
+ *          cost 为代价系数，name 为显示名称，source 为来源要素句柄
+ */
+export function extractCostZones(geojson, options = {}) {
+  const rulesById = new Map(
+    (options.rules?.rules ?? []).map((rule) => [rule.id, rule]),
+  );
+  const zones = [];
+  for (const f of geojson?.features ?? []) {
+    const g = f?.geometry;
+    if (!g) continue;
+    const { role, ruleId } = classifyFeature(f, options.rules);
+    if (role !== "zone") continue;
+    const p = f.properties || {};
+    const rule = rulesById.get(ruleId);
+    const cost = Number(p.zoneCost ?? rule?.cost ?? 1);
+    if (!(cost > 0) || !isFinite(cost)) continue;
+    const name = String(
+      p.name ?? rule?.name ?? p.layer ?? `区域 ${zones.length + 1}`,
+    );
+    const source = p.handle ?? f.id ?? null;
+
+    let polygons = [];
+    if (g.type === "Polygon") polygons = [g.coordinates];
+    else if (g.type === "MultiPolygon") polygons = g.coordinates;
+    else if (g.type === "LineString" && isClosed(g.coordinates)) {
+      polygons = [[g.coordinates]];
+    }
+    for (const poly of polygons) {
+      const rings = (poly || [])
+        .filter((ring) => Array.isArray(ring) && ring.length >= 3)
+        .map((ring) => (isClosed(ring) ? ring : [...ring, ring[0]]));
+      if (rings.length) zones.push({ rings, cost, name, source });
+    }
+  }
+  return zones;
+}
+
+/**
+ * 折线是否首尾闭合（至少三个不同的点）
+ */
+function isClosed(coords) {
+  if (!Array.isArray(coords) || coords.length < 4) return false;
+  const a = coords[0];
+  const b = coords[coords.length - 1];
+  return a[0] === b[0] && a[1] === b[1];
+}
+
+/**
+ * 多边形面积（外环减去洞）
+ */
+function polygonArea(rings) {
+  const ringArea = (ring) => {
+    let sum = 0;
+    for (let i = 1; i < ring.length; i++) {
+      sum += ring[i - 1][0] * ring[i][1] - ring[i][0] * ring[i - 1][1];
+    }
+    return Math.abs(sum) / 2;
+  };
+  return rings.reduce((s, ring, i) => s + (i ? -1 : 1) * ringArea(ring), 0);
+}
+
+/**
+ * 为费用区域建立空间索引，区域按面积从小到大排列，重叠时先命中最具体的区域
+ * 只依赖区域数组，可在多次查询之间复用
+ *
+ * @param {Array} zones - extractCostZones 的结果（坐标可以已经变换）
+ * @returns {Object} { zones, index, minCost }：zones 中每项附加 id（在原数组中的下标），
+ *          minCost 为全部区域与区域外（1）中最小的代价系数，供启发函数保持可采纳
+ */
+export function createZoneIndex(zones) {
+  const sorted = zones
+    .map((zone, id) => ({ ...zone, id, area: polygonArea(zone.rings) }))
+    .sort((a, b) => a.area - b.area);
+  return {
+    zones: sorted,
+    index: indexPolygons(sorted.map((zone) => zone.rings)),
+    minCost: sorted.reduce((m, zone) => Math.min(m, zone.cost), 1),
+  };
+}
+
+/**
+ * 点所在的费用区域
+ *
+ * @param {Object} zi - createZoneIndex 的结果
+ * @param {number} x - 点 x
+ * @param {number} y - 点 y
+ * @returns {number} 区域在 zi.zones 中的下标，不在任何区域内时为 -1
+ */
+export function zoneAt(zi, x, y) {
+  let best = -1;
+  for (const k of searchBBox(zi.index, x, y, x, y)) {
+    if ((best < 0 || k < best) && pointInPolygon(x, y, zi.zones[k].rings)) {
+      best = k;
+    }
+  }
+  return best;
+}
+
+/**
+ * 把线段 a → b 按区域边界拆分为若干小段
+ *
+ * @param {Object} zi - createZoneIndex 的结果
+ * @param {Array<number>} a - 起点 [x, y]
+ * @param {Array<number>} b - 终点 [x, y]
+ * @returns {Array} 小段 [{ zone, t0, t1 }]，t0/t1 为在线段上的位置（0 ~ 1），zone 为区域下标（区域外为 -1），
+ *          相邻小段的区域不同
+ */
+export function segmentZonePieces(zi, a, b) {
+  const [ax, ay] = a;
+  const [bx, by] = b;
+  const candidates = searchBBox(
+    zi.index,
+    Math.min(ax, bx),
+    Math.min(ay, by),
+    Math.max(ax, bx),
+    Math.max(ay, by),
+  );
+  if (!candidates.length) return [{ zone: -1, t0: 0, t1: 1 }];
+
+  // 线段与候选区域边界的交点位置
+  const cuts = [0, 1];
+  const dx = bx - ax;
+  const dy = by - ay;
+  for (const k of candidates) {
+    for (const ring of zi.zones[k].rings) {
+      for (let i = 1; i < ring.length; i++) {
+        const [cx, cy] = ring[i - 1];
+        const ex = ring[i][0] - cx;
+        const ey = ring[i][1] - cy;
+        const denom = dx * ey - dy * ex;
+        if (!denom) continue;
+        const t = ((cx - ax) * ey - (cy - ay) * ex) / denom;
+        const u = ((cx - ax) * dy - (cy - ay) * dx) / denom;
+        if (t > 0 && t < 1 && u >= 0 && u <= 1) cuts.push(t);
+      }
+    }
+  }
+  cuts.sort((p, q) => p - q);
+
+  const pieces = [];
+  for (let i = 1; i < cuts.length; i++) {
+    const t0 = cuts[i - 1];
+    const t1 = cuts[i];
+    if (t1 - t0 < 1e-12) continue;
+    // 相邻交点之间的区域不变，取中点判断
+    const t = (t0 + t1) / 2;
+    const zone = zoneAt(zi, ax + dx * t, ay + dy * t);
+    const last = pieces[pieces.length - 1];
+    if (last && last.zone === zone) last.t1 = t1;
+    else pieces.push({ zone, t0, t1 });
+  }
+  return pieces.length ? pieces : [{ zone: zoneAt(zi, ax, ay), t0: 0, t1: 1 }];
+}
+
+/**
+ * 线段的平均代价系数：各小段的代价系数按长度加权平均
+ *
+ * @param {Object} zi - createZoneIndex 的结果
+ * @param {Array<number>} a - 起点 [x, y]
+ * @param {Array<number>} b - 终点 [x, y]
+ * @returns {number} 代价系数，边权重乘以它即为加权代价
+ */
+export function segmentCostFactor(zi, a, b) {
+  let factor = 0;
+  for (const { zone, t0, t1 } of segmentZonePieces(zi, a, b)) {
+    factor += (t1 - t0) * (zone < 0 ? 1 : zi.zones[zone].cost);
+  }
+  return factor;
+}
+
+/**
+ * 路线经过的费用区域与加权代价
+ *
+ * @param {Object} zi - createZoneIndex 的结果
+ * @param {Array} path - 路线 [{ lon, lat }]
+ * @param {Function} distance - 距离函数 (p, q) => 米
+ * @returns {Object} { cost, zones }：cost 为加权代价（米 × 系数），
+ *          zones 为按首次经过顺序排列的 [{ zone, name, cost, length }]，zone 为区域在原数组中的下标，length 为区域内的长度（米）
+ */
+export function summarizePathZones(zi, path, distance) {
+  let cost = 0;
+  const byZone = new Map();
+  for (let i = 1; i < path.length; i++) {
+    const a = [path[i - 1].lon, path[i - 1].lat];
+    const b = [path[i].lon, path[i].lat];
+    const len = distance(a, b);
+    for (const { zone, t0, t1 } of segmentZonePieces(zi, a, b)) {
+      const part = len * (t1 - t0);
+      if (zone < 0) {
+        cost += part;
+        continue;
+      }
+      const z = zi.zones[zone];
+      cost += part * z.cost;
+      const entry = byZone.get(z.id);
+      if (entry) entry.length += part;
+      else {
+        byZone.set(z.id, {
+          zone: z.id,
+          name: z.name,
+          cost: z.cost,
+          length: part,
+        });
+      }
+    }
+  }
+  return { cost, zones: [...byZone.values()] };
+}
+
+/**
+ * 合并多段路线经过的区域：同一楼层的同一区域长度相加，保持首次经过的顺序
+ *
+ * @param {Array<Array>} lists - 各段的区域列表（summarizePathZones 的 zones，可带 level）
+ * @returns {Array} 合并后的区域列表
+ */
+export function mergeZoneSummaries(lists) {
+  const merged = new Map();
+  for (const list of lists) {
+    for (const entry of list || []) {
+      const key = `${entry.level ?? ""}:${entry.zone}`;
+      const known = merged.get(key);
+      if (known) known.length += entry.length;
+      else merged.set(key, { ...entry });
+    }
+  }
+  return [...merged.values()];
+}
@@ -0,0 +1,46 @@
+/**
+ * 文件下载模块
+ *
+ * 封装浏览器端的文件下载与剪贴板复制，用于导出项目、图结构、路线等数据。
+ */
+
+/**
+ * 触发浏览器下载 Blob
+ *
+ * @param {Blob} blob - 文件内容
+ * @param {string} filename - 下载文件名
+ */
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  // 等待下载开始后再释放对象URL
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * 触发浏览器下载文本文件
+ *
+ * @param {string} text - 文件内容
+ * @param {string} filename - 下载文件名
+ * @param {string} [mime="application/json"] - MIME 类型
+ */
+export function downloadText(text, filename, mime = "application/json") {
+  downloadBlob(new Blob([text], { type: mime }), filename);
+}
+
+/**
+ * 复制文本到剪贴板
+ *
+ * @param {string} text - 文本内容
+ * @returns {Promise<void>}
+ * @throws {Error} 当前环境不支持剪贴板写入时抛出
+ */
+export async function copyText(text) {
+  if (!navigator.clipboard?.writeText) {
+    throw new Error("当前浏览器不支持写入剪贴板");
+  }
+  await navigator.clipboard.writeText(text);
+}
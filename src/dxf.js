@@ -0,0 +1,575 @@
+/**
+ * DXF 图纸读取模块
+ *
+ * 该模块直接解析 ASCII 格式的 DXF 文件，将 CAD 实体转换为与现有
+ * lines.geojson 相同结构的 GeoJSON FeatureCollection，省去 GDAL/ogr2ogr 预转换步骤。
+ *
+ * 支持的实体：
+ * 1. LINE：直线段
+ * 2. LWPOLYLINE / POLYLINE：多段线（支持闭合标志与凸度 bulge 圆弧段）
+ * 3. ARC / CIRCLE：按角度步长离散为折线
+ * 4. INSERT：块参照，递归展开块定义（支持缩放、旋转与 MINSERT 阵列）
+ *
+ * 输出要素的 properties 保留 handle、layer、color、ocolor、color24、linetype、lweight 等字段，
+ * 供障碍物分类与墙体提取使用。
+ *
+ * 坐标系统：图纸坐标（CAD 模型空间单位），输出坐标为 [x, y, z]
+ */
+
+/**
+ * AutoCAD 颜色索引(ACI) 1~9 的标准 RGB 值
+ * 其余索引只保留 ocolor 字段，不换算 RGB
+ */
+const ACI_RGB = {
+  1: [255, 0, 0],
+  2: [255, 255, 0],
+  3: [0, 255, 0],
+  4: [0, 255, 255],
+  5: [0, 0, 255],
+  6: [255, 0, 255],
+  7: [255, 255, 255],
+  8: [128, 128, 128],
+  9: [192, 192, 192],
+};
+
+/** 块参照展开的最大嵌套深度，防止自引用块导致无限递归 */
+const MAX_INSERT_DEPTH = 16;
+
+/**
+ * 将 DXF 文本切分为 (组码, 值) 对
+ *
+ * @param {string} text - DXF 文件文本内容
+ * @returns {Array<{code: number, value: string}>} 组码-值对数组
+ */
+function tokenize(text) {
+  const lines = text.split(/\r\n|\r|\n/);
+  // 文件末尾的空行不属于任何组码-值对
+  let end = lines.length;
+  while (end > 0 && !lines[end - 1].trim()) end--;
+  const pairs = [];
+  for (let i = 0; i + 1 < end; i += 2) {
+    const code = parseInt(lines[i].trim(), 10);
+    if (!Number.isFinite(code)) {
+      throw new Error(`DXF 格式错误：第 ${i + 1} 行不是有效的组码`);
+    }
+    const value = lines[i + 1].trim();
+    // 0/EOF 之后的内容忽略
+    if (code === 0 && value === "EOF") break;
+    pairs.push({ code, value });
+  }
+  return pairs;
+}
+
+/**
+ * 将组码-值对按段(SECTION)和实体(组码 0)分组
+ *
+ * @param {Array<{code: number, value: string}>} pairs - 组码-值对数组
+ * @returns {Object} 以段名为键的对象，每个段是实体数组 [{ type, codes }]
+ */
+function groupSections(pairs) {
+  const sections = {};
+  let current = null;
+  let entity = null;
+  for (let i = 0; i < pairs.length; i++) {
+    const { code, value } = pairs[i];
+    if (code === 0 && value === "SECTION") {
+      const name = pairs[i + 1]?.code === 2 ? pairs[i + 1].value : "UNKNOWN";
+      current = sections[name] = [];
+      entity = null;
+      i++;
+      continue;
+    }
+    if (code === 0 && value === "ENDSEC") {
+      current = null;
+      entity = null;
+      continue;
+    }
+    if (!current) continue;
+    if (code === 0) {
+      entity = { type: value, codes: [] };
+      current.push(entity);
+    } else if (entity) {
+      entity.codes.push([code, value]);
+    }
+  }
+  return sections;
+}
+
+/**
+ * 读取实体中第一个指定组码的值
+ *
+ * @param {Object} entity - 实体对象 { type, codes }
+ * @param {number} code - 组码
+ * @param {*} [fallback] - 缺省值
+ * @returns {string|*} 组码对应的值
+ */
+function getValue(entity, code, fallback) {
+  for (const [c, v] of entity.codes) if (c === code) return v;
+  return fallback;
+}
+
+/**
+ * 读取实体中第一个指定组码的数值
+ *
+ * @param {Object} entity - 实体对象 { type, codes }
+ * @param {number} code - 组码
+ * @param {number} [fallback=0] - 缺省值
+ * @returns {number} 组码对应的数值
+ */
+function getNumber(entity, code, fallback = 0) {
+  const v = getValue(entity, code);
+  const n = v === undefined ? NaN : parseFloat(v);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+/**
+ * 从 TABLES 段读取图层表，得到图层名到颜色/线型的映射
+ * 用于解析 BYLAYER 颜色与线型
+ *
+ * @param {Array} tables - TABLES 段的实体数组
+ * @returns {Map<string, {color: number, linetype: string}>} 图层属性映射
+ */
+function readLayers(tables) {
+  const layers = new Map();
+  for (const e of tables || []) {
+    if (e.type !== "LAYER") continue;
+    const name = getValue(e, 2);
+    if (name === undefined) continue;
+    layers.set(name, {
+      // 图层关闭时颜色为负值，取绝对值作为显示颜色
+      color: Math.abs(getNumber(e, 62, 7)),
+      color24: getValue(e, 420) !== undefined ? getNumber(e, 420) : null,
+      linetype: getValue(e, 6, "CONTINUOUS"),
+    });
+  }
+  return layers;
+}
+
+/**
+ * 从 BLOCKS 段读取块定义
+ *
+ * @param {Array} blocks - BLOCKS 段的实体数组
+ * @returns {Map<string, {base: Array<number>, entities: Array}>} 块名到块定义的映射
+ */
+function readBlocks(blocks) {
+  const out = new Map();
+  let current = null;
+  for (const e of blocks || []) {
+    if (e.type === "BLOCK") {
+      current = {
+        name: getValue(e, 2, ""),
+        base: [getNumber(e, 10), getNumber(e, 20), getNumber(e, 30)],
+        entities: [],
+      };
+      out.set(current.name, current);
+    } else if (e.type === "ENDBLK") {
+      current = null;
+    } else if (current) {
+      current.entities.push(e);
+    }
+  }
+  return out;
+}
+
+/**
+ * 将多段线相关的 VERTEX/SEQEND 实体合并到其所属的 POLYLINE 中
+ *
+ * @param {Array} entities - 实体数组
+ * @returns {Array} 合并后的实体数组，POLYLINE 带有 vertices 字段
+ */
+function attachVertices(entities) {
+  const out = [];
+  let poly = null;
+  for (const e of entities) {
+    if (e.type === "POLYLINE") {
+      poly = { ...e, vertices: [] };
+      out.push(poly);
+    } else if (e.type === "VERTEX" && poly) {
+      poly.vertices.push(e);
+    } else if (e.type === "SEQEND") {
+      poly = null;
+    } else {
+      poly = null;
+      out.push(e);
+    }
+  }
+  return out;
+}
+
+/**
+ * 将凸度(bulge)圆弧段离散为中间点
+ * bulge = tan(θ/4)，θ 为圆弧包角，正值为逆时针
+ *
+ * @param {Array<number>} a - 起点 [x, y, z]
+ * @param {Array<number>} b - 终点 [x, y, z]
+ * @param {number} bulge - 凸度值
+ * @param {number} stepRad - 离散角度步长（弧度）
+ * @returns {Array<Array<number>>} 不含起点和终点的中间点数组
+ */
+function bulgePoints(a, b, bulge, stepRad) {
+  const theta = 4 * Math.atan(bulge);
+  const chord = Math.hypot(b[0] - a[0], b[1] - a[1]);
+  if (!chord) return [];
+  const radius = chord / (2 * Math.sin(Math.abs(theta) / 2));
+  // 弦中点到圆心的有符号距离
+  const mx = (a[0] + b[0]) / 2;
+  const my = (a[1] + b[1]) / 2;
+  const d = Math.sqrt(Math.max(0, radius * radius - (chord * chord) / 4));
+  const sign = (bulge > 0 ? 1 : -1) * (Math.abs(theta) > Math.PI ? -1 : 1);
+  const nx = -(b[1] - a[1]) / chord;
+  const ny = (b[0] - a[0]) / chord;
+  const cx = mx + sign * d * nx;
+  const cy = my + sign * d * ny;
+  const start = Math.atan2(a[1] - cy, a[0] - cx);
+  const n = Math.max(1, Math.ceil(Math.abs(theta) / stepRad));
+  const pts = [];
+  for (let i = 1; i < n; i++) {
+    const ang = start + (theta * i) / n;
+    pts.push([cx + radius * Math.cos(ang), cy + radius * Math.sin(ang), a[2]]);
+  }
+  return pts;
+}
+
+/**
+ * 离散圆弧为折线坐标
+ *
+ * @param {number} cx - 圆心 x
+ * @param {number} cy - 圆心 y
+ * @param {number} cz - 圆心 z
+ * @param {number} r - 半径
+ * @param {number} startDeg - 起始角（度，逆时针）
+ * @param {number} endDeg - 终止角（度，逆时针）
+ * @param {number} stepRad - 离散角度步长（弧度）
+ * @returns {Array<Array<number>>} 折线坐标数组
+ */
+function arcPoints(cx, cy, cz, r, startDeg, endDeg, stepRad) {
+  const toRad = Math.PI / 180;
+  let sweep = (endDeg - startDeg) * toRad;
+  while (sweep <= 0) sweep += Math.PI * 2;
+  const n = Math.max(1, Math.ceil(sweep / stepRad));
+  const start = startDeg * toRad;
+  const pts = [];
+  for (let i = 0; i <= n; i++) {
+    const ang = start + (sweep * i) / n;
+    pts.push([cx + r * Math.cos(ang), cy + r * Math.sin(ang), cz]);
+  }
+  return pts;
+}
+
+/**
+ * 若实体的拉伸方向为 -Z，则对象坐标系(OCS)的 x、z 轴与世界坐标相反（任意轴算法）
+ * 这是 CAD 中镜像圆弧/多段线的常见情况
+ *
+ * @param {Object} entity - 实体对象
+ * @param {Array<Array<number>>} coords - OCS 坐标数组
+ * @returns {Array<Array<number>>} 世界坐标数组
+ */
+function applyExtrusion(entity, coords) {
+  if (getNumber(entity, 230, 1) >= 0) return coords;
+  return coords.map(([x, y, z]) => [-x, y, -z]);
+}
+
+/**
+ * 将单个实体转换为折线坐标数组（不含块参照）
+ *
+ * @param {Object} e - 实体对象
+ * @param {number} stepRad - 圆弧离散步长（弧度）
+ * @returns {Array<Array<Array<number>>>} 折线数组，每条折线是坐标数组；不支持的实体返回空数组
+ */
+function entityToLines(e, stepRad) {
+  switch (e.type) {
+    case "LINE":
+      return [
+        [
+          [getNumber(e, 10), getNumber(e, 20), getNumber(e, 30)],
+          [getNumber(e, 11), getNumber(e, 21), getNumber(e, 31)],
+        ],
+      ];
+    case "ARC":
+      return [
+        applyExtrusion(
+          e,
+          arcPoints(
+            getNumber(e, 10),
+            getNumber(e, 20),
+            getNumber(e, 30),
+            getNumber(e, 40),
+            getNumber(e, 50),
+            getNumber(e, 51),
+            stepRad,
+          ),
+        ),
+      ];
+    case "CIRCLE":
+      return [
+        applyExtrusion(
+          e,
+          arcPoints(
+            getNumber(e, 10),
+            getNumber(e, 20),
+            getNumber(e, 30),
+            getNumber(e, 40),
+            0,
+            360,
+            stepRad,
+          ),
+        ),
+      ];
+    case "LWPOLYLINE": {
+      // LWPOLYLINE 的顶点以重复的 10/20/42 组码依次给出
+      const elevation = getNumber(e, 38);
+      const verts = [];
+      for (const [c, v] of e.codes) {
+        if (c === 10) verts.push({ x: parseFloat(v), y: 0, bulge: 0 });
+        else if (c === 20 && verts.length)
+          verts[verts.length - 1].y = parseFloat(v);
+        else if (c === 42 && verts.length)
+          verts[verts.length - 1].bulge = parseFloat(v) || 0;
+      }
+      const closed = (getNumber(e, 70) & 1) === 1;
+      return [
+        applyExtrusion(e, polylineCoords(verts, elevation, closed, stepRad)),
+      ];
+    }
+    case "POLYLINE": {
+      const flags = getNumber(e, 70);
+      // 多面网格(16)与多边形网格(64)不是平面线，跳过
+      if (flags & 16 || flags & 64) return [];
+      const verts = (e.vertices || []).map((v) => ({
+        x: getNumber(v, 10),
+        y: getNumber(v, 20),
+        z: getNumber(v, 30),
+        bulge: getNumber(v, 42),
+      }));
+      const coords = polylineCoords(verts, 0, (flags & 1) === 1, stepRad);
+      // 三维多段线(8)使用世界坐标，其余使用 OCS
+      return [flags & 8 ? coords : applyExtrusion(e, coords)];
+    }
+    default:
+      return [];
+  }
+}
+
+/**
+ * 将多段线顶点（可含凸度）转换为折线坐标
+ *
+ * @param {Array<{x: number, y: number, z?: number, bulge: number}>} verts - 顶点数组
+ * @param {number} elevation - 默认高程
+ * @param {boolean} closed - 是否闭合
+ * @param {number} stepRad - 圆弧离散步长（弧度）
+ * @returns {Array<Array<number>>} 折线坐标数组
+ */
+function polylineCoords(verts, elevation, closed, stepRad) {
+  const coords = [];
+  const count = closed ? verts.length : verts.length - 1;
+  for (let i = 0; i < verts.length; i++) {
+    const v = verts[i];
+    const a = [v.x, v.y, v.z ?? elevation];
+    coords.push(a);
+    if (i >= count) break;
+    const w = verts[(i + 1) % verts.length];
+    if (v.bulge) {
+      const b = [w.x, w.y, w.z ?? elevation];
+      coords.push(...bulgePoints(a, b, v.bulge, stepRad));
+    }
+  }
+  if (closed && verts.length) {
+    coords.push([verts[0].x, verts[0].y, verts[0].z ?? elevation]);
+  }
+  return coords;
+}
+
+/**
+ * 解析实体的颜色属性，BYLAYER(256) 与 BYBLOCK(0) 颜色按 DXF 规则继承
+ *
+ * @param {Object} e - 实体对象
+ * @param {string} layer - 实体最终所在图层
+ * @param {Map} layers - 图层属性映射
+ * @param {Object|null} inherited - 外层块参照的颜色属性
+ * @returns {{ocolor: number, color24: number|null, color: string|null}} 颜色属性
+ */
+function resolveColor(e, layer, layers, inherited) {
+  let aci = getNumber(e, 62, 256);
+  let color24 = getValue(e, 420) !== undefined ? getNumber(e, 420) : null;
+  if (aci === 0 && inherited) {
+    aci = inherited.ocolor;
+    color24 = color24 ?? inherited.color24;
+  } else if (aci === 256) {
+    const l = layers.get(layer);
+    aci = l ? l.color : 7;
+    color24 = color24 ?? l?.color24 ?? null;
+  }
+  let rgb = null;
+  if (color24 !== null) {
+    rgb = [(color24 >> 16) & 255, (color24 >> 8) & 255, color24 & 255];
+  } else if (ACI_RGB[aci]) {
+    rgb = ACI_RGB[aci];
+  }
+  return {
+    ocolor: aci,
+    color24,
+    color: rgb ? `${rgb[0]},${rgb[1]},${rgb[2]},255` : null,
+  };
+}
+
+/**
+ * 构造二维仿射变换（块参照用）：先平移块基点，再缩放、旋转，最后平移到插入点
+ *
+ * @returns {Function} 坐标变换函数 ([x, y, z]) => [x, y, z]
+ */
+function insertTransform(base, insertPoint, sx, sy, sz, rotationDeg, parent) {
+  const rot = (rotationDeg * Math.PI) / 180;
+  const cos = Math.cos(rot);
+  const sin = Math.sin(rot);
+  return ([x, y, z]) => {
+    const lx = (x - base[0]) * sx;
+    const ly = (y - base[1]) * sy;
+    const p = [
+      insertPoint[0] + lx * cos - ly * sin,
+      insertPoint[1] + lx * sin + ly * cos,
+      insertPoint[2] + ((z ?? 0) - base[2]) * sz,
+    ];
+    return parent ? parent(p) : p;
+  };
+}
+
+/**
+ * 解析 ASCII DXF 文本并转换为 GeoJSON FeatureCollection
+ *
+ * @param {string} text - DXF 文件文本内容
+ * @param {Object} [options={}] - 解析选项
+ * @param {number} [options.arcStepDeg=5] - 圆弧离散的角度步长（度）
+ * @param {boolean} [options.expandInserts=true] - 是否展开 INSERT 块参照
+ * @param {string} [options.name="dxf"] - 输出 FeatureCollection 的名称
+ * @returns {Object} GeoJSON FeatureCollection，要素几何为 LineString
+ */
+export function parseDXF(text, options = {}) {
+  if (typeof text !== "string") throw new Error("DXF 内容必须是文本");
+  if (/^AutoCAD Binary DXF/.test(text)) {
+    throw new Error("暂不支持二进制 DXF，请另存为 ASCII DXF");
+  }
+  const stepRad = ((options.arcStepDeg ?? 5) * Math.PI) / 180;
+  const expandInserts = options.expandInserts ?? true;
+
+  const sections = groupSections(tokenize(text));
+  const layers = readLayers(sections.TABLES);
+  const blocks = readBlocks(sections.BLOCKS);
+  const features = [];
+  let fid = 0;
+
+  /**
+   * 递归输出实体，块参照内的实体经 transform 变换到世界坐标
+   *
+   * @param {Array} entities - 实体数组
+   * @param {Function|null} transform - 坐标变换
+   * @param {Object|null} parent - 外层块参照信息 { layer, block, color, handle }
+   * @param {number} depth - 当前嵌套深度
+   */
+  function emit(entities, transform, parent, depth) {
+    for (const e of attachVertices(entities)) {
+      let layer = getValue(e, 8, "0");
+      // 块内位于 0 层的实体继承块参照所在图层
+      if (parent && layer === "0") layer = parent.layer;
+
+      if (e.type === "INSERT") {
+        if (!expandInserts || depth >= MAX_INSERT_DEPTH) continue;
+        const block = blocks.get(getValue(e, 2, ""));
+        if (!block) continue;
+        const color = resolveColor(e, layer, layers, parent?.color);
+        const cols = Math.max(1, getNumber(e, 70, 1));
+        const rows = Math.max(1, getNumber(e, 71, 1));
+        const colSpacing = getNumber(e, 44);
+        const rowSpacing = getNumber(e, 45);
+        const rotation = getNumber(e, 50);
+        const rot = (rotation * Math.PI) / 180;
+        for (let r = 0; r < rows; r++) {
+          for (let c = 0; c < cols; c++) {
+            // MINSERT 阵列偏移沿块参照的旋转方向排列
+            const ox =
+              c * colSpacing * Math.cos(rot) - r * rowSpacing * Math.sin(rot);
+            const oy =
+              c * colSpacing * Math.sin(rot) + r * rowSpacing * Math.cos(rot);
+            const insertPoint = applyExtrusion(e, [
+              [getNumber(e, 10) + ox, getNumber(e, 20) + oy, getNumber(e, 30)],
+            ])[0];
+            const t = insertTransform(
+              block.base,
+              insertPoint,
+              getNumber(e, 41, 1),
+              getNumber(e, 42, 1),
+              getNumber(e, 43, 1),
+              rotation,
+              transform,
+            );
+            emit(
+              block.entities,
+              t,
+              {
+                layer,
+                block: block.name,
+                color,
+                handle: parent?.handle ?? getValue(e, 5, null),
+              },
+              depth + 1,
+            );
+          }
+        }
+        continue;
+      }
+
+      const lines = entityToLines(e, stepRad);
+      if (!lines.length) continue;
+      const color = resolveColor(e, layer, layers, parent?.color);
+      const linetype = getValue(e, 6, "BYLAYER");
+      const properties = {
+        fid: fid++,
+        handle: getValue(e, 5, null),
+        block: parent ? parent.block : -1,
+        etype: e.type,
+        layer,
+        olinetype: linetype,
+        linetype:
+          linetype === "BYLAYER"
+            ? (layers.get(layer)?.linetype ?? "")
+            : linetype,
+        color: color.color,
+        ocolor: color.ocolor,
+        color24: color.color24,
+        lweight: getNumber(e, 370, -1),
+      };
+      // 块内实体记录所属块参照的句柄，便于回溯源实体
+      if (parent) properties.insertHandle = parent.handle;
+      for (const coords of lines) {
+        if (coords.length < 2) continue;
+        features.push({
+          type: "Feature",
+          properties,
+          geometry: {
+            type: "LineString",
+            coordinates: transform ? coords.map(transform) : coords,
+          },
+        });
+      }
+    }
+  }
+
+  emit(sections.ENTITIES || [], null, null, 0);
+
+  return {
+    type: "FeatureCollection",
+    name: options.name ?? "dxf",
+    features,
+  };
+}
+
+/**
+ * 粗略判断文本是否为 ASCII DXF 内容
+ *
+ * @param {string} text - 文件文本内容
+ * @returns {boolean} 若文本以 DXF 的 SECTION 组码开头（允许前面有 999 注释组）返回 true
+ */
+export function looksLikeDXF(text) {
+  return /^\s*(?:999[ \t]*\r?\n[^\r\n]*\r?\n\s*)*0[ \t]*\r?\n\s*SECTION\b/.test(
+    String(text).slice(0, 4096),
+  );
+}
@@ -0,0 +1,99 @@
+import { describe, expect, it } from "vitest";
+import { looksLikeDXF, parseDXF } from "./dxf.js";
+
+/** 由组码-值对拼出 DXF 文本 */
+function dxf(pairs) {
+  return pairs.flat().join("\n");
+}
+
+const LINE = [
+  [0, "LINE"],
+  [5, "1A"],
+  [8, "WALL"],
+  [10, 0],
+  [20, 0],
+  [30, 0],
+  [11, 10],
+  [21, 5],
+  [31, 0],
+];
+
+const minimal = dxf([
+  [0, "SECTION"],
+  [2, "ENTITIES"],
+  ...LINE,
+  [0, "ENDSEC"],
+  [0, "EOF"],
+]);
+
+describe("parseDXF", () => {
+  it("把 LINE 转换为 LineString 要素并保留图层", () => {
+    const fc = parseDXF(minimal);
+    expect(fc.type).toBe("FeatureCollection");
+    expect(fc.features).toHaveLength(1);
+    const [f] = fc.features;
+    expect(f.properties.layer).toBe("WALL");
+    expect(f.geometry).toEqual({
+      type: "LineString",
+      coordinates: [
+        [0, 0, 0],
+        [10, 5, 0],
+      ],
+    });
+  });
+
+  it("允许 EOF 之后有换行与多余内容", () => {
+    expect(parseDXF(`${minimal}\n`).features).toHaveLength(1);
+    expect(parseDXF(`${minimal}\r\n\r\n`).features).toHaveLength(1);
+    expect(parseDXF(`${minimal}\n垃圾数据\n`).features).toHaveLength(1);
+  });
+
+  it("组码不是数字时报错", () => {
+    expect(() => parseDXF("0\nSECTION\nxx\nENTITIES\n0\nEOF")).toThrow(
+      /第 3 行/,
+    );
+  });
+
+  it("拉伸方向为 -Z 的圆弧按任意轴算法镜像 x 与 z", () => {
+    const fc = parseDXF(
+      dxf([
+        [0, "SECTION"],
+        [2, "ENTITIES"],
+        [0, "ARC"],
+        [8, "0"],
+        [10, 5],
+        [20, 0],
+        [30, 2],
+        [40, 1],
+        [50, 0],
+        [51, 90],
+        [230, -1],
+        [0, "ENDSEC"],
+        [0, "EOF"],
+      ]),
+    );
+    const coords = fc.features[0].geometry.coordinates;
+    expect(coords[0][0]).toBeCloseTo(-6);
+    expect(coords[0][1]).toBeCloseTo(0);
+    expect(coords[0][2]).toBeCloseTo(-2);
+    const last = coords[coords.length - 1];
+    expect(last[0]).toBeCloseTo(-5);
+    expect(last[1]).toBeCloseTo(1);
+  });
+});
+
+describe("looksLikeDXF", () => {
+  it("识别以 SECTION 开头的文本", () => {
+    expect(looksLikeDXF(minimal)).toBe(true);
+    expect(looksLikeDXF("  0\r\nSECTION\r\n  2\r\nHEADER")).toBe(true);
+  });
+
+  it("允许开头有 999 注释组", () => {
+    expect(looksLikeDXF(`999\ndxfrw 0.6.3\n999\n注释\n${minimal}`)).toBe(true);
+  });
+
+  it("拒绝 GeoJSON 等其他文本", () => {
+    expect(looksLikeDXF('{"type":"FeatureCollection"}')).toBe(false);
+    expect(looksLikeDXF("999\n注释\n")).toBe(false);
+  });
+});
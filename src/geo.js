@@ -8,8 +8,12 @@
  * 2. 坐标精度控制和键值生成（用于障碍图节点去重）
  * 3. 节点边界框计算（用于障碍图显示）
  * 4. 画布适配变换计算（用于障碍图可视化）
+ * 5. 坐标系统设置：平面（CAD 图纸单位）与地理（经纬度）两种距离计算模式
+ * 6. 地图投影：Web 墨卡托、UTM、高斯-克吕格（CGCS2000）的正反算与分带
  *
- * 坐标系统：使用经纬度坐标 [longitude, latitude]
+ * 坐标系统：
+ * - geographic：经纬度坐标 [longitude, latitude]，距离使用 Haversine 公式
+ * - planar：平面坐标 [x, y]，距离使用欧几里得公式并按图纸单位(mm/cm/m)换算
  * 距离单位：米(m)
  */
 
@@ -50,6 +54,101 @@ export function haversineDistance(a, b) {
   return 2 * R * Math.asin(Math.min(1, Math.sqrt(s)));
 }
 
+/**
+ * 平面坐标单位到米的换算系数
+ */
+export const UNIT_TO_METERS = { mm: 0.001, cm: 0.01, m: 1 };
+
+/**
+ * 默认坐标系统设置：与旧版行为一致，按经纬度计算距离
+ */
+export const DEFAULT_CRS = { mode: "geographic", unit: "m" };
+
+/**
+ * 计算平面坐标中两点间的欧几里得距离，并换算为米
+ *
+ * @param {Array<number>} a - 第一个点的坐标 [x, y]
+ * @param {Array<number>} b - 第二个点的坐标 [x, y]
+ * @param {string} [unit="m"] - 坐标单位：mm、cm 或 m
+ * @returns {number} 两点间的距离，单位为米
+ */
+export function planarDistance(a, b, unit = "m") {
+  const factor = UNIT_TO_METERS[unit] ?? 1;
+  return Math.hypot(b[0] - a[0], b[1] - a[1]) * factor;
+}
+
+/**
+ * 根据坐标系统设置创建距离函数
+ * 图的边权重、网格边权重、路径长度和导出都应使用同一个距离函数，保证结果一致
+ *
+ * @param {Object} [crs=DEFAULT_CRS] - 坐标系统设置 { mode: "planar" | "geographic", unit }
+ * @returns {Function} 距离函数 (a, b) => 米，a、b 为 [x, y] 或 [经度, 纬度]
+ */
+export function createDistanceFn(crs = DEFAULT_CRS) {
+  if (crs?.mode === "planar") {
+    const unit = crs.unit ?? "m";
+    return (a, b) => planarDistance(a, b, unit);
+  }
+  return haversineDistance;
+}
+
+/**
+ * 把以米为单位的长度换算为坐标长度（如机器人半径换算为图纸单位或度）
+ * 在 at 处沿两个坐标轴各取一小段测量比例；经纬度坐标两个方向比例不同，取换算结果较大者，偏于安全
+ *
+ * @param {number} meters - 长度（米）
+ * @param {Function} distance - 距离函数，见 createDistanceFn
+ * @param {Array<number>} at - 测量位置 [x, y]
+ * @returns {number} 坐标长度
+ */
+export function metersToCoordUnits(meters, distance, at) {
+  if (!(meters > 0)) return 0;
+  const step = 1e-4;
+  const perUnit = Math.min(
+    distance(at, [at[0] + step, at[1]]),
+    distance(at, [at[0], at[1] + step]),
+  );
+  return perUnit > 0 ? (meters * step) / perUnit : 0;
+}
+
+/**
+ * 计算折线的总长度
+ *
+ * @param {Array} points - 路径点数组，元素为 {lon, lat} 对象或 [x, y] 坐标
+ * @param {Function} distance - 距离函数，见 createDistanceFn
+ * @returns {number} 总长度，单位为米
+ */
+export function pathLength(points, distance) {
+  let total = 0;
+  for (let i = 1; i < (points || []).length; i++) {
+    total += distance(toCoord(points[i - 1]), toCoord(points[i]));
+  }
+  return total;
+}
+
+/**
+ * 将 {lon, lat} 对象或坐标数组统一为 [x, y] 坐标
+ *
+ * @param {Object|Array<number>} p - 点
+ * @returns {Array<number>} 坐标 [x, y]
+ */
+function toCoord(p) {
+  return Array.isArray(p) ? p : [p.lon, p.lat];
+}
+
+/**
+ * 将米为单位的长度格式化为便于阅读的文本
+ *
+ * @param {number} meters - 长度（米）
+ * @returns {string} 格式化文本，如 "12.35 m" 或 "1.20 km"
+ */
+export function formatLength(meters) {
+  if (!isFinite(meters)) return "-";
+  return meters >= 1000
+    ? `${(meters / 1000).toFixed(2)} km`
+    : `${meters.toFixed(2)} m`;
+}
+
 /**
  * 计算三个点的转向方向
  * 用于检测线段之间的相交关系和转向判断
@@ -136,3 +235,290 @@ export function fitToCanvas(bbox, width, height, padding = 20) {
 
   return { scale, tx, ty };
 }
+
+/**
+ * 对 GeoJSON 中的每个坐标应用变换函数（返回新对象，不修改输入）
+ * 用于投影变换、配准等逐点坐标转换
+ *
+ * @param {Object} geojson - GeoJSON FeatureCollection
+ * @param {Function} fn - 坐标变换函数 ([x, y, ...]) => [x', y', ...]
+ * @returns {Object} 变换后的 GeoJSON FeatureCollection（不含旧的 crs 声明）
+ */
+export function mapGeoJSONCoordinates(geojson, fn) {
+  const mapCoords = (coords) =>
+    typeof coords[0] === "number" ? fn(coords) : coords.map(mapCoords);
+  const mapGeometry = (g) => {
+    if (!g) return g;
+    if (g.type === "GeometryCollection") {
+      return { ...g, geometries: g.geometries.map(mapGeometry) };
+    }
+    return { ...g, coordinates: mapCoords(g.coordinates) };
+  };
+  const { crs, ...rest } = geojson;
+  return {
+    ...rest,
+    features: (geojson.features || []).map((f) => ({
+      ...f,
+      geometry: mapGeometry(f.geometry),
+    })),
+  };
+}
+
+// ---------------------------------------------------------------------------
+// 地图投影
+//
+// 支持的投影（def.type）：
+// - none：不投影，经纬度直接作为 x/y（旧版行为）
+// - webmercator：Web 墨卡托 (EPSG:3857)，球体半径 6378137 m
+// - utm：通用横轴墨卡托，6° 分带，k0 = 0.9996，假东 500 km，南半球假北 10000 km
+// - gk：高斯-克吕格（CGCS2000），3° 或 6° 分带，k0 = 1，假东 500 km，
+//   可选在东坐标前加带号（如 39500000）
+//
+// 横轴墨卡托使用 Krüger 级数（展开到 n⁴），带内精度优于毫米级。
+// ---------------------------------------------------------------------------
+
+/** 支持的投影类型 */
+export const PROJECTION_TYPES = ["none", "webmercator", "utm", "gk"];
+
+/** 椭球参数 */
+const ELLIPSOIDS = {
+  wgs84: { a: 6378137, f: 1 / 298.257223563 },
+  cgcs2000: { a: 6378137, f: 1 / 298.257222101 },
+};
+
+/** Web 墨卡托的纬度范围 */
+const MERCATOR_MAX_LAT = 85.0511287798;
+
+/**
+ * 创建默认投影定义（不投影）
+ *
+ * @returns {Object} 投影定义 { type, zone, zoneWidth, south, zonePrefix }
+ */
+export function createProjectionDef() {
+  return {
+    type: "none",
+    zone: "auto",
+    zoneWidth: 3,
+    south: false,
+    zonePrefix: false,
+  };
+}
+
+/**
+ * Web 墨卡托正算
+ *
+ * @param {Array<number>} coord - [经度, 纬度]
+ * @returns {Array<number>} [x, y]（米）
+ */
+export function webMercatorForward([lon, lat]) {
+  const a = ELLIPSOIDS.wgs84.a;
+  const φ =
+    (Math.max(-MERCATOR_MAX_LAT, Math.min(MERCATOR_MAX_LAT, lat)) * Math.PI) /
+    180;
+  return [
+    (a * lon * Math.PI) / 180,
+    a * Math.log(Math.tan(Math.PI / 4 + φ / 2)),
+  ];
+}
+
+/**
+ * Web 墨卡托反算
+ *
+ * @param {Array<number>} coord - [x, y]（米）
+ * @returns {Array<number>} [经度, 纬度]
+ */
+export function webMercatorInverse([x, y]) {
+  const a = ELLIPSOIDS.wgs84.a;
+  return [
+    ((x / a) * 180) / Math.PI,
+    ((2 * Math.atan(Math.exp(y / a)) - Math.PI / 2) * 180) / Math.PI,
+  ];
+}
+
+/**
+ * 预计算横轴墨卡托的 Krüger 级数系数
+ *
+ * @param {Object} ellipsoid - 椭球参数 { a, f }
+ * @returns {Object} { A, e, alpha, beta, delta }
+ */
+function krugerCoefficients({ a, f }) {
+  const n = f / (2 - f);
+  const n2 = n * n,
+    n3 = n2 * n,
+    n4 = n3 * n;
+  return {
+    A: (a / (1 + n)) * (1 + n2 / 4 + n4 / 64),
+    e: Math.sqrt(f * (2 - f)),
+    alpha: [
+      n / 2 - (2 * n2) / 3 + (5 * n3) / 16 + (41 * n4) / 180,
+      (13 * n2) / 48 - (3 * n3) / 5 + (557 * n4) / 1440,
+      (61 * n3) / 240 - (103 * n4) / 140,
+      (49561 * n4) / 161280,
+    ],
+    beta: [
+      n / 2 - (2 * n2) / 3 + (37 * n3) / 96 - n4 / 360,
+      n2 / 48 + n3 / 15 - (437 * n4) / 1440,
+      (17 * n3) / 480 - (37 * n4) / 840,
+      (4397 * n4) / 161280,
+    ],
+    delta: [
+      2 * n - (2 * n2) / 3 - 2 * n3 + (116 * n4) / 45,
+      (7 * n2) / 3 - (8 * n3) / 5 - (227 * n4) / 45,
+      (56 * n3) / 15 - (136 * n4) / 35,
+      (4279 * n4) / 630,
+    ],
+  };
+}
+
+/**
+ * 横轴墨卡托正算
+ *
+ * @param {Array<number>} coord - [经度, 纬度]
+ * @param {Object} p - 投影参数 { lon0, k0, falseEasting, falseNorthing, coef }
+ * @returns {Array<number>} [东坐标, 北坐标]（米）
+ */
+function transverseMercatorForward([lon, lat], p) {
+  const { A, e, alpha } = p.coef;
+  const φ = (lat * Math.PI) / 180;
+  const λ = ((lon - p.lon0) * Math.PI) / 180;
+  const sinφ = Math.sin(φ);
+  const t = Math.sinh(Math.atanh(sinφ) - e * Math.atanh(e * sinφ));
+  const ξp = Math.atan2(t, Math.cos(λ));
+  const ηp = Math.atanh(Math.sin(λ) / Math.sqrt(1 + t * t));
+  let ξ = ξp,
+    η = ηp;
+  for (let j = 1; j <= 4; j++) {
+    ξ += alpha[j - 1] * Math.sin(2 * j * ξp) * Math.cosh(2 * j * ηp);
+    η += alpha[j - 1] * Math.cos(2 * j * ξp) * Math.sinh(2 * j * ηp);
+  }
+  return [p.falseEasting + p.k0 * A * η, p.falseNorthing + p.k0 * A * ξ];
+}
+
+/**
+ * 横轴墨卡托反算
+ *
+ * @param {Array<number>} coord - [东坐标, 北坐标]（米）
+ * @param {Object} p - 投影参数 { lon0, k0, falseEasting, falseNorthing, coef }
+ * @returns {Array<number>} [经度, 纬度]
+ */
+function transverseMercatorInverse([x, y], p) {
+  const { A, beta, delta } = p.coef;
+  const ξ = (y - p.falseNorthing) / (p.k0 * A);
+  const η = (x - p.falseEasting) / (p.k0 * A);
+  let ξp = ξ,
+    ηp = η;
+  for (let j = 1; j <= 4; j++) {
+    ξp -= beta[j - 1] * Math.sin(2 * j * ξ) * Math.cosh(2 * j * η);
+    ηp -= beta[j - 1] * Math.cos(2 * j * ξ) * Math.sinh(2 * j * η);
+  }
+  const χ = Math.asin(Math.sin(ξp) / Math.cosh(ηp));
+  let φ = χ;
+  for (let j = 1; j <= 4; j++) φ += delta[j - 1] * Math.sin(2 * j * χ);
+  const λ = Math.atan2(Math.sinh(ηp), Math.cos(ξp));
+  return [p.lon0 + (λ * 180) / Math.PI, (φ * 180) / Math.PI];
+}
+
+/**
+ * 根据经度计算 UTM 带号（1-60）
+ *
+ * @param {number} lon - 经度
+ * @returns {number} 带号
+ */
+export function utmZone(lon) {
+  return Math.min(60, Math.max(1, Math.floor((lon + 180) / 6) + 1));
+}
+
+/**
+ * 根据经度计算高斯-克吕格带号
+ * 3° 带：中央子午线 = 3 × 带号；6° 带：中央子午线 = 6 × 带号 - 3
+ *
+ * @param {number} lon - 经度
+ * @param {number} [zoneWidth=3] - 带宽：3 或 6
+ * @returns {number} 带号
+ */
+export function gaussKrugerZone(lon, zoneWidth = 3) {
+  return zoneWidth === 6 ? Math.floor(lon / 6) + 1 : Math.round(lon / 3);
+}
+
+/**
+ * 高斯-克吕格带号对应的中央子午线经度
+ *
+ * @param {number} zone - 带号
+ * @param {number} [zoneWidth=3] - 带宽：3 或 6
+ * @returns {number} 中央子午线经度
+ */
+export function gaussKrugerCentralMeridian(zone, zoneWidth = 3) {
+  return zoneWidth === 6 ? zone * 6 - 3 : zone * 3;
+}
+
+/**
+ * 根据投影定义创建投影对象
+ *
+ * 带号为 "auto" 时：优先使用 refLon（通常是数据中心经度）确定带号；
+ * 高斯-克吕格东坐标含带号前缀时，反算可直接从东坐标读出带号。
+ *
+ * @param {Object} [def] - 投影定义，见 createProjectionDef；可用 centralMeridian 直接指定中央子午线
+ * @param {number} [refLon] - 用于自动选带的参考经度
+ * @returns {{def: Object, forward: Function, inverse: Function}}
+ *          投影对象：forward([经度, 纬度]) => [x, y]，inverse([x, y]) => [经度, 纬度]
+ * @throws {Error} 投影类型未知或无法确定带号时抛出
+ */
+export function createProjection(def = createProjectionDef(), refLon) {
+  const type = def.type ?? "none";
+  if (!PROJECTION_TYPES.includes(type)) {
+    throw new Error(`未知的投影类型: ${type}`);
+  }
+  if (type === "none") {
+    return { def, forward: (c) => c, inverse: (c) => c };
+  }
+  if (type === "webmercator") {
+    return { def, forward: webMercatorForward, inverse: webMercatorInverse };
+  }
+
+  const isUtm = type === "utm";
+  const zoneWidth = isUtm ? 6 : def.zoneWidth === 6 ? 6 : 3;
+  const coef = krugerCoefficients(
+    ELLIPSOIDS[def.ellipsoid ?? (isUtm ? "wgs84" : "cgcs2000")] ??
+      ELLIPSOIDS.wgs84,
+  );
+  const zonePrefix = !isUtm && Boolean(def.zonePrefix);
+  const params = (zone, lon0) => ({
+    lon0,
+    k0: isUtm ? 0.9996 : 1,
+    falseEasting: 500000 + (zonePrefix ? zone * 1e6 : 0),
+    falseNorthing: isUtm && def.south ? 10000000 : 0,
+    coef,
+  });
+  const zoneOf = (lon) =>
+    isUtm ? utmZone(lon) : gaussKrugerZone(lon, zoneWidth);
+  const centralMeridian = (zone) =>
+    isUtm ? zone * 6 - 183 : gaussKrugerCentralMeridian(zone, zoneWidth);
+
+  let zone = Number(def.zone);
+  if (def.zone === "auto" || def.zone == null || def.zone === "") {
+    zone = Number.isFinite(refLon) ? zoneOf(refLon) : NaN;
+  }
+  let fixed = null;
+  if (Number.isFinite(def.centralMeridian)) {
+    fixed = params(Number.isFinite(zone) ? zone : 0, def.centralMeridian);
+  } else if (Number.isFinite(zone)) {
+    fixed = params(zone, centralMeridian(zone));
+  } else if (!zonePrefix) {
+    throw new Error("无法确定投影带号，请指定带号或中央子午线");
+  }
+
+  return {
+    def: { ...def, zone: Number.isFinite(zone) ? zone : "auto" },
+    forward: (c) =>
+      transverseMercatorForward(
+        c,
+        fixed ?? params(zoneOf(c[0]), centralMeridian(zoneOf(c[0]))),
+      ),
+    inverse: (c) => {
+      if (fixed) return transverseMercatorInverse(c, fixed);
+      // 东坐标含带号前缀：从东坐标读出带号
+      const z = Math.floor(c[0] / 1e6);
+      return transverseMercatorInverse(c, params(z, centralMeridian(z)));
+    },
+  };
+}
@@ -0,0 +1,78 @@
+import { describe, expect, it } from "vitest";
+import {
+  createProjection,
+  createProjectionDef,
+  gaussKrugerCentralMeridian,
+  gaussKrugerZone,
+  utmZone,
+  webMercatorForward,
+  webMercatorInverse,
+} from "./geo.js";
+
+const projection = (type, refLon, extra = {}) =>
+  createProjection({ ...createProjectionDef(), type, ...extra }, refLon);
+
+describe("UTM 投影", () => {
+  it("按经度取 6° 带号", () => {
+    expect(utmZone(-180)).toBe(1);
+    expect(utmZone(2.29)).toBe(31);
+    expect(utmZone(179.9)).toBe(60);
+  });
+
+  it("与已知坐标一致并可往返", () => {
+    // 埃菲尔铁塔：31U 448252 5411944
+    const utm = projection("utm", 2.2945);
+    expect(utm.def.zone).toBe(31);
+    const [x, y] = utm.forward([2.2945, 48.8583]);
+    expect(x).toBeCloseTo(448251.9, 0);
+    expect(y).toBeCloseTo(5411943.8, 0);
+    const [lon, lat] = utm.inverse([x, y]);
+    expect(lon).toBeCloseTo(2.2945, 9);
+    expect(lat).toBeCloseTo(48.8583, 9);
+  });
+
+  it("南半球加 10000 km 假北", () => {
+    // 悉尼：56H 334369 6250948
+    const utm = projection("utm", 151.2093, { south: true });
+    expect(utm.def.zone).toBe(56);
+    const [x, y] = utm.forward([151.2093, -33.8688]);
+    expect(x).toBeCloseTo(334368.6, 0);
+    expect(y).toBeCloseTo(6250948.3, 0);
+  });
+
+  it("中央子午线上的北坐标为 k0 乘子午线弧长", () => {
+    const [x, y] = projection("utm", 9).forward([9, 45]);
+    expect(x).toBeCloseTo(500000, 6);
+    expect(y).toBeCloseTo(4984944.378 * 0.9996, 1);
+  });
+});
+
+describe("高斯-克吕格投影", () => {
+  it("按 3° 带自动取带号，中央子午线上的北坐标为子午线弧长", () => {
+    expect(gaussKrugerZone(117.2)).toBe(39);
+    expect(gaussKrugerZone(117.2, 6)).toBe(20);
+    expect(gaussKrugerCentralMeridian(39)).toBe(117);
+    const gk = projection("gk", 117.2);
+    expect(gk.def.zone).toBe(39);
+    expect(gk.forward([117, 0])).toEqual([500000, 0]);
+    expect(gk.forward([117, 45])[1]).toBeCloseTo(4984944.378, 1);
+  });
+
+  it("东坐标带号前缀可往返", () => {
+    const gk = projection("gk", 117.2, { zonePrefix: true });
+    const [x, y] = gk.forward([118, 30]);
+    expect(Math.floor(x / 1e6)).toBe(39);
+    const [lon, lat] = gk.inverse([x, y]);
+    expect(lon).toBeCloseTo(118, 9);
+    expect(lat).toBeCloseTo(30, 9);
+  });
+});
+
+describe("Web 墨卡托", () => {
+  it("180° 经线的 x 为赤道半周长", () => {
+    expect(webMercatorForward([180, 0])[0]).toBeCloseTo(20037508.342789, 5);
+    const [lon, lat] = webMercatorInverse(webMercatorForward([121.5, 31.2]));
+    expect(lon).toBeCloseTo(121.5, 9);
+    expect(lat).toBeCloseTo(31.2, 9);
+  });
+});
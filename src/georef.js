@@ -0,0 +1,267 @@
+/**
+ * 图纸配准模块
+ *
+ * 该模块根据若干对控制点（图纸坐标 ↔ 经纬度）拟合坐标变换，
+ * 把 CAD 平面图纸放到真实地图上。
+ *
+ * 主要功能：
+ * 1. 拟合变换：similarity/helmert（四参数：平移、旋转、统一缩放，至少 2 对控制点）
+ *    与 affine（六参数，至少 3 对不共线的控制点）
+ * 2. 报告每个控制点的残差及中误差(RMS)，单位为米
+ * 3. 将变换应用到 GeoJSON、障碍图和路径上，并支持逆变换
+ *
+ * 实现说明：
+ * 经纬度不是等距坐标，直接在经纬度上拟合会产生随纬度变化的变形。
+ * 因此变换在以控制点中心为原点的局部平面(米)中拟合，再换算回经纬度；
+ * 对建筑和园区尺度的图纸，该局部平面近似的误差可以忽略。
+ * 二维 Helmert 四参数变换与相似变换是同一模型，helmert 仅作为 similarity 的别名。
+ */
+
+import { mapGeoJSONCoordinates } from "./geo.js";
+import { mapGraphCoordinates } from "./graph.js";
+
+/** 地球半径（米），与 geo.js 保持一致 */
+const R = 6371000;
+/** 每度纬度对应的弧长（米） */
+const METERS_PER_DEGREE = (R * Math.PI) / 180;
+
+/** 支持的变换类型及所需的最少控制点数 */
+export const TRANSFORM_TYPES = { similarity: 2, helmert: 2, affine: 3 };
+
+/**
+ * 经纬度 → 以 origin 为原点的局部平面坐标（米）
+ */
+function toLocal([lon, lat], origin) {
+  const k = METERS_PER_DEGREE;
+  return [
+    (lon - origin[0]) * k * Math.cos((origin[1] * Math.PI) / 180),
+    (lat - origin[1]) * k,
+  ];
+}
+
+/**
+ * 局部平面坐标（米）→ 经纬度
+ */
+function fromLocal([x, y], origin) {
+  const k = METERS_PER_DEGREE;
+  return [
+    origin[0] + x / (k * Math.cos((origin[1] * Math.PI) / 180)),
+    origin[1] + y / k,
+  ];
+}
+
+/**
+ * 求解 3x3 线性方程组（高斯消元，部分主元）
+ *
+ * @param {Array<Array<number>>} m - 系数矩阵
+ * @param {Array<number>} v - 常数向量
+ * @returns {Array<number>|null} 解向量，矩阵奇异时返回 null
+ */
+function solve3(m, v) {
+  const a = m.map((row, i) => [...row, v[i]]);
+  for (let c = 0; c < 3; c++) {
+    let pivot = c;
+    for (let r = c + 1; r < 3; r++) {
+      if (Math.abs(a[r][c]) > Math.abs(a[pivot][c])) pivot = r;
+    }
+    if (Math.abs(a[pivot][c]) < 1e-12) return null;
+    [a[c], a[pivot]] = [a[pivot], a[c]];
+    for (let r = 0; r < 3; r++) {
+      if (r === c) continue;
+      const f = a[r][c] / a[c][c];
+      for (let k = c; k < 4; k++) a[r][k] -= f * a[c][k];
+    }
+  }
+  return [a[0][3] / a[0][0], a[1][3] / a[1][1], a[2][3] / a[2][2]];
+}
+
+/**
+ * 根据控制点拟合坐标变换
+ *
+ * @param {Array<{source: Array<number>, target: Array<number>}>} pairs - 控制点对，
+ *        source 为图纸坐标 [x, y]，target 为经纬度 [经度, 纬度]
+ * @param {string} [type="similarity"] - 变换类型：similarity、helmert 或 affine
+ * @returns {Object} 变换对象 { type, origin, matrix, params, residuals, rms }，
+ *          matrix 为 [a, b, c, d, e, f]，表示局部平面坐标 X = a·x + b·y + c，Y = d·x + e·y + f
+ * @throws {Error} 控制点数量不足或分布退化时抛出
+ */
+export function fitTransform(pairs, type = "similarity") {
+  if (!(type in TRANSFORM_TYPES)) throw new Error(`未知的变换类型: ${type}`);
+  const valid = (pairs || []).filter(
+    (p) =>
+      p?.source?.every?.(Number.isFinite) &&
+      p?.target?.every?.(Number.isFinite),
+  );
+  if (valid.length < TRANSFORM_TYPES[type]) {
+    throw new Error(
+      `${type} 变换至少需要 ${TRANSFORM_TYPES[type]} 对控制点，当前 ${valid.length} 对`,
+    );
+  }
+
+  // 以目标控制点中心为局部平面原点
+  const origin = [
+    valid.reduce((s, p) => s + p.target[0], 0) / valid.length,
+    valid.reduce((s, p) => s + p.target[1], 0) / valid.length,
+  ];
+  const src = valid.map((p) => p.source);
+  const dst = valid.map((p) => toLocal(p.target, origin));
+  const n = valid.length;
+  const xm = src.reduce((s, p) => s + p[0], 0) / n;
+  const ym = src.reduce((s, p) => s + p[1], 0) / n;
+  const Xm = dst.reduce((s, p) => s + p[0], 0) / n;
+  const Ym = dst.reduce((s, p) => s + p[1], 0) / n;
+
+  let matrix;
+  let params;
+  if (type === "affine") {
+    // 重心化后分别对 X、Y 求解最小二乘 [a, b, c]
+    const m = [
+      [0, 0, 0],
+      [0, 0, 0],
+      [0, 0, n],
+    ];
+    const vx = [0, 0, 0];
+    const vy = [0, 0, 0];
+    for (let i = 0; i < n; i++) {
+      const x = src[i][0] - xm,
+        y = src[i][1] - ym;
+      const X = dst[i][0] - Xm,
+        Y = dst[i][1] - Ym;
+      m[0][0] += x * x;
+      m[0][1] += x * y;
+      m[1][1] += y * y;
+      vx[0] += x * X;
+      vx[1] += y * X;
+      vx[2] += X;
+      vy[0] += x * Y;
+      vy[1] += y * Y;
+      vy[2] += Y;
+    }
+    m[1][0] = m[0][1];
+    const ax = solve3(m, vx);
+    const ay = solve3(m, vy);
+    if (!ax || !ay) throw new Error("控制点共线，无法拟合仿射变换");
+    const [a, b] = ax;
+    const [d, e] = ay;
+    matrix = [a, b, Xm - a * xm - b * ym, d, e, Ym - d * xm - e * ym];
+    params = {
+      scaleX: Math.hypot(a, d),
+      scaleY: Math.hypot(b, e),
+      rotation: (Math.atan2(d, a) * 180) / Math.PI,
+    };
+  } else {
+    // 四参数（相似/Helmert）闭式解
+    let sxx = 0,
+      sa = 0,
+      sb = 0;
+    for (let i = 0; i < n; i++) {
+      const x = src[i][0] - xm,
+        y = src[i][1] - ym;
+      const X = dst[i][0] - Xm,
+        Y = dst[i][1] - Ym;
+      sxx += x * x + y * y;
+      sa += x * X + y * Y;
+      sb += x * Y - y * X;
+    }
+    if (sxx < 1e-12) throw new Error("控制点重合，无法拟合相似变换");
+    const a = sa / sxx;
+    const b = sb / sxx;
+    matrix = [a, -b, Xm - a * xm + b * ym, b, a, Ym - b * xm - a * ym];
+    params = {
+      scale: Math.hypot(a, b),
+      rotation: (Math.atan2(b, a) * 180) / Math.PI,
+    };
+  }
+  params.tx = matrix[2];
+  params.ty = matrix[5];
+
+  const transform = { type, origin, matrix, params };
+  const residuals = valid.map((p, i) => {
+    const [X, Y] = applyMatrix(matrix, p.source);
+    return Math.hypot(X - dst[i][0], Y - dst[i][1]);
+  });
+  transform.residuals = residuals;
+  transform.rms = Math.sqrt(
+    residuals.reduce((s, r) => s + r * r, 0) / residuals.length,
+  );
+  return transform;
+}
+
+/**
+ * 应用局部平面仿射矩阵
+ */
+function applyMatrix(m, [x, y]) {
+  return [m[0] * x + m[1] * y + m[2], m[3] * x + m[4] * y + m[5]];
+}
+
+/**
+ * 将图纸坐标变换为经纬度
+ *
+ * @param {Object} transform - fitTransform 返回的变换对象
+ * @param {Array<number>} coord - 图纸坐标 [x, y, ...]，多余的分量（如高程）原样保留
+ * @returns {Array<number>} 经纬度坐标 [经度, 纬度, ...]
+ */
+export function applyTransform(transform, coord) {
+  const [lon, lat] = fromLocal(
+    applyMatrix(transform.matrix, coord),
+    transform.origin,
+  );
+  return coord.length > 2 ? [lon, lat, ...coord.slice(2)] : [lon, lat];
+}
+
+/**
+ * 将经纬度逆变换回图纸坐标
+ *
+ * @param {Object} transform - fitTransform 返回的变换对象
+ * @param {Array<number>} coord - 经纬度坐标 [经度, 纬度]
+ * @returns {Array<number>} 图纸坐标 [x, y]
+ */
+export function invertTransform(transform, coord) {
+  const [X, Y] = toLocal(coord, transform.origin);
+  const [a, b, c, d, e, f] = transform.matrix;
+  const det = a * e - b * d || 1e-12;
+  const u = X - c,
+    v = Y - f;
+  return [(e * u - b * v) / det, (a * v - d * u) / det];
+}
+
+/**
+ * 将变换应用到 GeoJSON（返回新对象，不修改输入）
+ *
+ * @param {Object} geojson - GeoJSON FeatureCollection（图纸坐标）
+ * @param {Object} transform - 变换对象
+ * @returns {Object} 经纬度坐标的 GeoJSON FeatureCollection
+ */
+export function transformGeoJSON(geojson, transform) {
+  return mapGeoJSONCoordinates(geojson, (c) => applyTransform(transform, c));
+}
+
+/**
+ * 将变换应用到障碍图：节点坐标、障碍物多边形，并用新的距离函数重算边权重
+ *
+ * @param {Object} graph - buildObstacleGraph 返回的障碍图
+ * @param {Object} transform - 变换对象
+ * @param {Function} distance - 变换后坐标系的距离函数（见 geo.js 的 createDistanceFn）
+ * @returns {Object} 新的障碍图对象
+ */
+export function transformGraph(graph, transform, distance) {
+  return mapGraphCoordinates(
+    graph,
+    (c) => applyTransform(transform, c),
+    distance,
+  );
+}
+
+/**
+ * 将变换应用到路径点
+ *
+ * @param {Array<{lon: number, lat: number}>} path - 路径点数组（图纸坐标）
+ * @param {Object} transform - 变换对象
+ * @returns {Array<{lon: number, lat: number}>} 经纬度路径点数组
+ */
+export function transformPath(path, transform) {
+  return (path || []).map((p) => {
+    const [lon, lat] = applyTransform(transform, [p.lon, p.lat]);
+    return { ...p, lon, lat };
+  });
+}
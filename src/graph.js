@@ -10,17 +10,24 @@
  * 3. 构建可通行区域的图结构
  * 4. 支持空间索引用于快速最近邻查询
  * 5. 提供节点和边的邻接表表示
+ * 6. 可选的拓扑打断：在线段交叉与 T 型接头处打断线段并插入共享节点
+ * 7. 可选的端点吸附：在容差内闭合线段间的细小缝隙
+ * 8. 提取费用区域（见 costZones.js），供路径计算加权
  *
- * 坐标系统：使用经纬度坐标 [longitude, latitude]
- * 图结构：使用邻接表表示，节点包含ID和坐标，边包含权重(距离)
+ * 坐标系统：经纬度坐标 [longitude, latitude] 或平面坐标 [x, y]（见 geo.js 的坐标系统设置）
+ * 图结构：使用邻接表表示，节点包含ID和坐标，边包含权重(距离，米)及来源要素句柄
  */
 
-import { haversineDistance, roundCoordKey } from "./geo.js";
+import { createDistanceFn, roundCoordKey } from "./geo.js";
+import { nodeSegments } from "./topology.js";
+import { snapSegments } from "./snap.js";
 import {
   extractObstaclesFromGeoJSON,
-  segmentIntersectsPolygon,
-  pointInPolygon,
+  segmentIntersectsAnyObstacle,
+  pointInAnyObstacle,
 } from "./obstacles.js";
+import { extractCostZones } from "./costZones.js";
+import { indexPoints, indexSegments, indexPolygons } from "./spatialIndex.js";
 
 /**
  * 从GeoJSON数据构建障碍图
@@ -30,61 +37,36 @@ import {
  * @param {number} [options.precision=6] - 坐标精度，用于节点去重
  * @param {boolean} [options.includeObstacles=true] - 是否包含障碍物处理
  * @param {Function} [options.obstacleClassifier] - 自定义障碍物分类器
- * @returns {Object} 构建好的障碍图对象，包含nodes(节点数组)、adjacency(邻接表)、nodeByKey(节点映射)和obstacles(障碍物数组)
+ * @param {Object} [options.rules] - 要素分类规则集（见 classify.js）
+ * @param {Object|boolean} [options.polygonize] - 障碍物线段构面选项（见 topology.js 的 polygonize）
+ * @param {boolean} [options.noding=false] - 是否对线网做拓扑打断，使中部交叉与 T 型接头的线段连通
+ * @param {Object} [options.crs] - 坐标系统设置 { mode: "planar" | "geographic", unit }，决定边权重的距离计算方式，默认按经纬度
+ * @param {Object} [options.snap] - 端点吸附选项（见 snap.js 的 snapSegments），在打断之前执行
+ * @param {Object} [options.level] - 所属楼层 { id, elevation }（见 levels.js），节点会记录 level 与高程 z
+ * @returns {Object} 构建好的障碍图对象，包含nodes(节点数组)、adjacency(邻接表)、nodeByKey(节点映射)、
+ *                   obstacles(障碍物数组)、zones(费用区域数组，见 costZones.js)、
+ *                   noding(打断统计 { intersections, splits }，未打断时为null)
+ *                   和snapFixes(端点吸附的修复记录)
  */
 export async function buildObstacleGraph(geojson, options = {}) {
   // 解析选项参数
   const precision = options.precision ?? 6;
   const includeObstacles = options.includeObstacles ?? true;
   const filterEdges = options.filterEdges ?? true;
+  const noding = options.noding ?? false;
+  const distance = createDistanceFn(options.crs);
 
   // 初始化图数据结构
   const nodeByKey = new Map(); // 坐标键到节点ID的映射，用于节点去重
   const nodes = []; // 节点数组，每个节点包含 { id, lon, lat, key }
-  const adjacency = []; // 邻接表，adjacency[id] = [{ to, w }]
+  const adjacency = []; // 邻接表，adjacency[id] = [{ to, w, source }]
 
   // 提取障碍物多边形
   const obstacles = includeObstacles
     ? extractObstaclesFromGeoJSON(geojson, options)
     : [];
-
-  // 预计算每个障碍的包围盒，用于快速剔除
-  function bboxOfRings(rings) {
-    let minLon = Infinity,
-      minLat = Infinity,
-      maxLon = -Infinity,
-      maxLat = -Infinity;
-    for (const ring of rings) {
-      for (const [lon, lat] of ring) {
-        if (lon < minLon) minLon = lon;
-        if (lon > maxLon) maxLon = lon;
-        if (lat < minLat) minLat = lat;
-        if (lat > maxLat) maxLat = lat;
-      }
-    }
-    return { minLon, minLat, maxLon, maxLat };
-  }
-  const obstaclesMeta = obstacles.map((rings) => ({
-    rings,
-    bbox: bboxOfRings(rings),
-  }));
-
-  function segBbox(ax, ay, bx, by) {
-    return {
-      minLon: Math.min(ax, bx),
-      maxLon: Math.max(ax, bx),
-      minLat: Math.min(ay, by),
-      maxLat: Math.max(ay, by),
-    };
-  }
-  function bboxIntersects(a, b) {
-    return !(
-      a.minLon > b.maxLon ||
-      a.maxLon < b.minLon ||
-      a.minLat > b.maxLat ||
-      a.maxLat < b.minLat
-    );
-  }
+  // 费用区域不影响构图，只随图保存供路径计算使用
+  const zones = extractCostZones(geojson, options);
 
   /**
    * 添加节点到图中
@@ -102,7 +84,12 @@ export async function buildObstacleGraph(geojson, options = {}) {
     if (id === undefined) {
       id = nodes.length;
       nodeByKey.set(key, id);
-      nodes.push({ id, lon: coord[0], lat: coord[1], key });
+      const node = { id, lon: coord[0], lat: coord[1], key };
+      if (options.level) {
+        node.level = options.level.id;
+        node.z = options.level.elevation;
+      }
+      nodes.push(node);
       adjacency[id] = [];
     }
     return id;
@@ -114,62 +101,90 @@ export async function buildObstacleGraph(geojson, options = {}) {
    * @param {number} aId - 起始节点ID
    * @param {number} bId - 目标节点ID
    * @param {number} w - 边的权重(距离)
+   * @param {string|number|null} source - 来源要素句柄
    */
-  function addUndirectedEdge(aId, bId, w) {
+  function addUndirectedEdge(aId, bId, w, source) {
     // 忽略自环和无效权重
     if (aId === bId || !isFinite(w)) return;
 
     // 添加双向边
-    adjacency[aId].push({ to: bId, w });
-    adjacency[bId].push({ to: aId, w });
+    adjacency[aId].push({ to: bId, w, source });
+    adjacency[bId].push({ to: aId, w, source });
   }
 
-  // 处理GeoJSON中的线段特征
+  // 收集GeoJSON中线要素的所有线段，segmentSources 记录每条线段的来源要素句柄
+  let segments = [];
+  const segmentSources = [];
   const features = geojson?.features ?? [];
   for (const f of features) {
     const g = f.geometry;
     if (!g) continue;
+    // DXF 要素使用实体句柄，其他来源退回到要素 id
+    const source = f.properties?.handle ?? f.id ?? null;
 
     // 处理LineString类型的几何对象
     if (g.type === "LineString") {
       const coords = g.coordinates;
-      // 遍历线段中的每对连续点，创建节点和边
+      // 遍历线段中的每对连续点
       for (let i = 0; i < coords.length - 1; i++) {
-        const aId = addNode(coords[i]);
-        const bId = addNode(coords[i + 1]);
-        const w = haversineDistance(coords[i], coords[i + 1]);
-        addUndirectedEdge(aId, bId, w);
+        segments.push([coords[i], coords[i + 1]]);
+        segmentSources.push(source);
       }
     }
     // 处理MultiLineString类型的几何对象
     else if (g.type === "MultiLineString") {
       for (const line of g.coordinates) {
-        // 遍历每条线段中的每对连续点，创建节点和边
         for (let i = 0; i < line.length - 1; i++) {
-          const aId = addNode(line[i]);
-          const bId = addNode(line[i + 1]);
-          const w = haversineDistance(line[i], line[i + 1]);
-          addUndirectedEdge(aId, bId, w);
+          segments.push([line[i], line[i + 1]]);
+          segmentSources.push(source);
         }
       }
     }
   }
 
+  // 端点吸附：闭合容差内的缝隙，需在打断之前执行，使修复后的接头也能被打断
+  // 吸附不增删线段，线段下标与 segmentSources 保持对应
+  let snapFixes = [];
+  if (options.snap?.tolerance > 0) {
+    const result = snapSegments(segments, options.snap);
+    segments = result.segments;
+    snapFixes = result.fixes;
+  }
+
+  // 拓扑打断：线段在中部交叉或端点落在其他线段上时，在交点处打断并共享节点
+  let nodingStats = null;
+  if (noding) {
+    const result = nodeSegments(segments, { precision });
+    segments = result.segments;
+    nodingStats = {
+      intersections: result.intersectionCount,
+      splits: result.splitCount,
+    };
+    await Promise.resolve();
+  }
+
+  // 为每条线段创建节点和边
+  // 打断后的线段通过 source 记录源线段下标
+  segments.forEach((seg, i) => {
+    const [a, b] = seg;
+    const aId = addNode(a);
+    const bId = addNode(b);
+    const w = distance(a, b);
+    addUndirectedEdge(aId, bId, w, segmentSources[seg.source ?? i] ?? null);
+  });
+
   // 构建障碍图：识别障碍物并构建可通行区域图
   if (obstacles.length && filterEdges) {
+    // 障碍物空间索引，点和线段只与包围盒相交的障碍物做几何判断
+    const obstacleIndex = indexPolygons(obstacles);
+
     // 标记位于障碍物内部的节点（这些节点不可通行）
     const blockedNode = new Uint8Array(nodes.length);
     for (let i = 0; i < nodes.length; i++) {
       const n = nodes[i];
-      // 检查节点是否在任何障碍物多边形内部
-      let isInside = false;
-      for (const poly of obstacles) {
-        if (pointInPolygon(n.lon, n.lat, poly)) {
-          isInside = true;
-          break;
-        }
+      if (pointInAnyObstacle(n.lon, n.lat, obstacles, obstacleIndex)) {
+        blockedNode[i] = 1;
       }
-      if (isInside) blockedNode[i] = 1;
     }
 
     // 过滤邻接表，构建可通行区域图：移除穿障边和障碍物内部节点
@@ -179,34 +194,21 @@ export async function buildObstacleGraph(geojson, options = {}) {
       const filtered = [];
 
       // 检查每条边是否穿过障碍物或连接到障碍物内部节点
-      for (const { to: bId, w } of list) {
+      for (const edge of list) {
+        const bId = edge.to;
         // 如果任一端点在障碍物内部，跳过该边（不可通行）
         if (blockedNode[aId] || blockedNode[bId]) continue;
 
         const b = nodes[bId];
-        // 先用包围盒快速剔除，再做几何相交
-        const sb = segBbox(a.lon, a.lat, b.lon, b.lat);
-        let maybe = false;
-        for (const om of obstaclesMeta) {
-          if (bboxIntersects(sb, om.bbox)) {
-            maybe = true;
-            break;
-          }
-        }
-        if (!maybe) {
-          filtered.push({ to: bId, w });
-        } else {
-          let intersects = false;
-          for (const om of obstaclesMeta) {
-            if (!bboxIntersects(sb, om.bbox)) continue;
-            if (
-              segmentIntersectsPolygon([a.lon, a.lat], [b.lon, b.lat], om.rings)
-            ) {
-              intersects = true;
-              break;
-            }
-          }
-          if (!intersects) filtered.push({ to: bId, w });
+        if (
+          !segmentIntersectsAnyObstacle(
+            [a.lon, a.lat],
+            [b.lon, b.lat],
+            obstacles,
+            obstacleIndex,
+          )
+        ) {
+          filtered.push(edge);
         }
       }
       adjacency[aId] = filtered;
@@ -215,5 +217,67 @@ export async function buildObstacleGraph(geojson, options = {}) {
   }
 
   // 返回构建好的图对象
-  return { nodes, adjacency, nodeByKey, obstacles };
+  return {
+    nodes,
+    adjacency,
+    nodeByKey,
+    obstacles,
+    zones,
+    noding: nodingStats,
+    snapFixes,
+    level: options.level?.id ?? null,
+  };
+}
+
+/**
+ * 对障碍图的全部坐标应用变换（投影、配准等），并用新的距离函数重算边权重
+ * 节点键值按新坐标重新生成，返回新对象，不修改输入
+ *
+ * @param {Object} graph - buildObstacleGraph 返回的障碍图
+ * @param {Function} fn - 坐标变换函数 ([x, y]) => [x', y']
+ * @param {Function} distance - 变换后坐标系的距离函数（见 geo.js 的 createDistanceFn）
+ * @param {number} [precision=6] - 新节点键值的坐标精度
+ * @returns {Object} 新的障碍图对象
+ */
+export function mapGraphCoordinates(graph, fn, distance, precision = 6) {
+  const nodeByKey = new Map();
+  const nodes = graph.nodes.map((n, i) => {
+    const [lon, lat] = fn([n.lon, n.lat]);
+    const key = roundCoordKey([lon, lat], precision);
+    if (!nodeByKey.has(key)) nodeByKey.set(key, i);
+    return { ...n, lon, lat, key };
+  });
+  const adjacency = graph.adjacency.map((list, i) =>
+    (list || []).map((e) => ({
+      ...e,
+      w: distance(
+        [nodes[i].lon, nodes[i].lat],
+        [nodes[e.to].lon, nodes[e.to].lat],
+      ),
+    })),
+  );
+  const obstacles = (graph.obstacles || []).map((rings) =>
+    rings.map((ring) => ring.map((c) => fn(c))),
+  );
+  const zones = (graph.zones || []).map((zone) => ({
+    ...zone,
+    rings: zone.rings.map((ring) => ring.map((c) => fn(c))),
+  }));
+  return { ...graph, nodes, adjacency, nodeByKey, obstacles, zones };
+}
+
+/**
+ * 为障碍图构建空间索引，用于快速的最近节点、范围与半径查询
+ * 条目序号分别对应 graph.nodes、walls 和 graph.obstacles 的下标
+ *
+ * @param {Object} graph - buildObstacleGraph 返回的障碍图
+ * @param {Array} [walls=[]] - 墙体线段数组（见 obstacles.js 的 buildWallSegments）
+ * @returns {{nodes: Object, walls: Object, obstacles: Object}} 各自的索引（见 spatialIndex.js）
+ */
+export function buildSpatialIndex(graph, walls = []) {
+  return {
+    nodes: indexPoints(graph.nodes),
+    walls: indexSegments(walls),
+    obstacles: indexPolygons(graph.obstacles || []),
+  };
 }
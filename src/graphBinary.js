@@ -0,0 +1,397 @@
+/**
+ * 障碍图二进制格式模块
+ *
+ * 将构建好的障碍图、障碍物与墙体序列化为紧凑的二进制数据（ArrayBuffer），
+ * 再次打开同一文件时可直接读取而无需重新构建；ArrayBuffer 也可以零拷贝地转移给路径计算 Worker。
+ *
+ * 文件布局（小端序）：
+ * 1. 48 字节文件头：魔数 "OGBF"、版本号、各段元素数量、元数据长度与 CRC32 校验值
+ * 2. Float64 段：节点坐标 [x0, y0, x1, y1, ...]、边权重、障碍物环坐标、墙体线段 [ax, ay, bx, by, ...]
+ * 3. Uint32/Int32 段：CSR 邻接表（offsets、targets）、边来源索引、障碍物的环范围、环的点范围
+ * 4. UTF-8 JSON 元数据：楼层、打断统计、吸附修复记录、来源要素句柄表与费用区域（见 costZones.js）
+ *
+ * 各段按 8 字节对齐，读取时直接在原 ArrayBuffer 上创建类型化数组视图，不复制数据。
+ * 校验值覆盖文件头之后的全部字节。
+ */
+
+import { roundCoordKey } from "./geo.js";
+
+/** 文件魔数 "OGBF" */
+const MAGIC = 0x4642474f;
+/** 二进制格式版本，格式变化时递增，缓存的旧数据随之失效 */
+export const GRAPH_BINARY_VERSION = 2;
+/** 文件头长度（字节） */
+const HEADER_BYTES = 48;
+/** 节点键值的坐标精度，与 buildObstacleGraph 的默认值一致 */
+const KEY_PRECISION = 6;
+
+let crcTable = null;
+
+/**
+ * 计算 CRC32 校验值（IEEE 802.3 多项式）
+ *
+ * @param {Uint8Array} bytes - 数据
+ * @returns {number} 无符号 32 位校验值
+ */
+export function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * 按各段元素数量计算字节偏移
+ */
+function layout(counts) {
+  const { nodes, edges, obstacles, rings, ringPoints, walls, metaBytes } =
+    counts;
+  const sections = {};
+  let offset = HEADER_BYTES;
+  const add = (name, bytes) => {
+    sections[name] = offset;
+    offset += Math.ceil(bytes / 8) * 8;
+  };
+  add("coords", nodes * 2 * 8);
+  add("weights", edges * 8);
+  add("ringCoords", ringPoints * 2 * 8);
+  add("walls", walls * 4 * 8);
+  add("offsets", (nodes + 1) * 4);
+  add("targets", edges * 4);
+  add("sources", edges * 4);
+  add("obstacleRings", (obstacles + 1) * 4);
+  add("ringPoints", (rings + 1) * 4);
+  add("meta", metaBytes);
+  return { sections, byteLength: offset };
+}
+
+/**
+ * 将障碍图序列化为二进制
+ *
+ * @param {Object} map - 楼层地图 { graph, walls, snapFixes }，graph 为 buildObstacleGraph 返回的障碍图
+ * @returns {ArrayBuffer} 二进制数据
+ */
+export function encodeGraphBinary({ graph, walls = [], snapFixes = [] }) {
+  const { nodes, adjacency } = graph;
+  const obstacles = graph.obstacles || [];
+  const edges = adjacency.reduce((s, list) => s + (list?.length ?? 0), 0);
+  const rings = obstacles.reduce((s, o) => s + o.length, 0);
+  const ringPoints = obstacles.reduce(
+    (s, o) => s + o.reduce((t, r) => t + r.length, 0),
+    0,
+  );
+
+  // 来源要素句柄多为字符串，统一放入元数据中的句柄表，边只记录表索引
+  const sourceIndex = new Map();
+  const sourceTable = [];
+  const meta = {
+    level: graph.level ?? null,
+    z: nodes[0]?.z ?? null,
+    noding: graph.noding ?? null,
+    snapFixes,
+    sources: sourceTable,
+    // 费用区域数量少，随元数据保存
+    zones: graph.zones ?? [],
+  };
+  // 先收集句柄表，才能确定元数据长度
+  const sourceIds = new Int32Array(edges);
+  let e = 0;
+  for (const list of adjacency) {
+    for (const edge of list || []) {
+      const s = edge.source;
+      if (s === undefined || s === null) {
+        sourceIds[e++] = -1;
+        continue;
+      }
+      let idx = sourceIndex.get(s);
+      if (idx === undefined) {
+        idx = sourceTable.length;
+        sourceIndex.set(s, idx);
+        sourceTable.push(s);
+      }
+      sourceIds[e++] = idx;
+    }
+  }
+  const metaBytes = new TextEncoder().encode(JSON.stringify(meta));
+
+  const counts = {
+    nodes: nodes.length,
+    edges,
+    obstacles: obstacles.length,
+    rings,
+    ringPoints,
+    walls: walls.length,
+    metaBytes: metaBytes.length,
+  };
+  const { sections, byteLength } = layout(counts);
+  const buffer = new ArrayBuffer(byteLength);
+
+  const coords = new Float64Array(buffer, sections.coords, nodes.length * 2);
+  nodes.forEach((n, i) => {
+    coords[i * 2] = n.lon;
+    coords[i * 2 + 1] = n.lat;
+  });
+
+  const weights = new Float64Array(buffer, sections.weights, edges);
+  const offsets = new Uint32Array(buffer, sections.offsets, nodes.length + 1);
+  const targets = new Uint32Array(buffer, sections.targets, edges);
+  new Int32Array(buffer, sections.sources, edges).set(sourceIds);
+  e = 0;
+  for (let i = 0; i < nodes.length; i++) {
+    offsets[i] = e;
+    for (const edge of adjacency[i] || []) {
+      targets[e] = edge.to;
+      weights[e] = edge.w;
+      e++;
+    }
+  }
+  offsets[nodes.length] = e;
+
+  const ringCoords = new Float64Array(
+    buffer,
+    sections.ringCoords,
+    ringPoints * 2,
+  );
+  const obstacleRings = new Uint32Array(
+    buffer,
+    sections.obstacleRings,
+    obstacles.length + 1,
+  );
+  const ringRanges = new Uint32Array(buffer, sections.ringPoints, rings + 1);
+  let r = 0;
+  let p = 0;
+  obstacles.forEach((poly, i) => {
+    obstacleRings[i] = r;
+    for (const ring of poly) {
+      ringRanges[r++] = p;
+      for (const [x, y] of ring) {
+        ringCoords[p * 2] = x;
+        ringCoords[p * 2 + 1] = y;
+        p++;
+      }
+    }
+  });
+  obstacleRings[obstacles.length] = r;
+  ringRanges[rings] = p;
+
+  const wallCoords = new Float64Array(buffer, sections.walls, walls.length * 4);
+  walls.forEach(([a, b], i) => {
+    wallCoords[i * 4] = a[0];
+    wallCoords[i * 4 + 1] = a[1];
+    wallCoords[i * 4 + 2] = b[0];
+    wallCoords[i * 4 + 3] = b[1];
+  });
+
+  new Uint8Array(buffer, sections.meta, metaBytes.length).set(metaBytes);
+
+  const view = new DataView(buffer);
+  view.setUint32(0, MAGIC, true);
+  view.setUint16(4, GRAPH_BINARY_VERSION, true);
+  view.setUint32(8, counts.nodes, true);
+  view.setUint32(12, counts.edges, true);
+  view.setUint32(16, counts.obstacles, true);
+  view.setUint32(20, counts.rings, true);
+  view.setUint32(24, counts.ringPoints, true);
+  view.setUint32(28, counts.walls, true);
+  view.setUint32(32, counts.metaBytes, true);
+  view.setUint32(
+    36,
+    crc32(new Uint8Array(buffer, HEADER_BYTES, byteLength - HEADER_BYTES)),
+    true,
+  );
+  return buffer;
+}
+
+/**
+ * 读取二进制文件头并在原 ArrayBuffer 上创建各段的类型化数组视图（不复制数据）
+ *
+ * @param {ArrayBuffer} buffer - encodeGraphBinary 生成的二进制数据
+ * @param {Object} [options={}] - 选项
+ * @param {boolean} [options.verify=true] - 是否校验 CRC32
+ * @returns {Object} { version, coords, weights, offsets, targets, sources, ringCoords,
+ *          obstacleRings, ringPoints, walls, meta }
+ * @throws {Error} 魔数、版本、长度或校验值不符时抛出
+ */
+export function readGraphBinary(buffer, options = {}) {
+  if (!(buffer instanceof ArrayBuffer) || buffer.byteLength < HEADER_BYTES) {
+    throw new Error("障碍图二进制数据无效");
+  }
+  const view = new DataView(buffer);
+  if (view.getUint32(0, true) !== MAGIC) {
+    throw new Error("不是障碍图二进制数据");
+  }
+  const version = view.getUint16(4, true);
+  if (version !== GRAPH_BINARY_VERSION) {
+    throw new Error(`不支持的障碍图二进制版本: ${version}`);
+  }
+  const counts = {
+    nodes: view.getUint32(8, true),
+    edges: view.getUint32(12, true),
+    obstacles: view.getUint32(16, true),
+    rings: view.getUint32(20, true),
+    ringPoints: view.getUint32(24, true),
+    walls: view.getUint32(28, true),
+    metaBytes: view.getUint32(32, true),
+  };
+  const { sections, byteLength } = layout(counts);
+  if (byteLength !== buffer.byteLength) {
+    throw new Error("障碍图二进制数据长度不符");
+  }
+  if (options.verify ?? true) {
+    const crc = crc32(
+      new Uint8Array(buffer, HEADER_BYTES, byteLength - HEADER_BYTES),
+    );
+    if (crc !== view.getUint32(36, true)) {
+      throw new Error("障碍图二进制数据校验失败");
+    }
+  }
+  const metaBytes = new Uint8Array(buffer, sections.meta, counts.metaBytes);
+  return {
+    version,
+    coords: new Float64Array(buffer, sections.coords, counts.nodes * 2),
+    weights: new Float64Array(buffer, sections.weights, counts.edges),
+    offsets: new Uint32Array(buffer, sections.offsets, counts.nodes + 1),
+    targets: new Uint32Array(buffer, sections.targets, counts.edges),
+    sources: new Int32Array(buffer, sections.sources, counts.edges),
+    ringCoords: new Float64Array(
+      buffer,
+      sections.ringCoords,
+      counts.ringPoints * 2,
+    ),
+    obstacleRings: new Uint32Array(
+      buffer,
+      sections.obstacleRings,
+      counts.obstacles + 1,
+    ),
+    ringPoints: new Uint32Array(buffer, sections.ringPoints, counts.rings + 1),
+    walls: new Float64Array(buffer, sections.walls, counts.walls * 4),
+    meta: JSON.parse(new TextDecoder().decode(metaBytes)),
+  };
+}
+
+/**
+ * 从二进制视图还原障碍物多边形数组
+ */
+function unpackObstacles(bin) {
+  const { obstacleRings, ringPoints, ringCoords } = bin;
+  const obstacles = [];
+  for (let i = 0; i + 1 < obstacleRings.length; i++) {
+    const rings = [];
+    for (let r = obstacleRings[i]; r < obstacleRings[i + 1]; r++) {
+      const ring = [];
+      for (let p = ringPoints[r]; p < ringPoints[r + 1]; p++) {
+        ring.push([ringCoords[p * 2], ringCoords[p * 2 + 1]]);
+      }
+      rings.push(ring);
+    }
+    obstacles.push(rings);
+  }
+  return obstacles;
+}
+
+/**
+ * 从二进制视图还原墙体线段数组
+ */
+function unpackWalls(bin) {
+  const w = bin.walls;
+  const walls = [];
+  for (let i = 0; i < w.length; i += 4) {
+    walls.push([
+      [w[i], w[i + 1]],
+      [w[i + 2], w[i + 3]],
+    ]);
+  }
+  return walls;
+}
+
+/**
+ * 将二进制数据还原为楼层地图，图结构与 buildObstacleGraph 的返回值一致
+ *
+ * @param {ArrayBuffer} buffer - encodeGraphBinary 生成的二进制数据
+ * @returns {Object} { graph, walls, snapFixes }
+ * @throws {Error} 数据无效时抛出（见 readGraphBinary）
+ */
+export function decodeGraphBinary(buffer) {
+  const bin = readGraphBinary(buffer);
+  const { coords, weights, offsets, targets, sources, meta } = bin;
+  const nodeCount = offsets.length - 1;
+  const nodes = new Array(nodeCount);
+  const adjacency = new Array(nodeCount);
+  const nodeByKey = new Map();
+  for (let i = 0; i < nodeCount; i++) {
+    const lon = coords[i * 2];
+    const lat = coords[i * 2 + 1];
+    const key = roundCoordKey([lon, lat], KEY_PRECISION);
+    const node = { id: i, lon, lat, key };
+    if (meta.level !== null) {
+      node.level = meta.level;
+      node.z = meta.z;
+    }
+    nodes[i] = node;
+    if (!nodeByKey.has(key)) nodeByKey.set(key, i);
+    const list = [];
+    for (let e = offsets[i]; e < offsets[i + 1]; e++) {
+      const s = sources[e];
+      list.push({
+        to: targets[e],
+        w: weights[e],
+        source: s < 0 ? null : meta.sources[s],
+      });
+    }
+    adjacency[i] = list;
+  }
+  return {
+    graph: {
+      nodes,
+      adjacency,
+      nodeByKey,
+      obstacles: unpackObstacles(bin),
+      zones: meta.zones,
+      noding: meta.noding,
+      snapFixes: [],
+      level: meta.level,
+    },
+    walls: unpackWalls(bin),
+    snapFixes: meta.snapFixes || [],
+  };
+}
+
+/**
+ * 从二进制数据读取路径计算所需的障碍物、墙体、费用区域、计算范围与线网，不还原节点对象与邻接表
+ * 供路径计算 Worker 使用，线网直接引用二进制中的坐标与 CSR 邻接数组（见 network.js）
+ *
+ * @param {ArrayBuffer} buffer - encodeGraphBinary 生成的二进制数据
+ * @returns {Object} { obstacles, walls, zones, bboxNodes, network }
+ */
+export function decodeRoutingMap(buffer) {
+  const bin = readGraphBinary(buffer);
+  const { coords, offsets, targets, weights } = bin;
+  let minLon = Infinity,
+    minLat = Infinity,
+    maxLon = -Infinity,
+    maxLat = -Infinity;
+  for (let i = 0; i < coords.length; i += 2) {
+    const x = coords[i],
+      y = coords[i + 1];
+    if (x < minLon) minLon = x;
+    if (x > maxLon) maxLon = x;
+    if (y < minLat) minLat = y;
+    if (y > maxLat) maxLat = y;
+  }
+  return {
+    obstacles: unpackObstacles(bin),
+    walls: unpackWalls(bin),
+    zones: bin.meta.zones,
+    bboxNodes: { minLon, minLat, maxLon, maxLat },
+    network: { coords, offsets, targets, weights },
+  };
+}
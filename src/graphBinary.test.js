@@ -0,0 +1,149 @@
+import { describe, expect, it } from "vitest";
+import { buildObstacleGraph } from "./graph.js";
+import {
+  crc32,
+  decodeGraphBinary,
+  decodeRoutingMap,
+  encodeGraphBinary,
+  readGraphBinary,
+} from "./graphBinary.js";
+
+const line = (coordinates, properties = {}) => ({
+  type: "Feature",
+  properties,
+  geometry: { type: "LineString", coordinates },
+});
+
+async function sampleMap() {
+  const geojson = {
+    type: "FeatureCollection",
+    features: [
+      line(
+        [
+          [0, 0],
+          [10, 0],
+          [10, 10],
+        ],
+        { handle: "A1" },
+      ),
+      line(
+        [
+          [10, 10],
+          [0, 10],
+        ],
+        { handle: "B2" },
+      ),
+      {
+        type: "Feature",
+        properties: { type: "obstacle" },
+        geometry: {
+          type: "Polygon",
+          coordinates: [
+            [
+              [2, 2],
+              [4, 2],
+              [4, 4],
+              [2, 4],
+              [2, 2],
+            ],
+          ],
+        },
+      },
+      {
+        type: "Feature",
+        properties: { zoneCost: 3, name: "装卸区" },
+        geometry: {
+          type: "Polygon",
+          coordinates: [
+            [
+              [5, 5],
+              [8, 5],
+              [8, 8],
+              [5, 5],
+            ],
+          ],
+        },
+      },
+    ],
+  };
+  const graph = await buildObstacleGraph(geojson, {
+    includeObstacles: true,
+    filterEdges: false,
+    crs: { mode: "planar", unit: "m" },
+  });
+  const walls = [
+    [
+      [0, 0],
+      [10, 0],
+    ],
+    [
+      [10, 0],
+      [10, 10],
+    ],
+  ];
+  const snapFixes = [{ from: [0, 0], to: [0.01, 0], target: "wall" }];
+  return { graph, walls, snapFixes };
+}
+
+describe("障碍图二进制格式", () => {
+  it("crc32 与标准校验值一致", () => {
+    expect(crc32(new TextEncoder().encode("123456789"))).toBe(0xcbf43926);
+  });
+
+  it("编码后解码得到相同的图、障碍物、墙体与费用区域", async () => {
+    const map = await sampleMap();
+    const decoded = decodeGraphBinary(encodeGraphBinary(map));
+    const { graph } = decoded;
+    expect(graph.nodes.map((n) => [n.lon, n.lat])).toEqual(
+      map.graph.nodes.map((n) => [n.lon, n.lat]),
+    );
+    expect(graph.adjacency).toEqual(
+      map.graph.adjacency.map((list) =>
+        list.map(({ to, w, source }) => ({ to, w, source: source ?? null })),
+      ),
+    );
+    expect(graph.adjacency.flat().map((e) => e.source)).toContain("A1");
+    expect(graph.obstacles).toEqual(map.graph.obstacles);
+    expect(graph.zones).toEqual(map.graph.zones);
+    expect(decoded.walls).toEqual(map.walls);
+    expect(decoded.snapFixes).toEqual(map.snapFixes);
+  });
+
+  it("路径计算视图直接给出 CSR 线网与计算范围", async () => {
+    const map = await sampleMap();
+    const routing = decodeRoutingMap(encodeGraphBinary(map));
+    const { offsets, targets, weights } = routing.network;
+    expect(offsets).toHaveLength(map.graph.nodes.length + 1);
+    expect(targets).toHaveLength(offsets[offsets.length - 1]);
+    expect(weights[0]).toBe(map.graph.adjacency[0][0].w);
+    expect(routing.bboxNodes).toEqual({
+      minLon: 0,
+      minLat: 0,
+      maxLon: 10,
+      maxLat: 10,
+    });
+  });
+
+  it("数据被改动时校验失败", async () => {
+    const buffer = encodeGraphBinary(await sampleMap());
+    const bytes = new Uint8Array(buffer);
+    // 第一个节点坐标的一个字节（文件头之后即为坐标段）
+    bytes[48 + 7] ^= 0x01;
+    expect(() => decodeGraphBinary(buffer)).toThrow("校验失败");
+    // 关闭校验时仍可读取
+    expect(() => readGraphBinary(buffer, { verify: false })).not.toThrow();
+  });
+
+  it("拒绝魔数、版本或长度不符的数据", async () => {
+    const buffer = encodeGraphBinary(await sampleMap());
+    expect(() =>
+      readGraphBinary(buffer.slice(0, buffer.byteLength - 8)),
+    ).toThrow("长度不符");
+    const wrongVersion = buffer.slice(0);
+    new DataView(wrongVersion).setUint16(4, 999, true);
+    expect(() => readGraphBinary(wrongVersion)).toThrow("版本");
+    const wrongMagic = buffer.slice(0);
+    new DataView(wrongMagic).setUint32(0, 0, true);
+    expect(() => readGraphBinary(wrongMagic)).toThrow("不是障碍图二进制数据");
+  });
+});
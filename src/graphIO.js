@@ -0,0 +1,222 @@
+/**
+ * 障碍图导入导出模块
+ *
+ * 将 buildObstacleGraph 构建的障碍图保存为 GeoJSON 文件（GenJson），
+ * 供下游地图应用直接使用，也可以读回为同样的图结构而无需重新构建。
+ *
+ * 文件格式：一个 GeoJSON FeatureCollection，顶层的 graph 成员记录格式名、版本与统计信息
+ * 1. 节点：Point 要素，properties 为 { kind: "node", id, degree, key, level?, z? }
+ * 2. 边：LineString 要素，每条无向边只写一次，
+ *    properties 为 { kind: "edge", from, to, weight, source }，source 为来源要素句柄
+ * 3. 障碍物：Polygon 要素，properties 为 { kind: "obstacle", index }
+ * 4. 费用区域：Polygon 要素，properties 为 { kind: "zone", index, cost, name, source }（见 costZones.js）
+ */
+
+import { roundCoordKey } from "./geo.js";
+
+/** 文件格式名称 */
+export const GRAPH_FORMAT = "genjson-graph";
+/** 文件格式版本 */
+const GRAPH_VERSION = 1;
+
+/**
+ * 将障碍图导出为 GeoJSON FeatureCollection
+ *
+ * @param {Object} graph - buildObstacleGraph 返回的障碍图
+ * @param {Object} [meta={}] - 附加到 graph 成员中的信息，如 { crs, name }
+ * @returns {Object} GeoJSON FeatureCollection
+ */
+export function graphToGeoJSON(graph, meta = {}) {
+  const features = [];
+  const { nodes, adjacency } = graph;
+
+  for (const n of nodes) {
+    const properties = {
+      kind: "node",
+      id: n.id,
+      degree: adjacency[n.id]?.length ?? 0,
+      key: n.key,
+    };
+    if (n.level !== undefined) properties.level = n.level;
+    if (n.z !== undefined) properties.z = n.z;
+    features.push({
+      type: "Feature",
+      geometry: { type: "Point", coordinates: [n.lon, n.lat] },
+      properties,
+    });
+  }
+
+  // 无向边在两端的邻接表中各出现一次，只导出 from < to 的方向
+  let edgeCount = 0;
+  adjacency.forEach((list, from) => {
+    for (const e of list || []) {
+      if (e.to <= from) continue;
+      const a = nodes[from];
+      const b = nodes[e.to];
+      features.push({
+        type: "Feature",
+        geometry: {
+          type: "LineString",
+          coordinates: [
+            [a.lon, a.lat],
+            [b.lon, b.lat],
+          ],
+        },
+        properties: {
+          kind: "edge",
+          from,
+          to: e.to,
+          weight: e.w,
+          source: e.source ?? null,
+        },
+      });
+      edgeCount++;
+    }
+  });
+
+  (graph.obstacles || []).forEach((rings, index) => {
+    features.push({
+      type: "Feature",
+      geometry: { type: "Polygon", coordinates: rings },
+      properties: { kind: "obstacle", index },
+    });
+  });
+
+  (graph.zones || []).forEach((zone, index) => {
+    features.push({
+      type: "Feature",
+      geometry: { type: "Polygon", coordinates: zone.rings },
+      properties: {
+        kind: "zone",
+        index,
+        cost: zone.cost,
+        name: zone.name,
+        source: zone.source ?? null,
+      },
+    });
+  });
+
+  return {
+    type: "FeatureCollection",
+    graph: {
+      format: GRAPH_FORMAT,
+      version: GRAPH_VERSION,
+      nodes: nodes.length,
+      edges: edgeCount,
+      obstacles: graph.obstacles?.length ?? 0,
+      zones: graph.zones?.length ?? 0,
+      level: graph.level ?? null,
+      ...meta,
+    },
+    features,
+  };
+}
+
+/**
+ * 从 graphToGeoJSON 导出的 GeoJSON 读回障碍图，结构与 buildObstacleGraph 的返回值一致
+ * 节点 id 按文件中的 id 排序后重新编号为连续整数，边的端点随之映射
+ *
+ * @param {Object|string} input - GeoJSON 对象或其 JSON 文本
+ * @param {Object} [options={}] - 选项
+ * @param {number} [options.precision=6] - 文件中缺少节点键值时生成键值的坐标精度
+ * @returns {Object} 障碍图对象 { nodes, adjacency, nodeByKey, obstacles, zones, noding, snapFixes, level, meta }
+ * @throws {Error} 文件不是有效的障碍图文件时抛出
+ */
+export function graphFromGeoJSON(input, options = {}) {
+  const precision = options.precision ?? 6;
+  let data = input;
+  if (typeof input === "string") {
+    try {
+      data = JSON.parse(input);
+    } catch (e) {
+      throw new Error("障碍图文件不是有效的 JSON");
+    }
+  }
+  if (data?.type !== "FeatureCollection" || !Array.isArray(data.features)) {
+    throw new Error("障碍图文件必须是 GeoJSON FeatureCollection");
+  }
+  const meta = data.graph ?? {};
+  if (meta.format !== GRAPH_FORMAT) {
+    throw new Error("不是障碍图文件：缺少 graph.format 标记");
+  }
+  if (meta.version > GRAPH_VERSION) {
+    throw new Error(`不支持的障碍图文件版本: ${meta.version}`);
+  }
+
+  const nodeFeatures = [];
+  const edgeFeatures = [];
+  const obstacleFeatures = [];
+  const zoneFeatures = [];
+  for (const f of data.features) {
+    const kind = f?.properties?.kind;
+    if (kind === "node") nodeFeatures.push(f);
+    else if (kind === "edge") edgeFeatures.push(f);
+    else if (kind === "obstacle") obstacleFeatures.push(f);
+    else if (kind === "zone") zoneFeatures.push(f);
+  }
+
+  // 文件中的节点 id → 新 id
+  nodeFeatures.sort((a, b) => a.properties.id - b.properties.id);
+  const idMap = new Map();
+  const nodes = [];
+  const adjacency = [];
+  const nodeByKey = new Map();
+  for (const f of nodeFeatures) {
+    const p = f.properties;
+    const coord = f.geometry?.coordinates;
+    if (f.geometry?.type !== "Point" || !coord?.every?.(Number.isFinite)) {
+      throw new Error(`节点 ${p.id} 的几何无效`);
+    }
+    if (idMap.has(p.id)) throw new Error(`节点 id 重复: ${p.id}`);
+    const id = nodes.length;
+    idMap.set(p.id, id);
+    const key = p.key ?? roundCoordKey(coord, precision);
+    const node = { id, lon: coord[0], lat: coord[1], key };
+    if (p.level !== undefined) node.level = p.level;
+    if (p.z !== undefined) node.z = p.z;
+    nodes.push(node);
+    adjacency[id] = [];
+    if (!nodeByKey.has(key)) nodeByKey.set(key, id);
+  }
+
+  for (const f of edgeFeatures) {
+    const p = f.properties;
+    const a = idMap.get(p.from);
+    const b = idMap.get(p.to);
+    if (a === undefined || b === undefined) {
+      throw new Error(`边 ${p.from}-${p.to} 引用了不存在的节点`);
+    }
+    const w = Number(p.weight);
+    if (a === b || !isFinite(w)) continue;
+    const source = p.source ?? null;
+    adjacency[a].push({ to: b, w, source });
+    adjacency[b].push({ to: a, w, source });
+  }
+
+  const obstacles = obstacleFeatures
+    .sort((a, b) => (a.properties.index ?? 0) - (b.properties.index ?? 0))
+    .filter((f) => f.geometry?.type === "Polygon")
+    .map((f) => f.geometry.coordinates);
+
+  const zones = zoneFeatures
+    .sort((a, b) => (a.properties.index ?? 0) - (b.properties.index ?? 0))
+    .filter((f) => f.geometry?.type === "Polygon" && f.properties.cost > 0)
+    .map((f) => ({
+      rings: f.geometry.coordinates,
+      cost: Number(f.properties.cost),
+      name: String(f.properties.name ?? ""),
+      source: f.properties.source ?? null,
+    }));
+
+  return {
+    nodes,
+    adjacency,
+    nodeByKey,
+    obstacles,
+    zones,
+    noding: null,
+    snapFixes: [],
+    level: meta.level ?? null,
+    meta,
+  };
+}
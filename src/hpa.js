@@ -0,0 +1,573 @@
+/**
+ * 分层路径搜索模块（HPA*，Hierarchical Path-Finding A*）
+ *
+ * 网格 A* 每次请求都围绕起终点重建不超过 200×200 的局部网格，长距离路线只能降低分辨率。
+ * 本模块对整张地图预处理一次，长距离查询仍保持细网格分辨率：
+ * 1. 栅格化：按固定分辨率在整张地图上布置节点，逐条边界线段（墙体与障碍物环的边）更新附近节点的净距，
+ *    障碍物内部按扫描线填充；净距不足的节点不可通行，八方向连线只对靠近边界的做精确检查
+ * 2. 分簇：网格划分为 clusterSize × clusterSize 单元的簇，相邻簇交界上连续可通行的一段为一个入口，
+ *    入口上按间距均匀取过渡点，交界两侧的节点作为抽象节点，二者之间为簇间边
+ * 3. 抽象图：同一簇内的抽象节点两两之间在簇内做 Dijkstra，保存代价与细网格路径作为簇内边
+ *
+ * 查询时把起终点接入所在簇的抽象节点，在抽象图上做 A*，再拼接保存的细网格路径。
+ * 每次查询只需搜索两个簇和抽象图，耗时与路线长短关系不大。
+ *
+ * 细网格也用于距离场：gridDistanceField 从一个节点出发在整张细网格上做 Dijkstra，求到每个节点的距离。
+ *
+ * 预处理结果只依赖障碍物、墙体与机器人尺寸，调用方按地图缓存，地图变化时重新构建。
+ */
+
+import { createClearanceField, segmentClearance } from "./clearance.js";
+import { createIndexedHeap } from "./priorityQueue.js";
+
+/** 八个方向 [Δ行, Δ列]，方向 k 的反方向为 (k + 4) % 8 */
+const DIRS = [
+  [0, 1],
+  [1, 1],
+  [1, 0],
+  [1, -1],
+  [0, -1],
+  [-1, -1],
+  [-1, 0],
+  [-1, 1],
+];
+/** 入口上过渡点的最大间距（节点数），入口越宽取的过渡点越多 */
+const ENTRANCE_SPACING = 8;
+/** 查询时为起终点寻找可通行节点的最大搜索范围（单元数） */
+const MAX_SNAP_CELLS = 32;
+
+/**
+ * 点到线段的距离
+ */
+function segmentDistance(px, py, ax, ay, bx, by) {
+  const vx = bx - ax;
+  const vy = by - ay;
+  const c2 = vx * vx + vy * vy || 1e-12;
+  const t = Math.max(0, Math.min(1, ((px - ax) * vx + (py - ay) * vy) / c2));
+  return Math.hypot(px - (ax + t * vx), py - (ay + t * vy));
+}
+
+/**
+ * 逐条边界线段更新附近节点的净距：按行求线段落在 [y - cap, y + cap] 带内的部分，
+ * 只检查该部分左右 cap 范围内的节点
+ */
+function rasterizeSegments(hg, segments, cap, clearance) {
+  const { minLon, minLat, cell, cols, rows } = hg;
+  for (const [a, b] of segments) {
+    const dx = b[0] - a[0];
+    const dy = b[1] - a[1];
+    const r0 = Math.max(
+      0,
+      Math.ceil((Math.min(a[1], b[1]) - cap - minLat) / cell),
+    );
+    const r1 = Math.min(
+      rows,
+      Math.floor((Math.max(a[1], b[1]) + cap - minLat) / cell),
+    );
+    for (let r = r0; r <= r1; r++) {
+      const y = minLat + r * cell;
+      let t0 = 0,
+        t1 = 1;
+      if (dy !== 0) {
+        const u = (y - cap - a[1]) / dy;
+        const w = (y + cap - a[1]) / dy;
+        t0 = Math.max(0, Math.min(u, w));
+        t1 = Math.min(1, Math.max(u, w));
+        if (t0 > t1) continue;
+      } else if (Math.abs(a[1] - y) > cap) {
+        continue;
+      }
+      const xa = a[0] + t0 * dx;
+      const xb = a[0] + t1 * dx;
+      const c0 = Math.max(
+        0,
+        Math.ceil((Math.min(xa, xb) - cap - minLon) / cell),
+      );
+      const c1 = Math.min(
+        cols,
+        Math.floor((Math.max(xa, xb) + cap - minLon) / cell),
+      );
+      for (let c = c0; c <= c1; c++) {
+        const i = r * (cols + 1) + c;
+        const d = segmentDistance(minLon + c * cell, y, a[0], a[1], b[0], b[1]);
+        if (d < clearance[i]) clearance[i] = d;
+      }
+    }
+  }
+}
+
+/**
+ * 障碍物内部的节点净距置 0：每个环按扫描线求与各行的交点，交点之间为环内部
+ * 与 obstacles.js 的 pointInAnyObstacle 一致，落在任一环内即视为在障碍物内
+ */
+function fillObstacles(hg, obstacles, clearance) {
+  const { minLon, minLat, cell, cols, rows } = hg;
+  for (const rings of obstacles) {
+    for (const ring of rings) {
+      const crossings = new Map(); // 行 -> 交点 x
+      for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+        if (yi === yj) continue;
+        const r0 = Math.max(0, Math.ceil((Math.min(yi, yj) - minLat) / cell));
+        const r1 = Math.min(
+          rows,
+          Math.ceil((Math.max(yi, yj) - minLat) / cell) - 1,
+        );
+        for (let r = r0; r <= r1; r++) {
+          const y = minLat + r * cell;
+          if (yi > y === yj > y) continue;
+          if (!crossings.has(r)) crossings.set(r, []);
+          crossings.get(r).push(((xj - xi) * (y - yi)) / (yj - yi) + xi);
+        }
+      }
+      for (const [r, xs] of crossings) {
+        xs.sort((p, q) => p - q);
+        for (let k = 0; k + 1 < xs.length; k += 2) {
+          const c0 = Math.max(0, Math.ceil((xs[k] - minLon) / cell));
+          const c1 = Math.min(cols, Math.floor((xs[k + 1] - minLon) / cell));
+          for (let c = c0; c <= c1; c++) clearance[r * (cols + 1) + c] = 0;
+        }
+      }
+    }
+  }
+}
+
+/**
+ * 在簇内做 Dijkstra，搜索范围限定为簇内节点
+ *
+ * @param {Object} hg - 分层网格
+ * @param {number} source - 起始节点
+ * @param {Function} [done] - (i) => boolean，节点 i 出堆后调用，返回 true 时提前结束
+ * @returns {number} 扩展的节点数；结果留在 hg 的 g、came 中，touched 记录访问过的节点
+ */
+function searchCluster(hg, source, done) {
+  const { g, came, touched, heap, moves, cluster, cols } = hg;
+  for (const i of touched) {
+    g[i] = Infinity;
+    came[i] = -1;
+  }
+  touched.length = 0;
+  heap.clear();
+  const own = cluster[source];
+  g[source] = 0;
+  touched.push(source);
+  heap.push(source, 0);
+  let expanded = 0;
+  while (heap.size() > 0) {
+    const cur = heap.pop();
+    expanded++;
+    if (done && done(cur)) break;
+    const mask = moves[cur];
+    for (let k = 0; k < 8; k++) {
+      if (!(mask & (1 << k))) continue;
+      const next = cur + DIRS[k][0] * (cols + 1) + DIRS[k][1];
+      if (cluster[next] !== own) continue;
+      const cost = g[cur] + hg.stepCost(cur, k);
+      if (cost < g[next]) {
+        if (g[next] === Infinity) touched.push(next);
+        g[next] = cost;
+        came[next] = cur;
+        heap.push(next, cost);
+      }
+    }
+  }
+  return expanded;
+}
+
+/**
+ * 从 searchCluster 的结果回溯到节点 i 的细网格路径
+ */
+function traceCluster(hg, i) {
+  const path = [];
+  for (let cur = i; cur !== -1; cur = hg.came[cur]) path.push(cur);
+  return Int32Array.from(path.reverse());
+}
+
+/**
+ * 预处理整张地图的分层网格
+ *
+ * @param {Array} obstacles - 障碍物多边形数组
+ * @param {Array} walls - 墙体线段数组，每条线段是 [[x, y], [x, y]]
+ * @param {Object} bbox - 地图范围 { minLon, minLat, maxLon, maxLat }
+ * @param {Object} options - 选项
+ * @param {number} options.cell - 网格单元边长（坐标单位）
+ * @param {number} [options.clusterSize=16] - 簇的边长（单元数）
+ * @param {Function} [options.distance] - 距离函数 (p, q) => 米，缺省为坐标欧几里得距离
+ * @param {number} [options.radius=0] - 机器人半径（坐标单位），离边界不足半径的节点与连线不可通行
+ * @param {number} [options.wallPenalty=0] - 贴墙惩罚系数，与 pathWorker.js 的局部网格相同
+ * @param {number} [options.penaltyRange=0] - 惩罚作用的距离（坐标单位）
+ * @param {Object} [options.field] - clearance.js 的净距查询结构，缺省时按障碍物与墙体新建
+ * @returns {Object} 分层网格 { minLon, minLat, cell, cols, rows, clusterSize, moves, abstract, ... }，
+ *          moves 按节点记录八个方向的连线是否可通行（位掩码），abstract 为抽象图
+ */
+export function createHierarchicalGrid(obstacles, walls, bbox, options) {
+  obstacles = obstacles || [];
+  const cell = options.cell;
+  const clusterSize = options.clusterSize ?? 16;
+  const distance =
+    options.distance ?? ((p, q) => Math.hypot(p[0] - q[0], p[1] - q[1]));
+  const radius = options.radius || 0;
+  const wallPenalty = options.wallPenalty || 0;
+  const penaltyRange = options.penaltyRange || 0;
+  const field = options.field ?? createClearanceField(obstacles, walls);
+
+  const cols = Math.max(1, Math.ceil((bbox.maxLon - bbox.minLon) / cell));
+  const rows = Math.max(1, Math.ceil((bbox.maxLat - bbox.minLat) / cell));
+  const n = (rows + 1) * (cols + 1);
+  const hg = {
+    minLon: bbox.minLon,
+    minLat: bbox.minLat,
+    cell,
+    cols,
+    rows,
+    clusterSize,
+    distance,
+  };
+
+  // 第一步：节点净距。与局部网格一样，离边界不超过 0.3 个单元或不足半径的节点不可通行；
+  // 净距上限覆盖惩罚距离，并且大于半径加半条对角线，以便判断哪些连线需要精确检查
+  const threshold = Math.max(cell * 0.3, radius);
+  const cap = Math.max(
+    threshold + (wallPenalty > 0 ? penaltyRange : 0),
+    radius + cell,
+  );
+  const clearance = new Float64Array(n).fill(cap);
+  rasterizeSegments(hg, field.edges, cap, clearance);
+  fillObstacles(hg, obstacles, clearance);
+  const blocked = new Uint8Array(n);
+  for (let i = 0; i < n; i++) blocked[i] = clearance[i] <= threshold ? 1 : 0;
+
+  // 每行八个方向的基础代价（米），经纬度网格的东西向长度随纬度变化
+  const base = new Float64Array((rows + 1) * 8);
+  for (let r = 0; r <= rows; r++) {
+    const p = [hg.minLon, hg.minLat + r * cell];
+    for (let k = 0; k < 8; k++) {
+      const [dr, dc] = DIRS[k];
+      if (r + dr < 0 || r + dr > rows) continue;
+      base[r * 8 + k] = distance(p, [p[0] + dc * cell, p[1] + dr * cell]);
+    }
+  }
+  const stride = cols + 1;
+  hg.stepCost =
+    wallPenalty > 0 && penaltyRange > 0
+      ? (i, k) => {
+          const j = i + DIRS[k][0] * stride + DIRS[k][1];
+          const spare = (clearance[i] + clearance[j]) / 2 - radius;
+          return (
+            base[Math.floor(i / stride) * 8 + k] *
+            (1 + wallPenalty * Math.max(0, 1 - spare / penaltyRange))
+          );
+        }
+      : (i, k) => base[Math.floor(i / stride) * 8 + k];
+
+  // 第二步：八方向连线。两端净距都超过半径加半条连线长度时连线必然离边界足够远，
+  // 否则用净距查询精确检查（同时排除穿墙的连线）
+  const moves = new Uint8Array(n);
+  for (let r = 0; r <= rows; r++) {
+    for (let c = 0; c <= cols; c++) {
+      const i = r * stride + c;
+      if (blocked[i]) continue;
+      for (let k = 0; k < 4; k++) {
+        const [dr, dc] = DIRS[k];
+        const nr = r + dr,
+          nc = c + dc;
+        if (nr > rows || nc < 0 || nc > cols) continue;
+        const j = nr * stride + nc;
+        if (blocked[j]) continue;
+        const half = (k % 2 ? Math.SQRT2 : 1) * cell * 0.5;
+        if (Math.min(clearance[i], clearance[j]) <= radius + half) {
+          const a = [hg.minLon + c * cell, hg.minLat + r * cell];
+          const b = [hg.minLon + nc * cell, hg.minLat + nr * cell];
+          const limit = Math.max(radius, cell * 1e-6);
+          const got = segmentClearance(field, a, b, limit);
+          if (radius > 0 ? got < radius : got < limit) continue;
+        }
+        moves[i] |= 1 << k;
+        moves[j] |= 1 << ((k + 4) % 8);
+      }
+    }
+  }
+
+  // 第三步：分簇。最后一行、一列的节点归入最后一个簇
+  const clusterCols = Math.max(1, Math.ceil(cols / clusterSize));
+  const clusterRows = Math.max(1, Math.ceil(rows / clusterSize));
+  const cluster = new Int32Array(n);
+  for (let r = 0; r <= rows; r++) {
+    const cy = Math.min(Math.floor(r / clusterSize), clusterRows - 1);
+    for (let c = 0; c <= cols; c++) {
+      const cx = Math.min(Math.floor(c / clusterSize), clusterCols - 1);
+      cluster[r * stride + c] = cy * clusterCols + cx;
+    }
+  }
+  Object.assign(hg, {
+    moves,
+    cluster,
+    clusterCols,
+    clusterRows,
+    g: new Float64Array(n).fill(Infinity),
+    came: new Int32Array(n).fill(-1),
+    touched: [],
+    heap: createIndexedHeap(n),
+  });
+
+  // 第四步：入口与过渡点。交界两侧的节点都成为抽象节点，二者之间为簇间边
+  const abstractOf = new Int32Array(n).fill(-1);
+  const fine = [];
+  const edges = [];
+  const clusterNodes = Array.from(
+    { length: clusterCols * clusterRows },
+    () => [],
+  );
+  const abstractNode = (i) => {
+    if (abstractOf[i] < 0) {
+      abstractOf[i] = fine.length;
+      fine.push(i);
+      edges.push([]);
+      clusterNodes[cluster[i]].push(abstractOf[i]);
+    }
+    return abstractOf[i];
+  };
+  const link = (i, k) => {
+    const j = i + DIRS[k][0] * stride + DIRS[k][1];
+    const a = abstractNode(i);
+    const b = abstractNode(j);
+    const cost = hg.stepCost(i, k);
+    edges[a].push({ to: b, cost, path: Int32Array.of(i, j) });
+    edges[b].push({ to: a, cost, path: Int32Array.of(j, i) });
+  };
+  // 沿交界扫描连续可穿过的一段，按间距均匀取过渡点
+  const scan = (length, nodeAt, k) => {
+    let run = 0;
+    for (let t = 0; t <= length; t++) {
+      if (t < length && moves[nodeAt(t)] & (1 << k)) {
+        run++;
+        continue;
+      }
+      const count = Math.ceil(run / ENTRANCE_SPACING);
+      for (let m = 0; m < count; m++) {
+        link(
+          nodeAt(t - run + Math.floor(((2 * m + 1) * run) / (2 * count))),
+          k,
+        );
+      }
+      run = 0;
+    }
+  };
+  for (let cy = 0; cy < clusterRows; cy++) {
+    const r0 = cy * clusterSize;
+    const r1 = cy === clusterRows - 1 ? rows : r0 + clusterSize - 1;
+    for (let cx = 0; cx + 1 < clusterCols; cx++) {
+      const c = (cx + 1) * clusterSize - 1;
+      scan(r1 - r0 + 1, (t) => (r0 + t) * stride + c, 0);
+    }
+  }
+  for (let cx = 0; cx < clusterCols; cx++) {
+    const c0 = cx * clusterSize;
+    const c1 = cx === clusterCols - 1 ? cols : c0 + clusterSize - 1;
+    for (let cy = 0; cy + 1 < clusterRows; cy++) {
+      const r = (cy + 1) * clusterSize - 1;
+      scan(c1 - c0 + 1, (t) => r * stride + c0 + t, 2);
+    }
+  }
+
+  // 第五步：簇内边。同一簇的抽象节点两两之间的簇内最短路径
+  for (const members of clusterNodes) {
+    if (members.length < 2) continue;
+    for (const a of members) {
+      let left = members.length - 1;
+      searchCluster(
+        hg,
+        fine[a],
+        (i) => abstractOf[i] >= 0 && i !== fine[a] && --left === 0,
+      );
+      for (const b of members) {
+        if (b === a || hg.g[fine[b]] === Infinity) continue;
+        edges[a].push({
+          to: b,
+          cost: hg.g[fine[b]],
+          path: traceCluster(hg, fine[b]),
+        });
+      }
+    }
+  }
+
+  hg.abstract = { fine, edges, clusterNodes };
+  return hg;
+}
+
+/**
+ * 查找离 (x, y) 最近的可通行节点，由近到远逐圈搜索
+ *
+ * @param {Object} hg - 分层网格
+ * @param {number} x - 点 x
+ * @param {number} y - 点 y
+ * @param {Function} [visible] - (node) => boolean，node 为 { lon, lat }，节点必须满足的条件（如视线可达）
+ * @returns {number} 节点序号，找不到时为 -1
+ */
+export function nearestHierarchicalNode(hg, x, y, visible) {
+  const { minLon, minLat, cell, cols, rows, moves } = hg;
+  // 地图范围外的点从最近的边缘开始搜索
+  const col = Math.max(0, Math.min(cols, Math.round((x - minLon) / cell)));
+  const row = Math.max(0, Math.min(rows, Math.round((y - minLat) / cell)));
+  let best = -1;
+  let bestD = Infinity;
+  for (let ring = 0; ring <= MAX_SNAP_CELLS; ring++) {
+    // 更外圈的节点至少相距 (ring - 1) 个单元，不可能更近
+    if (best >= 0 && (ring - 1) * cell > Math.sqrt(bestD)) break;
+    for (let r = row - ring; r <= row + ring; r++) {
+      if (r < 0 || r > rows) continue;
+      const step = r === row - ring || r === row + ring ? 1 : 2 * ring;
+      for (let c = col - ring; c <= col + ring; c += step || 1) {
+        if (c < 0 || c > cols) continue;
+        const i = r * (cols + 1) + c;
+        if (!moves[i]) continue;
+        const node = { lon: minLon + c * cell, lat: minLat + r * cell };
+        const d = (node.lon - x) ** 2 + (node.lat - y) ** 2;
+        if (d < bestD && (!visible || visible(node))) {
+          bestD = d;
+          best = i;
+        }
+      }
+    }
+  }
+  return best;
+}
+
+/**
+ * 在分层网格上搜索两个节点之间的路径
+ * 起终点先在各自的簇内连到簇的抽象节点，再在抽象图上做 A*，最后拼接细网格路径；
+ * 起终点在同一簇时同时比较簇内的直接路径
+ *
+ * @param {Object} hg - createHierarchicalGrid 返回的分层网格
+ * @param {number} startIdx - 起点节点（见 nearestHierarchicalNode）
+ * @param {number} goalIdx - 终点节点
+ * @param {Object} [options={}] - 选项
+ * @param {number} [options.weight=1] - 启发函数权重（≥ 1），大于 1 时为加权 A*
+ * @returns {{path: Array|null, expanded: number}} 细网格节点路径 [{ lon, lat }]（找不到时为 null）与扩展的节点数
+ */
+export function hierarchicalPath(hg, startIdx, goalIdx, options = {}) {
+  const weight = Math.max(1, Number(options.weight) || 1);
+  const { fine, edges, clusterNodes } = hg.abstract;
+  const stride = hg.cols + 1;
+  const point = (i) => [
+    hg.minLon + (i % stride) * hg.cell,
+    hg.minLat + Math.floor(i / stride) * hg.cell,
+  ];
+  const toNodes = (path) =>
+    Array.from(path, (i) => {
+      const [lon, lat] = point(i);
+      return { lon, lat };
+    });
+
+  // 起点连到所在簇的抽象节点（起点本身是抽象节点时含一条代价为 0 的自连接）；同簇时顺带得到直接路径
+  let expanded = searchCluster(hg, startIdx);
+  const startLinks = [];
+  for (const a of clusterNodes[hg.cluster[startIdx]]) {
+    const cost = hg.g[fine[a]];
+    if (cost < Infinity) {
+      startLinks.push({ to: a, cost, path: traceCluster(hg, fine[a]) });
+    }
+  }
+  let best = null;
+  if (hg.g[goalIdx] < Infinity) {
+    best = { cost: hg.g[goalIdx], path: traceCluster(hg, goalIdx) };
+  }
+  // 终点一侧反向搜索，连线代价对称
+  expanded += searchCluster(hg, goalIdx);
+  const goalLinks = new Map();
+  for (const a of clusterNodes[hg.cluster[goalIdx]]) {
+    const cost = hg.g[fine[a]];
+    if (cost < Infinity) {
+      goalLinks.set(a, { cost, path: traceCluster(hg, fine[a]).reverse() });
+    }
+  }
+
+  // 抽象图 A*：序号 count、count + 1 分别为起点、终点
+  const count = fine.length;
+  const START = count;
+  const GOAL = count + 1;
+  const goal = point(goalIdx);
+  const g = new Float64Array(count + 2).fill(Infinity);
+  const came = new Int32Array(count + 2).fill(-1);
+  const via = new Array(count + 2); // 进入节点时经过的细网格路径
+  const closed = new Uint8Array(count + 2);
+  const open = createIndexedHeap(count + 2);
+  const h = (a) => (a === GOAL ? 0 : hg.distance(point(fine[a]), goal));
+  g[START] = 0;
+  open.push(START, weight * hg.distance(point(startIdx), goal));
+  while (open.size() > 0) {
+    const cur = open.pop();
+    closed[cur] = 1;
+    expanded++;
+    if (cur === GOAL) break;
+    if (best && g[cur] >= best.cost) break;
+    const relax = ({ to, cost, path }) => {
+      if (closed[to]) return;
+      const tentative = g[cur] + cost;
+      if (tentative >= g[to]) return;
+      g[to] = tentative;
+      came[to] = cur;
+      via[to] = path;
+      open.push(to, tentative + weight * h(to));
+    };
+    if (cur === START) {
+      startLinks.forEach(relax);
+      continue;
+    }
+    edges[cur].forEach(relax);
+    if (goalLinks.has(cur)) relax({ to: GOAL, ...goalLinks.get(cur) });
+  }
+  if (g[GOAL] < Infinity && (!best || g[GOAL] < best.cost)) {
+    const parts = [];
+    for (let cur = GOAL; cur !== START; cur = came[cur]) parts.push(via[cur]);
+    const path = [];
+    for (const part of parts.reverse()) {
+      for (const i of part) {
+        if (path[path.length - 1] !== i) path.push(i);
+      }
+    }
+    best = { cost: g[GOAL], path };
+  }
+  if (!best) return { path: null, expanded };
+  return { path: toNodes(best.path), expanded };
+}
+
+/**
+ * 距离场：从节点 source 出发在整张细网格上做 Dijkstra（一对多），求到每个节点的最短距离
+ * 八方向网格的距离比直线距离最多长约 8%
+ *
+ * @param {Object} hg - 分层网格
+ * @param {number} source - 起点节点序号
+ * @param {Object} [options={}] - 选项
+ * @param {number} [options.startCost=0] - 起点节点的初始距离（米），如实际起点到该节点的距离
+ * @param {number} [options.maxDistance=Infinity] - 距离上限（米），超过上限的节点不再扩展
+ * @returns {Object} { distances, expanded }：distances 为每个节点的距离（Float32Array，米），
+ *          不可通行、不可达或超过上限的节点为 Infinity
+ */
+export function gridDistanceField(hg, source, options = {}) {
+  const { moves, cols } = hg;
+  const n = moves.length;
+  const maxDistance = options.maxDistance ?? Infinity;
+  const dist = new Float64Array(n).fill(Infinity);
+  // 与 hg.heap 分开，不影响分层网格的查询
+  const heap = createIndexedHeap(n);
+  dist[source] = options.startCost ?? 0;
+  heap.push(source, dist[source]);
+  let expanded = 0;
+  while (heap.size() > 0) {
+    const cur = heap.pop();
+    expanded++;
+    const mask = moves[cur];
+    for (let k = 0; k < 8; k++) {
+      if (!(mask & (1 << k))) continue;
+      const next = cur + DIRS[k][0] * (cols + 1) + DIRS[k][1];
+      const cost = dist[cur] + hg.stepCost(cur, k);
+      if (cost <= maxDistance && cost < dist[next]) {
+        dist[next] = cost;
+        heap.push(next, cost);
+      }
+    }
+  }
+  return { distances: Float32Array.from(dist), expanded };
+}
@@ -0,0 +1,183 @@
+/**
+ * 等值线模块
+ *
+ * 距离场定义在规则网格的节点上（见 hpa.js 的 gridDistanceField）。本模块用 marching squares 从节点值中
+ * 提取等值线，并把值不超过上限的区域（可达范围）围成多边形，用于绘制等距线和导出可达范围。
+ *
+ * 网格 { minLon, minLat, cell, cols, rows }：节点 (r, c) 的序号为 r * (cols + 1) + c，
+ * 坐标为 (minLon + c * cell, minLat + r * cell)。值为 Infinity 的节点（不可通行或不可达）与网格外
+ * 一样视为在范围外，边界取在它与范围内节点的中点。
+ *
+ * 主要功能：
+ * 1. isolineSegments：某个值的等值线线段
+ * 2. reachablePolygons：值不超过上限的区域多边形（外环逆时针，洞为顺时针）
+ */
+
+/**
+ * 逐个网格单元求等值线线段，回调 (from, to)，from/to 为 { key, x, y }
+ * 线段方向使范围内（值不超过 level）的一侧在左边；key 标识线段端点所在的网格边，相邻单元共用同一个 key
+ * 网格四周补一圈范围外的节点，范围内的区域总能围成闭合环
+ */
+function marchSquares(values, grid, level, emit) {
+  const { minLon, minLat, cell, cols, rows } = grid;
+  const stride = cols + 1;
+  const value = (r, c) =>
+    r < 0 || r > rows || c < 0 || c > cols ? Infinity : values[r * stride + c];
+  // 网格边的编号：节点 (r, c) 向右的边为偶数，向上的边为奇数（包括补上的一圈）
+  const edgeKey = (r, c, up) => ((r + 1) * (cols + 3) + (c + 1)) * 2 + up;
+  // 等值点在边 a → b 上的位置，两端有一个为 Infinity 时取中点
+  const crossing = (va, vb) =>
+    isFinite(va) && isFinite(vb)
+      ? Math.max(0, Math.min(1, (level - va) / (vb - va)))
+      : 0.5;
+  // 单元的四条边按逆时针顺序：下、右、上、左，每条边从编号较小的节点指向较大的节点
+  const point = (r, c, side) => {
+    let ra = r,
+      ca = c,
+      up = 0;
+    if (side === 1) {
+      ca = c + 1;
+      up = 1;
+    } else if (side === 2) {
+      ra = r + 1;
+    } else if (side === 3) {
+      up = 1;
+    }
+    const rb = ra + up;
+    const cb = ca + (1 - up);
+    const t = crossing(value(ra, ca), value(rb, cb));
+    return {
+      key: edgeKey(ra, ca, up),
+      x: minLon + (ca + (cb - ca) * t) * cell,
+      y: minLat + (ra + (rb - ra) * t) * cell,
+    };
+  };
+
+  for (let r = -1; r <= rows; r++) {
+    for (let c = -1; c <= cols; c++) {
+      // 逆时针的四个角：左下、右下、右上、左上；四个角同在范围内或范围外的单元（绝大多数）直接跳过
+      const v0 = value(r, c);
+      const v1 = value(r, c + 1);
+      const v2 = value(r + 1, c + 1);
+      const v3 = value(r + 1, c);
+      const count =
+        (v0 <= level) + (v1 <= level) + (v2 <= level) + (v3 <= level);
+      if (count === 0 || count === 4) continue;
+      const v = [v0, v1, v2, v3];
+      const inside = v.map((x) => x <= level);
+      // 沿单元边界逆时针走，记录离开与进入范围的边：角 k 到角 k + 1 之间是边 k
+      const exits = [];
+      const entries = [];
+      for (let k = 0; k < 4; k++) {
+        const next = (k + 1) % 4;
+        if (inside[k] && !inside[next]) exits.push(k);
+        if (!inside[k] && inside[next]) entries.push(k);
+      }
+      // 线段从离开处走到进入处：范围内的角孤立时接前一个进入处，范围外的角孤立时接后一个进入处；
+      // 对角鞍点按单元中心的平均值判断是哪一种
+      const centerInside =
+        count === 2 && exits.length === 2
+          ? (v[0] + v[1] + v[2] + v[3]) / 4 <= level
+          : false;
+      for (const e of exits) {
+        const entry = centerInside
+          ? (entries.find((n) => n > e) ?? entries[0])
+          : ([...entries].reverse().find((n) => n < e) ??
+            entries[entries.length - 1]);
+        emit(point(r, c, e), point(r, c, entry));
+      }
+    }
+  }
+}
+
+/**
+ * 提取某个值的等值线
+ *
+ * @param {ArrayLike<number>} values - 网格节点的值
+ * @param {Object} grid - 网格 { minLon, minLat, cell, cols, rows }
+ * @param {number} level - 等值线的值
+ * @returns {Array} 线段数组，每条线段是 [[x, y], [x, y]]
+ */
+export function isolineSegments(values, grid, level) {
+  const segments = [];
+  marchSquares(values, grid, level, (a, b) => {
+    segments.push([
+      [a.x, a.y],
+      [b.x, b.y],
+    ]);
+  });
+  return segments;
+}
+
+/**
+ * 环的有向面积，逆时针为正
+ */
+function signedArea(ring) {
+  let sum = 0;
+  for (let i = 1; i < ring.length; i++) {
+    sum += ring[i - 1][0] * ring[i][1] - ring[i][0] * ring[i - 1][1];
+  }
+  return sum / 2;
+}
+
+/**
+ * 点是否在环内（射线法）
+ */
+function pointInRing([x, y], ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if (yi > y !== yj > y && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * 值不超过上限的区域多边形
+ * 等值线线段按网格边首尾相接成闭合环，逆时针的环为外环，顺时针的环为洞，洞归入包含它的最小外环
+ *
+ * @param {ArrayLike<number>} values - 网格节点的值
+ * @param {Object} grid - 网格 { minLon, minLat, cell, cols, rows }
+ * @param {number} limit - 上限
+ * @returns {Array} 多边形数组，每个多边形为 [外环, ...洞]，环为首尾相同的 [[x, y]]，可直接作为 GeoJSON MultiPolygon 的坐标
+ */
+export function reachablePolygons(values, grid, limit) {
+  // 每条网格边上的等值点恰好是一条线段的起点和另一条线段的终点
+  const next = new Map(); // 起点 key → { to, x, y }
+  marchSquares(values, grid, limit, (a, b) => {
+    next.set(a.key, { to: b.key, x: a.x, y: a.y });
+  });
+  const rings = [];
+  for (const start of next.keys()) {
+    if (!next.has(start)) continue;
+    const ring = [];
+    let key = start;
+    while (next.has(key)) {
+      const seg = next.get(key);
+      next.delete(key);
+      ring.push([seg.x, seg.y]);
+      key = seg.to;
+    }
+    if (ring.length < 3) continue;
+    ring.push(ring[0]);
+    rings.push(ring);
+  }
+
+  const outers = [];
+  const holes = [];
+  for (const ring of rings) {
+    const area = signedArea(ring);
+    if (area > 0) outers.push({ ring, area, holes: [] });
+    else if (area < 0) holes.push(ring);
+  }
+  // 面积从小到大，洞归入第一个包含它的外环
+  outers.sort((a, b) => a.area - b.area);
+  for (const hole of holes) {
+    const owner = outers.find((o) => pointInRing(hole[0], o.ring));
+    if (owner) owner.holes.push(hole);
+  }
+  return outers.map((o) => [o.ring, ...o.holes]);
+}
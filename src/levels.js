@@ -0,0 +1,431 @@
+/**
+ * 楼层与垂直连接模块
+ *
+ * 多层建筑按楼层拆分为多张平面图，每层单独构建障碍图和墙体；
+ * 楼梯、电梯、坡道作为连接要素，把不同楼层上的点连接起来，并各自带有通行代价。
+ *
+ * 楼层配置（随项目保存）：
+ * {
+ *   "levels": [
+ *     { "id": "F1", "name": "一层", "elevation": 0, "match": { "layer": "F1-*" } },
+ *     { "id": "F2", "name": "二层", "elevation": 4.5 }
+ *   ],
+ *   "connectors": [
+ *     { "id": "stair-a", "type": "stairs", "cost": 20,
+ *       "points": [{ "level": "F1", "at": [10, 5] }, { "level": "F2", "at": [14, 5] }] }
+ *   ]
+ * }
+ *
+ * 要素所属楼层的判断顺序：
+ * 1. properties.level 等于楼层的 id 或 name
+ * 2. 满足楼层的 match 条件（格式与分类规则相同，见 classify.js）
+ * 3. 坐标带 Z 值时，归入高程最接近的楼层
+ * 4. 其余要素归入第一个楼层
+ *
+ * 连接要素：properties.connector 为 stairs/elevator/ramp 的要素，不参与墙体和障碍图构建
+ * - Point：在 properties.levels（数组或逗号分隔的楼层 id，缺省为全部楼层）的相邻楼层之间逐层连接，如电梯井
+ * - LineString：连接首末两个顶点，楼层取 properties.fromLevel/toLevel，缺省时按首末点的 Z 值判断，如楼梯、坡道
+ * 未指定 cost 时，代价 = 固定代价 + 每米高差代价 × 高差 + 平面距离（等效米）
+ */
+
+import { matchesConditions } from "./classify.js";
+
+/** 支持的连接类型 */
+export const CONNECTOR_TYPES = ["stairs", "elevator", "ramp"];
+
+/**
+ * 各类连接的默认通行代价（等效米）
+ * base 为固定代价（如电梯等候），perRise 为每米高差的代价
+ */
+export const CONNECTOR_DEFAULTS = {
+  stairs: { base: 5, perRise: 3 },
+  elevator: { base: 30, perRise: 0.5 },
+  ramp: { base: 0, perRise: 1.5 },
+};
+
+/**
+ * 创建默认楼层配置：不分层，与单层地图行为一致
+ *
+ * @returns {Object} 楼层配置 { levels, connectors }
+ */
+export function createBuilding() {
+  return { levels: [], connectors: [] };
+}
+
+/**
+ * 校验并标准化楼层配置
+ *
+ * @param {Object} building - 原始楼层配置（通常来自 JSON）
+ * @returns {Object} 标准化后的楼层配置
+ * @throws {Error} 楼层或连接定义无效时抛出
+ */
+export function normalizeBuilding(building) {
+  if (!building || typeof building !== "object" || Array.isArray(building)) {
+    throw new Error("楼层配置必须是 JSON 对象");
+  }
+  const ids = new Set();
+  const levels = (building.levels ?? []).map((level, i) => {
+    const id = String(level?.id ?? `L${i + 1}`);
+    if (ids.has(id)) throw new Error(`楼层 id 重复: ${id}`);
+    ids.add(id);
+    const elevation = Number(level?.elevation ?? 0);
+    if (!Number.isFinite(elevation)) {
+      throw new Error(`楼层 ${id} 的高程无效: ${level.elevation}`);
+    }
+    return { ...level, id, name: level?.name ?? id, elevation };
+  });
+  const connectors = (building.connectors ?? []).map((c, i) => {
+    const id = String(c?.id ?? `connector-${i + 1}`);
+    if (!CONNECTOR_TYPES.includes(c?.type)) {
+      throw new Error(`连接 ${id} 的类型无效: ${c?.type}`);
+    }
+    if (!Array.isArray(c.points) || c.points.length < 2) {
+      throw new Error(`连接 ${id} 至少需要两个端点`);
+    }
+    for (const p of c.points) {
+      if (!ids.has(String(p?.level))) {
+        throw new Error(`连接 ${id} 引用了未知楼层: ${p?.level}`);
+      }
+      if (!Array.isArray(p.at) || !p.at.slice(0, 2).every(Number.isFinite)) {
+        throw new Error(`连接 ${id} 的端点坐标无效`);
+      }
+    }
+    return { ...c, id };
+  });
+  return { levels, connectors };
+}
+
+/**
+ * 取几何对象的第一个坐标
+ *
+ * @param {Object} g - GeoJSON 几何对象
+ * @returns {Array<number>|null} 坐标
+ */
+function firstCoordinate(g) {
+  let c = g?.coordinates;
+  while (Array.isArray(c) && Array.isArray(c[0])) c = c[0];
+  return Array.isArray(c) ? c : null;
+}
+
+/**
+ * 按高程查找最接近的楼层
+ *
+ * @param {Array} levels - 楼层数组
+ * @param {number} z - 高程
+ * @returns {Object} 楼层
+ */
+function nearestLevel(levels, z) {
+  let best = levels[0];
+  for (const level of levels) {
+    if (Math.abs(level.elevation - z) < Math.abs(best.elevation - z)) {
+      best = level;
+    }
+  }
+  return best;
+}
+
+/**
+ * 按 id 或名称查找楼层
+ */
+function findLevel(levels, ref) {
+  if (ref == null) return null;
+  const key = String(ref);
+  return levels.find((l) => l.id === key || l.name === key) ?? null;
+}
+
+/**
+ * 判断要素所属楼层
+ *
+ * @param {Object} f - GeoJSON 要素
+ * @param {Array} levels - 楼层数组（非空）
+ * @returns {Object} 楼层
+ */
+export function levelOfFeature(f, levels) {
+  const explicit = findLevel(levels, f?.properties?.level);
+  if (explicit) return explicit;
+  for (const level of levels) {
+    if (level.match && matchesConditions(f, level.match)) return level;
+  }
+  const c = firstCoordinate(f?.geometry);
+  if (c && Number.isFinite(c[2])) return nearestLevel(levels, c[2]);
+  return levels[0];
+}
+
+/**
+ * 判断要素是否为连接要素
+ *
+ * @param {Object} f - GeoJSON 要素
+ * @returns {string|null} 连接类型，非连接要素返回 null
+ */
+export function connectorTypeOf(f) {
+  const type = String(f?.properties?.connector ?? "").toLowerCase();
+  return CONNECTOR_TYPES.includes(type) ? type : null;
+}
+
+/**
+ * 将 GeoJSON 按楼层拆分，连接要素不计入任何楼层
+ *
+ * @param {Object} geojson - GeoJSON FeatureCollection
+ * @param {Object} building - 楼层配置（levels 非空）
+ * @returns {Map<string, Object>} 楼层 id 到 FeatureCollection 的映射
+ */
+export function splitByLevel(geojson, building) {
+  const byLevel = new Map(
+    building.levels.map((l) => [
+      l.id,
+      { type: "FeatureCollection", features: [] },
+    ]),
+  );
+  for (const f of geojson?.features ?? []) {
+    if (!f || connectorTypeOf(f)) continue;
+    byLevel.get(levelOfFeature(f, building.levels).id).features.push(f);
+  }
+  return byLevel;
+}
+
+/**
+ * 计算连接的通行代价
+ *
+ * @param {string} type - 连接类型
+ * @param {number} rise - 高差（米）
+ * @param {number} planDistance - 端点间的平面距离（米）
+ * @returns {number} 代价（等效米）
+ */
+export function connectorCost(type, rise, planDistance) {
+  const d = CONNECTOR_DEFAULTS[type];
+  return d.base + d.perRise * Math.abs(rise) + planDistance;
+}
+
+/**
+ * 收集全部连接，展开为两两楼层之间的连接
+ *
+ * @param {Object} geojson - GeoJSON FeatureCollection（连接要素与楼层要素在同一坐标系）
+ * @param {Object} building - 楼层配置
+ * @param {Function} distance - 平面距离函数 (a, b) => 米，见 geo.js 的 createDistanceFn
+ * @returns {Array<{id: string, type: string, cost: number, rise: number, a: Object, b: Object}>}
+ *          连接数组，a、b 为 { level, point: [x, y] }，可双向通行
+ */
+export function extractConnectors(geojson, building, distance) {
+  const { levels } = building;
+  const out = [];
+  if (!levels.length) return out;
+
+  /** 依次连接相邻的端点 */
+  function addChain(id, type, cost, points) {
+    for (let i = 1; i < points.length; i++) {
+      const a = points[i - 1];
+      const b = points[i];
+      if (a.level.id === b.level.id) continue;
+      const rise = b.level.elevation - a.level.elevation;
+      out.push({
+        id: points.length > 2 ? `${id}#${i}` : id,
+        type,
+        cost: Number.isFinite(cost)
+          ? cost
+          : connectorCost(type, rise, distance(a.point, b.point)),
+        rise,
+        a: { level: a.level.id, point: a.point },
+        b: { level: b.level.id, point: b.point },
+      });
+    }
+  }
+
+  (geojson?.features ?? []).forEach((f, i) => {
+    const type = connectorTypeOf(f);
+    if (!type || !f.geometry) return;
+    const p = f.properties;
+    const id = String(p.id ?? p.handle ?? `feature-${i}`);
+    const cost = p.cost == null ? NaN : Number(p.cost);
+    const g = f.geometry;
+    if (g.type === "Point") {
+      const refs = Array.isArray(p.levels)
+        ? p.levels
+        : typeof p.levels === "string"
+          ? p.levels.split(",").map((s) => s.trim())
+          : levels.map((l) => l.id);
+      const served = refs
+        .map((r) => findLevel(levels, r))
+        .filter(Boolean)
+        .sort((a, b) => a.elevation - b.elevation);
+      const point = g.coordinates.slice(0, 2);
+      addChain(
+        id,
+        type,
+        cost,
+        served.map((level) => ({ level, point })),
+      );
+    } else if (g.type === "LineString" && g.coordinates.length >= 2) {
+      const first = g.coordinates[0];
+      const last = g.coordinates[g.coordinates.length - 1];
+      const from =
+        findLevel(levels, p.fromLevel) ??
+        (Number.isFinite(first[2]) ? nearestLevel(levels, first[2]) : null);
+      const to =
+        findLevel(levels, p.toLevel) ??
+        (Number.isFinite(last[2]) ? nearestLevel(levels, last[2]) : null);
+      if (!from || !to) return;
+      addChain(id, type, cost, [
+        { level: from, point: first.slice(0, 2) },
+        { level: to, point: last.slice(0, 2) },
+      ]);
+    }
+  });
+
+  for (const c of building.connectors) {
+    addChain(
+      c.id,
+      c.type,
+      c.cost == null ? NaN : Number(c.cost),
+      c.points.map((p) => ({
+        level: findLevel(levels, p.level),
+        point: p.at.slice(0, 2),
+      })),
+    );
+  }
+  return out;
+}
+
+/**
+ * 跨楼层路径规划
+ *
+ * 在"起点、终点和全部连接端点"组成的抽象图上搜索：连接边使用连接代价，
+ * 同一楼层任意两点之间的边先用直线距离（下界）估计，只有当它出现在当前最短路上时
+ * 才调用 leg 计算真实的楼层内路径（惰性求值），直到最短路上的边全部为真实代价。
+ *
+ * @param {{level: string, point: Array<number>}} start - 起点
+ * @param {{level: string, point: Array<number>}} end - 终点
+ * @param {Array} connectors - extractConnectors 返回的连接数组（坐标与起终点一致）
+ * @param {Object} options - 选项
+ * @param {Function} options.lowerBound - (a, b) => 两点间距离下界（米）
+ * @param {Function} options.leg - (level, a, b) => { ok, path, length, cost? }，计算楼层内路径，path 为 {lon, lat} 数组，
+ *        cost 为加权代价（如经过费用区域），缺省时按 length 比较
+ * @param {number} [options.minCost=1] - 楼层内每米代价的下界（如费用区域的最小代价系数），
+ *        未计算的楼层内边按 lowerBound × minCost 估计，保证估计值不超过真实代价
+ * @param {number} [options.maxLegs=64] - 最多计算的楼层内路径数
+ * @returns {Object} { ok, legs: [{ level, path, length }], hops: [{ connector, cost }], cost, length, error }
+ */
+export function planMultiLevelRoute(start, end, connectors, options) {
+  const { lowerBound, leg } = options;
+  const minCost = options.minCost ?? 1;
+  const maxLegs = options.maxLegs ?? 64;
+  const nodes = [start, end];
+  for (const c of connectors) nodes.push(c.a, c.b);
+  const n = nodes.length;
+
+  // 连接边：节点 2 + 2i 与 3 + 2i
+  const hopOf = new Map();
+  connectors.forEach((c, i) => {
+    hopOf.set(`${2 + 2 * i},${3 + 2 * i}`, c);
+    hopOf.set(`${3 + 2 * i},${2 + 2 * i}`, c);
+  });
+  // 楼层内边的真实结果缓存，键为 "i,j"（i < j）
+  const legs = new Map();
+  let computed = 0;
+
+  function legCost(i, j) {
+    const key = i < j ? `${i},${j}` : `${j},${i}`;
+    const known = legs.get(key);
+    if (known) return known.ok ? (known.cost ?? known.length) : Infinity;
+    return minCost * lowerBound(nodes[i].point, nodes[j].point);
+  }
+
+  function edgeCost(i, j) {
+    const hop = hopOf.get(`${i},${j}`);
+    if (hop) return hop.cost;
+    if (nodes[i].level !== nodes[j].level) return Infinity;
+    return legCost(i, j);
+  }
+
+  function shortest() {
+    const dist = new Float64Array(n).fill(Infinity);
+    const prev = new Int32Array(n).fill(-1);
+    const done = new Uint8Array(n);
+    dist[0] = 0;
+    for (;;) {
+      let u = -1;
+      for (let i = 0; i < n; i++) {
+        if (!done[i] && (u < 0 || dist[i] < dist[u])) u = i;
+      }
+      if (u < 0 || dist[u] === Infinity || u === 1) break;
+      done[u] = 1;
+      for (let v = 0; v < n; v++) {
+        if (done[v] || v === u) continue;
+        const d = dist[u] + edgeCost(u, v);
+        if (d < dist[v]) {
+          dist[v] = d;
+          prev[v] = u;
+        }
+      }
+    }
+    if (dist[1] === Infinity) return null;
+    const order = [1];
+    while (order[0] !== 0) order.unshift(prev[order[0]]);
+    return { order, cost: dist[1] };
+  }
+
+  for (;;) {
+    const best = shortest();
+    if (!best) return { ok: false, error: "no-level-route" };
+    // 找出最短路上尚未计算真实代价的楼层内边
+    const pending = [];
+    for (let k = 1; k < best.order.length; k++) {
+      const i = best.order[k - 1];
+      const j = best.order[k];
+      const key = i < j ? `${i},${j}` : `${j},${i}`;
+      if (!hopOf.has(`${i},${j}`) && !legs.has(key)) pending.push([i, j]);
+    }
+    if (!pending.length) return assemble(best);
+    for (const [i, j] of pending) {
+      const lo = Math.min(i, j);
+      const hi = Math.max(i, j);
+      const a = nodes[lo].point;
+      const b = nodes[hi].point;
+      if (lowerBound(a, b) < 1e-9) {
+        legs.set(`${lo},${hi}`, {
+          ok: true,
+          path: [{ lon: a[0], lat: a[1] }],
+          length: 0,
+        });
+        continue;
+      }
+      if (++computed > maxLegs) return { ok: false, error: "leg-limit" };
+      const r = leg(nodes[lo].level, a, b);
+      legs.set(`${lo},${hi}`, r?.ok ? r : { ok: false });
+    }
+  }
+
+  function assemble(best) {
+    const outLegs = [];
+    const hops = [];
+    let length = 0;
+    for (let k = 1; k < best.order.length; k++) {
+      const i = best.order[k - 1];
+      const j = best.order[k];
+      const hop = hopOf.get(`${i},${j}`);
+      if (hop) {
+        hops.push({ connector: hop, cost: hop.cost });
+        length += Math.hypot(
+          lowerBound(nodes[i].point, nodes[j].point),
+          hop.rise,
+        );
+        continue;
+      }
+      const r = legs.get(i < j ? `${i},${j}` : `${j},${i}`);
+      const path = i < j ? r.path : [...r.path].reverse();
+      length += r.length;
+      const last = outLegs[outLegs.length - 1];
+      if (last && last.level === nodes[i].level) {
+        // 同一楼层内相邻的两段（经过零长度边）合并为一段
+        last.path.push(...path.slice(1));
+        last.length += r.length;
+      } else {
+        outLegs.push({
+          level: nodes[i].level,
+          path: [...path],
+          length: r.length,
+        });
+      }
+    }
+    return { ok: true, legs: outLegs, hops, cost: best.cost, length };
+  }
+}
@@ -0,0 +1,45 @@
+import { describe, expect, it } from "vitest";
+import { planMultiLevelRoute } from "./levels.js";
+
+describe("planMultiLevelRoute 费用区域", () => {
+  // 连接 A 较远但两侧都是代价 0.5 的通道；连接 B 较近但楼层内需要绕行
+  const connectors = [
+    { id: "A", point: [100, 0] },
+    { id: "B", point: [60, 0] },
+  ].map(({ id, point }) => ({
+    id,
+    type: "elevator",
+    cost: 0,
+    rise: 0,
+    a: { level: "1", point },
+    b: { level: "2", point },
+  }));
+  const lowerBound = (p, q) => Math.hypot(p[0] - q[0], p[1] - q[1]);
+  const leg = (level, a, b) => {
+    const length = lowerBound(a, b);
+    const viaA = a[0] === 100 || b[0] === 100;
+    return {
+      ok: true,
+      path: [
+        { lon: a[0], lat: a[1] },
+        { lon: b[0], lat: b[1] },
+      ],
+      length,
+      cost: viaA ? length * 0.5 : 70,
+    };
+  };
+  const plan = (options) =>
+    planMultiLevelRoute(
+      { level: "1", point: [0, 0] },
+      { level: "2", point: [0, 0] },
+      connectors,
+      { lowerBound, leg, ...options },
+    );
+
+  it("按最小代价系数缩放估计值时选出代价最小的连接", () => {
+    const result = plan({ minCost: 0.5 });
+    expect(result.ok).toBe(true);
+    expect(result.hops.map((h) => h.connector.id)).toEqual(["A"]);
+    expect(result.cost).toBeCloseTo(100);
+  });
+});
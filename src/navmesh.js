@@ -0,0 +1,980 @@
+/**
+ * 导航网格模块
+ *
+ * 网格 A* 每次查询都要重建不超过 200×200 的网格，比网格单元还窄的通道会直接消失。
+ * 导航网格把可通行区域剖分为三角形：以墙体和障碍物环的边为约束边做约束 Delaunay 三角剖分（CDT），
+ * 每张地图只需构建一次；路径搜索先在三角形之间做 A*，再用漏斗算法（funnel）把三角形走廊拉直为折线。
+ *
+ * 主要功能：
+ * 1. createNavMesh：构建约束 Delaunay 三角剖分，标记障碍物内部的三角形
+ * 2. navMeshPath：三角形 A* + 漏斗算法求任意角度路径
+ * 3. locateTriangle：查找点所在的三角形
+ *
+ * 三角剖分：在包围矩形的两个三角形中按 Hilbert 顺序逐点插入（Lawson 翻转保持 Delaunay），
+ * 再逐条恢复约束边（Sloan 翻转法）并对新产生的边重新做 Delaunay 翻转。
+ * 约束边事先用 topology.js 的 nodeSegments 在交点处打断，保证约束边之间互不相交。
+ *
+ * 半边表示：三角形 t 的顶点为 triangles[3t..3t+2]（逆时针），半边 3t+k 从 triangles[3t+k]
+ * 指向同一三角形的下一个顶点，halfedges[e] 为相邻三角形中方向相反的半边，-1 表示外边界。
+ */
+
+import { roundCoordKey } from "./geo.js";
+import { nodeSegments } from "./topology.js";
+import { pointInAnyObstacle } from "./obstacles.js";
+import {
+  createSpatialIndex,
+  hilbert,
+  indexPolygons,
+  searchBBox,
+} from "./spatialIndex.js";
+import { createIndexedHeap } from "./priorityQueue.js";
+
+/** 包围矩形相对于数据范围的外扩比例 */
+const FRAME_PADDING = 0.05;
+/** 顶点合并与点在边上的判断容差，相对于包围盒对角线 */
+const SNAP_RATIO = 1e-9;
+/** 单次约束边恢复的翻转次数上限（相对于穿越边数），防止退化输入下死循环 */
+const MAX_FLIPS_PER_CROSSING = 64;
+
+const nextEdge = (e) => (e % 3 === 2 ? e - 2 : e + 1);
+const prevEdge = (e) => (e % 3 === 0 ? e + 2 : e - 1);
+
+/**
+ * 有向面积的两倍：c 在 a→b 左侧为正
+ */
+function orient(ax, ay, bx, by, cx, cy) {
+  return (bx - ax) * (cy - ay) - (by - ay) * (cx - ax);
+}
+
+/**
+ * 外接圆判断：d 在逆时针三角形 abc 的外接圆内为正
+ */
+function inCircle(ax, ay, bx, by, cx, cy, dx, dy) {
+  const adx = ax - dx,
+    ady = ay - dy;
+  const bdx = bx - dx,
+    bdy = by - dy;
+  const cdx = cx - dx,
+    cdy = cy - dy;
+  const ad = adx * adx + ady * ady;
+  const bd = bdx * bdx + bdy * bdy;
+  const cd = cdx * cdx + cdy * cdy;
+  return (
+    adx * (bdy * cd - bd * cdy) -
+    ady * (bdx * cd - bd * cdx) +
+    ad * (bdx * cdy - bdy * cdx)
+  );
+}
+
+/**
+ * 约束 Delaunay 三角剖分
+ *
+ * @param {Array<Array<number>>} points - 顶点坐标 [x, y]，已按坐标去重
+ * @param {Array<[number, number]>} edges - 约束边，元素为 points 的下标对
+ * @param {Object} frame - 包围矩形 { minX, minY, maxX, maxY }，必须严格包含所有顶点
+ * @param {number} tolerance - 顶点合并与点在边上的距离容差
+ * @returns {Object} { coords, triangles, halfedges, constrained, failed }，constrained 为约束边键的集合，
+ *          failed 为未能恢复的约束边数
+ */
+function triangulate(points, edges, frame, tolerance) {
+  const maxVertices = points.length + 4;
+  const coords = new Float64Array(maxVertices * 2);
+  const triangles = new Int32Array(maxVertices * 6);
+  const halfedges = new Int32Array(maxVertices * 6).fill(-1);
+  const vertexEdge = new Int32Array(maxVertices).fill(-1);
+  const constrained = new Set();
+  let vertexCount = 0;
+  let triangleCount = 0;
+  let lastTriangle = 0;
+
+  const edgeKey = (a, b) => (a < b ? a * maxVertices + b : b * maxVertices + a);
+  const orientV = (a, b, c) =>
+    orient(
+      coords[2 * a],
+      coords[2 * a + 1],
+      coords[2 * b],
+      coords[2 * b + 1],
+      coords[2 * c],
+      coords[2 * c + 1],
+    );
+  const orientP = (a, b, x, y) =>
+    orient(
+      coords[2 * a],
+      coords[2 * a + 1],
+      coords[2 * b],
+      coords[2 * b + 1],
+      x,
+      y,
+    );
+
+  function addVertex(x, y) {
+    coords[2 * vertexCount] = x;
+    coords[2 * vertexCount + 1] = y;
+    return vertexCount++;
+  }
+
+  function link(a, b) {
+    halfedges[a] = b;
+    if (b >= 0) halfedges[b] = a;
+  }
+
+  function setTriangle(t, a, b, c) {
+    triangles[3 * t] = a;
+    triangles[3 * t + 1] = b;
+    triangles[3 * t + 2] = c;
+    vertexEdge[a] = 3 * t;
+    vertexEdge[b] = 3 * t + 1;
+    vertexEdge[c] = 3 * t + 2;
+  }
+
+  /**
+   * 翻转半边 e 所在的对角线：三角形 (A,B,C)、(B,A,D) 变为 (A,D,C)、(C,D,B)，
+   * 新对角线为 nextEdge(e)（D→C）与 f（C→D）
+   */
+  function flip(e) {
+    const f = halfedges[e];
+    const e1 = nextEdge(e),
+      e2 = prevEdge(e);
+    const f1 = nextEdge(f),
+      f2 = prevEdge(f);
+    const a = triangles[e],
+      b = triangles[e1],
+      c = triangles[e2],
+      d = triangles[f2];
+    const hBC = halfedges[e1],
+      hAD = halfedges[f1],
+      hDB = halfedges[f2];
+    triangles[e1] = d;
+    triangles[f] = c;
+    triangles[f1] = d;
+    triangles[f2] = b;
+    link(e, hAD);
+    link(e1, f);
+    link(f1, hDB);
+    link(f2, hBC);
+    vertexEdge[a] = e;
+    vertexEdge[b] = f2;
+    vertexEdge[c] = e2;
+    vertexEdge[d] = f1;
+  }
+
+  /**
+   * Lawson 翻转：半边 e 的对顶点为新插入的点，不满足空外接圆时翻转并继续检查
+   */
+  function legalize(start) {
+    const stack = [start];
+    let guard = 4 * maxVertices;
+    while (stack.length && guard-- > 0) {
+      const e = stack.pop();
+      const f = halfedges[e];
+      if (f < 0) continue;
+      const a = triangles[e],
+        b = triangles[nextEdge(e)];
+      if (constrained.has(edgeKey(a, b))) continue;
+      const c = triangles[prevEdge(e)],
+        d = triangles[prevEdge(f)];
+      if (!(inCircleV(a, b, c, d) > 0)) continue;
+      flip(e);
+      stack.push(e, nextEdge(f));
+    }
+  }
+
+  function inCircleV(a, b, c, d) {
+    return inCircle(
+      coords[2 * a],
+      coords[2 * a + 1],
+      coords[2 * b],
+      coords[2 * b + 1],
+      coords[2 * c],
+      coords[2 * c + 1],
+      coords[2 * d],
+      coords[2 * d + 1],
+    );
+  }
+
+  /**
+   * 从上次插入的三角形出发沿直线行走，查找包含点的三角形（含边界）
+   */
+  function locate(x, y) {
+    let t = lastTriangle;
+    const limit = triangleCount * 3;
+    for (let steps = 0; steps < limit; steps++) {
+      let moved = false;
+      for (let k = 0; k < 3; k++) {
+        // 轮换起始边，避免在退化情况下来回绕圈
+        const e = 3 * t + ((k + steps) % 3);
+        if (orientP(triangles[e], triangles[nextEdge(e)], x, y) >= 0) {
+          continue;
+        }
+        const o = halfedges[e];
+        if (o < 0) continue;
+        t = Math.floor(o / 3);
+        moved = true;
+        break;
+      }
+      if (!moved) return t;
+    }
+    // 行走失败时逐个检查
+    for (t = 0; t < triangleCount; t++) {
+      const a = triangles[3 * t],
+        b = triangles[3 * t + 1],
+        c = triangles[3 * t + 2];
+      if (
+        orientP(a, b, x, y) >= 0 &&
+        orientP(b, c, x, y) >= 0 &&
+        orientP(c, a, x, y) >= 0
+      ) {
+        return t;
+      }
+    }
+    return -1;
+  }
+
+  /** 在三角形 t 内部插入点，分为三个三角形 */
+  function splitTriangle(t, x, y) {
+    const p = addVertex(x, y);
+    const a = triangles[3 * t],
+      b = triangles[3 * t + 1],
+      c = triangles[3 * t + 2];
+    const h0 = halfedges[3 * t],
+      h1 = halfedges[3 * t + 1],
+      h2 = halfedges[3 * t + 2];
+    const t1 = triangleCount++;
+    const t2 = triangleCount++;
+    setTriangle(t, a, b, p);
+    setTriangle(t1, b, c, p);
+    setTriangle(t2, c, a, p);
+    link(3 * t, h0);
+    link(3 * t1, h1);
+    link(3 * t2, h2);
+    link(3 * t + 1, 3 * t1 + 2);
+    link(3 * t1 + 1, 3 * t2 + 2);
+    link(3 * t2 + 1, 3 * t + 2);
+    legalize(3 * t);
+    legalize(3 * t1);
+    legalize(3 * t2);
+    return p;
+  }
+
+  /** 在半边 e 上插入点，两侧三角形各分为两个 */
+  function splitEdge(e, x, y) {
+    const f = halfedges[e];
+    const a = triangles[e],
+      b = triangles[nextEdge(e)],
+      c = triangles[prevEdge(e)];
+    const hBC = halfedges[nextEdge(e)];
+    const p = addVertex(x, y);
+    // (A,B,C) → (A,P,C) + (P,B,C)
+    triangles[nextEdge(e)] = p;
+    const t1 = triangleCount++;
+    setTriangle(t1, p, b, c);
+    vertexEdge[a] = e;
+    vertexEdge[c] = prevEdge(e);
+    vertexEdge[p] = nextEdge(e);
+    link(3 * t1 + 1, hBC);
+    link(3 * t1 + 2, nextEdge(e));
+    const legal = [prevEdge(e), 3 * t1 + 1];
+    if (f >= 0) {
+      // (B,A,D) → (B,P,D) + (P,A,D)
+      const d = triangles[prevEdge(f)];
+      const hAD = halfedges[nextEdge(f)];
+      triangles[nextEdge(f)] = p;
+      const u1 = triangleCount++;
+      setTriangle(u1, p, a, d);
+      vertexEdge[b] = f;
+      link(3 * u1 + 1, hAD);
+      link(3 * u1 + 2, nextEdge(f));
+      link(e, 3 * u1);
+      link(f, 3 * t1);
+      legal.push(prevEdge(f), 3 * u1 + 1);
+    } else {
+      halfedges[3 * t1] = -1;
+    }
+    const key = edgeKey(a, b);
+    if (constrained.delete(key)) {
+      constrained.add(edgeKey(a, p));
+      constrained.add(edgeKey(p, b));
+    }
+    for (const h of legal) legalize(h);
+    return p;
+  }
+
+  /** 插入点，与已有顶点重合时返回已有顶点 */
+  function insertPoint(x, y) {
+    const t = locate(x, y);
+    if (t < 0) return -1;
+    lastTriangle = t;
+    for (let k = 0; k < 3; k++) {
+      const v = triangles[3 * t + k];
+      const dx = coords[2 * v] - x,
+        dy = coords[2 * v + 1] - y;
+      if (dx * dx + dy * dy <= tolerance * tolerance) return v;
+    }
+    for (let k = 0; k < 3; k++) {
+      const e = 3 * t + k;
+      const a = triangles[e],
+        b = triangles[nextEdge(e)];
+      const ax = coords[2 * a],
+        ay = coords[2 * a + 1];
+      const dx = coords[2 * b] - ax,
+        dy = coords[2 * b + 1] - ay;
+      const len2 = dx * dx + dy * dy;
+      const area = orientP(a, b, x, y);
+      if (Math.abs(area) <= tolerance * Math.sqrt(len2)) {
+        // 投影到边上，保证分出的三角形不翻转
+        const s = ((x - ax) * dx + (y - ay) * dy) / len2;
+        return splitEdge(e, ax + s * dx, ay + s * dy);
+      }
+    }
+    return splitTriangle(t, x, y);
+  }
+
+  /**
+   * 依次访问从顶点 a 出发的半边，fn 返回 true 时停止
+   */
+  function aroundVertex(a, fn) {
+    const start = vertexEdge[a];
+    let e = start;
+    for (;;) {
+      if (fn(e)) return;
+      const o = halfedges[prevEdge(e)];
+      if (o < 0) break;
+      e = o;
+      if (e === start) return;
+    }
+    // 到达外边界，从起点反方向继续
+    e = start;
+    for (;;) {
+      const o = halfedges[e];
+      if (o < 0) return;
+      e = nextEdge(o);
+      if (fn(e)) return;
+    }
+  }
+
+  /** 查找连接 a、b 的半边，不存在时返回 -1 */
+  function edgeBetween(a, b) {
+    let found = -1;
+    aroundVertex(a, (e) => {
+      if (triangles[nextEdge(e)] === b) found = e;
+      else if (triangles[prevEdge(e)] === b) found = prevEdge(e);
+      return found >= 0;
+    });
+    return found;
+  }
+
+  /** 线段 ab 与 cd 是否在内部相交（共享端点不算） */
+  function crosses(a, b, c, d) {
+    if (c === a || c === b || d === a || d === b) return false;
+    return (
+      orientV(a, b, c) * orientV(a, b, d) < 0 &&
+      orientV(c, d, a) * orientV(c, d, b) < 0
+    );
+  }
+
+  /** 点 v 是否落在线段 ab 内部（按容差） */
+  function onSegment(a, b, v) {
+    const ax = coords[2 * a],
+      ay = coords[2 * a + 1];
+    const dx = coords[2 * b] - ax,
+      dy = coords[2 * b + 1] - ay;
+    const len2 = dx * dx + dy * dy;
+    if (Math.abs(orientV(a, b, v)) > tolerance * Math.sqrt(len2)) return false;
+    const s = (coords[2 * v] - ax) * dx + (coords[2 * v + 1] - ay) * dy;
+    return s > 0 && s < len2;
+  }
+
+  /**
+   * 收集线段 ab 穿过的边，按 [右侧顶点, 左侧顶点] 记录
+   *
+   * @returns {Object} { crossing } 或 { through }（线段经过的中间顶点）或 { blocked: true }（穿过其他约束边）
+   */
+  function crossingEdges(a, b) {
+    let first = -1;
+    let through = -1;
+    aroundVertex(a, (e) => {
+      const x = triangles[nextEdge(e)],
+        y = triangles[prevEdge(e)];
+      if (onSegment(a, b, x)) through = x;
+      else if (onSegment(a, b, y)) through = y;
+      else if (orientV(a, b, x) < 0 && orientV(a, b, y) > 0) first = e;
+      return through >= 0 || first >= 0;
+    });
+    if (through >= 0) return { through };
+    if (first < 0) return { blocked: true };
+
+    const crossing = [];
+    let e = nextEdge(first);
+    for (;;) {
+      const r = triangles[e],
+        l = triangles[nextEdge(e)];
+      if (constrained.has(edgeKey(r, l))) return { blocked: true };
+      crossing.push([r, l]);
+      const o = halfedges[e];
+      if (o < 0) return { blocked: true };
+      const z = triangles[prevEdge(o)];
+      if (z === b) return { crossing };
+      if (onSegment(a, b, z)) return { through: z };
+      e = orientV(a, b, z) > 0 ? nextEdge(o) : prevEdge(o);
+    }
+  }
+
+  /**
+   * 恢复约束边 ab：翻转穿过 ab 的边直到 ab 出现，再对新边恢复 Delaunay 性质
+   *
+   * @returns {boolean} 成功返回 true
+   */
+  function insertConstraint(a0, b0) {
+    const pending = [[a0, b0]];
+    let ok = true;
+    while (pending.length) {
+      const [a, b] = pending.pop();
+      if (a === b) continue;
+      if (edgeBetween(a, b) >= 0) {
+        constrained.add(edgeKey(a, b));
+        continue;
+      }
+      const result = crossingEdges(a, b);
+      if (result.through >= 0) {
+        // 线段经过已有顶点：在该顶点处分为两段
+        pending.push([result.through, b], [a, result.through]);
+        continue;
+      }
+      if (result.blocked) {
+        ok = false;
+        continue;
+      }
+
+      // Sloan 翻转：凸四边形的对角线才能翻转，不能翻转的边放回队尾
+      const queue = result.crossing;
+      const created = [];
+      let guard = queue.length * MAX_FLIPS_PER_CROSSING;
+      for (let head = 0; head < queue.length; head++) {
+        if (guard-- < 0) break;
+        const [u, v] = queue[head];
+        const e = edgeBetween(u, v);
+        if (e < 0) continue;
+        const f = halfedges[e];
+        const c = triangles[prevEdge(e)],
+          d = triangles[prevEdge(f)];
+        if (orientV(c, d, u) * orientV(c, d, v) >= 0) {
+          queue.push([u, v]);
+          continue;
+        }
+        flip(e);
+        if (crosses(a, b, c, d)) queue.push([c, d]);
+        else created.push([c, d]);
+      }
+      if (edgeBetween(a, b) < 0) {
+        ok = false;
+        continue;
+      }
+      constrained.add(edgeKey(a, b));
+
+      // 新边中不满足空外接圆的再翻转，直到全部合法
+      for (let changed = true, pass = 0; changed && pass < 64; pass++) {
+        changed = false;
+        for (let i = 0; i < created.length; i++) {
+          if (constrained.has(edgeKey(...created[i]))) continue;
+          const e = edgeBetween(...created[i]);
+          if (e < 0 || halfedges[e] < 0) continue;
+          const u = triangles[e],
+            v = triangles[nextEdge(e)];
+          const c = triangles[prevEdge(e)],
+            d = triangles[prevEdge(halfedges[e])];
+          if (!(inCircleV(u, v, c, d) > 0)) continue;
+          flip(e);
+          created[i] = [c, d];
+          changed = true;
+        }
+      }
+    }
+    return ok;
+  }
+
+  // 包围矩形的两个三角形
+  const { minX, minY, maxX, maxY } = frame;
+  addVertex(minX, minY);
+  addVertex(maxX, minY);
+  addVertex(maxX, maxY);
+  addVertex(minX, maxY);
+  triangleCount = 2;
+  setTriangle(0, 0, 1, 2);
+  setTriangle(1, 0, 2, 3);
+  link(2, 3);
+
+  // 按 Hilbert 顺序插入，相邻两次插入的位置接近，行走定位步数少
+  const w = maxX - minX || 1;
+  const h = maxY - minY || 1;
+  const order = points.map((_, i) => i);
+  const keys = points.map(([x, y]) =>
+    hilbert(
+      Math.floor(((x - minX) / w) * 65535),
+      Math.floor(((y - minY) / h) * 65535),
+    ),
+  );
+  order.sort((i, j) => keys[i] - keys[j]);
+  const ids = new Int32Array(points.length).fill(-1);
+  for (const i of order) ids[i] = insertPoint(points[i][0], points[i][1]);
+
+  let failed = 0;
+  for (const [i, j] of edges) {
+    if (ids[i] < 0 || ids[j] < 0) continue;
+    if (!insertConstraint(ids[i], ids[j])) failed++;
+  }
+
+  return {
+    coords: coords.slice(0, vertexCount * 2),
+    triangles: triangles.slice(0, triangleCount * 3),
+    halfedges: halfedges.slice(0, triangleCount * 3),
+    constrained,
+    edgeKey,
+    failed,
+  };
+}
+
+/**
+ * 构建导航网格：墙体与障碍物环的边为约束边，障碍物内部的三角形不可通行
+ * 网格只依赖障碍物和墙体，可在多次查询之间复用
+ *
+ * @param {Array} obstacles - 障碍物多边形数组
+ * @param {Array} walls - 墙体线段数组，每条线段是 [[x, y], [x, y]]
+ * @param {Object} [options={}] - 选项
+ * @param {number} [options.precision=9] - 合并顶点时的坐标精度（小数位）
+ * @returns {Object} 导航网格 { vertices, triangles, halfedges, constrained, reach, walkable, portals, triangleIndex, failedConstraints }：
+ *          vertices 为 [x0, y0, x1, y1, ...]；constrained、portals 按半边记录是否为约束边、是否可穿过；
+ *          reach 按半边记录起点在边界上时沿该边收缩多远（以半径为单位）才能与边界保持半径距离，不在边界上为 0；
+ *          walkable 按三角形记录是否可通行；failedConstraints 为未能恢复的约束边数
+ */
+export function createNavMesh(obstacles, walls, options = {}) {
+  obstacles = obstacles || [];
+  walls = walls || [];
+  const precision = options.precision ?? 9;
+
+  const segments = walls.slice();
+  for (const rings of obstacles) {
+    for (const ring of rings) {
+      for (let i = 1; i < ring.length; i++)
+        segments.push([ring[i - 1], ring[i]]);
+    }
+  }
+  const noded = nodeSegments(segments, { precision }).segments;
+
+  // 顶点去重，约束边改用顶点下标
+  const points = [];
+  const byKey = new Map();
+  const pointId = (p) => {
+    const key = roundCoordKey(p, precision);
+    let id = byKey.get(key);
+    if (id === undefined) {
+      id = points.length;
+      points.push([p[0], p[1]]);
+      byKey.set(key, id);
+    }
+    return id;
+  };
+  const edges = noded.map(([a, b]) => [pointId(a), pointId(b)]);
+
+  let minX = Infinity,
+    minY = Infinity,
+    maxX = -Infinity,
+    maxY = -Infinity;
+  for (const [x, y] of points) {
+    if (x < minX) minX = x;
+    if (x > maxX) maxX = x;
+    if (y < minY) minY = y;
+    if (y > maxY) maxY = y;
+  }
+  if (!points.length) {
+    minX = minY = 0;
+    maxX = maxY = 1;
+  }
+  const diagonal = Math.hypot(maxX - minX, maxY - minY) || 1;
+  const pad = diagonal * FRAME_PADDING;
+  const frame = {
+    minX: minX - pad,
+    minY: minY - pad,
+    maxX: maxX + pad,
+    maxY: maxY + pad,
+  };
+  const cdt = triangulate(points, edges, frame, diagonal * SNAP_RATIO);
+
+  const { coords, triangles, halfedges } = cdt;
+  const triangleCount = triangles.length / 3;
+
+  // 三角形重心落在障碍物内部即不可通行
+  const obstacleIndex = indexPolygons(obstacles);
+  const walkable = new Uint8Array(triangleCount);
+  const boxes = new Float64Array(triangleCount * 4);
+  for (let t = 0; t < triangleCount; t++) {
+    let cx = 0,
+      cy = 0;
+    let bx0 = Infinity,
+      by0 = Infinity,
+      bx1 = -Infinity,
+      by1 = -Infinity;
+    for (let k = 0; k < 3; k++) {
+      const v = triangles[3 * t + k];
+      const x = coords[2 * v],
+        y = coords[2 * v + 1];
+      cx += x / 3;
+      cy += y / 3;
+      if (x < bx0) bx0 = x;
+      if (x > bx1) bx1 = x;
+      if (y < by0) by0 = y;
+      if (y > by1) by1 = y;
+    }
+    walkable[t] = pointInAnyObstacle(cx, cy, obstacles, obstacleIndex) ? 0 : 1;
+    boxes.set([bx0, by0, bx1, by1], t * 4);
+  }
+
+  const constrained = new Uint8Array(triangles.length);
+  const portals = new Uint8Array(triangles.length);
+  const wallDirections = new Map(); // 顶点 -> 从该顶点出发的边界方向
+  const addDirection = (from, to) => {
+    const dx = coords[2 * to] - coords[2 * from];
+    const dy = coords[2 * to + 1] - coords[2 * from + 1];
+    const len = Math.hypot(dx, dy) || 1;
+    if (!wallDirections.has(from)) wallDirections.set(from, []);
+    wallDirections.get(from).push([dx / len, dy / len]);
+  };
+  for (let e = 0; e < triangles.length; e++) {
+    const isConstrained = cdt.constrained.has(
+      cdt.edgeKey(triangles[e], triangles[nextEdge(e)]),
+    );
+    constrained[e] = isConstrained ? 1 : 0;
+    if (isConstrained) {
+      addDirection(triangles[e], triangles[nextEdge(e)]);
+      addDirection(triangles[nextEdge(e)], triangles[e]);
+    }
+    const o = halfedges[e];
+    portals[e] =
+      !isConstrained &&
+      o >= 0 &&
+      walkable[Math.floor(e / 3)] &&
+      walkable[Math.floor(o / 3)]
+        ? 1
+        : 0;
+  }
+
+  // 半边起点在边界上时，沿半边走多远才与相邻边界相距 1：
+  // 边界线段朝同侧延伸时距离按夹角正弦缩小，朝反侧时就是到起点的距离
+  const reach = new Float64Array(triangles.length);
+  for (let e = 0; e < triangles.length; e++) {
+    const directions = wallDirections.get(triangles[e]);
+    if (!directions) continue;
+    const to = triangles[nextEdge(e)];
+    const dx = coords[2 * to] - coords[2 * triangles[e]];
+    const dy = coords[2 * to + 1] - coords[2 * triangles[e] + 1];
+    const len = Math.hypot(dx, dy) || 1;
+    let factor = 1;
+    for (const [wx, wy] of directions) {
+      if (dx * wx + dy * wy <= 0) continue;
+      factor = Math.min(factor, Math.abs(dx * wy - dy * wx) / len);
+    }
+    reach[e] = factor > 0 ? 1 / factor : Infinity;
+  }
+
+  return {
+    vertices: coords,
+    triangles,
+    halfedges,
+    constrained,
+    reach,
+    walkable,
+    portals,
+    triangleIndex: createSpatialIndex(boxes),
+    failedConstraints: cdt.failed,
+  };
+}
+
+/**
+ * 查找点所在的三角形，点在多个三角形的公共边上时优先返回可通行的三角形
+ *
+ * @param {Object} mesh - createNavMesh 返回的导航网格
+ * @param {number} x - 点 x
+ * @param {number} y - 点 y
+ * @returns {number} 三角形序号，不在网格内时返回 -1
+ */
+export function locateTriangle(mesh, x, y) {
+  const { vertices: v, triangles: tri } = mesh;
+  let found = -1;
+  for (const t of searchBBox(mesh.triangleIndex, x, y, x, y)) {
+    const a = tri[3 * t],
+      b = tri[3 * t + 1],
+      c = tri[3 * t + 2];
+    const inside =
+      orient(v[2 * a], v[2 * a + 1], v[2 * b], v[2 * b + 1], x, y) >= 0 &&
+      orient(v[2 * b], v[2 * b + 1], v[2 * c], v[2 * c + 1], x, y) >= 0 &&
+      orient(v[2 * c], v[2 * c + 1], v[2 * a], v[2 * a + 1], x, y) >= 0;
+    if (!inside) continue;
+    if (mesh.walkable[t]) return t;
+    if (found < 0) found = t;
+  }
+  return found;
+}
+
+/**
+ * 点是否落在入口边 lr 的内部（不含端点，按入口边长度的相对容差判断共线）
+ */
+function insidePortal(p, l, r) {
+  const dx = r[0] - l[0],
+    dy = r[1] - l[1];
+  const len2 = dx * dx + dy * dy;
+  if (
+    Math.abs(orient(l[0], l[1], r[0], r[1], p[0], p[1])) >
+    SNAP_RATIO * len2
+  ) {
+    return false;
+  }
+  const s = (p[0] - l[0]) * dx + (p[1] - l[1]) * dy;
+  return s > 0 && s < len2;
+}
+
+/**
+ * 漏斗算法（simple stupid funnel）：沿入口边序列求最短折线
+ *
+ * @param {Array<[Array<number>, Array<number>]>} portals - 入口边 [左端点, 右端点]，首尾为起点、终点重复两次
+ * @returns {Array<Array<number>>} 折线顶点 [x, y]
+ */
+function stringPull(portals) {
+  const same = (p, q) => p[0] === q[0] && p[1] === q[1];
+  const side = (a, b, c) => orient(a[0], a[1], b[0], b[1], c[0], c[1]);
+  let apex = portals[0][0];
+  let left = portals[0][0];
+  let right = portals[0][1];
+  let apexIndex = 0,
+    leftIndex = 0,
+    rightIndex = 0;
+  const path = [apex];
+
+  for (let i = 1; i < portals.length; i++) {
+    const [l, r] = portals[i];
+    // 拐点落在入口边内部（起点在三角形公共边上，或拐点恰好在后续入口边上）时，
+    // 入口边与拐点共线，不约束方向；若照常处理，漏斗会张开到 180° 并绕到无关的顶点
+    if (insidePortal(apex, l, r)) continue;
+
+    // 收紧右边界；越过左边界时左端点成为新的拐点
+    if (side(apex, right, r) >= 0) {
+      if (same(apex, right) || side(apex, left, r) < 0) {
+        right = r;
+        rightIndex = i;
+      } else {
+        if (!same(path[path.length - 1], left)) path.push(left);
+        apex = right = left;
+        apexIndex = rightIndex = leftIndex;
+        i = apexIndex;
+        continue;
+      }
+    }
+
+    // 收紧左边界；越过右边界时右端点成为新的拐点
+    if (side(apex, left, l) <= 0) {
+      if (same(apex, left) || side(apex, right, l) > 0) {
+        left = l;
+        leftIndex = i;
+      } else {
+        if (!same(path[path.length - 1], right)) path.push(right);
+        apex = left = right;
+        apexIndex = leftIndex = rightIndex;
+        i = apexIndex;
+        continue;
+      }
+    }
+  }
+
+  const end = portals[portals.length - 1][0];
+  if (!same(path[path.length - 1], end)) path.push(end);
+  return path;
+}
+
+/**
+ * 把漏斗路径上绕同一边界顶点的拐点换成该顶点半径圆的外切折线：
+ * 收缩后的拐点各自离边界足够远，但相邻拐点之间的连线仍会切过顶点附近
+ * 前后两点到圆的切线之间按不超过 90° 均分，折线顶点离圆心 r / cos(半步长)
+ *
+ * @param {Array<Array<number>>} path - 漏斗算法得到的折线
+ * @param {Map<Array<number>, number>} corners - 收缩得到的拐点 -> 所绕的顶点序号
+ * @param {Float64Array} v - 网格顶点坐标
+ * @param {number} radius - 机器人半径（坐标单位）
+ * @returns {Array<Array<number>>} 新折线
+ */
+function wrapCorners(path, corners, v, radius) {
+  const out = [path[0]];
+  for (let i = 1; i < path.length - 1; i++) {
+    const c = corners.get(path[i]);
+    if (c === undefined) {
+      out.push(path[i]);
+      continue;
+    }
+    let j = i;
+    while (j + 1 < path.length - 1 && corners.get(path[j + 1]) === c) j++;
+    const center = [v[2 * c], v[2 * c + 1]];
+    const prev = out[out.length - 1];
+    const next = path[j + 1];
+    const dPrev = Math.hypot(prev[0] - center[0], prev[1] - center[1]);
+    const dNext = Math.hypot(next[0] - center[0], next[1] - center[1]);
+    // 顶点在路径左侧时路径逆时针绕过它
+    const turn =
+      orient(prev[0], prev[1], center[0], center[1], path[i][0], path[i][1]) < 0
+        ? 1
+        : -1;
+    if (dPrev <= radius || dNext <= radius) {
+      for (let k = i; k <= j; k++) out.push(path[k]);
+      i = j;
+      continue;
+    }
+    const from =
+      Math.atan2(prev[1] - center[1], prev[0] - center[0]) +
+      turn * Math.acos(radius / dPrev);
+    const to =
+      Math.atan2(next[1] - center[1], next[0] - center[0]) -
+      turn * Math.acos(radius / dNext);
+    let arc = (to - from) * turn;
+    arc = ((arc % (2 * Math.PI)) + 2 * Math.PI) % (2 * Math.PI);
+    const count = Math.max(1, Math.ceil(arc / (Math.PI / 2) - 1e-9));
+    const step = (arc / count) * turn;
+    const dist = radius / Math.cos(arc / count / 2);
+    for (let k = 0; k < count; k++) {
+      const angle = from + step * (k + 0.5);
+      out.push([
+        center[0] + dist * Math.cos(angle),
+        center[1] + dist * Math.sin(angle),
+      ]);
+    }
+    i = j;
+  }
+  out.push(path[path.length - 1]);
+  return out;
+}
+
+/**
+ * 入口边上离 p 最近的点，两端各留出边长的 10%，避免路径代价贴着顶点估计
+ */
+function closestOnEdge(v, a, b, p) {
+  const ax = v[2 * a],
+    ay = v[2 * a + 1];
+  const dx = v[2 * b] - ax,
+    dy = v[2 * b + 1] - ay;
+  const len2 = dx * dx + dy * dy || 1;
+  const s = ((p[0] - ax) * dx + (p[1] - ay) * dy) / len2;
+  const t = Math.min(0.9, Math.max(0.1, s));
+  return [ax + t * dx, ay + t * dy];
+}
+
+/**
+ * 在导航网格上搜索两点之间的路径：三角形之间做 A*（以入口边上的最近点估计代价），再用漏斗算法拉直
+ *
+ * 走廊按入口边上的估计代价选择，漏斗算法只在该走廊内求最短折线，因此结果是近似最短路径
+ *
+ * @param {Object} mesh - createNavMesh 返回的导航网格
+ * @param {Array<number>} start - 起点 [x, y]
+ * @param {Array<number>} end - 终点 [x, y]
+ * @param {Object} [options={}] - 选项
+ * @param {Function} [options.distance] - 距离函数 (p, q) => 米，缺省为坐标欧几里得距离
+ * @param {number} [options.weight=1] - 启发函数权重（≥ 1），大于 1 时为加权 A*
+ * @param {number} [options.radius=0] - 机器人半径（坐标单位）：入口边在墙体、障碍物上的端点向内收缩，
+ *        使拐角处的路径与边界保持半径距离，两端收缩后没有余量的入口边不可穿过
+ * @returns {Object} 结果 { ok, path?, corridor?, expanded, error? }，path 为 [{ lon, lat }]，
+ *          corridor 为经过的三角形序号
+ */
+export function navMeshPath(mesh, start, end, options = {}) {
+  const distance =
+    options.distance ?? ((p, q) => Math.hypot(p[0] - q[0], p[1] - q[1]));
+  const weight = Math.max(1, Number(options.weight) || 1);
+  const radius = Math.max(0, Number(options.radius) || 0);
+  const { vertices: v, triangles: tri, halfedges } = mesh;
+  const edgeLength = (a, b) =>
+    Math.hypot(v[2 * b] - v[2 * a], v[2 * b + 1] - v[2 * a + 1]);
+
+  const from = locateTriangle(mesh, start[0], start[1]);
+  const to = locateTriangle(mesh, end[0], end[1]);
+  if (from < 0 || !mesh.walkable[from]) {
+    return { ok: false, error: "start-blocked", expanded: 0 };
+  }
+  if (to < 0 || !mesh.walkable[to]) {
+    return { ok: false, error: "end-blocked", expanded: 0 };
+  }
+
+  const n = mesh.walkable.length;
+  const g = new Float64Array(n).fill(Infinity);
+  const came = new Int32Array(n).fill(-1); // 进入三角形时穿过的半边（属于该三角形）
+  const closed = new Uint8Array(n);
+  const at = new Float64Array(n * 2); // 进入三角形的位置（入口边上的点）
+  const open = createIndexedHeap(n);
+
+  g[from] = 0;
+  at[2 * from] = start[0];
+  at[2 * from + 1] = start[1];
+  open.push(from, weight * distance(start, end));
+  let expanded = 0;
+  let reached = false;
+
+  while (open.size() > 0) {
+    const cur = open.pop();
+    closed[cur] = 1;
+    expanded++;
+    if (cur === to) {
+      reached = true;
+      break;
+    }
+    const p = [at[2 * cur], at[2 * cur + 1]];
+    for (let k = 0; k < 3; k++) {
+      const e = 3 * cur + k;
+      if (!mesh.portals[e]) continue;
+      const o = halfedges[e];
+      const next = Math.floor(o / 3);
+      if (closed[next]) continue;
+      if (
+        radius > 0 &&
+        radius * (mesh.reach[e] + mesh.reach[o]) >
+          edgeLength(tri[e], tri[nextEdge(e)])
+      ) {
+        continue;
+      }
+      const mid = closestOnEdge(v, tri[e], tri[nextEdge(e)], p);
+      const tentativeG = g[cur] + distance(p, mid);
+      if (tentativeG >= g[next]) continue;
+      g[next] = tentativeG;
+      came[next] = o;
+      at[2 * next] = mid[0];
+      at[2 * next + 1] = mid[1];
+      open.push(next, tentativeG + weight * distance(mid, end));
+    }
+  }
+
+  if (!reached) return { ok: false, error: "no-path", expanded };
+
+  // 沿走廊收集入口边：从三角形穿过半边 u→v 离开时，左端点为 v、右端点为 u
+  const corridor = [to];
+  const portals = [[end, end]];
+  // 半边 e 的起点向终点收缩，记下收缩后的点所绕的顶点
+  const corners = new Map();
+  const inset = (e) => {
+    const p = tri[e],
+      q = tri[nextEdge(e)];
+    const point = [v[2 * p], v[2 * p + 1]];
+    if (!radius || !mesh.reach[e]) return point;
+    const k = Math.min(1, (radius * mesh.reach[e]) / edgeLength(p, q));
+    const moved = [
+      point[0] + (v[2 * q] - point[0]) * k,
+      point[1] + (v[2 * q + 1] - point[1]) * k,
+    ];
+    corners.set(moved, p);
+    return moved;
+  };
+  for (let t = to; t !== from;) {
+    const e = halfedges[came[t]];
+    portals.push([inset(came[t]), inset(e)]);
+    t = Math.floor(e / 3);
+    corridor.push(t);
+  }
+  portals.push([start, start]);
+  portals.reverse();
+  corridor.reverse();
+
+  let pulled = stringPull(portals);
+  if (corners.size > 0) pulled = wrapCorners(pulled, corners, v, radius);
+  const path = pulled.map(([lon, lat]) => ({ lon, lat }));
+  return { ok: true, path, corridor, expanded };
+}
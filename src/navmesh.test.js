@@ -0,0 +1,112 @@
+import { describe, expect, it } from "vitest";
+import { createNavMesh, navMeshPath } from "./navmesh.js";
+
+const room = [
+  [
+    [0, 0],
+    [100, 0],
+  ],
+  [
+    [100, 0],
+    [100, 100],
+  ],
+  [
+    [100, 100],
+    [0, 100],
+  ],
+  [
+    [0, 100],
+    [0, 0],
+  ],
+];
+
+/** 路径长度 */
+function pathLength(path) {
+  let sum = 0;
+  for (let i = 1; i < path.length; i++) {
+    sum += Math.hypot(
+      path[i].lon - path[i - 1].lon,
+      path[i].lat - path[i - 1].lat,
+    );
+  }
+  return sum;
+}
+
+/** 网格中可穿过的内部边（每条只取一次），返回端点坐标 */
+function internalEdges(mesh) {
+  const { vertices: v, triangles: tri, halfedges } = mesh;
+  const edges = [];
+  for (let e = 0; e < tri.length; e++) {
+    if (!mesh.portals[e] || halfedges[e] < e) continue;
+    const a = tri[e];
+    const b = tri[e % 3 === 2 ? e - 2 : e + 1];
+    edges.push([
+      [v[2 * a], v[2 * a + 1]],
+      [v[2 * b], v[2 * b + 1]],
+    ]);
+  }
+  return edges;
+}
+
+const inRoom = ([x, y]) => x > 0 && x < 100 && y > 0 && y < 100;
+
+describe("navMeshPath 起点、终点落在三角形边上", () => {
+  it("空房间内两点之间是直线", () => {
+    const mesh = createNavMesh([], room);
+    for (const [a, b] of internalEdges(mesh)) {
+      const start = [a[0] + (b[0] - a[0]) * 0.1, a[1] + (b[1] - a[1]) * 0.1];
+      if (!inRoom(start)) continue;
+      for (const end of [
+        [start[0], 100 - start[1]],
+        [100 - start[0], start[1]],
+      ]) {
+        const forward = navMeshPath(mesh, start, end);
+        const backward = navMeshPath(mesh, end, start);
+        expect(forward.path).toHaveLength(2);
+        expect(backward.path).toHaveLength(2);
+      }
+    }
+  });
+
+  it("起点或终点恰好在公共边的中点时与微移后的路径等长", () => {
+    const walls = [
+      ...room,
+      [
+        [20, 20],
+        [20, 60],
+      ],
+      [
+        [40, 10],
+        [70, 30],
+      ],
+      [
+        [60, 50],
+        [90, 50],
+      ],
+      [
+        [30, 80],
+        [60, 70],
+      ],
+    ];
+    const mesh = createNavMesh([], walls);
+    const end = [50, 55];
+    let checked = 0;
+    for (const [a, b] of internalEdges(mesh)) {
+      const start = [(a[0] + b[0]) / 2, (a[1] + b[1]) / 2];
+      if (!inRoom(start)) continue;
+      const onEdge = navMeshPath(mesh, start, end);
+      const nudged = navMeshPath(mesh, [start[0] + 1e-7, start[1] + 1e-7], end);
+      expect(onEdge.ok).toBe(true);
+      expect(pathLength(onEdge.path)).toBeLessThanOrEqual(
+        pathLength(nudged.path) * 1.001,
+      );
+      // 终点落在边上时同样成立
+      const reverse = navMeshPath(mesh, end, start);
+      expect(pathLength(reverse.path)).toBeLessThanOrEqual(
+        pathLength(nudged.path) * 1.001,
+      );
+      checked++;
+    }
+    expect(checked).toBeGreaterThan(10);
+  });
+});
@@ -0,0 +1,247 @@
+/**
+ * 线网路径模块
+ *
+ * 走廊中心线、管线、电缆桥架等图纸中，线本身就是通道。本模块直接在 buildObstacleGraph 的邻接表上搜索：
+ * 起终点吸附到最近的边，在吸附点处把这条边拆成两段（虚拟节点），再用 A* 求最短路径。
+ *
+ * 线网以 CSR 形式表示 { coords, offsets, targets, weights }，与 graphBinary.js 的二进制格式一致：
+ * 节点 i 的坐标为 coords[2i..2i+1]，出边为 targets[offsets[i]..offsets[i+1])，
+ * 权重为构图时按坐标系统计算的距离（米，经纬度为 haversine，平面坐标按单位换算）。
+ *
+ * 主要功能：
+ * 1. networkFromGraph：把障碍图的邻接表转换为 CSR 线网
+ * 2. createNetworkIndex：为线网的边建立空间索引
+ * 3. snapToNetwork：查找离点最近的边与吸附点
+ * 4. networkPath：吸附起终点并沿线网搜索路径
+ */
+
+import { createSpatialIndex, nearest } from "./spatialIndex.js";
+import { createIndexedHeap } from "./priorityQueue.js";
+
+/**
+ * 把障碍图的邻接表转换为 CSR 线网
+ *
+ * @param {Object} graph - 障碍图 { nodes, adjacency }
+ * @param {Function} [transform] - 坐标变换 ([x, y]) => [x', y']（如路径计算投影），权重保持不变
+ * @returns {Object} 线网 { coords, offsets, targets, weights }
+ */
+export function networkFromGraph(graph, transform) {
+  const { nodes, adjacency } = graph;
+  const edgeCount = adjacency.reduce((s, list) => s + (list?.length ?? 0), 0);
+  const coords = new Float64Array(nodes.length * 2);
+  const offsets = new Uint32Array(nodes.length + 1);
+  const targets = new Uint32Array(edgeCount);
+  const weights = new Float64Array(edgeCount);
+  let e = 0;
+  nodes.forEach((n, i) => {
+    const [x, y] = transform ? transform([n.lon, n.lat]) : [n.lon, n.lat];
+    coords[i * 2] = x;
+    coords[i * 2 + 1] = y;
+    offsets[i] = e;
+    for (const edge of adjacency[i] || []) {
+      targets[e] = edge.to;
+      weights[e] = edge.w;
+      e++;
+    }
+  });
+  offsets[nodes.length] = e;
+  return { coords, offsets, targets, weights };
+}
+
+/**
+ * 为线网的边建立空间索引，每条无向边只收录一次
+ * 只依赖线网，可在多次查询之间复用
+ *
+ * @param {Object} network - CSR 线网
+ * @returns {Object} { network, from, to, weight, index }，from/to/weight 按无向边记录端点与权重
+ */
+export function createNetworkIndex(network) {
+  const { coords, offsets, targets, weights } = network;
+  const from = [];
+  const to = [];
+  const weight = [];
+  for (let i = 0; i + 1 < offsets.length; i++) {
+    for (let e = offsets[i]; e < offsets[i + 1]; e++) {
+      if (targets[e] <= i) continue;
+      from.push(i);
+      to.push(targets[e]);
+      weight.push(weights[e]);
+    }
+  }
+  const boxes = new Float64Array(from.length * 4);
+  for (let k = 0; k < from.length; k++) {
+    const a = from[k] * 2;
+    const b = to[k] * 2;
+    boxes[k * 4] = Math.min(coords[a], coords[b]);
+    boxes[k * 4 + 1] = Math.min(coords[a + 1], coords[b + 1]);
+    boxes[k * 4 + 2] = Math.max(coords[a], coords[b]);
+    boxes[k * 4 + 3] = Math.max(coords[a + 1], coords[b + 1]);
+  }
+  return {
+    network,
+    from: Int32Array.from(from),
+    to: Int32Array.from(to),
+    weight: Float64Array.from(weight),
+    index: createSpatialIndex(boxes),
+  };
+}
+
+/**
+ * 点在边上的投影参数 t（0 为 from 端点，1 为 to 端点）
+ */
+function projectOnEdge(net, k, x, y) {
+  const c = net.network.coords;
+  const ax = c[net.from[k] * 2],
+    ay = c[net.from[k] * 2 + 1];
+  const dx = c[net.to[k] * 2] - ax,
+    dy = c[net.to[k] * 2 + 1] - ay;
+  const len2 = dx * dx + dy * dy;
+  if (!len2) return 0;
+  return Math.max(0, Math.min(1, ((x - ax) * dx + (y - ay) * dy) / len2));
+}
+
+/** 吸附时依次检查的最近边数量，连接段被阻挡时改用下一条 */
+const SNAP_CANDIDATES = 8;
+
+/**
+ * 查找离点最近的边与吸附点
+ * 给出 accept 时按距离从近到远检查最近的若干条边，返回第一个被接受的吸附点
+ *
+ * @param {Object} net - createNetworkIndex 的结果
+ * @param {number} x - 点 x
+ * @param {number} y - 点 y
+ * @param {Function} [accept] - 吸附点判断函数 ([x, y]) => boolean，如连接段是否穿墙
+ * @returns {Object|null} { edge, t, point }：edge 为无向边序号，t 为吸附点在边上的位置，
+ *          point 为吸附点 [x, y]；线网没有边或候选吸附点都未被接受时返回 null
+ */
+export function snapToNetwork(net, x, y, accept) {
+  const c = net.network.coords;
+  const pointAt = (k, t) => [
+    c[net.from[k] * 2] + (c[net.to[k] * 2] - c[net.from[k] * 2]) * t,
+    c[net.from[k] * 2 + 1] +
+      (c[net.to[k] * 2 + 1] - c[net.from[k] * 2 + 1]) * t,
+  ];
+  const edges = nearest(net.index, x, y, accept ? SNAP_CANDIDATES : 1, {
+    itemDistance: (k, px, py) => {
+      const [qx, qy] = pointAt(k, projectOnEdge(net, k, px, py));
+      return Math.hypot(px - qx, py - qy);
+    },
+  });
+  for (const edge of edges) {
+    const t = projectOnEdge(net, edge, x, y);
+    const point = pointAt(edge, t);
+    if (!accept || accept(point)) return { edge, t, point };
+  }
+  return null;
+}
+
+/**
+ * 沿线网搜索两点之间的路径
+ * 起终点吸附到最近的边，吸附点作为虚拟节点把边按位置拆成两段（权重按比例分配），再做 A*；
+ * 返回的路径从起点经吸附点沿线网到终点的吸附点，最后接到终点。
+ * 给出 connect 时，起终点到吸附点的连接段不可通行的边会被跳过，改吸附到次近的边
+ *
+ * @param {Object} net - createNetworkIndex 的结果
+ * @param {Array<number>} start - 起点 [x, y]
+ * @param {Array<number>} end - 终点 [x, y]
+ * @param {Object} [options={}] - 选项
+ * @param {Function} [options.distance] - 距离函数 (p, q) => 米，用于启发函数与连接段长度，缺省为坐标欧几里得距离
+ * @param {number} [options.weight=1] - 启发函数权重（≥ 1），大于 1 时为加权 A*
+ * @param {number} [options.minCost=1] - 边权重相对距离的最小系数（如费用区域的最小代价系数），启发值按它缩小以保持可采纳
+ * @param {Function} [options.connect] - 连接段判断函数 (p, q) => boolean，p 为起点或终点，q 为吸附点，
+ *        返回 false 表示连接段不可通行（如穿过墙体）
+ * @returns {Object} 结果 { ok, path?, cost?, legs?, expanded, error? }，path 为 [{ lon, lat }]，
+ *          cost 为沿线网的权重与两端连接段长度之和（米），legs 为两端连接段的长度 [起点侧, 终点侧]；
+ *          error 为 "no-network"（线网没有边）、"snap-blocked"（连接段都不可通行）或 "no-path"
+ */
+export function networkPath(net, start, end, options = {}) {
+  const distance =
+    options.distance ?? ((p, q) => Math.hypot(p[0] - q[0], p[1] - q[1]));
+  const weight = Math.max(1, Number(options.weight) || 1);
+  const minCost = Math.min(1, Math.max(0, options.minCost ?? 1));
+  const { coords, offsets, targets, weights } = net.network;
+  if (!net.from.length) return { ok: false, error: "no-network", expanded: 0 };
+  const { connect } = options;
+  const from = snapToNetwork(
+    net,
+    start[0],
+    start[1],
+    connect && ((q) => connect(start, q)),
+  );
+  const to = snapToNetwork(
+    net,
+    end[0],
+    end[1],
+    connect && ((q) => connect(end, q)),
+  );
+  if (!from || !to) return { ok: false, error: "snap-blocked", expanded: 0 };
+
+  // 虚拟节点：n 为起点吸附点，n + 1 为终点吸附点
+  const n = offsets.length - 1;
+  const START = n;
+  const GOAL = n + 1;
+  const point = (i) =>
+    i === START
+      ? from.point
+      : i === GOAL
+        ? to.point
+        : [coords[i * 2], coords[i * 2 + 1]];
+  // 吸附点所在边拆成的两段 [端点, 权重]
+  const split = (snap) => [
+    [net.from[snap.edge], net.weight[snap.edge] * snap.t],
+    [net.to[snap.edge], net.weight[snap.edge] * (1 - snap.t)],
+  ];
+  const goalLinks = new Map(split(to));
+  const neighbours = (i, visit) => {
+    if (i === START) {
+      for (const [j, w] of split(from)) visit(j, w);
+      // 起终点吸附在同一条边上时可沿这条边直达
+      if (from.edge === to.edge) {
+        visit(GOAL, net.weight[from.edge] * Math.abs(from.t - to.t));
+      }
+      return;
+    }
+    for (let e = offsets[i]; e < offsets[i + 1]; e++) {
+      visit(targets[e], weights[e]);
+    }
+    if (goalLinks.has(i)) visit(GOAL, goalLinks.get(i));
+  };
+
+  const g = new Float64Array(n + 2).fill(Infinity);
+  const came = new Int32Array(n + 2).fill(-1);
+  const closed = new Uint8Array(n + 2);
+  const open = createIndexedHeap(n + 2);
+  const goal = to.point;
+  const h = (p) => weight * minCost * distance(p, goal);
+  g[START] = 0;
+  open.push(START, h(from.point));
+  let expanded = 0;
+  while (open.size() > 0) {
+    const cur = open.pop();
+    closed[cur] = 1;
+    expanded++;
+    if (cur === GOAL) break;
+    neighbours(cur, (next, w) => {
+      if (closed[next]) return;
+      const tentative = g[cur] + w;
+      if (tentative >= g[next]) return;
+      g[next] = tentative;
+      came[next] = cur;
+      open.push(next, tentative + h(point(next)));
+    });
+  }
+  if (g[GOAL] === Infinity) return { ok: false, error: "no-path", expanded };
+
+  const points = [end];
+  for (let cur = GOAL; cur !== -1; cur = came[cur]) points.push(point(cur));
+  points.push(start);
+  points.reverse();
+  // 起终点正好在线上或吸附点与端点重合时去掉重复点
+  const path = [];
+  for (const [lon, lat] of points) {
+    const last = path[path.length - 1];
+    if (!last || last.lon !== lon || last.lat !== lat) path.push({ lon, lat });
+  }
+  const legs = [distance(start, from.point), distance(to.point, end)];
+  return { ok: true, path, cost: g[GOAL] + legs[0] + legs[1], legs, expanded };
+}
@@ -0,0 +1,96 @@
+import { describe, expect, it } from "vitest";
+import {
+  createNetworkIndex,
+  networkFromGraph,
+  networkPath,
+} from "./network.js";
+
+/** 边长 100 的正方形环线，节点按逆时针编号 */
+function squareLoop() {
+  const nodes = [
+    [0, 0],
+    [100, 0],
+    [100, 100],
+    [0, 100],
+  ].map(([lon, lat], id) => ({ id, lon, lat }));
+  const adjacency = nodes.map(() => []);
+  for (let i = 0; i < 4; i++) {
+    const j = (i + 1) % 4;
+    adjacency[i].push({ to: j, w: 100 });
+    adjacency[j].push({ to: i, w: 100 });
+  }
+  return createNetworkIndex(networkFromGraph({ nodes, adjacency }));
+}
+
+const coords = (result) => result.path.map((p) => [p.lon, p.lat]);
+
+describe("networkPath", () => {
+  it("起终点吸附到同一条边时沿这条边直达", () => {
+    const result = networkPath(squareLoop(), [20, -5], [80, -5]);
+    expect(result.ok).toBe(true);
+    expect(coords(result)).toEqual([
+      [20, -5],
+      [20, 0],
+      [80, 0],
+      [80, -5],
+    ]);
+    expect(result.legs).toEqual([5, 5]);
+    expect(result.cost).toBeCloseTo(70);
+  });
+
+  it("吸附点把边拆成两段，经端点转到另一条边", () => {
+    const result = networkPath(squareLoop(), [50, -5], [105, 50]);
+    expect(result.ok).toBe(true);
+    expect(coords(result)).toEqual([
+      [50, -5],
+      [50, 0],
+      [100, 0],
+      [100, 50],
+      [105, 50],
+    ]);
+    // 线网上 50 + 50，两端连接段各 5
+    expect(result.cost).toBeCloseTo(110);
+  });
+
+  it("起点正好在线上时不重复路径点", () => {
+    const result = networkPath(squareLoop(), [30, 0], [100, 40]);
+    expect(coords(result)).toEqual([
+      [30, 0],
+      [100, 0],
+      [100, 40],
+    ]);
+    expect(result.legs).toEqual([0, 0]);
+    expect(result.cost).toBeCloseTo(110);
+  });
+
+  it("连接段被阻挡时吸附到次近的边", () => {
+    // y = 5 处有一道墙，起点不能直接连到底边
+    const connect = (p, q) => (p[1] - 5) * (q[1] - 5) > 0;
+    const result = networkPath(squareLoop(), [40, 10], [60, -5], { connect });
+    expect(result.ok).toBe(true);
+    expect(coords(result)).toEqual([
+      [40, 10],
+      [0, 10],
+      [0, 0],
+      [60, 0],
+      [60, -5],
+    ]);
+    expect(result.legs).toEqual([40, 5]);
+    expect(result.cost).toBeCloseTo(115);
+  });
+
+  it("连接段都被阻挡时返回 snap-blocked", () => {
+    const result = networkPath(squareLoop(), [40, 10], [60, -5], {
+      connect: () => false,
+    });
+    expect(result).toMatchObject({ ok: false, error: "snap-blocked" });
+  });
+
+  it("线网没有边时返回 no-network", () => {
+    const net = createNetworkIndex(
+      networkFromGraph({ nodes: [{ id: 0, lon: 0, lat: 0 }], adjacency: [[]] }),
+    );
+    const result = networkPath(net, [0, 0], [1, 1]);
+    expect(result).toMatchObject({ ok: false, error: "no-network" });
+  });
+});
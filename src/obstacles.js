@@ -9,11 +9,23 @@
  * 2. 判断点是否在障碍物内部（不可通行区域）
  * 3. 判断路径线段是否穿过障碍物
  * 4. 支持障碍图构建中的可通行性分析
+ * 5. 按分类规则提取墙体线段
+ * 6. 将围合成封闭环的障碍物线段构造为障碍物多边形
+ * 7. 借助空间索引（见 spatialIndex.js）判断点或线段与障碍物、墙体的关系，避免线性扫描
  *
  * 坐标系统：使用经纬度坐标 [longitude, latitude]
  * 多边形表示：多边形由环(rings)组成，每个环是[lon, lat]坐标数组
  */
 
+import {
+  classifyFeature,
+  isBlockingAreaRole,
+  isBlockingLineRole,
+} from "./classify.js";
+import { createDistanceFn, metersToCoordUnits } from "./geo.js";
+import { polygonize } from "./topology.js";
+import { searchBBox, nearest, someAlongSegment } from "./spatialIndex.js";
+
 /**
  * 从GeoJSON数据中提取障碍物多边形
  * 这是障碍图构建的核心步骤，用于识别不可通行的区域
@@ -21,9 +33,16 @@
  * @param {Object} geojson - GeoJSON格式的数据，包含features数组
  * @param {Object} options - 可选配置项
  * @param {Function} options.isObstacle - 自定义障碍物判断函数，接收feature参数，返回boolean
+ * @param {Object} options.rules - 分类规则集（见 classify.js），未提供 isObstacle 时使用
+ * @param {Object|boolean} [options.polygonize] - 是否将障碍物线要素围合的封闭环构造为多边形，
+ *        传入对象时作为 polygonize 的选项（minArea、solid 等，见 topology.js）
+ * @param {number} [options.polygonize.wallMaxArea=0] - 大于 0 时墙体线要素围合的封闭面也构造为障碍物，
+ *        只保留面积不超过该值（平方米）的面（柱子、管井等），整间房间不会被当作障碍物
+ * @param {Object} [options.crs] - 坐标系统（见 geo.js），用于把 wallMaxArea 换算为坐标单位
  * @returns {Array} 障碍物多边形数组，每个障碍物是一个多边形环数组
  *
- * 障碍物识别标准：
+ * 障碍物识别标准（默认规则集）：
+ * - 分类规则将要素归为 obstacle 或 furniture 角色
  * - properties.walkable === false
  * - properties.blocked === true
  * - properties.type === 'obstacle' (不区分大小写)
@@ -31,14 +50,33 @@
  */
 export function extractObstaclesFromGeoJSON(geojson, options = {}) {
   const features = geojson?.features ?? [];
-  const isObstacle = options.isObstacle ?? defaultObstacleClassifier;
+  const isObstacle =
+    options.isObstacle ?? ((f) => defaultObstacleClassifier(f, options.rules));
   const obstacles = [];
+  const polygonizeOptions =
+    typeof options.polygonize === "object" ? options.polygonize : {};
+  const wallMaxArea = options.polygonize
+    ? Number(polygonizeOptions.wallMaxArea) || 0
+    : 0;
+  // 障碍物线要素与墙体线要素的线段，用于构造封闭面
+  const obstacleLines = [];
+  const wallLines = [];
 
   // 遍历所有特征，提取符合条件的障碍物多边形
   for (const f of features) {
     if (!f || !f.geometry) continue;
-    if (!isObstacle(f)) continue;
     const g = f.geometry;
+    if (!isObstacle(f)) {
+      if (
+        wallMaxArea > 0 &&
+        classifyFeature(f, options.rules).role === "wall"
+      ) {
+        pushLineGeometry(g, wallLines);
+      }
+      continue;
+    }
+
+    if (options.polygonize) pushLineGeometry(g, obstacleLines);
 
     // 处理单个多边形
     if (g.type === "Polygon") {
@@ -53,25 +91,88 @@ export function extractObstaclesFromGeoJSON(geojson, options = {}) {
       }
     }
   }
+
+  if (options.polygonize && obstacleLines.length) {
+    obstacles.push(...polygonize(obstacleLines, polygonizeOptions));
+  }
+  if (wallLines.length) {
+    const side = metersToCoordUnits(
+      Math.sqrt(wallMaxArea),
+      createDistanceFn(options.crs),
+      wallLines[0][0],
+    );
+    obstacles.push(
+      ...polygonize(wallLines, { ...polygonizeOptions, maxArea: side * side }),
+    );
+  }
   return obstacles;
 }
 
+/**
+ * 将线要素几何（LineString / MultiLineString）拆分为线段并追加到数组，其他几何忽略
+ *
+ * @param {Object} g - GeoJSON 几何
+ * @param {Array} out - 输出线段数组
+ */
+function pushLineGeometry(g, out) {
+  if (g.type === "LineString") pushLineSegments(g.coordinates, out);
+  else if (g.type === "MultiLineString") {
+    for (const line of g.coordinates || []) pushLineSegments(line, out);
+  }
+}
+
+/**
+ * 将折线坐标拆分为线段并追加到数组
+ *
+ * @param {Array} coords - 折线坐标数组
+ * @param {Array} out - 输出线段数组
+ */
+function pushLineSegments(coords, out) {
+  for (let i = 0; i < (coords || []).length - 1; i++) {
+    out.push([coords[i], coords[i + 1]]);
+  }
+}
+
 /**
  * 默认的障碍物分类器
- * 根据特征的属性判断是否为障碍物
+ * 根据分类规则集判断要素是否为障碍物，未命中规则时兼容旧的障碍物标志属性
  *
  * @param {Object} f - GeoJSON特征对象
+ * @param {Object} [rules] - 分类规则集
  * @returns {boolean} 如果是障碍物返回true，否则返回false
  */
-function defaultObstacleClassifier(f) {
-  const p = f?.properties || {};
-  const type = String(p.type || "").toLowerCase();
-  return (
-    p.walkable === false ||
-    p.blocked === true ||
-    p.obstacle === true ||
-    type === "obstacle"
-  );
+function defaultObstacleClassifier(f, rules) {
+  return isBlockingAreaRole(classifyFeature(f, rules).role);
+}
+
+/**
+ * 从GeoJSON数据中提取墙体线段
+ * 只有分类角色会阻挡通行的线要素（墙、窗、家具等）才作为墙体
+ *
+ * @param {Object} geojson - GeoJSON格式的数据，包含features数组
+ * @param {Object} [options={}] - 可选配置项
+ * @param {Object} [options.rules] - 分类规则集（见 classify.js）
+ * @returns {Array} 墙体线段数组，每条线段是 [[lon, lat], [lon, lat]]
+ */
+export function buildWallSegments(geojson, options = {}) {
+  const segs = [];
+  const features = geojson?.features || [];
+  for (const f of features) {
+    const g = f?.geometry;
+    if (!g) continue;
+    if (!isBlockingLineRole(classifyFeature(f, options.rules).role)) continue;
+    if (g.type === "LineString") {
+      const coords = g.coordinates || [];
+      for (let i = 0; i < coords.length - 1; i++)
+        segs.push([coords[i], coords[i + 1]]);
+    } else if (g.type === "MultiLineString") {
+      for (const line of g.coordinates || []) {
+        for (let i = 0; i < line.length - 1; i++)
+          segs.push([line[i], line[i + 1]]);
+      }
+    }
+  }
+  return segs;
 }
 
 /**
@@ -244,6 +345,25 @@ function onSegment(ax, ay, cx, cy, bx, by) {
   );
 }
 
+/**
+ * 点到线段的距离（坐标单位）
+ */
+function pointSegmentDistance(px, py, ax, ay, bx, by) {
+  const vx = bx - ax;
+  const vy = by - ay;
+  const c2 = vx * vx + vy * vy || 1e-12;
+  const t = Math.max(0, Math.min(1, ((px - ax) * vx + (py - ay) * vy) / c2));
+  return Math.hypot(px - (ax + t * vx), py - (ay + t * vy));
+}
+
+/**
+ * 范围内的候选条目：有索引时查询索引，否则返回全部下标
+ */
+function candidatesInBox(items, index, minX, minY, maxX, maxY) {
+  if (index) return searchBBox(index, minX, minY, maxX, maxY);
+  return (items || []).map((_, i) => i);
+}
+
 /**
  * 判断路径线段是否穿过任何障碍物
  * 障碍图构建的关键函数，用于快速筛选可通行的路径边
@@ -251,11 +371,70 @@ function onSegment(ax, ay, cx, cy, bx, by) {
  * @param {Array} a - 路径起点坐标 [lon, lat]
  * @param {Array} b - 路径终点坐标 [lon, lat]
  * @param {Array} obstacles - 障碍物多边形数组
+ * @param {Object} [index] - 障碍物的空间索引（spatialIndex.js 的 indexPolygons），提供时只检查包围盒与线段相交的障碍物
  * @returns {boolean} 如果路径穿过任何障碍物（不可通行）返回true，否则返回false
  */
-export function segmentIntersectsAnyObstacle(a, b, obstacles) {
-  for (const poly of obstacles || []) {
-    if (segmentIntersectsPolygon(a, b, poly)) return true;
+export function segmentIntersectsAnyObstacle(a, b, obstacles, index) {
+  const hits = (i) => segmentIntersectsPolygon(a, b, obstacles[i]);
+  if (index) return someAlongSegment(index, a[0], a[1], b[0], b[1], hits);
+  return (obstacles || []).some((_, i) => hits(i));
+}
+
+/**
+ * 判断点是否在任何障碍物内部
+ *
+ * @param {number} lon - 点的经度（或 x）
+ * @param {number} lat - 点的纬度（或 y）
+ * @param {Array} obstacles - 障碍物多边形数组
+ * @param {Object} [index] - 障碍物的空间索引（indexPolygons）
+ * @returns {boolean} 点在某个障碍物内部返回 true
+ */
+export function pointInAnyObstacle(lon, lat, obstacles, index) {
+  for (const i of candidatesInBox(obstacles, index, lon, lat, lon, lat)) {
+    if (pointInPolygon(lon, lat, obstacles[i])) return true;
   }
   return false;
 }
+
+/**
+ * 判断线段是否与任何墙体线段相交（含端点接触与共线重叠）
+ *
+ * @param {Array} a - 线段起点 [x, y]
+ * @param {Array} b - 线段终点 [x, y]
+ * @param {Array} walls - 墙体线段数组，每条线段是 [[x, y], [x, y]]
+ * @param {Object} [index] - 墙体的空间索引（spatialIndex.js 的 indexSegments）
+ * @returns {boolean} 相交返回 true
+ */
+export function segmentIntersectsAnyWall(a, b, walls, index) {
+  const hits = (i) => {
+    const [c, d] = walls[i];
+    return segmentsIntersect(a[0], a[1], b[0], b[1], c[0], c[1], d[0], d[1]);
+  };
+  if (index) return someAlongSegment(index, a[0], a[1], b[0], b[1], hits);
+  return (walls || []).some((_, i) => hits(i));
+}
+
+/**
+ * 判断点是否落在任何墙体线段的容差范围内
+ *
+ * @param {number} lon - 点的经度（或 x）
+ * @param {number} lat - 点的纬度（或 y）
+ * @param {Array} walls - 墙体线段数组
+ * @param {number} eps - 容差（坐标单位）
+ * @param {Object} [index] - 墙体的空间索引（indexSegments）
+ * @returns {boolean} 点到某条墙体的距离不超过 eps 时返回 true
+ */
+export function pointNearAnyWall(lon, lat, walls, eps, index) {
+  const distanceTo = (i) => {
+    const [a, b] = walls[i];
+    return pointSegmentDistance(lon, lat, a[0], a[1], b[0], b[1]);
+  };
+  if (index) {
+    const hit = nearest(index, lon, lat, 1, {
+      maxDistance: eps,
+      itemDistance: distanceTo,
+    });
+    return hit.length > 0;
+  }
+  return (walls || []).some((_, i) => distanceTo(i) <= eps);
+}
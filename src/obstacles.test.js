@@ -0,0 +1,71 @@
+import { describe, expect, it } from "vitest";
+import { extractObstaclesFromGeoJSON } from "./obstacles.js";
+
+/** 由四条独立 LINE 组成的正方形 */
+function squareLines(x, y, size, properties = {}) {
+  const c = [
+    [x, y],
+    [x + size, y],
+    [x + size, y + size],
+    [x, y + size],
+  ];
+  return c.map((p, i) => ({
+    type: "Feature",
+    properties,
+    geometry: { type: "LineString", coordinates: [p, c[(i + 1) % 4]] },
+  }));
+}
+
+describe("extractObstaclesFromGeoJSON 线段构面", () => {
+  // 20×20 的房间内有两根 1×1 的柱子，默认规则下都是墙体
+  const geojson = {
+    type: "FeatureCollection",
+    features: [
+      ...squareLines(0, 0, 20),
+      ...squareLines(5, 5, 1),
+      ...squareLines(10, 10, 1),
+    ],
+  };
+
+  it("墙体环不超过最大面积时构造为障碍物，房间本身不是障碍物", () => {
+    const obstacles = extractObstaclesFromGeoJSON(geojson, {
+      polygonize: { wallMaxArea: 4 },
+      crs: { mode: "planar", unit: "m" },
+    });
+    expect(obstacles).toHaveLength(2);
+    for (const rings of obstacles) expect(rings).toHaveLength(1);
+  });
+
+  it("墙体环最大面积按坐标系统换算为平方米", () => {
+    // 毫米图纸中 1×1 的环只有 1 平方毫米，20×20 的房间也远小于 4 平方米
+    expect(
+      extractObstaclesFromGeoJSON(geojson, {
+        polygonize: { wallMaxArea: 4 },
+        crs: { mode: "planar", unit: "mm" },
+      }),
+    ).toHaveLength(1);
+    expect(
+      extractObstaclesFromGeoJSON(geojson, {
+        polygonize: { wallMaxArea: 1e-4 },
+        crs: { mode: "planar", unit: "mm" },
+      }),
+    ).toHaveLength(2);
+  });
+
+  it("未设置墙体环最大面积时不处理墙体", () => {
+    expect(extractObstaclesFromGeoJSON(geojson, { polygonize: true })).toEqual(
+      [],
+    );
+  });
+
+  it("障碍物角色的线段环不受墙体最大面积限制", () => {
+    const obstacles = extractObstaclesFromGeoJSON(
+      {
+        type: "FeatureCollection",
+        features: squareLines(0, 0, 20, { type: "obstacle" }),
+      },
+      { polygonize: { wallMaxArea: 4 } },
+    );
+    expect(obstacles).toHaveLength(1);
+  });
+});
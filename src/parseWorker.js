@@ -0,0 +1,100 @@
+import { parseDXF, looksLikeDXF } from "./dxf.js";
+
+/**
+ * 文件解析 Worker
+ *
+ * 在后台线程中读取并解析用户打开的图纸文件（.geojson/.json/.dxf），
+ * 避免大文件解析阻塞主线程。解析过程中通过 progress 消息汇报进度。
+ *
+ * 消息协议：
+ * - 输入：{ file: File }
+ * - 输出：{ type: "progress", stage: "read" | "parse", loaded, total }
+ *         { type: "result", geojson, format }
+ *         { type: "error", error }
+ */
+
+/**
+ * 分块读取文件文本，并在读取过程中汇报进度
+ *
+ * @param {File} file - 待读取的文件
+ * @returns {Promise<string>} 文件文本内容
+ */
+async function readText(file) {
+  const total = file.size;
+  const reader = file.stream().getReader();
+  const decoder = new TextDecoder("utf-8");
+  const parts = [];
+  let loaded = 0;
+  let lastReport = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    loaded += value.byteLength;
+    parts.push(decoder.decode(value, { stream: true }));
+    // 每读取约 1MB 汇报一次进度，避免消息过多
+    if (loaded - lastReport >= 1 << 20 || loaded === total) {
+      lastReport = loaded;
+      self.postMessage({ type: "progress", stage: "read", loaded, total });
+    }
+  }
+  parts.push(decoder.decode());
+  return parts.join("");
+}
+
+/**
+ * 根据文件名与内容判断文件格式
+ *
+ * @param {string} name - 文件名
+ * @param {string} text - 文件文本内容
+ * @returns {"dxf"|"geojson"} 文件格式
+ */
+function detectFormat(name, text) {
+  if (/\.dxf$/i.test(name)) return "dxf";
+  if (/\.(geo)?json$/i.test(name)) return "geojson";
+  return looksLikeDXF(text) ? "dxf" : "geojson";
+}
+
+/**
+ * 校验解析结果是否为可用的 GeoJSON FeatureCollection
+ * 单个 Feature 或几何对象会被包装为 FeatureCollection
+ *
+ * @param {Object} data - JSON 解析结果
+ * @returns {Object} GeoJSON FeatureCollection
+ */
+function toFeatureCollection(data) {
+  if (data?.type === "FeatureCollection" && Array.isArray(data.features)) {
+    return data;
+  }
+  if (data?.type === "Feature") {
+    return { type: "FeatureCollection", features: [data] };
+  }
+  if (data?.type && data.coordinates) {
+    return {
+      type: "FeatureCollection",
+      features: [{ type: "Feature", properties: {}, geometry: data }],
+    };
+  }
+  throw new Error("文件不是有效的 GeoJSON");
+}
+
+self.onmessage = async (ev) => {
+  const { file } = ev.data;
+  try {
+    const text = await readText(file);
+    const format = detectFormat(file.name, text);
+    self.postMessage({
+      type: "progress",
+      stage: "parse",
+      loaded: file.size,
+      total: file.size,
+    });
+    const geojson =
+      format === "dxf"
+        ? parseDXF(text, { name: file.name.replace(/\.[^.]+$/, "") })
+        : toFeatureCollection(JSON.parse(text));
+    self.postMessage({ type: "result", geojson, format });
+  } catch (e) {
+    console.error("文件解析错误:", e);
+    self.postMessage({ type: "error", error: String((e && e.message) || e) });
+  }
+};
@@ -1,4 +1,65 @@
-import { pointInPolygon, segmentIntersectsPolygon } from "./obstacles.js";
+import {
+  pointInAnyObstacle,
+  pointNearAnyWall,
+  segmentIntersectsAnyObstacle,
+  segmentIntersectsAnyWall,
+} from "./obstacles.js";
+import {
+  indexPoints,
+  indexSegments,
+  indexPolygons,
+  nearest,
+} from "./spatialIndex.js";
+import { createDistanceFn, metersToCoordUnits, pathLength } from "./geo.js";
+import { planMultiLevelRoute } from "./levels.js";
+import { solveTour } from "./tour.js";
+import { corridorNodes, pathOverlap } from "./alternatives.js";
+import { decodeRoutingMap } from "./graphBinary.js";
+import { createIndexedHeap } from "./priorityQueue.js";
+import { createVisibilityMap, visibilityPath } from "./visibility.js";
+import { createNavMesh, navMeshPath } from "./navmesh.js";
+import { createNetworkIndex, networkPath } from "./network.js";
+import {
+  createHierarchicalGrid,
+  gridDistanceField,
+  hierarchicalPath,
+  nearestHierarchicalNode,
+} from "./hpa.js";
+import {
+  createZoneIndex,
+  mergeZoneSummaries,
+  segmentCostFactor,
+  summarizePathZones,
+  zoneAt,
+} from "./costZones.js";
+import {
+  createClearanceField,
+  pathClearances,
+  pointClearance,
+  segmentClearance,
+} from "./clearance.js";
+
+/**
+ * 主线程以二进制转移过来的地图，键 → { obstacles, walls, zones, bboxNodes, network }
+ * 主线程每张地图只转移一次，之后的请求只发送键
+ */
+const loadedMaps = new Map();
+
+/**
+ * 解析消息中的地图：{ key, binary?, release? } 为二进制引用（release 为可以释放的旧地图键），
+ * 否则直接包含 obstacles、walls、bboxNodes 与可选的 zones、network
+ * @param {Object} map - 消息中的地图
+ * @returns {Object} { obstacles, walls, zones?, bboxNodes, network? }，zones 为费用区域（见 costZones.js），
+ *          network 为线网模式使用的 CSR 线网
+ */
+function resolveMap(map) {
+  if (map?.key === undefined) return map;
+  if (map.release !== undefined) loadedMaps.delete(map.release);
+  if (map.binary) loadedMaps.set(map.key, decodeRoutingMap(map.binary));
+  const loaded = loadedMaps.get(map.key);
+  if (!loaded) throw new Error(`地图 ${map.key} 尚未加载`);
+  return loaded;
+}
 
 /**
  * 网格配置参数
@@ -31,72 +92,6 @@ const BASE_COLS = 60;
  */
 const BASE_RESOLUTION = 0.0001;
 
-/**
- * 计算三个点的转向方向（叉积法）
- * 用于判断线段相交关系和路径规划中的障碍物检测
- * @param {number} ax - 第一个点的x坐标
- * @param {number} ay - 第一个点的y坐标
- * @param {number} bx - 第二个点的x坐标
- * @param {number} by - 第二个点的y坐标
- * @param {number} cx - 第三个点的x坐标
- * @param {number} cy - 第三个点的y坐标
- * @returns {number} 0表示共线，1表示逆时针方向，-1表示顺时针方向
- */
-function orientation(ax, ay, bx, by, cx, cy) {
-  // 计算向量叉积：(B - A) × (C - B)
-  const val = (by - ay) * (cx - bx) - (bx - ax) * (cy - by);
-  // 考虑浮点精度问题，设置一个很小的阈值判断是否共线
-  if (Math.abs(val) < 1e-12) return 0;
-  // 根据叉积符号返回转向方向
-  return val > 0 ? 1 : -1;
-}
-function onSegment(ax, ay, cx, cy, bx, by) {
-  return (
-    Math.min(ax, bx) - 1e-12 <= cx &&
-    cx <= Math.max(ax, bx) + 1e-12 &&
-    Math.min(ay, by) - 1e-12 <= cy &&
-    cy <= Math.max(ay, by) + 1e-12
-  );
-}
-/**
- * 判断两条线段是否相交
- * 使用叉积法检测线段相交关系，包括一般相交和端点在线段上的情况
- * 这是路径规划中检测路径是否穿越障碍物的核心函数
- * @param {number} ax - 第一条线段起点的x坐标
- * @param {number} ay - 第一条线段起点的y坐标
- * @param {number} bx - 第一条线段终点的x坐标
- * @param {number} by - 第一条线段终点的y坐标
- * @param {number} cx - 第二条线段起点的x坐标
- * @param {number} cy - 第二条线段起点的y坐标
- * @param {number} dx - 第二条线段终点的x坐标
- * @param {number} dy - 第二条线段终点的y坐标
- * @returns {boolean} 如果线段相交返回true，否则返回false
- */
-function segmentsIntersect(ax, ay, bx, by, cx, cy, dx, dy) {
-  // 计算各点的转向方向：使用叉积法
-  // o1: 线段AB与点C的转向关系
-  const o1 = orientation(ax, ay, bx, by, cx, cy);
-  // o2: 线段AB与点D的转向关系
-  const o2 = orientation(ax, ay, bx, by, dx, dy);
-  // o3: 线段CD与点A的转向关系
-  const o3 = orientation(cx, cy, dx, dy, ax, ay);
-  // o4: 线段CD与点B的转向关系
-  const o4 = orientation(cx, cy, dx, dy, bx, by);
-
-  // 一般情况：线段相交
-  // 当两条线段的四个转向方向满足交叉条件时，线段一定相交
-  if (o1 !== o2 && o3 !== o4) return true;
-
-  // 特殊情况：点在线段上
-  // 检查端点是否在线段上的情况
-  if (o1 === 0 && onSegment(ax, ay, cx, cy, bx, by)) return true;
-  if (o2 === 0 && onSegment(ax, ay, dx, dy, bx, by)) return true;
-  if (o3 === 0 && onSegment(cx, cy, ax, ay, dx, dy)) return true;
-  if (o4 === 0 && onSegment(cx, cy, bx, by, dx, dy)) return true;
-
-  return false; // 不相交
-}
-
 // 优化版欧几里得距离计算
 function euclid(a, b) {
   const dx = a.lon - b.lon;
@@ -110,59 +105,137 @@ function euclidSquared(a, b) {
   const dy = a.lat - b.lat;
   return dx * dx + dy * dy;
 }
-function bboxIntersects(a, b) {
-  return !(
-    a.minLon > b.maxLon ||
-    a.maxLon < b.minLon ||
-    a.minLat > b.maxLat ||
-    a.maxLat < b.minLat
-  );
-}
 
+// 障碍物与墙体的空间索引按数组缓存；二进制地图的数组常驻 worker，重复请求无需重建
+const metaCache = new WeakMap();
+
+/**
+ * 障碍物多边形及其空间索引
+ * @param {Array} obstacles - 障碍物多边形数组
+ * @returns {{polygons: Array, index: Object}}
+ */
 function buildObstacleMeta(obstacles) {
-  const out = [];
-  for (const rings of obstacles || []) {
-    let mLon = Infinity,
-      mLat = Infinity,
-      xLon = -Infinity,
-      xLat = -Infinity;
-    for (const ring of rings) {
-      for (const [lo, la] of ring) {
-        if (lo < mLon) mLon = lo;
-        if (lo > xLon) xLon = lo;
-        if (la < mLat) mLat = la;
-        if (la > xLat) xLat = la;
-      }
-    }
-    out.push({
-      rings,
-      bbox: { minLon: mLon, minLat: mLat, maxLon: xLon, maxLat: xLat },
-    });
+  const polygons = obstacles || [];
+  if (!metaCache.has(polygons)) {
+    metaCache.set(polygons, { polygons, index: indexPolygons(polygons) });
   }
-  return out;
+  return metaCache.get(polygons);
 }
+
+/**
+ * 墙体线段及其空间索引
+ * @param {Array} walls - 墙体线段数组
+ * @returns {{segments: Array, index: Object}}
+ */
 function buildWallMeta(walls) {
-  const out = [];
-  for (const [a, b] of walls || []) {
-    out.push({
-      a,
-      b,
-      bbox: {
-        minLon: Math.min(a[0], b[0]),
-        maxLon: Math.max(a[0], b[0]),
-        minLat: Math.min(a[1], b[1]),
-        maxLat: Math.max(a[1], b[1]),
-      },
-    });
+  const segments = walls || [];
+  if (!metaCache.has(segments)) {
+    metaCache.set(segments, { segments, index: indexSegments(segments) });
   }
-  return out;
+  return metaCache.get(segments);
+}
+
+// 费用区域的空间索引按区域数组缓存
+const zoneIndexCache = new WeakMap();
+
+/**
+ * 费用区域的空间索引（见 costZones.js 的 createZoneIndex）
+ * @param {Array} [zones] - 费用区域数组
+ * @returns {Object|null} 区域索引，没有费用区域时为 null
+ */
+function zoneIndexFor(zones) {
+  if (!zones?.length) return null;
+  if (!zoneIndexCache.has(zones)) {
+    zoneIndexCache.set(zones, createZoneIndex(zones));
+  }
+  return zoneIndexCache.get(zones);
+}
+
+/**
+ * 路线经过的费用区域与加权代价（见 costZones.js 的 summarizePathZones）
+ * @param {Object} map - 已解析的地图
+ * @param {Array} path - 路线 [{ lon, lat }]
+ * @param {Function} distance - 距离函数
+ * @returns {Object|null} { cost, zones }，地图没有费用区域时为 null
+ */
+function routeZones(map, path, distance) {
+  const zi = zoneIndexFor(map.zones);
+  return zi ? summarizePathZones(zi, path, distance) : null;
+}
+
+// 净距查询的边界索引同样按墙体数组缓存
+const clearanceCache = new WeakMap();
+/** 路径净距的显示上限（米），更远的边界不再查询 */
+const CLEARANCE_DISPLAY_RANGE = 5;
+
+/**
+ * 墙体与障碍物边界的净距查询结构（见 clearance.js）
+ * @param {Array} obstacles - 障碍物多边形数组
+ * @param {Array} walls - 墙体线段数组
+ * @returns {Object} createClearanceField 的结果
+ */
+function clearanceFieldFor(obstacles, walls) {
+  const key = walls || [];
+  let cached = clearanceCache.get(key);
+  if (!cached || cached.obstacles !== obstacles) {
+    cached = { obstacles, field: createClearanceField(obstacles, walls) };
+    clearanceCache.set(key, cached);
+  }
+  return cached.field;
+}
+
+/**
+ * 计算路径每一段的净距（米），供界面沿路径显示
+ * @param {Array} path - 路径点数组 {lon, lat}
+ * @param {Array} obstacles - 障碍物多边形数组
+ * @param {Array} walls - 墙体线段数组
+ * @param {Function} distance - 距离函数（米）
+ * @param {Object} [search] - 搜索选项，显示上限不小于机器人直径
+ * @returns {Array<number|null>} 每段的净距，显示上限内没有墙体和障碍物的段为 null
+ */
+function clearancesOf(path, obstacles, walls, distance, search) {
+  if (!path || path.length < 2) return [];
+  const range = Math.max(
+    CLEARANCE_DISPLAY_RANGE,
+    2 * (Number(search?.radius) || 0),
+  );
+  return pathClearances(
+    clearanceFieldFor(obstacles, walls),
+    path,
+    distance,
+    metersToCoordUnits(range, distance, [path[0].lon, path[0].lat]),
+  );
+}
+
+/**
+ * 把搜索选项中以米为单位的机器人尺寸换算为坐标长度
+ * @param {Object} [search] - 搜索选项 { radius, wallPenalty, penaltyRange }
+ * @param {Function} distance - 距离函数（米）
+ * @param {Array<number>} at - 换算位置 [x, y]
+ * @returns {Object} { radius, wallPenalty, penaltyRange }，radius、penaltyRange 为坐标长度
+ */
+function agentOptions(search, distance, at) {
+  const radius = Math.max(0, Number(search?.radius) || 0);
+  const wallPenalty = Math.max(0, Number(search?.wallPenalty) || 0);
+  const range = Math.max(0, Number(search?.penaltyRange ?? 1) || 0);
+  return {
+    radius: metersToCoordUnits(radius, distance, at),
+    wallPenalty: range > 0 ? wallPenalty : 0,
+    penaltyRange: metersToCoordUnits(range, distance, at),
+  };
 }
 
 /**
  * 构建用于路径规划的网格地图
  * 根据障碍物和边界构建一个二维网格，标记可通行和不可通行区域
- * @param {Object} cfg - 配置对象，包含起点、终点、边界和障碍物信息
- * @returns {Object} 返回网格信息，包含节点、邻接关系、行列数和边界坐标
+ * 设置了机器人半径时，离墙体或障碍物边界不足半径的节点与连线不可通行（障碍物膨胀），
+ * 比机器人窄的缝隙随之封闭；设置了贴墙惩罚时，离边界越近的边权重越大；
+ * 有费用区域时，边权重再乘以连线经过区域的平均代价系数（见 costZones.js）
+ * @param {Object} cfg - 配置对象，包含起点、终点、边界和障碍物信息，
+ *        以及可选的 radius、wallPenalty、penaltyRange（见 agentOptions）、clearanceField 与 zoneIndex（zoneIndexFor 的结果）
+ * @returns {Object} 返回网格信息，包含节点、邻接关系、行列数和边界坐标；
+ *          有贴墙惩罚时 costFactor(i, j) 为两节点间连线的权重系数；
+ *          有费用区域时 zoneFactor(a, b) 为任意两点连线的代价系数，minCost 为最小的代价系数
  */
 function ensureGridLocal(cfg) {
   // 从配置中提取所需的参数
@@ -175,6 +248,9 @@ function ensureGridLocal(cfg) {
     obstaclesMeta,
     wallsMeta,
   } = cfg;
+  // 边权重使用与坐标系统设置一致的距离函数（米），未提供时按坐标欧几里得距离
+  const distance =
+    cfg.distance ?? ((p, q) => Math.hypot(p[0] - q[0], p[1] - q[1]));
 
   // 确定初始网格边界，基于起点和终点坐标
   let minLon = Math.min(startLon, endLon);
@@ -233,48 +309,65 @@ function ensureGridLocal(cfg) {
   const nodes = [];
   const blocked = [];
   const eps = Math.min(cellLon, cellLat) * 0.3;
+  const radius = cfg.radius || 0;
+  const wallPenalty = cfg.wallPenalty || 0;
+  const field = cfg.clearanceField;
+  // 只有设置了半径或贴墙惩罚时才逐节点计算净距
+  const clearance =
+    field && (radius > 0 || wallPenalty > 0)
+      ? new Float64Array((rows + 1) * (cols + 1))
+      : null;
+  const minClearance = Math.max(eps, radius);
   for (let r = 0; r <= rows; r++) {
     for (let c = 0; c <= cols; c++) {
       const lon = minLon + c * cellLon;
       const lat = minLat + r * cellLat;
       const idx = nodes.length;
       nodes.push({ id: idx, lon, lat });
-      let inside = false;
-      for (const om of obstaclesMeta) {
-        if (
-          !bboxIntersects(
-            { minLon: lon, maxLon: lon, minLat: lat, maxLat: lat },
-            om.bbox,
-          )
-        )
-          continue;
-        if (pointInPolygon(lon, lat, om.rings)) {
-          inside = true;
-          break;
-        }
-      }
-      if (!inside) {
-        for (const wm of wallsMeta) {
-          const vx = wm.bbox.maxLon - wm.bbox.minLon;
-          const vy = wm.bbox.maxLat - wm.bbox.minLat;
-          const d = pointSegmentDistance(
+      let inside;
+      if (clearance) {
+        clearance[idx] = pointClearance(
+          field,
+          lon,
+          lat,
+          minClearance + (cfg.penaltyRange || 0),
+        );
+        // 查询上限等于 minClearance 时（惩罚距离为 0）附近没有边界也返回上限，因此用严格小于
+        inside = clearance[idx] < minClearance;
+      } else {
+        inside =
+          pointInAnyObstacle(
             lon,
             lat,
-            wm.a[0],
-            wm.a[1],
-            wm.b[0],
-            wm.b[1],
-          );
-          if (d <= Math.min(cellLon, cellLat) * 0.3) {
-            inside = true;
-            break;
-          }
-        }
+            obstaclesMeta.polygons,
+            obstaclesMeta.index,
+          ) ||
+          pointNearAnyWall(lon, lat, wallsMeta.segments, eps, wallsMeta.index);
       }
       blocked[idx] = inside ? 1 : 0;
     }
   }
 
+  // 费用区域：两端点在同一区域（或都在区域外）时直接取该区域的系数，否则按连线经过的各区域长度加权
+  const zi = cfg.zoneIndex;
+  const nodeZone = zi ? nodes.map((n) => zoneAt(zi, n.lon, n.lat)) : null;
+  const zoneFactor = zi
+    ? (a, b) => segmentCostFactor(zi, [a.lon, a.lat], [b.lon, b.lat])
+    : null;
+  const edgeZoneFactor = (i, j) => {
+    if (nodeZone[i] !== nodeZone[j]) return zoneFactor(nodes[i], nodes[j]);
+    return nodeZone[i] < 0 ? 1 : zi.zones[nodeZone[i]].cost;
+  };
+
+  // 贴墙惩罚：两端点平均净距比半径多出的部分小于 penaltyRange 时，权重按比例最多放大 (1 + wallPenalty) 倍
+  const costFactor =
+    clearance && wallPenalty > 0
+      ? (i, j) => {
+          const spare = (clearance[i] + clearance[j]) / 2 - radius;
+          return 1 + wallPenalty * Math.max(0, 1 - spare / cfg.penaltyRange);
+        }
+      : null;
+
   /**
    * 获取指定网格节点的所有相邻可通行节点
    * 检查八个方向（上下左右及四个对角线）的相邻节点，并过滤出可通行且不穿越障碍物的节点
@@ -317,63 +410,59 @@ function ensureGridLocal(cfg) {
         // 获取邻居节点坐标
         const b = nodes[j];
 
-        // 计算节点间连线的边界框，用于快速排除不相交的障碍物
-        const sb = {
-          minLon: Math.min(a.lon, b.lon),
-          maxLon: Math.max(a.lon, b.lon),
-          minLat: Math.min(a.lat, b.lat),
-          maxLat: Math.max(a.lat, b.lat),
-        };
+        // 有机器人半径时连线离边界也不能小于半径，同时排除了穿墙的连线
+        if (
+          radius > 0 &&
+          segmentClearance(field, [a.lon, a.lat], [b.lon, b.lat], radius) <
+            radius
+        ) {
+          continue;
+        }
 
         // 障碍物碰撞检测：检查节点间连线是否穿过多边形障碍物
-        let crossesPoly = false;
-        for (const om of obstaclesMeta) {
-          if (!bboxIntersects(sb, om.bbox)) continue; // 快速边界框排除
-          if (
-            segmentIntersectsPolygon([a.lon, a.lat], [b.lon, b.lat], om.rings)
-          ) {
-            crossesPoly = true;
-            break;
-          }
-        }
+        const crossesPoly = segmentIntersectsAnyObstacle(
+          [a.lon, a.lat],
+          [b.lon, b.lat],
+          obstaclesMeta.polygons,
+          obstaclesMeta.index,
+        );
 
         // 墙体碰撞检测：检查节点间连线是否与墙体相交
-        let crossesWall = false;
-        if (!crossesPoly) {
-          for (const wm of wallsMeta) {
-            if (!bboxIntersects(sb, wm.bbox)) continue; // 快速边界框排除
-            if (
-              segmentsIntersect(
-                a.lon,
-                a.lat,
-                b.lon,
-                b.lat,
-                wm.a[0],
-                wm.a[1],
-                wm.b[0],
-                wm.b[1],
-              )
-            ) {
-              crossesWall = true;
-              break;
-            }
-          }
-        }
+        const crossesWall =
+          !crossesPoly &&
+          segmentIntersectsAnyWall(
+            [a.lon, a.lat],
+            [b.lon, b.lat],
+            wallsMeta.segments,
+            wallsMeta.index,
+          );
 
         // 如果连线不穿过任何障碍物，则将邻居节点添加到邻接列表
         if (!crossesPoly && !crossesWall) {
           // 计算距离并添加到邻接列表
-          const dx = a.lon - b.lon;
-          const dy = a.lat - b.lat;
-          // 直接计算距离以避免函数调用开销
-          const distance = Math.hypot(dx, dy);
-          list.push({ to: j, w: distance });
+          let w = distance([a.lon, a.lat], [b.lon, b.lat]);
+          if (costFactor) w *= costFactor(idx, j);
+          if (zi) w *= edgeZoneFactor(idx, j);
+          list.push({ to: j, w });
         }
       }
       adjacency[idx] = list;
     }
   }
-  return { nodes, adjacency, cols, rows, minLon, minLat, cellLon, cellLat };
+  return {
+    nodes,
+    adjacency,
+    cols,
+    rows,
+    minLon,
+    minLat,
+    cellLon,
+    cellLat,
+    distance,
+    costFactor,
+    zoneFactor,
+    minCost: zi ? zi.minCost : 1,
+  };
 }
 
 // 优化版点到线段距离计算
@@ -430,9 +519,11 @@ function pointSegmentDistanceSquared(px, py, ax, ay, bx, by) {
  * @param {Object} grid - 网格对象，包含节点信息、邻接关系和网格参数
  * @param {number} lon - 目标经度坐标
  * @param {number} lat - 目标纬度坐标
+ * @param {Function} [visible] - 节点可见性判断 (node) => boolean，提供时只选择与目标点视线可达的节点，
+ *        使起终点与网格的连线不穿墙
  * @returns {number} 返回最近可通行节点的索引，如果整个网格中没有可通行节点则返回-1
  */
-function nearestFreeGridIndex(grid, lon, lat) {
+function nearestFreeGridIndex(grid, lon, lat, visible) {
   // 第一步：将地理坐标快速转换为对应的网格坐标
   // 通过简单的除法运算，计算出给定坐标在网格中的大致行列位置
   const col = Math.floor((lon - grid.minLon) / grid.cellLon);
@@ -484,8 +575,8 @@ function nearestFreeGridIndex(grid, lon, lat) {
       const dy = node.lat - lat;
       const distanceSquared = dx * dx + dy * dy; // 平方距离用于比较
 
-      // 更新最近节点信息
-      if (distanceSquared < bestDistance) {
+      // 更新最近节点信息，只对更近的节点做视线判断
+      if (distanceSquared < bestDistance && (!visible || visible(node))) {
         bestDistance = distanceSquared;
         bestNodeIndex = nodeIndex;
       }
@@ -494,198 +585,179 @@ function nearestFreeGridIndex(grid, lon, lat) {
 
   // 第二阶段：全局搜索 - 如果局部搜索未找到合适节点，扩大搜索范围
   // 这是回退机制，确保在复杂或边缘情况下仍然能找到解决方案
+  // 网格节点的空间索引在首次回退时构建并缓存在网格对象上
   if (bestNodeIndex === -1) {
-    // 遍历整个网格中的所有节点
-    for (let i = 0; i < grid.nodes.length; i++) {
-      const node = grid.nodes[i];
-
-      // 可通行性检查
-      const adjacentNodes = grid.adjacency[i];
-      if (!adjacentNodes || adjacentNodes.length === 0) {
-        continue;
-      }
-
-      // 计算欧几里得距离平方
-      const dx = node.lon - lon;
-      const dy = node.lat - lat;
-      const distanceSquared = dx * dx + dy * dy;
-
-      // 更新最近节点信息
-      if (distanceSquared < bestDistance) {
-        bestDistance = distanceSquared;
-        bestNodeIndex = i;
-      }
-    }
+    if (!grid.nodeIndex) grid.nodeIndex = indexPoints(grid.nodes);
+    const [found] = nearest(grid.nodeIndex, lon, lat, 1, {
+      // 可通行性检查：节点必须有邻接节点（且视线可达）
+      filter: (i) =>
+        grid.adjacency[i]?.length > 0 && (!visible || visible(grid.nodes[i])),
+    });
+    if (found !== undefined) bestNodeIndex = found;
   }
 
   // 返回找到的最近可通行节点索引，如果没有找到则返回-1
   return bestNodeIndex;
 }
 
+/**
+ * 八方向网格的启发函数（octile 距离）
+ * 任何路径至少要跨过 |Δ列| 列和 |Δ行| 行，对角边同时跨一列一行，
+ * 因此按最短的单元格边长估算不会高估剩余距离（可采纳且一致）
+ *
+ * @param {Object} grid - 网格对象
+ * @param {number} goalIdx - 目标节点索引
+ * @returns {Function} (i) => 节点 i 到目标的估计距离（米）
+ */
+function octileHeuristic(grid, goalIdx) {
+  const { cols, rows, minLon, minLat, cellLon, cellLat, distance } = grid;
+  const maxLat = minLat + rows * cellLat;
+  // 经纬度网格的单元格宽度随纬度变化，取上下两边中较短的一条
+  const cw = Math.min(
+    distance([minLon, minLat], [minLon + cellLon, minLat]),
+    distance([minLon, maxLat], [minLon + cellLon, maxLat]),
+  );
+  const ch = distance([minLon, minLat], [minLon, minLat + cellLat]);
+  const diag = Math.hypot(cw, ch);
+  const stride = cols + 1;
+  const gr = Math.floor(goalIdx / stride);
+  const gc = goalIdx % stride;
+  return (i) => {
+    const dr = Math.abs(Math.floor(i / stride) - gr);
+    const dc = Math.abs((i % stride) - gc);
+    const m = Math.min(dr, dc);
+    return m * diag + (dc - m) * cw + (dr - m) * ch;
+  };
+}
+
 /**
  * A*路径搜索算法的核心实现
- * 在网格地图上寻找从起始点到目标点的最短路径，使用启发式函数进行优化搜索
- * 此实现包含多项性能优化和容错机制，适用于复杂地形和大规模地图
+ * 在网格地图上寻找从起始点到目标点的最短路径，开放列表为索引二叉堆（见 priorityQueue.js）
+ *
+ * 启发函数可选 octile（默认，八方向网格上更紧的下界）或 euclidean（直线距离），两者都可采纳，
+ * weight 为 1 时保证路径最短；weight > 1 为加权 A*，f = g + weight·h，
+ * 以最多 weight 倍的路径长度换取更少的节点扩展
+ *
+ * 提供 lineOfSight 时按 Theta* 搜索：松弛邻居时若当前节点的父节点与邻居视线可达，
+ * 邻居直接以该父节点为父节点，路径的转折点不局限于八个方向；此时启发函数固定为直线距离
  *
  * @param {Object} grid - 网格对象，包含节点和邻接关系信息
  * @param {number} startIdx - 起始点在网格中的索引
  * @param {number} goalIdx - 目标点在网格中的索引
- * @returns {Array|null} 返回路径节点数组，包含连续的路径坐标点；若无法找到路径则返回null
+ * @param {Object} [options={}] - 搜索选项
+ * @param {string} [options.heuristic="octile"] - 启发函数："octile" 或 "euclidean"
+ * @param {number} [options.weight=1] - 启发函数权重（≥ 1）
+ * @param {Function} [options.lineOfSight] - 视线判断函数 (a, b) => boolean，a、b 为网格节点
+ * @param {Float64Array} [options.penalty] - 节点加价比例，连线权重乘以 1 + 两端点加价的平均值（备选路线）
+ * @returns {{path: Array|null, expanded: number}} 路径节点数组（无法找到路径时为 null）与扩展的节点数
  */
-function aStarGrid(grid, startIdx, goalIdx) {
-  // 从网格对象中提取必要的数据结构
-  const nodes = grid.nodes; // 所有网格节点的坐标信息
-  const adj = grid.adjacency; // 邻接关系列表，表示节点间的连通性和权重
-
-  // 初始化数据结构，使用更高效的存储方式
-  // 开放列表：使用Map存储待探索的节点，键为节点ID，值为f值
-  // 这种结构便于快速查找和删除操作，提高开放列表管理效率
-  const open = new Map();
-
-  // 前驱节点映射：记录每个节点是从哪个节点访问而来，用于路径重建
-  const came = new Map();
-
-  // 距离数组：使用数组而非Map存储g值（从起点到当前节点的实际距离）
-  // 数组提供O(1)的访问速度，明显优于Map的查找性能
-  const g = new Array(nodes.length).fill(Infinity);
-
-  // 启发式函数值数组：存储每个节点到目标节点的估计距离
-  const h = new Array(nodes.length);
-
-  // 预计算所有节点的启发式函数值（使用距离平方，避免开方）
-  // 注意：由于A*算法中我们只关心f值的相对大小，使用距离平方作为启发式函数仍然能保证算法最优性
-  const goalNode = nodes[goalIdx];
-  const goalLon = goalNode.lon;
-  const goalLat = goalNode.lat;
-
-  // 批量预计算，减少属性查找次数
-  for (let i = 0; i < nodes.length; i++) {
-    const node = nodes[i];
-    const dx = node.lon - goalLon;
-    const dy = node.lat - goalLat;
-    h[i] = dx * dx + dy * dy; // 使用距离平方作为启发式函数值
+function aStarGrid(grid, startIdx, goalIdx, options = {}) {
+  const nodes = grid.nodes;
+  const adj = grid.adjacency;
+  const n = nodes.length;
+  const weight = Math.max(1, Number(options.weight) || 1);
+  const lineOfSight = options.lineOfSight;
+  const distance = (a, b) => grid.distance([a.lon, a.lat], [b.lon, b.lat]);
+  const penalty = options.penalty;
+  const extra = (i, j) => (penalty ? 1 + (penalty[i] + penalty[j]) / 2 : 1);
+
+  // 启发值与边权重使用同一个距离函数（米），单位一致
+  // 任意角度的路径可能比八方向距离更短，Theta* 只能使用直线距离
+  let h;
+  if (options.heuristic === "euclidean" || lineOfSight) {
+    const goalNode = nodes[goalIdx];
+    const goal = [goalNode.lon, goalNode.lat];
+    h = (i) => grid.distance([nodes[i].lon, nodes[i].lat], goal);
+  } else {
+    h = octileHeuristic(grid, goalIdx);
   }
-
-  // 初始化起点节点
-  // 起点到自身的距离为0，初始f值等于启发式估计值
-  open.set(startIdx, h[startIdx]);
-  g[startIdx] = 0;
-
-  /**
-   * 从开放列表中选择f值最小的节点
-   * 这是A*算法的核心操作，决定了搜索方向的优先级
-   *
-   * @returns {number|null} 返回f值最小的节点ID，如果开放列表为空则返回null
-   */
-  function popLowest() {
-    let bestNode = null;
-    let bestF = Infinity;
-
-    // 使用迭代器遍历Map，性能优于for...of循环
-    const entries = open.entries();
-    for (const [node, fScore] of entries) {
-      if (fScore < bestF) {
-        bestF = fScore;
-        bestNode = node;
-      }
-    }
-
-    // 找到最优节点后从开放列表中移除
-    if (bestNode !== null) {
-      open.delete(bestNode);
-    }
-    return bestNode;
+  // 有代价系数小于 1 的费用区域时，启发值按最小系数缩小以保持可采纳
+  if (grid.minCost < 1) {
+    const base = h;
+    h = (i) => base(i) * grid.minCost;
   }
 
-  // 安全机制：设置最大迭代次数，防止在复杂情况下出现无限循环
-  // 迭代次数限制为节点数量的2倍，在保证足够搜索空间的同时避免性能问题
-  const MAX_ITERATIONS = nodes.length * 2;
-  let iterations = 0;
-
-  // A*算法主循环：持续搜索直到找到路径或达到搜索限制
-  while (open.size > 0 && iterations < MAX_ITERATIONS) {
-    // 获取当前具有最小f值的节点（最有希望的节点）
-    const cur = popLowest();
-
-    // 找到目标节点，开始重建路径
-    if (cur === goalIdx) {
-      // 路径重建数组：存储从起点到终点的节点
-      const path = [];
-      let current = cur;
-
-      // 回溯算法：从终点开始，沿着前驱节点链向上追踪到起点
-      while (current !== undefined) {
-        path.push(nodes[current]); // 将当前节点加入路径
-        current = came.get(current); // 移动到前驱节点
-      }
+  const g = new Float64Array(n).fill(Infinity);
+  const came = new Int32Array(n).fill(-1); // 前驱节点，用于路径重建
+  const closed = new Uint8Array(n); // 已扩展的节点
+  const hCache = new Float64Array(n).fill(-1); // 启发值按需计算并缓存
+  const heuristic = (i) => (hCache[i] < 0 ? (hCache[i] = h(i)) : hCache[i]);
+  const open = createIndexedHeap(n);
 
-      // 反转路径顺序：从起点到终点
-      path.reverse();
-      return path; // 返回完整路径
-    }
+  g[startIdx] = 0;
+  open.push(startIdx, weight * heuristic(startIdx));
 
-    // 扩展当前节点的邻居节点
-    // 获取当前节点的所有邻接节点
-    const neighbors = adj[cur] || [];
-    for (const { to, w } of neighbors) {
-      // 计算通过当前节点到达邻居节点的路径长度
-      const tentativeG = g[cur] + w;
+  /** 从节点回溯到起点，得到起点到该节点的路径 */
+  const rebuild = (end) => {
+    const path = [];
+    for (let cur = end; cur !== -1; cur = came[cur]) path.push(nodes[cur]);
+    return path.reverse();
+  };
 
-      // 关键判断：只有当发现更短的路径时，才更新节点信息
-      // 这是保证算法最优性的核心条件
+  // 安全机制：每个节点最多扩展一次，仍保留节点数的 2 倍为上限，防止异常数据导致长时间搜索
+  const MAX_ITERATIONS = n * 2;
+  let expanded = 0;
+
+  while (open.size() > 0 && expanded < MAX_ITERATIONS) {
+    const cur = open.pop();
+    closed[cur] = 1;
+    expanded++;
+    if (cur === goalIdx) return { path: rebuild(cur), expanded };
+
+    const gCur = g[cur];
+    const parent = came[cur];
+    for (const { to, w } of adj[cur] || []) {
+      // 一致启发函数下已扩展节点的 g 值已是最优；加权时不重新打开，路径长度仍不超过最优的 weight 倍
+      if (closed[to]) continue;
+      let from = cur;
+      let tentativeG = gCur + w * extra(cur, to);
+      // Theta*：父节点与邻居视线可达时跳过当前节点直接连线；
+      // 代价不均匀（贴墙惩罚、费用区域）时直连不一定更便宜，取两者中较小的
+      if (
+        lineOfSight &&
+        parent !== -1 &&
+        lineOfSight(nodes[parent], nodes[to])
+      ) {
+        const direct =
+          g[parent] +
+          distance(nodes[parent], nodes[to]) *
+            (grid.costFactor ? grid.costFactor(parent, to) : 1) *
+            (grid.zoneFactor ? grid.zoneFactor(nodes[parent], nodes[to]) : 1) *
+            extra(parent, to);
+        if (direct <= tentativeG) {
+          from = parent;
+          tentativeG = direct;
+        }
+      }
+      // 只有发现更短的路径时才更新，已在堆中的节点降低键值
       if (tentativeG < g[to]) {
-        came.set(to, cur); // 记录到达该邻居的最佳路径来源
-        g[to] = tentativeG; // 更新从起点到该节点的最短距离
-        const fScore = tentativeG + h[to]; // 计算综合评价值
-        open.set(to, fScore); // 将节点加入或更新到开放列表
+        came[to] = from;
+        g[to] = tentativeG;
+        open.push(to, tentativeG + weight * heuristic(to));
       }
     }
-
-    iterations++;
-
-    // 性能优化：定期让出控制权，避免长时间阻塞主线程
-    // 这在Web Worker环境中影响不大，但保留以增强兼容性
-    if (iterations % 1000 === 0) {
-      // 可以在这里添加yield逻辑，但在Web Worker中影响不大
-    }
   }
 
-  // 容错机制：如果达到最大迭代次数仍未找到完整路径
-  // 尝试返回到达离目标最近的可达点的部分路径
-  if (iterations >= MAX_ITERATIONS) {
+  // 容错机制：达到最大迭代次数仍未找到完整路径时，
+  // 返回到达离目标最近的已访问节点的部分路径
+  if (expanded >= MAX_ITERATIONS) {
     console.warn("A*搜索达到最大迭代次数");
-
-    // 寻找已访问节点中离目标最近的节点
     let closestNode = -1;
     let minDistance = Infinity;
-
-    // 在所有已访问过的节点中（g值有限）找出离终点最近的节点
-    for (let i = 0; i < nodes.length; i++) {
-      if (g[i] < Infinity && h[i] < minDistance) {
-        minDistance = h[i];
+    for (let i = 0; i < n; i++) {
+      if (g[i] < Infinity && heuristic(i) < minDistance) {
+        minDistance = heuristic(i);
         closestNode = i;
       }
     }
-
-    // 如果找到相对较近的节点，尝试构建部分路径
     if (closestNode !== -1) {
-      const path = [];
-      let current = closestNode;
-
-      // 回溯构建部分路径
-      while (current !== undefined) {
-        path.push(nodes[current]);
-        current = came.get(current);
-      }
-
-      path.reverse();
       console.log("返回部分路径");
-      return path;
+      return { path: rebuild(closestNode), expanded };
     }
   }
 
   // 无法找到路径的情况
-  return null;
+  return { path: null, expanded };
 }
 
 /**
@@ -703,7 +775,17 @@ function aStarGrid(grid, startIdx, goalIdx) {
  * @param {Array} obstacles - 障碍物数组，每个障碍物是一个多边形
  * @param {Array} walls - 墙体数组，每条墙体是一条线段
  * @param {Object} bboxNodes - 节点边界框，定义计算范围
- * @returns {Object} 返回计算结果对象 {ok: boolean, path?: Array, error?: string}
+ * @param {Object} [crs] - 坐标系统设置 { mode, unit }，决定边权重与路径长度的计算方式
+ * @param {Object} [search] - 搜索选项 { heuristic, weight, smooth, radius, wallPenalty, penaltyRange }，
+ *        heuristic、weight 见 aStarGrid，smooth 为是否对网格路径做视线平滑（默认 true）；
+ *        radius 为机器人半径（米，默认 0），wallPenalty 为贴墙惩罚系数（默认 0，仅网格模式），
+ *        penaltyRange 为惩罚作用的距离（米，默认 1），见 ensureGridLocal；
+ *        alternatives 为备选路线数（默认 0，仅网格与 Theta* 模式），见 alternativeGridPaths
+ * @param {string} [mode="grid"] - 路径模式："grid"（网格 A*）、"theta"（网格 Theta*，任意角度）、
+ *        "visibility"（可视图，任意角度）、"navmesh"（导航网格，任意角度）或 "hpa"（整图分层网格，长距离）
+ * @param {Array} [zones] - 费用区域（见 costZones.js），只在网格与 Theta* 模式中加权边权重
+ * @returns {Object} 返回计算结果对象 {ok: boolean, path?: Array, length?: number, expanded?: number, alternatives?: Array, error?: string}，
+ *          length 单位为米，expanded 为 A* 扩展的节点数（含重试与备选路线），alternatives 见 alternativeGridPaths
  */
 function computePath(
   startLon,
@@ -713,6 +795,10 @@ function computePath(
   obstacles,
   walls,
   bboxNodes,
+  crs,
+  search,
+  mode = "grid",
+  zones,
 ) {
   // 第一步：验证输入坐标
   // 确保所有坐标值都是有效的数字，这是路径计算的基础前提
@@ -731,10 +817,91 @@ function computePath(
     return { ok: false, error: "zero-coordinates" };
   }
 
+  const distance = createDistanceFn(crs);
+  // 机器人半径等尺寸换算为坐标长度
+  const agent = agentOptions(search, distance, [startLon, startLat]);
+
+  // 可视图模式：在障碍物凸角之间按视线连接，求任意角度的最短路径
+  if (mode === "visibility") {
+    return computeVisibilityPath(
+      [startLon, startLat],
+      [endLon, endLat],
+      obstacles,
+      walls,
+      bboxNodes,
+      distance,
+      search,
+      agent.radius,
+    );
+  }
+
+  // 导航网格模式：在约束三角剖分上搜索三角形走廊，再用漏斗算法拉直
+  if (mode === "navmesh") {
+    return computeNavMeshPath(
+      [startLon, startLat],
+      [endLon, endLat],
+      obstacles,
+      walls,
+      distance,
+      search,
+      agent.radius,
+    );
+  }
+
   // 第二步：构建障碍物和墙体的元数据
   // 将原始障碍物和墙体数据转换为更高效的数据结构，用于快速碰撞检测
   const obstaclesMeta = buildObstacleMeta(obstacles);
   const wallsMeta = buildWallMeta(walls);
+  const clearanceField =
+    agent.radius > 0 || agent.wallPenalty > 0
+      ? clearanceFieldFor(obstacles, walls)
+      : null;
+  // 路径中的连线按机器人半径膨胀判断
+  const lineOfSight = createLineOfSight(
+    obstaclesMeta,
+    wallsMeta,
+    clearanceField,
+    agent.radius,
+  );
+  // 起终点本身离边界不足半径时（紧贴墙体），与网格的连线只要求不穿墙
+  const plainSight = createLineOfSight(obstaclesMeta, wallsMeta);
+  const sightFrom = (lon, lat) =>
+    agent.radius > 0 &&
+    pointClearance(clearanceField, lon, lat, agent.radius) < agent.radius
+      ? plainSight
+      : lineOfSight;
+  const searchOptions =
+    mode === "theta" ? { ...search, lineOfSight } : { ...search };
+  const zoneIndex = zoneIndexFor(zones);
+  // 有费用区域时，平滑只接受加权代价不大于原路段的捷径，避免拉直后穿过高代价区域
+  const segmentCost = zoneIndex
+    ? (a, b) =>
+        distance([a.lon, a.lat], [b.lon, b.lat]) *
+        segmentCostFactor(zoneIndex, [a.lon, a.lat], [b.lon, b.lat])
+    : null;
+  // 网格节点必须与起终点视线可达，路径两端的连线才不会穿墙
+  const startPoint = { lon: startLon, lat: startLat };
+  const endPoint = { lon: endLon, lat: endLat };
+  const startSight = sightFrom(startLon, startLat);
+  const endSight = sightFrom(endLon, endLat);
+  const seesStart = (node) => startSight(startPoint, node);
+  const seesEnd = (node) => endSight(node, endPoint);
+
+  // 分层网格模式：整张地图预处理一次，在抽象图上搜索后拼接细网格路径
+  if (mode === "hpa") {
+    const hg = hierarchicalGridFor(obstacles, walls, bboxNodes, crs, search);
+    const si = nearestHierarchicalNode(hg, startLon, startLat, seesStart);
+    const gi = nearestHierarchicalNode(hg, endLon, endLat, seesEnd);
+    if (si < 0 || gi < 0) return { ok: false, error: "nearby-grid-fail" };
+    const { path, expanded } = hierarchicalPath(hg, si, gi, search);
+    if (!path) return { ok: false, error: "no-path", expanded };
+    return finishGridPath(path, startPoint, endPoint, {
+      lineOfSight,
+      search,
+      distance,
+      expanded,
+    });
+  }
 
   // 第三步：构建基于障碍物的网格地图
   // 根据障碍物分布生成可通行和不可通行区域的网格
@@ -747,24 +914,17 @@ function computePath(
     bboxNodes,
     obstaclesMeta,
     wallsMeta,
+    distance,
+    ...agent,
+    clearanceField,
+    zoneIndex,
   });
 
   // 第四步：查找距离起点最近的有效网格节点
   // 将用户输入的起点坐标映射到网格中的一个可通行点上
-  let startIndex = nearestFreeGridIndex(grid, startLon, startLat);
+  const startIndex = nearestFreeGridIndex(grid, startLon, startLat, seesStart);
   // 查找距离终点最近的有效网格节点
-  let endIndex = nearestFreeGridIndex(grid, endLon, endLat);
-
-  // 尝试扩大搜索范围，确保找到有效的起点和终点
-  if (startIndex < 0) {
-    console.warn("无法找到起点附近的可通行点，尝试更远范围");
-    startIndex = findAnyValidNode(grid);
-  }
-
-  if (endIndex < 0) {
-    console.warn("无法找到终点附近的可通行点，尝试更远范围");
-    endIndex = findAnyValidNode(grid);
-  }
+  const endIndex = nearestFreeGridIndex(grid, endLon, endLat, seesEnd);
 
   // 检查是否找到了有效的起点和终点
   if (startIndex < 0 || endIndex < 0) {
@@ -773,7 +933,11 @@ function computePath(
 
   // 第五步：使用A*算法在网格上寻找最短路径
   // A*算法结合启发式函数，能高效地找到最短路径
-  let path = aStarGrid(grid, startIndex, endIndex);
+  let { path, expanded } = aStarGrid(grid, startIndex, endIndex, searchOptions);
+  // 实际找到路径的网格及起终点节点，备选路线在同一网格上搜索
+  let usedGrid = grid;
+  let usedStart = startIndex;
+  let usedEnd = endIndex;
 
   // 容错机制：如果首次搜索未找到路径，尝试调整网格参数重试
   if (!path || !path.length) {
@@ -794,38 +958,468 @@ function computePath(
       bboxNodes,
       obstaclesMeta,
       wallsMeta,
+      distance,
+      ...agent,
+      clearanceField,
+      zoneIndex,
     });
 
     // 在调整后的网格上重新查找起点和终点
-    const adjustedSi = nearestFreeGridIndex(adjustedGrid, startLon, startLat);
-    const adjustedGi = nearestFreeGridIndex(adjustedGrid, endLon, endLat);
+    const adjustedSi = nearestFreeGridIndex(
+      adjustedGrid,
+      startLon,
+      startLat,
+      seesStart,
+    );
+    const adjustedGi = nearestFreeGridIndex(
+      adjustedGrid,
+      endLon,
+      endLat,
+      seesEnd,
+    );
 
     // 尝试在调整后的网格上寻找路径
     if (adjustedSi >= 0 && adjustedGi >= 0) {
-      console.log(adjustedGi, adjustedGi);
-      path = aStarGrid(adjustedGrid, adjustedSi, adjustedGi);
+      const retry = aStarGrid(
+        adjustedGrid,
+        adjustedSi,
+        adjustedGi,
+        searchOptions,
+      );
+      path = retry.path;
+      expanded += retry.expanded;
+      usedGrid = adjustedGrid;
+      usedStart = adjustedSi;
+      usedEnd = adjustedGi;
     }
   }
 
   // 检查路径是否有效
   if (!path || !path.length) {
-    return { ok: false, error: "no-path" };
+    return { ok: false, error: "no-path", expanded };
+  }
+
+  const result = finishGridPath(path, startPoint, endPoint, {
+    lineOfSight,
+    segmentCost,
+    search,
+    distance,
+    expanded,
+  });
+  if (search?.alternatives > 0) {
+    const alt = alternativeGridPaths(usedGrid, usedStart, usedEnd, result, {
+      count: search.alternatives,
+      searchOptions,
+      startPoint,
+      endPoint,
+      lineOfSight,
+      segmentCost,
+      search,
+      distance,
+    });
+    result.alternatives = alt.routes;
+    result.expanded += alt.expanded;
   }
+  return result;
+}
 
+/**
+ * 网格路径的后处理：去除冗余点、接上起终点，并按设置做视线平滑
+ * @param {Array} path - 网格节点路径 [{ lon, lat }]
+ * @param {Object} startPoint - 起点 { lon, lat }
+ * @param {Object} endPoint - 终点 { lon, lat }
+ * @param {Object} ctx - { lineOfSight, segmentCost?, search, distance, expanded }，segmentCost 见 smoothPath
+ * @returns {Object} 计算结果 {ok, path, length, expanded}
+ */
+function finishGridPath(path, startPoint, endPoint, ctx) {
   // 第六步：优化路径
   // 移除路径中的冗余点，使路径更平滑，减少不必要的转折点
-  const optimizedPath = optimizePath(path);
+  const optimizedPath = optimizePath(path, ctx.lineOfSight);
 
   // 第七步：调整路径端点
   // 确保路径的起点和终点精确匹配用户指定的坐标
-  const finalPath = adjustPathEnds(
-    optimizedPath,
-    { lon: startLon, lat: startLat },
-    { lon: endLon, lat: endLat },
+  // 视线平滑时把起终点接在网格路径两端，再按视线截弯取直
+  const finalPath =
+    (ctx.search?.smooth ?? true)
+      ? smoothPath(
+          [startPoint, ...optimizedPath, endPoint],
+          ctx.lineOfSight,
+          ctx.segmentCost,
+        )
+      : adjustPathEnds(optimizedPath, startPoint, endPoint);
+
+  // 返回成功结果、计算出的最终路径及其长度
+  return {
+    ok: true,
+    path: finalPath,
+    length: pathLength(finalPath, ctx.distance),
+    expanded: ctx.expanded,
+  };
+}
+
+/** 备选路线的走廊半宽（米）：走廊内的网格节点在之后的搜索中加价，重叠比例也按此计算 */
+const ALTERNATIVE_CORRIDOR = 1.5;
+/** 每条已找到的路线使其走廊内节点增加的代价比例 */
+const ALTERNATIVE_PENALTY = 1;
+/** 与已有路线重叠超过该比例的候选视为重复 */
+const ALTERNATIVE_MAX_OVERLAP = 0.8;
+/** 备选路线的长度不超过最优路线的倍数 */
+const ALTERNATIVE_MAX_STRETCH = 2;
+/** 备选路线数上限 */
+const MAX_ALTERNATIVES = 5;
+
+/**
+ * 网格上的备选路线（惩罚法，见 alternatives.js）：每找到一条路线就把其走廊内节点的代价调高再次搜索
+ * 与已有路线重叠过多的候选丢弃，但其走廊同样加价，避免反复找到同一条路线；
+ * 候选长度超过最优路线的 ALTERNATIVE_MAX_STRETCH 倍时停止
+ * @param {Object} grid - 找到最优路线的网格
+ * @param {number} startIdx - 起点网格节点
+ * @param {number} goalIdx - 终点网格节点
+ * @param {Object} best - 最优路线的计算结果 { path, length }
+ * @param {Object} ctx - { count, searchOptions, startPoint, endPoint, lineOfSight, segmentCost, search, distance }
+ * @returns {Object} { routes, expanded }：routes 为备选路线 [{ path, length, overlap }]，
+ *          overlap 为与最优路线的重叠比例（0 ~ 1）
+ */
+function alternativeGridPaths(grid, startIdx, goalIdx, best, ctx) {
+  const count = Math.min(MAX_ALTERNATIVES, Math.floor(ctx.count));
+  // 走廊至少覆盖路线两侧各一个网格节点
+  const halfWidth = Math.max(
+    metersToCoordUnits(ALTERNATIVE_CORRIDOR, ctx.distance, [
+      ctx.startPoint.lon,
+      ctx.startPoint.lat,
+    ]),
+    1.5 * Math.max(grid.cellLon, grid.cellLat),
+  );
+  const penalty = new Float64Array(grid.nodes.length);
+  const penalize = (path) => {
+    for (const i of corridorNodes(grid, path, halfWidth)) {
+      penalty[i] += ALTERNATIVE_PENALTY;
+    }
+  };
+  penalize(best.path);
+  const found = [best.path];
+  const routes = [];
+  let expanded = 0;
+  for (
+    let attempt = 0;
+    attempt < count * 3 && routes.length < count;
+    attempt++
+  ) {
+    const run = aStarGrid(grid, startIdx, goalIdx, {
+      ...ctx.searchOptions,
+      penalty,
+    });
+    expanded += run.expanded;
+    if (!run.path) break;
+    const candidate = finishGridPath(run.path, ctx.startPoint, ctx.endPoint, {
+      ...ctx,
+      expanded: 0,
+    });
+    // 继续加价只会让候选更长
+    if (candidate.length > best.length * ALTERNATIVE_MAX_STRETCH) break;
+    penalize(candidate.path);
+    if (
+      found.some(
+        (path) =>
+          pathOverlap(candidate.path, path, halfWidth) >
+          ALTERNATIVE_MAX_OVERLAP,
+      )
+    ) {
+      continue;
+    }
+    found.push(candidate.path);
+    routes.push({
+      path: candidate.path,
+      length: candidate.length,
+      overlap: pathOverlap(candidate.path, best.path, halfWidth),
+    });
+  }
+  return { routes, expanded };
+}
+
+// 分层网格按墙体数组缓存，每张地图预处理一次；坐标系统或机器人尺寸改变时重新预处理
+const hierarchyCache = new WeakMap();
+/** 分层网格单元的最小边长（米） */
+const HPA_CELL = 0.5;
+/** 分层网格的节点数上限，地图较大时按此放大单元 */
+const HPA_MAX_NODES = 400000;
+
+/**
+ * 取得地图的分层网格（见 hpa.js），首次使用或地图、设置改变时预处理
+ * 机器人尺寸在地图中心换算为坐标长度，不随起终点变化
+ *
+ * @param {Array} obstacles - 障碍物数组
+ * @param {Array} walls - 墙体线段数组
+ * @param {Object} bboxNodes - 节点边界框，即分层网格的范围
+ * @param {Object} [crs] - 坐标系统设置
+ * @param {Object} [search] - 搜索选项，使用其中的 radius、wallPenalty、penaltyRange
+ * @returns {Object} 分层网格
+ */
+function hierarchicalGridFor(obstacles, walls, bboxNodes, crs, search) {
+  const distance = createDistanceFn(crs);
+  const center = [
+    (bboxNodes.minLon + bboxNodes.maxLon) / 2,
+    (bboxNodes.minLat + bboxNodes.maxLat) / 2,
+  ];
+  const agent = agentOptions(search, distance, center);
+  const area =
+    (bboxNodes.maxLon - bboxNodes.minLon) *
+    (bboxNodes.maxLat - bboxNodes.minLat);
+  const cell = Math.max(
+    metersToCoordUnits(HPA_CELL, distance, center),
+    Math.sqrt(area / HPA_MAX_NODES),
   );
+  const settings = JSON.stringify({ crs, cell, ...agent });
+  const key = walls || [];
+  let cached = hierarchyCache.get(key);
+  if (
+    !cached ||
+    cached.obstacles !== obstacles ||
+    cached.settings !== settings
+  ) {
+    self.postMessage({
+      type: "extending_computation",
+      message: "正在预处理分层网格，首次计算需要较长时间...",
+    });
+    const grid = createHierarchicalGrid(obstacles, walls, bboxNodes, {
+      cell,
+      distance,
+      ...agent,
+      field: clearanceFieldFor(obstacles, walls),
+    });
+    cached = { obstacles, settings, grid };
+    hierarchyCache.set(key, cached);
+  }
+  return cached.grid;
+}
 
-  // 返回成功结果和计算出的最终路径
-  return { ok: true, path: finalPath };
+/**
+ * 距离场（一对多 Dijkstra）：在整图细网格上求起点到每个节点的步行距离（见 hpa.js 的 gridDistanceField）
+ * 细网格与分层网格模式共用（见 hierarchicalGridFor），机器人半径生效；距离场是实际距离，不计贴墙惩罚
+ * @param {Object} map - 已解析的地图 { obstacles, walls, bboxNodes }
+ * @param {Object} request - { lon, lat, maxDistance }，maxDistance 为距离上限（米），0 或缺省为不限
+ * @param {Object} [crs] - 坐标系统设置
+ * @param {Object} [search] - 搜索选项，使用其中的 radius
+ * @returns {Object} 计算结果 {ok, distances, grid, expanded, error}，distances 为每个网格节点的距离
+ *          （Float32Array，米，不可达为 Infinity），grid 为 { minLon, minLat, cell, cols, rows }
+ */
+function computeDistanceField(map, request, crs, search) {
+  const { obstacles, walls, bboxNodes } = map;
+  const distance = createDistanceFn(crs);
+  const hg = hierarchicalGridFor(obstacles, walls, bboxNodes, crs, {
+    ...search,
+    wallPenalty: 0,
+  });
+  const source = { lon: request.lon, lat: request.lat };
+  const sight = createLineOfSight(
+    buildObstacleMeta(obstacles),
+    buildWallMeta(walls),
+  );
+  const node = nearestHierarchicalNode(hg, source.lon, source.lat, (n) =>
+    sight(source, n),
+  );
+  if (node < 0) return { ok: false, error: "nearby-grid-fail" };
+  const { minLon, minLat, cell, cols, rows } = hg;
+  const at = [
+    minLon + (node % (cols + 1)) * cell,
+    minLat + Math.floor(node / (cols + 1)) * cell,
+  ];
+  const { distances, expanded } = gridDistanceField(hg, node, {
+    startCost: distance([source.lon, source.lat], at),
+    maxDistance: request.maxDistance > 0 ? request.maxDistance : Infinity,
+  });
+  return {
+    ok: true,
+    distances,
+    grid: { minLon, minLat, cell, cols, rows },
+    expanded,
+  };
+}
+
+// 可视图地图按墙体数组缓存；二进制地图的数组常驻 worker，重复请求无需重新提取路标
+const visibilityCache = new WeakMap();
+
+/**
+ * 可视图模式的路径计算
+ * 先只使用起终点周围范围内的路标搜索，找不到时再使用全部路标
+ *
+ * @param {Array<number>} start - 起点 [x, y]
+ * @param {Array<number>} end - 终点 [x, y]
+ * @param {Array} obstacles - 障碍物数组
+ * @param {Array} walls - 墙体线段数组
+ * @param {Object} bboxNodes - 节点边界框
+ * @param {Function} distance - 距离函数（米）
+ * @param {Object} [search] - 搜索选项，使用其中的 weight
+ * @param {number} [radius=0] - 机器人半径（坐标长度）
+ * @returns {Object} 计算结果 {ok, path?, length?, expanded, error?}
+ */
+function computeVisibilityPath(
+  start,
+  end,
+  obstacles,
+  walls,
+  bboxNodes,
+  distance,
+  search,
+  radius = 0,
+) {
+  // 路标位置取决于机器人半径，半径改变时重新提取
+  const key = walls || [];
+  let cached = visibilityCache.get(key);
+  if (!cached || cached.obstacles !== obstacles || cached.radius !== radius) {
+    cached = {
+      obstacles,
+      radius,
+      map: createVisibilityMap(obstacles, walls, { radius }),
+    };
+    visibilityCache.set(key, cached);
+  }
+  const map = cached.map;
+  const weight = search?.weight;
+
+  // 与网格模式相同的搜索范围：起终点包围盒向外扩展 30%
+  const padLon = Math.abs(end[0] - start[0]) * 0.3 + map.clearance * 10;
+  const padLat = Math.abs(end[1] - start[1]) * 0.3 + map.clearance * 10;
+  const window = {
+    minLon: Math.max(bboxNodes.minLon, Math.min(start[0], end[0]) - padLon),
+    maxLon: Math.min(bboxNodes.maxLon, Math.max(start[0], end[0]) + padLon),
+    minLat: Math.max(bboxNodes.minLat, Math.min(start[1], end[1]) - padLat),
+    maxLat: Math.min(bboxNodes.maxLat, Math.max(start[1], end[1]) + padLat),
+  };
+  let result = visibilityPath(map, start, end, { distance, weight, window });
+  if (!result.ok) {
+    self.postMessage({
+      type: "extending_computation",
+      message: "范围内未找到路径，正在使用全部路标重新计算...",
+    });
+    const retry = visibilityPath(map, start, end, { distance, weight });
+    result = { ...retry, expanded: retry.expanded + result.expanded };
+  }
+  return result;
+}
+
+// 导航网格与可视图地图一样按墙体数组缓存，每张地图只做一次三角剖分
+const navMeshCache = new WeakMap();
+
+/**
+ * 导航网格模式的路径计算
+ *
+ * @param {Array<number>} start - 起点 [x, y]
+ * @param {Array<number>} end - 终点 [x, y]
+ * @param {Array} obstacles - 障碍物数组
+ * @param {Array} walls - 墙体线段数组
+ * @param {Function} distance - 距离函数（米）
+ * @param {Object} [search] - 搜索选项，使用其中的 weight
+ * @param {number} [radius=0] - 机器人半径（坐标长度）
+ * @returns {Object} 计算结果 {ok, path?, length?, expanded, error?}
+ */
+function computeNavMeshPath(
+  start,
+  end,
+  obstacles,
+  walls,
+  distance,
+  search,
+  radius = 0,
+) {
+  const key = walls || [];
+  let cached = navMeshCache.get(key);
+  if (!cached || cached.obstacles !== obstacles) {
+    cached = { obstacles, mesh: createNavMesh(obstacles, walls) };
+    navMeshCache.set(key, cached);
+  }
+  const result = navMeshPath(cached.mesh, start, end, {
+    distance,
+    weight: search?.weight,
+    radius,
+  });
+  if (!result.ok) return result;
+  return {
+    ok: true,
+    path: result.path,
+    length: pathLength(result.path, distance),
+    expanded: result.expanded,
+  };
+}
+
+// 线网的边索引按线网对象缓存（连同所用的费用区域）；二进制地图的线网常驻 worker，重复请求无需重建
+const networkCache = new WeakMap();
+
+/**
+ * 按费用区域加权的线网：每条边的权重乘以边经过区域的平均代价系数，坐标与邻接数组共用
+ */
+function zoneWeightedNetwork(network, zi) {
+  const { coords, offsets, targets, weights } = network;
+  const weighted = new Float64Array(weights.length);
+  for (let i = 0; i + 1 < offsets.length; i++) {
+    const a = [coords[i * 2], coords[i * 2 + 1]];
+    for (let e = offsets[i]; e < offsets[i + 1]; e++) {
+      const j = targets[e];
+      weighted[e] =
+        weights[e] *
+        segmentCostFactor(zi, a, [coords[j * 2], coords[j * 2 + 1]]);
+    }
+  }
+  return { coords, offsets, targets, weights: weighted };
+}
+
+/**
+ * 线网模式的路径计算：起终点吸附到最近的边，沿障碍图的边搜索（见 network.js）
+ * 有费用区域时边权重按区域的代价系数加权；起终点到吸附点的连接段穿过墙体时改吸附到次近的边
+ *
+ * @param {Array<number>} start - 起点 [x, y]
+ * @param {Array<number>} end - 终点 [x, y]
+ * @param {Object} [network] - CSR 线网 { coords, offsets, targets, weights }
+ * @param {Object} [crs] - 坐标系统设置
+ * @param {Object} [search] - 搜索选项，使用其中的 weight
+ * @param {Array} [zones] - 费用区域（见 costZones.js）
+ * @param {Array} [walls] - 墙体线段数组，用于检查连接段
+ * @returns {Object} 计算结果 {ok, path?, length?, expanded, error?}
+ */
+function computeNetworkPath(start, end, network, crs, search, zones, walls) {
+  if (!network || network.offsets.length < 2) {
+    return { ok: false, error: "no-network", expanded: 0 };
+  }
+  const zi = zoneIndexFor(zones);
+  let cached = networkCache.get(network);
+  if (!cached || cached.zi !== zi) {
+    cached = {
+      zi,
+      net: createNetworkIndex(zi ? zoneWeightedNetwork(network, zi) : network),
+    };
+    networkCache.set(network, cached);
+  }
+  const distance = createDistanceFn(crs);
+  const wallsMeta = buildWallMeta(walls);
+  const result = networkPath(cached.net, start, end, {
+    distance,
+    weight: search?.weight,
+    // 有代价系数小于 1 的区域时，启发值按最小系数缩小以保持可采纳
+    minCost: zi ? zi.minCost : 1,
+    // 线网本身常与墙体重合，起终点也可能落在墙上（如门口的楼层连接点），
+    // 连接段两端各缩回一点，只检查中间是否穿过墙体；起终点就在线上时不检查
+    connect: (p, q) => {
+      const dx = q[0] - p[0];
+      const dy = q[1] - p[1];
+      const scale = Math.max(1, Math.abs(p[0]), Math.abs(p[1]));
+      if (Math.hypot(dx, dy) <= scale * 1e-9) return true;
+      const a = [p[0] + dx * 1e-6, p[1] + dy * 1e-6];
+      const b = [q[0] - dx * 1e-6, q[1] - dy * 1e-6];
+      return !segmentIntersectsAnyWall(
+        a,
+        b,
+        wallsMeta.segments,
+        wallsMeta.index,
+      );
+    },
+  });
+  if (!result.ok) return result;
+  return {
+    ok: true,
+    path: result.path,
+    length: pathLength(result.path, distance),
+    expanded: result.expanded,
+  };
 }
 
 // 功能验证函数，确保优化后的计算结果与原计算一致
@@ -1011,10 +1605,13 @@ self.onmessage = async (ev) => {
     startLat,
     endLon,
     endLat,
-    obstacles,
-    walls,
-    bboxNodes,
+    crs,
+    search,
+    mode,
     testMode,
+    levels,
+    stops,
+    distanceField,
   } = ev.data;
 
   // 如果是测试模式，运行性能测试和功能验证
@@ -1036,16 +1633,55 @@ self.onmessage = async (ev) => {
     return;
   }
 
+  // 距离场：从一点出发到整张地图每个网格节点的步行距离
+  if (distanceField) {
+    try {
+      const result = computeDistanceField(
+        resolveMap(ev.data.map),
+        distanceField,
+        crs,
+        search,
+      );
+      self.postMessage(result, result.ok ? [result.distances.buffer] : []);
+    } catch (e) {
+      console.error("距离场计算错误:", e);
+      self.postMessage({ ok: false, error: String((e && e.message) || e) });
+    }
+    return;
+  }
+
+  // 多点路线：依次经过各停靠点，可选优化访问顺序
+  if (stops) {
+    try {
+      self.postMessage(computeStopRoute(ev.data));
+    } catch (e) {
+      console.error("路径计算错误:", e);
+      self.postMessage({ ok: false, error: String((e && e.message) || e) });
+    }
+    return;
+  }
+
+  // 多楼层地图：经由楼梯、电梯等连接跨楼层计算
+  if (levels) {
+    try {
+      self.postMessage(computeMultiLevelPath(ev.data));
+    } catch (e) {
+      console.error("路径计算错误:", e);
+      self.postMessage({ ok: false, error: String((e && e.message) || e) });
+    }
+    return;
+  }
+
   try {
-    // 调用路径计算主函数
-    const result = computePath(
-      startLon,
-      startLat,
-      endLon,
-      endLat,
-      obstacles,
-      walls,
-      bboxNodes,
+    // 地图可以随消息以数组发送，也可以是已转移的二进制地图（map 字段）
+    const map = resolveMap(ev.data.map ?? ev.data);
+    const result = computeLeg(
+      map,
+      [startLon, startLat],
+      [endLon, endLat],
+      crs,
+      search,
+      mode,
     );
     // 将计算结果发送回主线程
     self.postMessage(result);
@@ -1056,14 +1692,290 @@ self.onmessage = async (ev) => {
   }
 };
 
-// 辅助函数：找到网格中任何一个有效的节点
-function findAnyValidNode(grid) {
-  for (let i = 0; i < grid.nodes.length; i++) {
-    if (grid.adjacency[i] && grid.adjacency[i].length > 0) {
-      return i;
+/**
+ * 单张地图上两点之间的路径，成功时附带每段的净距
+ * 线网模式沿障碍图的边搜索，不需要网格；其余模式调用路径计算主函数 computePath
+ * @param {Object} map - 已解析的地图 { obstacles, walls, bboxNodes, network? }
+ * @param {Array<number>} a - 起点 [x, y]
+ * @param {Array<number>} b - 终点 [x, y]
+ * @param {Object} crs - 坐标系统设置
+ * @param {Object} search - 搜索选项
+ * @param {string} mode - 路径模式
+ * @returns {Object} 计算结果 {ok, path, length, expanded, clearances, alternatives, cost, zones, error}，
+ *          地图有费用区域时 cost 为加权代价、zones 为经过的区域（见 routeZones），备选路线同样附带净距与区域
+ */
+function computeLeg(map, a, b, crs, search, mode) {
+  const result =
+    mode === "network"
+      ? computeNetworkPath(a, b, map.network, crs, search, map.zones, map.walls)
+      : computePath(
+          a[0],
+          a[1],
+          b[0],
+          b[1],
+          map.obstacles,
+          map.walls,
+          map.bboxNodes,
+          crs,
+          search,
+          mode,
+          map.zones,
+        );
+  if (result.ok) {
+    const distance = createDistanceFn(crs);
+    for (const route of [result, ...(result.alternatives || [])]) {
+      route.clearances = clearancesOf(
+        route.path,
+        map.obstacles,
+        map.walls,
+        distance,
+        search,
+      );
+      const crossed = routeZones(map, route.path, distance);
+      if (crossed) Object.assign(route, crossed);
+    }
+  }
+  return result;
+}
+
+/**
+ * 多点路线：依次经过各停靠点，逐段计算路径并首尾相接
+ * 优化顺序时先计算停靠点两两之间的路径作为代价矩阵，再用 solveTour 求访问顺序（见 tour.js）；
+ * 路径按往返对称处理，反向的路段直接复用已算出的结果
+ * @param {Object} data - 消息数据 { stops, optimize, map | levels, connectors, crs, search, mode }，
+ *        stops 为停靠点 [{lon, lat, level?}]（多楼层时带 level），optimize 为 null 或 { fixedStart, fixedEnd }
+ * @returns {Object} 返回计算结果对象 {ok, path, order, stopLegs, legs, hops, length, cost, zones, expanded, clearances, error, failedLeg}，
+ *          cost 为各段加权代价之和，zones 为经过的费用区域，order 为停靠点的访问顺序，stopLegs 为相邻停靠点之间的分段 [{ from, to, length, range }]，
+ *          range 为该段在 path 中的起止下标；多楼层时 legs/hops 为各段的楼层内分段与连接依次合并，
+ *          失败时 failedLeg 为不可达的一段 { from, to }
+ */
+function computeStopRoute(data) {
+  const { stops, optimize, connectors, crs, mode } = data;
+  // 备选路线只对单段路线计算
+  const search = { ...data.search, alternatives: 0 };
+  // 先解析全部地图，使本次转移的二进制地图只解码一次
+  const levels =
+    data.levels &&
+    Object.fromEntries(
+      Object.entries(data.levels).map(([id, map]) => [id, resolveMap(map)]),
+    );
+  const map = levels ? null : resolveMap(data.map);
+  const route = (a, b) =>
+    levels
+      ? computeMultiLevelPath({
+          start: a,
+          end: b,
+          levels,
+          connectors,
+          crs,
+          search,
+          mode,
+        })
+      : computeLeg(map, [a.lon, a.lat], [b.lon, b.lat], crs, search, mode);
+
+  const n = stops.length;
+  // 需要计算的路段数：优化顺序时为两两之间，否则为相邻停靠点之间
+  const total = optimize && n > 2 ? (n * (n - 1)) / 2 : n - 1;
+  let expanded = 0;
+  const computed = new Map(); // "i,j"（i < j）→ 从 i 到 j 的计算结果
+  const between = (i, j) => {
+    const key = `${Math.min(i, j)},${Math.max(i, j)}`;
+    let result = computed.get(key);
+    if (!result) {
+      // 停靠点较多时逐段计算耗时较长，每段开始前通知主线程延长超时
+      self.postMessage({
+        type: "extending_computation",
+        message: `正在计算停靠点之间的路径（${computed.size + 1}/${total}）...`,
+      });
+      result = route(stops[Math.min(i, j)], stops[Math.max(i, j)]);
+      expanded += result.expanded ?? 0;
+      computed.set(key, result);
+    }
+    return i < j || !result.ok ? result : reverseRoute(result);
+  };
+
+  let order = [...Array(n).keys()];
+  if (optimize && n > 2) {
+    const cost = Array.from({ length: n }, () => new Array(n).fill(0));
+    for (let i = 0; i < n; i++) {
+      for (let j = i + 1; j < n; j++) {
+        const result = between(i, j);
+        // 有费用区域时按加权代价排序
+        cost[i][j] = cost[j][i] = result.ok
+          ? (result.cost ?? result.length)
+          : Infinity;
+      }
+    }
+    order = solveTour(cost, optimize).order;
+  }
+
+  const path = [];
+  const clearances = [];
+  const stopLegs = [];
+  const legs = [];
+  const hops = [];
+  const zones = [];
+  let length = 0;
+  let weighted = 0;
+  for (let k = 1; k < n; k++) {
+    const from = order[k - 1];
+    const to = order[k];
+    const result = between(from, to);
+    if (!result.ok) {
+      return { ...result, expanded, failedLeg: { from, to } };
     }
+    // 相邻两段在停靠点处重合，去掉重复的点；不重合时补一个净距未知的连接段
+    const first = result.path[0];
+    const last = path[path.length - 1];
+    const joined =
+      last &&
+      last.lon === first.lon &&
+      last.lat === first.lat &&
+      last.level === first.level;
+    const begin = joined ? path.length - 1 : path.length;
+    if (last && !joined) clearances.push(null);
+    path.push(...(joined ? result.path.slice(1) : result.path));
+    clearances.push(...(result.clearances || []));
+    stopLegs.push({
+      from,
+      to,
+      length: result.length,
+      range: [begin, path.length - 1],
+    });
+    legs.push(...(result.legs || []));
+    hops.push(...(result.hops || []));
+    zones.push(result.zones);
+    length += result.length;
+    weighted += result.cost ?? result.length;
   }
-  return -1;
+  return {
+    ok: true,
+    path,
+    order,
+    stopLegs,
+    legs,
+    hops,
+    length,
+    cost: weighted,
+    zones: mergeZoneSummaries(zones),
+    expanded,
+    clearances,
+  };
+}
+
+/**
+ * 反转一条已计算的路线（路径、净距以及多楼层的分段与连接），用于复用反向的路段
+ */
+function reverseRoute(result) {
+  return {
+    ...result,
+    path: [...result.path].reverse(),
+    clearances: result.clearances && [...result.clearances].reverse(),
+    legs:
+      result.legs &&
+      [...result.legs]
+        .reverse()
+        .map((leg) => ({ ...leg, path: [...leg.path].reverse() })),
+    hops: result.hops && [...result.hops].reverse(),
+  };
+}
+
+/**
+ * 跨楼层路径计算
+ * 楼层内路径使用 computePath 计算，楼层之间经由连接（见 levels.js 的 planMultiLevelRoute）
+ * @param {Object} data - 消息数据 { start, end, levels, connectors, crs, search, mode }，
+ *        start/end 为 {level, lon, lat}，levels 为楼层 id 到 {obstacles, walls, bboxNodes}
+ *        或二进制地图引用 {key, binary?} 的映射
+ * @returns {Object} 返回计算结果对象 {ok, path, legs, hops, length, cost, zones, expanded, clearances, error}，
+ *          path 中每个点带 level，clearances 为每段的净距（跨楼层的段为 null），zones 为经过的费用区域（带 level）
+ */
+function computeMultiLevelPath({
+  start,
+  end,
+  levels,
+  connectors,
+  crs,
+  search,
+  mode,
+}) {
+  // 备选路线只对单段路线计算
+  search = { ...search, alternatives: 0 };
+  // 先解析全部楼层，使本次转移的二进制地图都被缓存
+  const maps = Object.fromEntries(
+    Object.entries(levels).map(([id, map]) => [id, resolveMap(map)]),
+  );
+  let expanded = 0; // 各楼层内 A* 扩展节点数之和
+  const distance = createDistanceFn(crs);
+  // 费用区域的代价系数可以小于 1，楼层内路段的估计需按全部楼层中最小的系数缩放
+  const minCost = Object.values(maps).reduce(
+    (m, map) => Math.min(m, zoneIndexFor(map.zones)?.minCost ?? 1),
+    1,
+  );
+  const result = planMultiLevelRoute(
+    { level: start.level, point: [start.lon, start.lat] },
+    { level: end.level, point: [end.lon, end.lat] },
+    connectors || [],
+    {
+      lowerBound: createDistanceFn(crs),
+      minCost,
+      leg: (level, a, b) => {
+        const map = maps[level];
+        if (!map) return { ok: false };
+        const leg =
+          mode === "network"
+            ? computeNetworkPath(
+                a,
+                b,
+                map.network,
+                crs,
+                search,
+                map.zones,
+                map.walls,
+              )
+            : computePath(
+                a[0],
+                a[1],
+                b[0],
+                b[1],
+                map.obstacles,
+                map.walls,
+                map.bboxNodes,
+                crs,
+                search,
+                mode,
+                map.zones,
+              );
+        expanded += leg.expanded ?? 0;
+        // 有费用区域时楼层之间按加权代价比较
+        if (leg.ok) leg.cost = routeZones(map, leg.path, distance)?.cost;
+        return leg;
+      },
+    },
+  );
+  if (!result.ok) return { ...result, expanded };
+  const path = result.legs.flatMap((leg) =>
+    leg.path.map((p) => ({ ...p, level: leg.level })),
+  );
+  const clearances = result.legs.flatMap((leg, k) => {
+    const map = maps[leg.level];
+    const own = clearancesOf(
+      leg.path,
+      map.obstacles,
+      map.walls,
+      distance,
+      search,
+    );
+    return k > 0 ? [null, ...own] : own;
+  });
+  const zones = mergeZoneSummaries(
+    result.legs.map((leg) =>
+      routeZones(maps[leg.level], leg.path, distance)?.zones.map((z) => ({
+        ...z,
+        level: leg.level,
+      })),
+    ),
+  );
+  return { ...result, path, expanded, clearances, zones };
 }
 
 // 辅助函数：调整网格参数以获得更好的覆盖范围
@@ -1076,6 +1988,7 @@ function adjustGridForBetterCoverage(config) {
     bboxNodes,
     obstaclesMeta,
     wallsMeta,
+    distance,
   } = config;
 
   // 计算扩展后的范围
@@ -1099,9 +2012,10 @@ function adjustGridForBetterCoverage(config) {
   const cols = Math.max(MIN_COLS, Math.min(BASE_COLS * 0.7, MAX_COLS));
   const rows = Math.round(((maxLat - minLat) / (maxLon - minLon)) * cols);
 
-  // 复用现有的网格构建逻辑
+  // 复用现有的网格构建逻辑（机器人半径等选项原样传递）
   const originalEnsureGridLocal = ensureGridLocal;
   return originalEnsureGridLocal({
+    ...config,
     startLon: minLon,
     startLat: minLat,
     endLon: maxLon,
@@ -1109,16 +2023,79 @@ function adjustGridForBetterCoverage(config) {
     bboxNodes,
     obstaclesMeta,
     wallsMeta,
+    distance,
   });
 }
 
+/**
+ * 创建视线判断函数：两点连线不穿过任何墙体和障碍物时视线可达
+ * 给出机器人半径时，连线离墙体和障碍物边界还必须不小于半径
+ * @param {Object} obstaclesMeta - buildObstacleMeta 的结果
+ * @param {Object} wallsMeta - buildWallMeta 的结果
+ * @param {Object} [clearanceField] - clearanceFieldFor 的结果，radius 大于 0 时必须提供
+ * @param {number} [radius=0] - 机器人半径（坐标长度）
+ * @returns {Function} (a, b) => boolean，a、b 为 {lon, lat}
+ */
+function createLineOfSight(obstaclesMeta, wallsMeta, clearanceField, radius) {
+  return (a, b) => {
+    const p = [a.lon, a.lat];
+    const q = [b.lon, b.lat];
+    if (radius > 0) {
+      return segmentClearance(clearanceField, p, q, radius) >= radius;
+    }
+    return (
+      !segmentIntersectsAnyWall(p, q, wallsMeta.segments, wallsMeta.index) &&
+      !segmentIntersectsAnyObstacle(
+        p,
+        q,
+        obstaclesMeta.polygons,
+        obstaclesMeta.index,
+      )
+    );
+  };
+}
+
+/**
+ * 视线平滑（拉绳法）：从每个保留点贪心地连到视线可达的最远后续点
+ * 新增的连线都经过视线判断，不会穿过墙体；某点连下一个点都不可达时保留原有连线
+ * @param {Array} path - 路径点数组 {lon, lat}
+ * @param {Function} lineOfSight - 视线判断函数 (a, b) => boolean
+ * @param {Function} [segmentCost] - 连线的加权代价 (a, b) => number；提供时捷径的代价还不能超过被替换的路段
+ * @returns {Array} 平滑后的路径点数组，首末点不变
+ */
+function smoothPath(path, lineOfSight, segmentCost) {
+  if (!path || path.length <= 2) return path;
+  // 原路径的累计代价，用于比较捷径与被替换路段
+  const prefix = [0];
+  if (segmentCost) {
+    for (let k = 1; k < path.length; k++) {
+      prefix.push(prefix[k - 1] + segmentCost(path[k - 1], path[k]));
+    }
+  }
+  const shortcut = (i, j) =>
+    lineOfSight(path[i], path[j]) &&
+    (!segmentCost ||
+      segmentCost(path[i], path[j]) <= prefix[j] - prefix[i] + 1e-9);
+  const out = [path[0]];
+  let i = 0;
+  while (i < path.length - 1) {
+    let j = path.length - 1;
+    while (j > i + 1 && !shortcut(i, j)) j--;
+    out.push(path[j]);
+    i = j;
+  }
+  return out;
+}
+
 /**
  * 优化路径：移除冗余点，使路径更平滑
  * 使用向量点积算法检测三点是否近似共线，移除不必要的转折点
  * @param {Array} path - 原始路径点数组，包含{lon, lat}坐标的对象
+ * @param {Function} [lineOfSight] - 视线判断函数 (a, b) => boolean；提供时只有去掉后的连线视线可达才移除该点
+ *        （Theta* 路径的长线段夹角很小时，合并后的连线仍可能擦过墙角）
  * @returns {Array} 返回优化后的路径点数组，保留关键转折点
  */
-function optimizePath(path) {
+function optimizePath(path, lineOfSight) {
   // 处理特殊情况：路径太短，无需优化
   if (!path || path.length <= 2) return path;
 
@@ -1157,7 +2134,10 @@ function optimizePath(path) {
 
       // 如果夹角余弦值小于0.995，表示方向变化明显，需要保留当前点
       // 接近1表示夹角很小，接近共线；接近-1表示方向相反
-      if (Math.abs(cosine) < 0.995) {
+      if (
+        Math.abs(cosine) < 0.995 ||
+        (lineOfSight && !lineOfSight(prev, next))
+      ) {
         optimized.push(current);
         prevIndex = i; // 更新上一个保留点的索引
       }
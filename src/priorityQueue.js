@@ -0,0 +1,106 @@
+/**
+ * 优先队列模块
+ *
+ * 索引二叉堆：条目为 0..capacity-1 的整数（如网格节点下标），键为数值（如 A* 的 f 值）。
+ * 堆数组、条目在堆中的位置与键值都保存在类型化数组中，
+ * 支持 O(log n) 的插入、弹出最小值和降低键值（decrease-key），供最短路径搜索使用。
+ */
+
+/**
+ * 创建索引二叉堆
+ *
+ * @param {number} capacity - 条目数上限，条目必须是 0..capacity-1 的整数
+ * @returns {Object} 堆对象 { size, has, key, push, pop, clear }
+ */
+export function createIndexedHeap(capacity) {
+  const heap = new Int32Array(capacity); // 堆数组，存条目
+  const pos = new Int32Array(capacity).fill(-1); // 条目在堆中的位置，-1 表示不在堆中
+  const keys = new Float64Array(capacity);
+  let length = 0;
+
+  function place(i, p) {
+    heap[p] = i;
+    pos[i] = p;
+  }
+
+  function up(p) {
+    const item = heap[p];
+    const k = keys[item];
+    while (p > 0) {
+      const parent = (p - 1) >> 1;
+      if (keys[heap[parent]] <= k) break;
+      place(heap[parent], p);
+      p = parent;
+    }
+    place(item, p);
+  }
+
+  function down(p) {
+    const item = heap[p];
+    const k = keys[item];
+    const half = length >> 1;
+    while (p < half) {
+      let child = 2 * p + 1;
+      const right = child + 1;
+      if (right < length && keys[heap[right]] < keys[heap[child]]) {
+        child = right;
+      }
+      if (keys[heap[child]] >= k) break;
+      place(heap[child], p);
+      p = child;
+    }
+    place(item, p);
+  }
+
+  return {
+    /** 堆中的条目数 */
+    size: () => length,
+
+    /** 条目是否在堆中 */
+    has: (i) => pos[i] >= 0,
+
+    /** 条目的当前键值 */
+    key: (i) => keys[i],
+
+    /**
+     * 插入条目；条目已在堆中时按新键值上浮或下沉（降低键值为常见情况）
+     *
+     * @param {number} i - 条目
+     * @param {number} key - 键值
+     */
+    push(i, key) {
+      const p = pos[i];
+      keys[i] = key;
+      if (p < 0) {
+        place(i, length++);
+        up(length - 1);
+      } else {
+        up(p);
+        down(pos[i]);
+      }
+    },
+
+    /**
+     * 弹出键值最小的条目
+     *
+     * @returns {number} 条目，堆为空时返回 -1
+     */
+    pop() {
+      if (length === 0) return -1;
+      const top = heap[0];
+      pos[top] = -1;
+      length--;
+      if (length > 0) {
+        place(heap[length], 0);
+        down(0);
+      }
+      return top;
+    },
+
+    /** 清空堆 */
+    clear() {
+      for (let p = 0; p < length; p++) pos[heap[p]] = -1;
+      length = 0;
+    },
+  };
+}
@@ -0,0 +1,64 @@
+import { describe, expect, it } from "vitest";
+import { createIndexedHeap } from "./priorityQueue.js";
+
+/** 依次弹出全部条目 */
+function drain(heap) {
+  const out = [];
+  while (heap.size() > 0) out.push(heap.pop());
+  return out;
+}
+
+describe("createIndexedHeap", () => {
+  it("按键值从小到大弹出", () => {
+    const keys = [5, 3, 9, 1, 7, 3.5, 0, 8];
+    const heap = createIndexedHeap(keys.length);
+    keys.forEach((k, i) => heap.push(i, k));
+    expect(heap.size()).toBe(keys.length);
+    expect(drain(heap).map((i) => keys[i])).toEqual(
+      [...keys].sort((a, b) => a - b),
+    );
+    expect(heap.pop()).toBe(-1);
+  });
+
+  it("重复插入同一条目时更新键值而不重复入堆", () => {
+    const heap = createIndexedHeap(4);
+    heap.push(0, 10);
+    heap.push(1, 20);
+    heap.push(2, 30);
+    heap.push(2, 5); // 降低键值
+    heap.push(0, 25); // 提高键值
+    expect(heap.size()).toBe(3);
+    expect(heap.key(2)).toBe(5);
+    expect(drain(heap)).toEqual([2, 1, 0]);
+  });
+
+  it("has 与 clear 反映条目是否在堆中", () => {
+    const heap = createIndexedHeap(3);
+    heap.push(1, 1);
+    heap.push(2, 2);
+    expect(heap.has(1)).toBe(true);
+    expect(heap.has(0)).toBe(false);
+    expect(heap.pop()).toBe(1);
+    expect(heap.has(1)).toBe(false);
+    heap.clear();
+    expect(heap.size()).toBe(0);
+    expect(heap.has(2)).toBe(false);
+    heap.push(2, 3);
+    expect(heap.pop()).toBe(2);
+  });
+
+  it("随机插入与降低键值后与排序结果一致", () => {
+    let s = 7;
+    const rnd = () => (s = (s * 16807) % 2147483647) / 2147483647;
+    const n = 1000;
+    const heap = createIndexedHeap(n);
+    const keys = new Float64Array(n);
+    for (let i = 0; i < n; i++) heap.push(i, (keys[i] = rnd()));
+    for (let i = 0; i < n; i += 3) heap.push(i, (keys[i] *= 0.5));
+    const order = drain(heap);
+    for (let i = 1; i < n; i++) {
+      expect(keys[order[i]]).toBeGreaterThanOrEqual(keys[order[i - 1]]);
+    }
+    expect(new Set(order).size).toBe(n);
+  });
+});
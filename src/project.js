@@ -0,0 +1,185 @@
+/**
+ * 项目文件模块
+ *
+ * 项目文件是一个 JSON 文档，保存与图纸配套的处理设置，
+ * 便于团队成员打开同一张图纸时复用相同的配置。
+ *
+ * 当前保存的内容：
+ * 1. 要素分类规则集（见 classify.js）
+ * 2. 障碍物线段构面设置（见 topology.js）
+ * 3. 线网拓扑打断开关
+ * 4. 端点吸附与缺口闭合设置（见 snap.js）
+ * 5. 坐标系统设置：平面（图纸单位）或地理（经纬度），见 geo.js
+ * 6. 配准设置：控制点与拟合的变换，见 georef.js
+ * 7. 投影设置：源数据投影、显示投影与路径计算投影，见 geo.js
+ * 8. 楼层与垂直连接（楼梯、电梯、坡道），见 levels.js
+ */
+
+import { createDefaultRuleSet, normalizeRuleSet } from "./classify.js";
+import {
+  UNIT_TO_METERS,
+  PROJECTION_TYPES,
+  createProjectionDef,
+} from "./geo.js";
+import { TRANSFORM_TYPES } from "./georef.js";
+import { createBuilding, normalizeBuilding } from "./levels.js";
+
+/** 项目文件格式版本 */
+const PROJECT_VERSION = 1;
+
+/**
+ * 创建默认项目设置
+ *
+ * @returns {Object} 项目对象 { version, rules, polygonize, noding, snap, crs, georef, projection, building }
+ */
+export function createProject() {
+  return {
+    version: PROJECT_VERSION,
+    rules: createDefaultRuleSet(),
+    // wallMaxArea：墙体线围合的面不超过该面积（平方米）时视为柱子、管井等障碍物，0 为不处理墙体
+    polygonize: { enabled: true, minArea: 0, solid: false, wallMaxArea: 0 },
+    noding: true,
+    snap: { enabled: false, tolerance: 0.05 },
+    // CAD 图纸坐标是模型空间单位，默认按平面坐标计算距离
+    crs: { mode: "planar", unit: "m" },
+    // 配准：controlPoints 为 { source: [x, y], target: [经度, 纬度] }，
+    // enabled 时地图按 transform 变换到经纬度
+    georef: {
+      enabled: false,
+      type: "similarity",
+      controlPoints: [],
+      transform: null,
+    },
+    // 投影：source 非 none 时导入数据按该投影反算为经纬度；
+    // display 为画布显示投影；routing 非 none 时在该投影平面（米）中计算路径
+    projection: {
+      source: createProjectionDef(),
+      display: createProjectionDef(),
+      routing: createProjectionDef(),
+    },
+    // 楼层为空时按单层地图处理
+    building: createBuilding(),
+  };
+}
+
+/**
+ * 将项目序列化为 JSON 文本
+ *
+ * @param {Object} project - 项目对象
+ * @returns {string} 格式化的 JSON 文本
+ */
+export function serializeProject(project) {
+  return JSON.stringify({ ...project, version: PROJECT_VERSION }, null, 2);
+}
+
+/**
+ * 解析项目 JSON 文本，缺失的设置使用默认值
+ *
+ * @param {string} text - 项目文件文本
+ * @returns {Object} 项目对象
+ * @throws {Error} 文本不是有效的项目文件时抛出
+ */
+export function parseProject(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    throw new Error("项目文件不是有效的 JSON");
+  }
+  if (!data || typeof data !== "object") throw new Error("项目文件格式无效");
+  if (data.version > PROJECT_VERSION) {
+    throw new Error(`不支持的项目文件版本: ${data.version}`);
+  }
+  const defaults = createProject();
+  return {
+    ...defaults,
+    ...data,
+    version: PROJECT_VERSION,
+    rules: normalizeRuleSet(data.rules ?? defaults.rules),
+    polygonize: { ...defaults.polygonize, ...data.polygonize },
+    snap: { ...defaults.snap, ...data.snap },
+    crs: normalizeCrs({ ...defaults.crs, ...data.crs }),
+    georef: normalizeGeoref({ ...defaults.georef, ...data.georef }),
+    projection: {
+      source: normalizeProjectionDef(data.projection?.source),
+      display: normalizeProjectionDef(data.projection?.display),
+      routing: normalizeProjectionDef(data.projection?.routing),
+    },
+    building: normalizeBuilding(data.building ?? defaults.building),
+  };
+}
+
+/**
+ * 校验坐标系统设置
+ *
+ * @param {Object} crs - 坐标系统设置 { mode, unit }
+ * @returns {Object} 校验后的坐标系统设置
+ * @throws {Error} 模式或单位无效时抛出
+ */
+function normalizeCrs(crs) {
+  if (crs.mode !== "planar" && crs.mode !== "geographic") {
+    throw new Error(`未知的坐标模式: ${crs.mode}`);
+  }
+  if (!(crs.unit in UNIT_TO_METERS)) {
+    throw new Error(`未知的坐标单位: ${crs.unit}`);
+  }
+  return { mode: crs.mode, unit: crs.unit };
+}
+
+/**
+ * 校验配准设置
+ *
+ * @param {Object} georef - 配准设置 { enabled, type, controlPoints, transform }
+ * @returns {Object} 校验后的配准设置
+ * @throws {Error} 变换类型、控制点或变换参数无效时抛出
+ */
+function normalizeGeoref(georef) {
+  if (!(georef.type in TRANSFORM_TYPES)) {
+    throw new Error(`未知的变换类型: ${georef.type}`);
+  }
+  if (!Array.isArray(georef.controlPoints)) {
+    throw new Error("配准控制点必须是数组");
+  }
+  const controlPoints = georef.controlPoints.map((p, i) => {
+    if (!Array.isArray(p?.source) || !Array.isArray(p?.target)) {
+      throw new Error(`第 ${i + 1} 个控制点无效`);
+    }
+    return { source: p.source.map(Number), target: p.target.map(Number) };
+  });
+  const t = georef.transform;
+  if (t && (!Array.isArray(t.matrix) || t.matrix.length !== 6 || !t.origin)) {
+    throw new Error("配准变换参数无效");
+  }
+  return {
+    enabled: Boolean(georef.enabled && t),
+    type: georef.type,
+    controlPoints,
+    transform: t || null,
+  };
+}
+
+/**
+ * 校验投影定义，缺失的字段使用默认值
+ *
+ * @param {Object} [def] - 投影定义 { type, zone, zoneWidth, south, zonePrefix, centralMeridian? }
+ * @returns {Object} 校验后的投影定义
+ * @throws {Error} 投影类型、带号或带宽无效时抛出
+ */
+function normalizeProjectionDef(def) {
+  const merged = { ...createProjectionDef(), ...def };
+  if (!PROJECTION_TYPES.includes(merged.type)) {
+    throw new Error(`未知的投影类型: ${merged.type}`);
+  }
+  if (merged.zone !== "auto" && !Number.isInteger(Number(merged.zone))) {
+    throw new Error(`投影带号无效: ${merged.zone}`);
+  }
+  if (merged.zoneWidth !== 3 && merged.zoneWidth !== 6) {
+    throw new Error(`投影带宽无效: ${merged.zoneWidth}`);
+  }
+  return {
+    ...merged,
+    zone: merged.zone === "auto" ? "auto" : Number(merged.zone),
+    south: Boolean(merged.south),
+    zonePrefix: Boolean(merged.zonePrefix),
+  };
+}
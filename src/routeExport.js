@@ -0,0 +1,198 @@
+/**
+ * 路线导出模块
+ *
+ * 将计算得到的路径导出为其他团队可直接使用的格式。
+ *
+ * 主要功能：
+ * 1. GeoJSON：一条 LineString 要素，properties 包含总长度、分段长度、转向与请求参数
+ * 2. GPX：轨迹(trk)格式，仅适用于经纬度坐标
+ * 3. CSV：逐个顶点输出坐标、楼层、分段长度与累计长度
+ *
+ * 路径点为 { lon, lat, level? }；平面坐标系下 lon/lat 即图纸的 x/y。
+ * 长度由调用方传入的距离函数计算（见 geo.js 的 createDistanceFn），单位为米。
+ */
+
+import { createDistanceFn } from "./geo.js";
+
+/** 小于该角度（度）的方向变化不计为转向 */
+const DEFAULT_MIN_TURN_ANGLE = 10;
+
+/**
+ * 计算相邻路径点之间的分段长度
+ *
+ * @param {Array<{lon: number, lat: number}>} path - 路径点数组
+ * @param {Function} distance - 距离函数
+ * @returns {Array<number>} 分段长度数组，长度为 path.length - 1
+ */
+export function segmentLengths(path, distance) {
+  const out = [];
+  for (let i = 1; i < path.length; i++) {
+    const a = path[i - 1];
+    const b = path[i];
+    out.push(distance([a.lon, a.lat], [b.lon, b.lat]));
+  }
+  return out;
+}
+
+/**
+ * 线段方向角（弧度，x 轴正向为 0，逆时针为正）
+ * 经纬度坐标按纬度余弦缩放经度差，使角度与地面方向一致
+ */
+function heading(a, b, geographic) {
+  const k = geographic ? Math.cos((((a.lat + b.lat) / 2) * Math.PI) / 180) : 1;
+  return Math.atan2(b.lat - a.lat, (b.lon - a.lon) * k);
+}
+
+/**
+ * 计算路径在各中间顶点处的转向
+ * 长度为 0 的分段（如楼层连接处的重复点）不参与方向计算
+ *
+ * @param {Array<{lon: number, lat: number}>} path - 路径点数组
+ * @param {Object} [options={}] - 选项
+ * @param {boolean} [options.geographic=false] - 坐标是否为经纬度
+ * @param {number} [options.minAngle=10] - 计为转向的最小角度（度）
+ * @returns {Array<{index: number, angle: number, direction: string}>} 转向数组；
+ *          angle 为方向变化角度（度，左转为正），direction 为 "left" 或 "right"
+ */
+export function computeTurns(path, options = {}) {
+  const geographic = options.geographic ?? false;
+  const minAngle = options.minAngle ?? DEFAULT_MIN_TURN_ANGLE;
+  const turns = [];
+  let prev = null; // 上一个有效分段的方向角
+  for (let i = 1; i < path.length; i++) {
+    const a = path[i - 1];
+    const b = path[i];
+    if (a.level !== b.level) {
+      // 跨楼层后重新开始计算方向
+      prev = null;
+      continue;
+    }
+    if (a.lon === b.lon && a.lat === b.lat) continue;
+    const h = heading(a, b, geographic);
+    if (prev !== null) {
+      let d = ((h - prev) * 180) / Math.PI;
+      if (d > 180) d -= 360;
+      if (d < -180) d += 360;
+      if (Math.abs(d) >= minAngle) {
+        turns.push({
+          index: i - 1,
+          angle: Math.round(d * 10) / 10,
+          direction: d > 0 ? "left" : "right",
+        });
+      }
+    }
+    prev = h;
+  }
+  return turns;
+}
+
+/**
+ * 将路径导出为 GeoJSON FeatureCollection（包含一条 LineString 要素）
+ *
+ * @param {Array<{lon: number, lat: number, level?: string}>} path - 路径点数组（地图坐标）
+ * @param {Object} [options={}] - 选项
+ * @param {Object} [options.crs] - 坐标系统设置 { mode, unit }，决定长度计算方式
+ * @param {number} [options.length] - 总长度（米），缺省时按分段长度求和；跨楼层路径应传入含垂直连接的长度
+ * @param {Object} [options.request] - 路径计算的请求参数，原样写入 properties.request
+ * @param {Array} [options.zones] - 路径经过的费用区域 [{ name, cost, length }]，写入 properties.zones
+ * @returns {Object} GeoJSON FeatureCollection
+ */
+export function routeToGeoJSON(path, options = {}) {
+  const crs = options.crs;
+  const segments = segmentLengths(path, createDistanceFn(crs));
+  const length = options.length ?? segments.reduce((s, d) => s + d, 0);
+  const properties = {
+    length,
+    segmentLengths: segments,
+    turns: computeTurns(path, { geographic: crs?.mode === "geographic" }),
+    crs: crs ?? null,
+    request: options.request ?? null,
+  };
+  if (options.zones) properties.zones = options.zones;
+  if (path.some((p) => p.level !== undefined)) {
+    properties.levels = path.map((p) => p.level ?? null);
+  }
+  return {
+    type: "FeatureCollection",
+    features: [
+      {
+        type: "Feature",
+        geometry: {
+          type: "LineString",
+          coordinates: path.map((p) => [p.lon, p.lat]),
+        },
+        properties,
+      },
+    ],
+  };
+}
+
+/**
+ * 转义 XML 文本
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * 将路径导出为 GPX 轨迹
+ * GPX 只支持 WGS84 经纬度，平面坐标需先配准或设置源数据投影
+ *
+ * @param {Array<{lon: number, lat: number}>} path - 路径点数组（经纬度）
+ * @param {Object} [options={}] - 选项
+ * @param {Object} [options.crs] - 坐标系统设置 { mode, unit }
+ * @param {string} [options.name="route"] - 轨迹名称
+ * @returns {string} GPX 文本
+ * @throws {Error} 坐标不是经纬度时抛出
+ */
+export function routeToGPX(path, options = {}) {
+  if (options.crs?.mode !== "geographic") {
+    throw new Error("GPX 需要经纬度坐标，请先配准图纸或设置源数据投影");
+  }
+  const name = escapeXml(options.name ?? "route");
+  const points = path
+    .map((p) => `      <trkpt lat="${p.lat}" lon="${p.lon}"></trkpt>`)
+    .join("\n");
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="CAD2GenJson2Map" xmlns="http://www.topografix.com/GPX/1/1">
+  <trk>
+    <name>${name}</name>
+    <trkseg>
+${points}
+    </trkseg>
+  </trk>
+</gpx>
+`;
+}
+
+/**
+ * 将路径顶点导出为 CSV
+ * 经纬度坐标的列名为 lon/lat，平面坐标为 x/y
+ *
+ * @param {Array<{lon: number, lat: number, level?: string}>} path - 路径点数组
+ * @param {Object} [options={}] - 选项
+ * @param {Object} [options.crs] - 坐标系统设置 { mode, unit }
+ * @returns {string} CSV 文本（含表头）
+ */
+export function routeToCSV(path, options = {}) {
+  const crs = options.crs;
+  const segments = segmentLengths(path, createDistanceFn(crs));
+  const [xName, yName] =
+    crs?.mode === "geographic" ? ["lon", "lat"] : ["x", "y"];
+  const rows = [`index,${xName},${yName},level,segment_m,cumulative_m`];
+  let total = 0;
+  path.forEach((p, i) => {
+    const seg = i > 0 ? segments[i - 1] : 0;
+    total += seg;
+    const level =
+      p.level == null ? "" : `"${String(p.level).replace(/"/g, '""')}"`;
+    rows.push(
+      `${i},${p.lon},${p.lat},${level},${seg.toFixed(3)},${total.toFixed(3)}`,
+    );
+  });
+  return rows.join("\n") + "\n";
+}
@@ -0,0 +1,276 @@
+/**
+ * 端点吸附与缺口闭合模块
+ *
+ * 实际 CAD 图纸中，墙线端点之间常有几毫米的缝隙，或者稍微越过相交的墙线。
+ * 这些缝隙会被路径网格当成"门洞"，导致路径穿墙。该模块在给定容差内修复这类问题，
+ * 并记录每一处修改，便于在画布上核对清理结果。
+ *
+ * 修复步骤（按顺序执行）：
+ * 1. endpoint：容差内相互靠近的端点合并到同一位置
+ * 2. trim：越过其他线段不足容差的出头部分被剪掉
+ * 3. segment：悬空端点吸附到容差内最近线段上的投影点（T 型接头）
+ * 4. extend：悬空端点沿线段方向延长，与容差内的第一条线段相交
+ *
+ * 坐标系统：与输入数据一致，容差使用相同的坐标单位
+ */
+
+/** 浮点比较容差 */
+const EPS = 1e-12;
+
+/**
+ * 点到线段的最近点
+ *
+ * @returns {{x: number, y: number, t: number, d: number}} 最近点坐标、线段参数和距离
+ */
+function closestOnSegment(px, py, ax, ay, bx, by) {
+  const vx = bx - ax,
+    vy = by - ay;
+  const c2 = vx * vx + vy * vy || EPS;
+  let t = ((px - ax) * vx + (py - ay) * vy) / c2;
+  if (t < 0) t = 0;
+  else if (t > 1) t = 1;
+  const x = ax + t * vx,
+    y = ay + t * vy;
+  return { x, y, t, d: Math.hypot(px - x, py - y) };
+}
+
+/**
+ * 求射线 p + s·dir (s ∈ [0, maxLen]) 与线段 cd 的交点距离
+ *
+ * @returns {number} 交点沿射线的距离，无交点时返回 Infinity
+ */
+function rayHitDistance(px, py, dx, dy, maxLen, c, d) {
+  const sx = d[0] - c[0],
+    sy = d[1] - c[1];
+  const denom = dx * sy - dy * sx;
+  if (Math.abs(denom) < EPS) return Infinity;
+  const qx = c[0] - px,
+    qy = c[1] - py;
+  const s = (qx * sy - qy * sx) / denom;
+  const u = (qx * dy - qy * dx) / denom;
+  if (s < EPS || s > maxLen || u < -EPS || u > 1 + EPS) return Infinity;
+  return s;
+}
+
+/**
+ * 简单的均匀网格索引，用于查找容差范围内的线段
+ */
+function createSegmentGrid(segments, cell) {
+  const buckets = new Map();
+  const key = (c, r) => `${c},${r}`;
+  const range = (a, b, pad) => ({
+    c0: Math.floor((Math.min(a[0], b[0]) - pad) / cell),
+    c1: Math.floor((Math.max(a[0], b[0]) + pad) / cell),
+    r0: Math.floor((Math.min(a[1], b[1]) - pad) / cell),
+    r1: Math.floor((Math.max(a[1], b[1]) + pad) / cell),
+  });
+  segments.forEach(([a, b], i) => {
+    const { c0, c1, r0, r1 } = range(a, b, 0);
+    for (let r = r0; r <= r1; r++) {
+      for (let c = c0; c <= c1; c++) {
+        const k = key(c, r);
+        if (!buckets.has(k)) buckets.set(k, []);
+        buckets.get(k).push(i);
+      }
+    }
+  });
+  return {
+    /** 查询包围盒扩展 pad 后覆盖的候选线段索引 */
+    query(a, b, pad) {
+      const { c0, c1, r0, r1 } = range(a, b, pad);
+      const out = new Set();
+      for (let r = r0; r <= r1; r++) {
+        for (let c = c0; c <= c1; c++) {
+          for (const i of buckets.get(key(c, r)) || []) out.add(i);
+        }
+      }
+      return out;
+    },
+  };
+}
+
+/**
+ * 对线段集合执行端点吸附与缺口闭合
+ *
+ * @param {Array} segments - 线段数组，每条线段是 [[x, y], [x, y]]
+ * @param {Object} [options={}] - 选项
+ * @param {number} [options.tolerance=0] - 吸附容差（坐标单位），为 0 时不做任何修改
+ * @param {boolean} [options.endpoints=true] - 是否合并相互靠近的端点
+ * @param {boolean} [options.trim=true] - 是否剪掉越过相交线段的短出头
+ * @param {boolean} [options.toSegments=true] - 是否将悬空端点吸附到附近线段
+ * @param {boolean} [options.extend=true] - 是否延长悬空端点与附近线段相交
+ * @returns {{segments: Array, fixes: Array<{type: string, segment: number, from: Array<number>, to: Array<number>, distance: number}>}}
+ *          修复后的线段数组（不修改输入）和修复记录
+ */
+export function snapSegments(segments, options = {}) {
+  const tolerance = options.tolerance ?? 0;
+  const segs = segments.map(([a, b]) => [
+    [a[0], a[1]],
+    [b[0], b[1]],
+  ]);
+  const fixes = [];
+  if (!(tolerance > 0) || !segs.length) return { segments: segs, fixes };
+
+  /** 移动线段端点并记录修复 */
+  function moveEndpoint(type, si, end, x, y) {
+    const p = segs[si][end];
+    const distance = Math.hypot(x - p[0], y - p[1]);
+    if (distance <= EPS) return;
+    fixes.push({ type, segment: si, from: [p[0], p[1]], to: [x, y], distance });
+    segs[si][end] = [x, y];
+  }
+
+  // 第一步：合并容差内的端点（并查集聚类，移动到聚类中心）
+  if (options.endpoints ?? true) {
+    const n = segs.length * 2;
+    const parent = new Int32Array(n).map((_, i) => i);
+    const find = (x) => {
+      while (parent[x] !== x) x = parent[x] = parent[parent[x]];
+      return x;
+    };
+    const point = (i) => segs[i >> 1][i & 1];
+    const cells = new Map();
+    const cellOf = (p) => [
+      Math.floor(p[0] / tolerance),
+      Math.floor(p[1] / tolerance),
+    ];
+    for (let i = 0; i < n; i++) {
+      const [c, r] = cellOf(point(i));
+      const k = `${c},${r}`;
+      if (!cells.has(k)) cells.set(k, []);
+      cells.get(k).push(i);
+    }
+    for (let i = 0; i < n; i++) {
+      const p = point(i);
+      const [c, r] = cellOf(p);
+      for (let dr = -1; dr <= 1; dr++) {
+        for (let dc = -1; dc <= 1; dc++) {
+          for (const j of cells.get(`${c + dc},${r + dr}`) || []) {
+            // 同一线段的两个端点不合并，避免短线段退化为点
+            if (j <= i || j >> 1 === i >> 1) continue;
+            const q = point(j);
+            if (Math.hypot(p[0] - q[0], p[1] - q[1]) <= tolerance) {
+              parent[find(i)] = find(j);
+            }
+          }
+        }
+      }
+    }
+    const clusters = new Map();
+    for (let i = 0; i < n; i++) {
+      const root = find(i);
+      if (!clusters.has(root)) clusters.set(root, []);
+      clusters.get(root).push(i);
+    }
+    for (const members of clusters.values()) {
+      if (members.length < 2) continue;
+      let cx = 0,
+        cy = 0;
+      for (const i of members) {
+        cx += point(i)[0];
+        cy += point(i)[1];
+      }
+      cx /= members.length;
+      cy /= members.length;
+      for (const i of members) moveEndpoint("endpoint", i >> 1, i & 1, cx, cy);
+    }
+  }
+
+  // 统计端点的共享次数，只对悬空端点（不与其他线段端点重合）做后续处理
+  const endpointKey = (p) => `${p[0]},${p[1]}`;
+  const useCount = new Map();
+  for (const [a, b] of segs) {
+    for (const p of [a, b]) {
+      const k = endpointKey(p);
+      useCount.set(k, (useCount.get(k) || 0) + 1);
+    }
+  }
+  const isFree = (p) => useCount.get(endpointKey(p)) === 1;
+  const cell = Math.max(
+    tolerance * 4,
+    segs.reduce((s, [a, b]) => s + Math.hypot(b[0] - a[0], b[1] - a[1]), 0) /
+      segs.length,
+  );
+  const grid = createSegmentGrid(segs, cell);
+
+  for (let si = 0; si < segs.length; si++) {
+    for (const end of [0, 1]) {
+      const p = segs[si][end];
+      if (!isFree(p)) continue;
+      const o = segs[si][1 - end];
+      const len = Math.hypot(p[0] - o[0], p[1] - o[1]);
+      if (len <= EPS) continue;
+      const dx = (p[0] - o[0]) / len,
+        dy = (p[1] - o[1]) / len;
+      const candidates = grid.query(o, p, tolerance);
+      candidates.delete(si);
+      const oldKey = endpointKey(p);
+
+      // 第二步：剪掉出头，沿线段从端点反向找 tolerance 内的交点
+      let fixed = false;
+      if (options.trim ?? true) {
+        let best = Infinity;
+        for (const j of candidates) {
+          const s = rayHitDistance(
+            p[0],
+            p[1],
+            -dx,
+            -dy,
+            Math.min(tolerance, len / 2),
+            segs[j][0],
+            segs[j][1],
+          );
+          if (s < best) best = s;
+        }
+        if (best < Infinity) {
+          moveEndpoint("trim", si, end, p[0] - dx * best, p[1] - dy * best);
+          fixed = true;
+        }
+      }
+
+      // 第三步：吸附到附近线段上的最近点
+      if (!fixed && (options.toSegments ?? true)) {
+        let best = null;
+        for (const j of candidates) {
+          const [a, b] = segs[j];
+          const hit = closestOnSegment(p[0], p[1], a[0], a[1], b[0], b[1]);
+          if (hit.d <= tolerance && (!best || hit.d < best.d)) best = hit;
+        }
+        if (best) {
+          moveEndpoint("segment", si, end, best.x, best.y);
+          fixed = true;
+        }
+      }
+
+      // 第四步：沿线段方向延长，与容差内第一条线段相交
+      if (!fixed && (options.extend ?? true)) {
+        let best = Infinity;
+        for (const j of grid.query(p, p, tolerance)) {
+          if (j === si) continue;
+          const s = rayHitDistance(
+            p[0],
+            p[1],
+            dx,
+            dy,
+            tolerance,
+            segs[j][0],
+            segs[j][1],
+          );
+          if (s < best) best = s;
+        }
+        if (best < Infinity) {
+          moveEndpoint("extend", si, end, p[0] + dx * best, p[1] + dy * best);
+          fixed = true;
+        }
+      }
+
+      if (fixed) {
+        useCount.set(oldKey, useCount.get(oldKey) - 1);
+        const k = endpointKey(segs[si][end]);
+        useCount.set(k, (useCount.get(k) || 0) + 1);
+      }
+    }
+  }
+
+  return { segments: segs, fixes };
+}
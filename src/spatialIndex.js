@@ -0,0 +1,489 @@
+/**
+ * 空间索引模块
+ *
+ * 静态打包 Hilbert R 树：全部条目一次性按包围盒中心的 Hilbert 曲线值排序后自底向上打包，
+ * 构建为 O(n log n)，查询只访问与范围相交的节点，用于替代对节点、墙体线段和障碍物的线性扫描。
+ *
+ * 主要功能：
+ * 1. createSpatialIndex：由条目包围盒构建索引，数据全部保存在类型化数组中
+ * 2. searchBBox：包围盒范围查询
+ * 3. searchRadius：半径查询；someAlongSegment：沿线段查询，命中即停止
+ * 4. nearest：k 近邻查询（按包围盒距离或调用方提供的精确距离排序）
+ * 5. indexPoints、indexSegments、indexPolygons：节点、线段和多边形的便捷构建函数
+ *
+ * 坐标与距离均为坐标单位（经纬度或图纸单位），与 geo.js 的米制距离无关。
+ */
+
+/** 默认节点容量（每个内部节点的子节点数） */
+const DEFAULT_NODE_SIZE = 16;
+/** Hilbert 曲线网格的边长（2^16） */
+const HILBERT_MAX = (1 << 16) - 1;
+
+/**
+ * 计算 16 位网格坐标的 Hilbert 曲线值
+ * 参考 Warren 的 "Hacker's Delight" 中的无分支实现
+ *
+ * @param {number} x - 网格 x 坐标（0..65535）
+ * @param {number} y - 网格 y 坐标（0..65535）
+ * @returns {number} Hilbert 值（无符号 32 位）
+ */
+export function hilbert(x, y) {
+  let a = x ^ y;
+  let b = 0xffff ^ a;
+  let c = 0xffff ^ (x | y);
+  let d = x & (y ^ 0xffff);
+
+  let A = a | (b >> 1);
+  let B = (a >> 1) ^ a;
+  let C = (c >> 1) ^ (b & (d >> 1)) ^ c;
+  let D = (a & (c >> 1)) ^ (d >> 1) ^ d;
+
+  a = A;
+  b = B;
+  c = C;
+  d = D;
+  A = (a & (a >> 2)) ^ (b & (b >> 2));
+  B = (a & (b >> 2)) ^ (b & ((a ^ b) >> 2));
+  C ^= (a & (c >> 2)) ^ (b & (d >> 2));
+  D ^= (b & (c >> 2)) ^ ((a ^ b) & (d >> 2));
+
+  a = A;
+  b = B;
+  c = C;
+  d = D;
+  A = (a & (a >> 4)) ^ (b & (b >> 4));
+  B = (a & (b >> 4)) ^ (b & ((a ^ b) >> 4));
+  C ^= (a & (c >> 4)) ^ (b & (d >> 4));
+  D ^= (b & (c >> 4)) ^ ((a ^ b) & (d >> 4));
+
+  a = A;
+  b = B;
+  c = C;
+  d = D;
+  C ^= (a & (c >> 8)) ^ (b & (d >> 8));
+  D ^= (b & (c >> 8)) ^ ((a ^ b) & (d >> 8));
+
+  a = C ^ (C >> 1);
+  b = D ^ (D >> 1);
+
+  let i0 = x ^ y;
+  let i1 = b | (0xffff ^ (i0 | a));
+
+  i0 = (i0 | (i0 << 8)) & 0x00ff00ff;
+  i0 = (i0 | (i0 << 4)) & 0x0f0f0f0f;
+  i0 = (i0 | (i0 << 2)) & 0x33333333;
+  i0 = (i0 | (i0 << 1)) & 0x55555555;
+
+  i1 = (i1 | (i1 << 8)) & 0x00ff00ff;
+  i1 = (i1 | (i1 << 4)) & 0x0f0f0f0f;
+  i1 = (i1 | (i1 << 2)) & 0x33333333;
+  i1 = (i1 | (i1 << 1)) & 0x55555555;
+
+  return ((i1 << 1) | i0) >>> 0;
+}
+
+/**
+ * 在有序数组中查找第一个大于 value 的元素
+ */
+function upperBound(value, arr) {
+  let i = 0;
+  let j = arr.length - 1;
+  while (i < j) {
+    const m = (i + j) >> 1;
+    if (arr[m] > value) j = m;
+    else i = m + 1;
+  }
+  return arr[i];
+}
+
+/**
+ * 由条目包围盒构建空间索引
+ *
+ * @param {Float64Array|Array<number>} input - 条目包围盒，按 [minX, minY, maxX, maxY] 依次排列
+ * @param {number} [nodeSize=16] - 每个内部节点的子节点数
+ * @returns {Object} 索引对象 { numItems, nodeSize, boxes, indices, levelBounds, itemBoxes }；
+ *          boxes 为全部节点的包围盒，indices 对叶子为条目序号、对内部节点为首个子节点的位置，
+ *          itemBoxes 为按条目序号排列的原始包围盒
+ */
+export function createSpatialIndex(input, nodeSize = DEFAULT_NODE_SIZE) {
+  const itemBoxes =
+    input instanceof Float64Array ? input : Float64Array.from(input);
+  const numItems = Math.floor(itemBoxes.length / 4);
+  nodeSize = Math.min(Math.max(nodeSize, 2), 65535);
+
+  // 计算每层节点数，levelBounds 记录每层结束位置（按 boxes 下标）
+  let n = numItems;
+  let numNodes = n;
+  const levelBounds = [n * 4];
+  if (numItems > 0) {
+    do {
+      n = Math.ceil(n / nodeSize);
+      numNodes += n;
+      levelBounds.push(numNodes * 4);
+    } while (n !== 1);
+  }
+
+  const boxes = new Float64Array(numNodes * 4);
+  const indices = new Uint32Array(numNodes);
+  if (numItems === 0) {
+    return { numItems, nodeSize, boxes, indices, levelBounds, itemBoxes };
+  }
+
+  // 按包围盒中心的 Hilbert 值排序条目
+  let minX = Infinity,
+    minY = Infinity,
+    maxX = -Infinity,
+    maxY = -Infinity;
+  for (let i = 0; i < numItems; i++) {
+    if (itemBoxes[i * 4] < minX) minX = itemBoxes[i * 4];
+    if (itemBoxes[i * 4 + 1] < minY) minY = itemBoxes[i * 4 + 1];
+    if (itemBoxes[i * 4 + 2] > maxX) maxX = itemBoxes[i * 4 + 2];
+    if (itemBoxes[i * 4 + 3] > maxY) maxY = itemBoxes[i * 4 + 3];
+  }
+  const width = maxX - minX || 1;
+  const height = maxY - minY || 1;
+  const hilbertValues = new Uint32Array(numItems);
+  for (let i = 0; i < numItems; i++) {
+    const cx = (itemBoxes[i * 4] + itemBoxes[i * 4 + 2]) / 2;
+    const cy = (itemBoxes[i * 4 + 1] + itemBoxes[i * 4 + 3]) / 2;
+    hilbertValues[i] = hilbert(
+      Math.floor((HILBERT_MAX * (cx - minX)) / width),
+      Math.floor((HILBERT_MAX * (cy - minY)) / height),
+    );
+  }
+  const order = new Uint32Array(numItems);
+  for (let i = 0; i < numItems; i++) order[i] = i;
+  order.sort((a, b) => hilbertValues[a] - hilbertValues[b]);
+
+  for (let i = 0; i < numItems; i++) {
+    const j = order[i];
+    boxes[i * 4] = itemBoxes[j * 4];
+    boxes[i * 4 + 1] = itemBoxes[j * 4 + 1];
+    boxes[i * 4 + 2] = itemBoxes[j * 4 + 2];
+    boxes[i * 4 + 3] = itemBoxes[j * 4 + 3];
+    indices[i] = j;
+  }
+
+  // 自底向上逐层生成父节点
+  let pos = 0;
+  let write = numItems * 4;
+  for (let level = 0; level < levelBounds.length - 1; level++) {
+    const end = levelBounds[level];
+    while (pos < end) {
+      const first = pos;
+      let nMinX = Infinity,
+        nMinY = Infinity,
+        nMaxX = -Infinity,
+        nMaxY = -Infinity;
+      for (let k = 0; k < nodeSize && pos < end; k++, pos += 4) {
+        if (boxes[pos] < nMinX) nMinX = boxes[pos];
+        if (boxes[pos + 1] < nMinY) nMinY = boxes[pos + 1];
+        if (boxes[pos + 2] > nMaxX) nMaxX = boxes[pos + 2];
+        if (boxes[pos + 3] > nMaxY) nMaxY = boxes[pos + 3];
+      }
+      indices[write >> 2] = first;
+      boxes[write] = nMinX;
+      boxes[write + 1] = nMinY;
+      boxes[write + 2] = nMaxX;
+      boxes[write + 3] = nMaxY;
+      write += 4;
+    }
+  }
+  return { numItems, nodeSize, boxes, indices, levelBounds, itemBoxes };
+}
+
+/**
+ * 包围盒范围查询
+ *
+ * @param {Object} index - createSpatialIndex 返回的索引
+ * @param {number} minX - 查询范围最小 x
+ * @param {number} minY - 查询范围最小 y
+ * @param {number} maxX - 查询范围最大 x
+ * @param {number} maxY - 查询范围最大 y
+ * @param {Function} [filter] - 条目过滤函数 (i) => boolean
+ * @returns {Array<number>} 包围盒与范围相交的条目序号
+ */
+export function searchBBox(index, minX, minY, maxX, maxY, filter) {
+  const results = [];
+  if (!index || index.numItems === 0) return results;
+  const { boxes, indices, nodeSize, levelBounds, numItems } = index;
+  const queue = [];
+  let nodePos = boxes.length - 4;
+  while (nodePos !== undefined) {
+    const end = Math.min(
+      nodePos + nodeSize * 4,
+      upperBound(nodePos, levelBounds),
+    );
+    const isLeafLevel = nodePos < numItems * 4;
+    for (let pos = nodePos; pos < end; pos += 4) {
+      if (
+        maxX < boxes[pos] ||
+        maxY < boxes[pos + 1] ||
+        minX > boxes[pos + 2] ||
+        minY > boxes[pos + 3]
+      ) {
+        continue;
+      }
+      const i = indices[pos >> 2];
+      if (!isLeafLevel) queue.push(i);
+      else if (!filter || filter(i)) results.push(i);
+    }
+    nodePos = queue.pop();
+  }
+  return results;
+}
+
+/**
+ * 线段是否与包围盒相交（Liang-Barsky 裁剪，边界接触算相交）
+ */
+function segmentHitsBox(boxes, pos, ax, ay, dx, dy) {
+  let t0 = 0;
+  let t1 = 1;
+  const clip = (p, q) => {
+    if (p === 0) return q >= 0;
+    const r = q / p;
+    if (p < 0) {
+      if (r > t1) return false;
+      if (r > t0) t0 = r;
+    } else {
+      if (r < t0) return false;
+      if (r < t1) t1 = r;
+    }
+    return true;
+  };
+  return (
+    clip(-dx, ax - boxes[pos]) &&
+    clip(dx, boxes[pos + 2] - ax) &&
+    clip(-dy, ay - boxes[pos + 1]) &&
+    clip(dy, boxes[pos + 3] - ay)
+  );
+}
+
+/**
+ * 沿线段查询：依次检查包围盒与线段相交的条目，predicate 返回 true 时立即结束
+ * 只访问线段穿过的节点，长线段也不会遍历其包围盒内的全部条目，用于视线与穿墙判断
+ *
+ * @param {Object} index - createSpatialIndex 返回的索引
+ * @param {number} ax - 线段起点 x
+ * @param {number} ay - 线段起点 y
+ * @param {number} bx - 线段终点 x
+ * @param {number} by - 线段终点 y
+ * @param {Function} predicate - 条目判断函数 (i) => boolean
+ * @returns {boolean} 存在 predicate 为 true 的条目时返回 true
+ */
+export function someAlongSegment(index, ax, ay, bx, by, predicate) {
+  if (!index || index.numItems === 0) return false;
+  const { boxes, indices, nodeSize, levelBounds, numItems } = index;
+  const dx = bx - ax;
+  const dy = by - ay;
+  const queue = [];
+  let nodePos = boxes.length - 4;
+  while (nodePos !== undefined) {
+    const end = Math.min(
+      nodePos + nodeSize * 4,
+      upperBound(nodePos, levelBounds),
+    );
+    const isLeafLevel = nodePos < numItems * 4;
+    for (let pos = nodePos; pos < end; pos += 4) {
+      if (!segmentHitsBox(boxes, pos, ax, ay, dx, dy)) continue;
+      const i = indices[pos >> 2];
+      if (!isLeafLevel) queue.push(i);
+      else if (predicate(i)) return true;
+    }
+    nodePos = queue.pop();
+  }
+  return false;
+}
+
+/**
+ * 点到包围盒的距离（点在盒内时为 0）
+ */
+function boxDistance(boxes, pos, x, y) {
+  const dx = Math.max(boxes[pos] - x, 0, x - boxes[pos + 2]);
+  const dy = Math.max(boxes[pos + 1] - y, 0, y - boxes[pos + 3]);
+  return Math.hypot(dx, dy);
+}
+
+/**
+ * 半径查询
+ *
+ * @param {Object} index - createSpatialIndex 返回的索引
+ * @param {number} x - 圆心 x
+ * @param {number} y - 圆心 y
+ * @param {number} radius - 半径（坐标单位）
+ * @param {Function} [itemDistance] - 条目精确距离函数 (i, x, y) => number，缺省时使用条目包围盒距离
+ * @returns {Array<number>} 距离不超过半径的条目序号
+ */
+export function searchRadius(index, x, y, radius, itemDistance) {
+  if (!index || index.numItems === 0) return [];
+  // 叶子在 boxes 中按 Hilbert 顺序排列，按条目序号取包围盒需使用 itemBoxes
+  const distanceOf =
+    itemDistance ?? ((i) => boxDistance(index.itemBoxes, i * 4, x, y));
+  return searchBBox(
+    index,
+    x - radius,
+    y - radius,
+    x + radius,
+    y + radius,
+    (i) => distanceOf(i, x, y) <= radius,
+  );
+}
+
+/**
+ * 最小堆（按 values 升序），仅供近邻查询使用
+ */
+function heapPush(ids, values, id, value) {
+  let pos = ids.length;
+  ids.push(id);
+  values.push(value);
+  while (pos > 0) {
+    const parent = (pos - 1) >> 1;
+    if (values[parent] <= value) break;
+    ids[pos] = ids[parent];
+    values[pos] = values[parent];
+    pos = parent;
+  }
+  ids[pos] = id;
+  values[pos] = value;
+}
+
+function heapPop(ids, values) {
+  const top = ids[0];
+  const lastId = ids.pop();
+  const lastValue = values.pop();
+  const n = ids.length;
+  if (n > 0) {
+    let pos = 0;
+    while (true) {
+      let child = pos * 2 + 1;
+      if (child >= n) break;
+      if (child + 1 < n && values[child + 1] < values[child]) child++;
+      if (values[child] >= lastValue) break;
+      ids[pos] = ids[child];
+      values[pos] = values[child];
+      pos = child;
+    }
+    ids[pos] = lastId;
+    values[pos] = lastValue;
+  }
+  return top;
+}
+
+/**
+ * k 近邻查询：按距离从近到远返回条目
+ * 使用最优优先遍历，条目距离取 itemDistance（须不小于条目包围盒距离）或包围盒距离
+ *
+ * @param {Object} index - createSpatialIndex 返回的索引
+ * @param {number} x - 查询点 x
+ * @param {number} y - 查询点 y
+ * @param {number} [k=1] - 返回的最大条目数
+ * @param {Object} [options={}] - 选项
+ * @param {number} [options.maxDistance=Infinity] - 最大距离（坐标单位）
+ * @param {Function} [options.filter] - 条目过滤函数 (i) => boolean
+ * @param {Function} [options.itemDistance] - 条目精确距离函数 (i, x, y) => number
+ * @returns {Array<number>} 条目序号数组
+ */
+export function nearest(index, x, y, k = 1, options = {}) {
+  const results = [];
+  if (!index || index.numItems === 0 || k <= 0) return results;
+  const { boxes, indices, nodeSize, levelBounds, numItems } = index;
+  const maxDistance = options.maxDistance ?? Infinity;
+  const { filter, itemDistance } = options;
+  // 堆中的编号：条目为 i * 2 + 1，内部节点为位置 * 2
+  const ids = [];
+  const values = [];
+  let nodePos = boxes.length - 4;
+  while (nodePos !== undefined) {
+    const end = Math.min(
+      nodePos + nodeSize * 4,
+      upperBound(nodePos, levelBounds),
+    );
+    const isLeafLevel = nodePos < numItems * 4;
+    for (let pos = nodePos; pos < end; pos += 4) {
+      const i = indices[pos >> 2];
+      if (isLeafLevel) {
+        if (filter && !filter(i)) continue;
+        const d = itemDistance
+          ? itemDistance(i, x, y)
+          : boxDistance(boxes, pos, x, y);
+        if (d <= maxDistance) heapPush(ids, values, i * 2 + 1, d);
+      } else {
+        const d = boxDistance(boxes, pos, x, y);
+        if (d <= maxDistance) heapPush(ids, values, i * 2, d);
+      }
+    }
+    // 堆顶为条目时，它比所有未展开的节点都近，可以直接输出
+    while (ids.length && ids[0] % 2 === 1) {
+      results.push((heapPop(ids, values) - 1) / 2);
+      if (results.length === k) return results;
+    }
+    nodePos = ids.length ? heapPop(ids, values) / 2 : undefined;
+  }
+  return results;
+}
+
+/**
+ * 为点集构建索引
+ *
+ * @param {Array<{lon: number, lat: number}|Array<number>>} points - 节点对象或坐标数组
+ * @param {number} [nodeSize] - 节点容量
+ * @returns {Object} 索引对象，条目序号即点在数组中的下标
+ */
+export function indexPoints(points, nodeSize) {
+  const boxes = new Float64Array(points.length * 4);
+  points.forEach((p, i) => {
+    const x = Array.isArray(p) ? p[0] : p.lon;
+    const y = Array.isArray(p) ? p[1] : p.lat;
+    boxes[i * 4] = boxes[i * 4 + 2] = x;
+    boxes[i * 4 + 1] = boxes[i * 4 + 3] = y;
+  });
+  return createSpatialIndex(boxes, nodeSize);
+}
+
+/**
+ * 为线段集构建索引
+ *
+ * @param {Array} segments - 线段数组，每条线段是 [[x, y], [x, y]]
+ * @param {number} [nodeSize] - 节点容量
+ * @returns {Object} 索引对象，条目序号即线段在数组中的下标
+ */
+export function indexSegments(segments, nodeSize) {
+  const boxes = new Float64Array(segments.length * 4);
+  segments.forEach(([a, b], i) => {
+    boxes[i * 4] = Math.min(a[0], b[0]);
+    boxes[i * 4 + 1] = Math.min(a[1], b[1]);
+    boxes[i * 4 + 2] = Math.max(a[0], b[0]);
+    boxes[i * 4 + 3] = Math.max(a[1], b[1]);
+  });
+  return createSpatialIndex(boxes, nodeSize);
+}
+
+/**
+ * 为多边形集（如障碍物）构建索引
+ *
+ * @param {Array} polygons - 多边形数组，每个多边形是环数组 [外环, 洞1, ...]
+ * @param {number} [nodeSize] - 节点容量
+ * @returns {Object} 索引对象，条目序号即多边形在数组中的下标
+ */
+export function indexPolygons(polygons, nodeSize) {
+  const boxes = new Float64Array(polygons.length * 4);
+  polygons.forEach((rings, i) => {
+    let minX = Infinity,
+      minY = Infinity,
+      maxX = -Infinity,
+      maxY = -Infinity;
+    for (const ring of rings) {
+      for (const [x, y] of ring) {
+        if (x < minX) minX = x;
+        if (x > maxX) maxX = x;
+        if (y < minY) minY = y;
+        if (y > maxY) maxY = y;
+      }
+    }
+    boxes[i * 4] = minX;
+    boxes[i * 4 + 1] = minY;
+    boxes[i * 4 + 2] = maxX;
+    boxes[i * 4 + 3] = maxY;
+  });
+  return createSpatialIndex(boxes, nodeSize);
+}
@@ -0,0 +1,93 @@
+import { describe, expect, it } from "vitest";
+import {
+  indexPoints,
+  indexSegments,
+  nearest,
+  searchBBox,
+  searchRadius,
+  someAlongSegment,
+} from "./spatialIndex.js";
+
+/** 可复现的伪随机数 */
+function random(seed) {
+  let s = seed;
+  return () => (s = (s * 16807) % 2147483647) / 2147483647;
+}
+
+const rnd = random(42);
+// 条目数超过节点容量，使索引有多层
+const points = Array.from({ length: 500 }, () => [rnd() * 100, rnd() * 100]);
+const sorted = (a) => [...a].sort((p, q) => p - q);
+
+describe("空间索引", () => {
+  const index = indexPoints(points, 8);
+
+  it("范围查询与线性扫描结果相同", () => {
+    for (const [minX, minY, maxX, maxY] of [
+      [10, 10, 30, 40],
+      [0, 0, 100, 100],
+      [50, 50, 50.5, 50.5],
+      [-10, -10, -1, -1],
+    ]) {
+      const expected = points
+        .map(([x, y], i) =>
+          x >= minX && x <= maxX && y >= minY && y <= maxY ? i : -1,
+        )
+        .filter((i) => i >= 0);
+      expect(sorted(searchBBox(index, minX, minY, maxX, maxY))).toEqual(
+        expected,
+      );
+    }
+  });
+
+  it("半径查询与线性扫描结果相同", () => {
+    const expected = points
+      .map(([x, y], i) => (Math.hypot(x - 40, y - 60) <= 12 ? i : -1))
+      .filter((i) => i >= 0);
+    expect(sorted(searchRadius(index, 40, 60, 12))).toEqual(expected);
+  });
+
+  it("最近邻按距离从近到远返回", () => {
+    const dist = (i) => Math.hypot(points[i][0] - 25, points[i][1] - 75);
+    const expected = points
+      .map((_, i) => i)
+      .sort((a, b) => dist(a) - dist(b))
+      .slice(0, 5);
+    expect(nearest(index, 25, 75, 5)).toEqual(expected);
+    const even = points
+      .map((_, i) => i)
+      .filter((i) => i % 2 === 0)
+      .sort((a, b) => dist(a) - dist(b));
+    expect(nearest(index, 25, 75, 3, { filter: (i) => i % 2 === 0 })).toEqual(
+      even.slice(0, 3),
+    );
+    expect(nearest(index, 25, 75, 5, { maxDistance: 0 })).toEqual([]);
+  });
+
+  it("沿线段查询只检查包围盒与线段相交的条目", () => {
+    const segments = [
+      [
+        [0, 0],
+        [10, 0],
+      ],
+      [
+        [20, -5],
+        [20, 5],
+      ],
+      [
+        [30, 10],
+        [40, 10],
+      ],
+    ];
+    const walls = indexSegments(segments);
+    const seen = [];
+    const hit = someAlongSegment(walls, 15, 0, 25, 0, (i) => {
+      seen.push(i);
+      return i === 1;
+    });
+    expect(hit).toBe(true);
+    expect(seen).toEqual([1]);
+    expect(someAlongSegment(walls, 0, 5, 25, 5, () => true)).toBe(true);
+    expect(someAlongSegment(walls, 0, 20, 40, 20, () => true)).toBe(false);
+  });
+});
@@ -0,0 +1,193 @@
+/**
+ * 本地存储模块
+ *
+ * 基于 IndexedDB 保存用户最近打开的图纸文件，便于再次打开时无需重新选择文件。
+ *
+ * 主要功能：
+ * 1. 打开/升级应用数据库
+ * 2. 记录最近打开的文件（保存文件内容 Blob）
+ * 3. 读取、删除最近文件记录
+ * 4. 缓存构建好的障碍图二进制数据（见 graphBinary.js），按源文件内容哈希与构建设置索引
+ */
+
+const DB_NAME = "obstacle-graph-builder";
+const DB_VERSION = 2;
+const RECENT_STORE = "recentFiles";
+const GRAPH_STORE = "graphCache";
+
+/** 最近文件列表保留的最大条目数 */
+const MAX_RECENT_FILES = 10;
+/** 障碍图缓存保留的最大条目数 */
+const MAX_CACHED_GRAPHS = 5;
+
+let dbPromise = null;
+
+/**
+ * 打开应用数据库，首次打开或版本升级时创建对象仓库
+ *
+ * @returns {Promise<IDBDatabase>} 数据库连接
+ */
+function openDatabase() {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === "undefined") {
+      reject(new Error("当前环境不支持 IndexedDB"));
+      return;
+    }
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains(RECENT_STORE)) {
+        const store = db.createObjectStore(RECENT_STORE, { keyPath: "id" });
+        store.createIndex("openedAt", "openedAt");
+      }
+      if (!db.objectStoreNames.contains(GRAPH_STORE)) {
+        const store = db.createObjectStore(GRAPH_STORE, { keyPath: "id" });
+        store.createIndex("cachedAt", "cachedAt");
+      }
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+  // 打开失败时允许下次重试
+  dbPromise.catch(() => {
+    dbPromise = null;
+  });
+  return dbPromise;
+}
+
+/**
+ * 将 IDBRequest 包装为 Promise
+ *
+ * @param {IDBRequest} req - IndexedDB 请求
+ * @returns {Promise<*>} 请求结果
+ */
+function requestToPromise(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+/**
+ * 获取指定对象仓库
+ *
+ * @param {string} name - 对象仓库名称
+ * @param {IDBTransactionMode} mode - 事务模式
+ * @returns {Promise<IDBObjectStore>} 对象仓库
+ */
+async function getStore(name, mode) {
+  const db = await openDatabase();
+  return db.transaction(name, mode).objectStore(name);
+}
+
+/**
+ * 记录最近打开的文件，同名同大小的文件视为同一条记录
+ * 超出 MAX_RECENT_FILES 的最旧记录会被删除
+ *
+ * @param {File} file - 用户打开的文件
+ * @returns {Promise<void>}
+ */
+export async function addRecentFile(file) {
+  const entry = {
+    id: `${file.name}:${file.size}`,
+    name: file.name,
+    size: file.size,
+    type: file.type,
+    lastModified: file.lastModified,
+    openedAt: Date.now(),
+    blob: file,
+  };
+  const store = await getStore(RECENT_STORE, "readwrite");
+  await requestToPromise(store.put(entry));
+
+  const all = await listRecentFiles();
+  for (const stale of all.slice(MAX_RECENT_FILES)) {
+    await removeRecentFile(stale.id);
+  }
+}
+
+/**
+ * 列出最近打开的文件（不含文件内容），按打开时间倒序
+ *
+ * @returns {Promise<Array<{id: string, name: string, size: number, openedAt: number}>>} 最近文件列表
+ */
+export async function listRecentFiles() {
+  const store = await getStore(RECENT_STORE, "readonly");
+  const all = await requestToPromise(store.getAll());
+  return all
+    .map(({ id, name, size, openedAt }) => ({ id, name, size, openedAt }))
+    .sort((a, b) => b.openedAt - a.openedAt);
+}
+
+/**
+ * 读取最近文件记录中保存的文件内容
+ *
+ * @param {string} id - 记录 ID
+ * @returns {Promise<File|null>} 文件对象，记录不存在时返回 null
+ */
+export async function getRecentFile(id) {
+  const store = await getStore(RECENT_STORE, "readonly");
+  const entry = await requestToPromise(store.get(id));
+  if (!entry) return null;
+  return new File([entry.blob], entry.name, {
+    type: entry.type,
+    lastModified: entry.lastModified,
+  });
+}
+
+/**
+ * 删除最近文件记录
+ *
+ * @param {string} id - 记录 ID
+ * @returns {Promise<void>}
+ */
+export async function removeRecentFile(id) {
+  const store = await getStore(RECENT_STORE, "readwrite");
+  await requestToPromise(store.delete(id));
+}
+
+/**
+ * 计算内容的 SHA-256 哈希（十六进制字符串）
+ *
+ * @param {ArrayBuffer|ArrayBufferView|string} data - 文件内容或文本
+ * @returns {Promise<string>} 哈希值
+ */
+export async function hashContent(data) {
+  const bytes =
+    typeof data === "string" ? new TextEncoder().encode(data) : data;
+  const digest = await crypto.subtle.digest("SHA-256", bytes);
+  return Array.from(new Uint8Array(digest), (b) =>
+    b.toString(16).padStart(2, "0"),
+  ).join("");
+}
+
+/**
+ * 读取缓存的障碍图
+ *
+ * @param {string} id - 缓存键
+ * @returns {Promise<Object|null>} 缓存记录 { id, cachedAt, levels: [{ id, buffer }] }，不存在时返回 null
+ */
+export async function getCachedGraph(id) {
+  const store = await getStore(GRAPH_STORE, "readonly");
+  return (await requestToPromise(store.get(id))) ?? null;
+}
+
+/**
+ * 写入障碍图缓存，超出 MAX_CACHED_GRAPHS 的最旧记录会被删除
+ *
+ * @param {string} id - 缓存键
+ * @param {Array<{id: string|null, buffer: ArrayBuffer}>} levels - 各楼层的二进制数据，不分层时 id 为 null
+ * @returns {Promise<void>}
+ */
+export async function putCachedGraph(id, levels) {
+  const store = await getStore(GRAPH_STORE, "readwrite");
+  await requestToPromise(store.put({ id, cachedAt: Date.now(), levels }));
+
+  const index = (await getStore(GRAPH_STORE, "readonly")).index("cachedAt");
+  const keys = await requestToPromise(index.getAllKeys());
+  const stale = keys.slice(0, Math.max(0, keys.length - MAX_CACHED_GRAPHS));
+  if (!stale.length) return;
+  const writable = await getStore(GRAPH_STORE, "readwrite");
+  for (const key of stale) await requestToPromise(writable.delete(key));
+}
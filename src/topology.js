@@ -0,0 +1,500 @@
+/**
+ * 线网拓扑处理模块
+ *
+ * 该模块为障碍物识别提供线网的拓扑处理能力。CAD 图纸中柱子、管井、设备基础等
+ * 往往由零散的 LINE 线段围合而成，并没有真正的多边形几何，需要先对线网进行打断(noding)，
+ * 再找出线段围成的封闭面(polygonize)。
+ *
+ * 主要功能：
+ * 1. 线段打断：在线段相交处将两条线段都打断，生成共享端点
+ * 2. 面构造：在打断后的平面图中追踪所有封闭面，并识别嵌套形成的洞
+ *
+ * 坐标系统：与输入数据一致，只使用前两个坐标分量 [x, y]
+ * 多边形表示：与 obstacles.js 一致，多边形由闭合环组成，第一个环为外环，其余为洞
+ */
+
+import { roundCoordKey } from "./geo.js";
+
+/** 相交计算的浮点容差 */
+const EPS = 1e-12;
+
+/**
+ * 计算线段的包围盒
+ *
+ * @param {Array<number>} a - 线段起点
+ * @param {Array<number>} b - 线段终点
+ * @returns {Object} 包围盒 { minX, minY, maxX, maxY }
+ */
+function segBbox(a, b) {
+  return {
+    minX: Math.min(a[0], b[0]),
+    minY: Math.min(a[1], b[1]),
+    maxX: Math.max(a[0], b[0]),
+    maxY: Math.max(a[1], b[1]),
+  };
+}
+
+/**
+ * 计算两条线段的交点在各自线段上的参数位置
+ * 共线重叠时返回对方端点在本线段上的投影参数
+ *
+ * @param {Array<number>} a - 线段1起点
+ * @param {Array<number>} b - 线段1终点
+ * @param {Array<number>} c - 线段2起点
+ * @param {Array<number>} d - 线段2终点
+ * @returns {Array<[number, number]>} 交点参数对数组 [[t1, t2], ...]，t1、t2 分别在 [0, 1] 内
+ */
+function intersectParams(a, b, c, d) {
+  const rx = b[0] - a[0],
+    ry = b[1] - a[1];
+  const sx = d[0] - c[0],
+    sy = d[1] - c[1];
+  const qx = c[0] - a[0],
+    qy = c[1] - a[1];
+  const denom = rx * sy - ry * sx;
+  const rr = rx * rx + ry * ry;
+  const ss = sx * sx + sy * sy;
+  if (!rr || !ss) return [];
+
+  // 平行线段：只处理共线重叠的情况
+  if (Math.abs(denom) <= EPS * Math.sqrt(rr * ss)) {
+    const cross = qx * ry - qy * rx;
+    if (Math.abs(cross) > EPS * Math.sqrt(rr) * (Math.hypot(qx, qy) + 1)) {
+      return [];
+    }
+    const out = [];
+    const tc = (qx * rx + qy * ry) / rr;
+    const td = ((d[0] - a[0]) * rx + (d[1] - a[1]) * ry) / rr;
+    const ua = (-qx * sx - qy * sy) / ss;
+    const ub = ((b[0] - c[0]) * sx + (b[1] - c[1]) * sy) / ss;
+    if (tc >= -EPS && tc <= 1 + EPS) out.push([tc, 0]);
+    if (td >= -EPS && td <= 1 + EPS) out.push([td, 1]);
+    if (ua >= -EPS && ua <= 1 + EPS) out.push([0, ua]);
+    if (ub >= -EPS && ub <= 1 + EPS) out.push([1, ub]);
+    return out;
+  }
+
+  const t = (qx * sy - qy * sx) / denom;
+  const u = (qx * ry - qy * rx) / denom;
+  if (t < -EPS || t > 1 + EPS || u < -EPS || u > 1 + EPS) return [];
+  return [[t, u]];
+}
+
+/**
+ * 使用均匀网格作为空间索引，枚举包围盒可能相交的线段对
+ *
+ * @param {Array<Object>} boxes - 每条线段的包围盒
+ * @param {Function} visit - 回调 (i, j)，对每个候选线段对调用一次（i < j）
+ */
+function forEachCandidatePair(boxes, visit) {
+  const n = boxes.length;
+  if (n < 2) return;
+  let minX = Infinity,
+    minY = Infinity,
+    maxX = -Infinity,
+    maxY = -Infinity;
+  let sumLen = 0;
+  for (const bb of boxes) {
+    if (bb.minX < minX) minX = bb.minX;
+    if (bb.minY < minY) minY = bb.minY;
+    if (bb.maxX > maxX) maxX = bb.maxX;
+    if (bb.maxY > maxY) maxY = bb.maxY;
+    sumLen += Math.max(bb.maxX - bb.minX, bb.maxY - bb.minY);
+  }
+  // 网格单元取平均线段长度，单个线段覆盖的单元数有限
+  const cell = Math.max(
+    sumLen / n,
+    Math.max(maxX - minX, maxY - minY) / 1024,
+    EPS,
+  );
+  const cols = Math.max(1, Math.ceil((maxX - minX) / cell) + 1);
+  const buckets = new Map();
+  for (let i = 0; i < n; i++) {
+    const bb = boxes[i];
+    const c0 = Math.floor((bb.minX - minX) / cell);
+    const c1 = Math.floor((bb.maxX - minX) / cell);
+    const r0 = Math.floor((bb.minY - minY) / cell);
+    const r1 = Math.floor((bb.maxY - minY) / cell);
+    for (let r = r0; r <= r1; r++) {
+      for (let c = c0; c <= c1; c++) {
+        const key = r * cols + c;
+        let list = buckets.get(key);
+        if (!list) buckets.set(key, (list = []));
+        list.push(i);
+      }
+    }
+  }
+  const seen = new Set();
+  for (const list of buckets.values()) {
+    for (let x = 0; x < list.length; x++) {
+      for (let y = x + 1; y < list.length; y++) {
+        const i = list[x],
+          j = list[y];
+        const a = boxes[i],
+          b = boxes[j];
+        if (
+          a.minX > b.maxX ||
+          a.maxX < b.minX ||
+          a.minY > b.maxY ||
+          a.maxY < b.minY
+        )
+          continue;
+        const key = i < j ? i * n + j : j * n + i;
+        if (seen.has(key)) continue;
+        seen.add(key);
+        visit(Math.min(i, j), Math.max(i, j));
+      }
+    }
+  }
+}
+
+/**
+ * 线段打断：找出所有线段交点（包括 T 型接头和共线重叠），并在交点处打断线段
+ *
+ * @param {Array} segments - 线段数组，每条线段是 [[x, y], [x, y]]
+ * @param {Object} [options={}] - 选项
+ * @param {number} [options.precision=6] - 交点坐标去重精度
+ * @returns {{segments: Array, splitCount: number, intersectionCount: number}}
+ *          打断后的线段数组（每条线段可附带源线段索引 source），新增的分段数和找到的交点数
+ */
+export function nodeSegments(segments, options = {}) {
+  const precision = options.precision ?? 6;
+  const segs = [];
+  const sources = [];
+  segments.forEach(([a, b], i) => {
+    if (!a || !b || (a[0] === b[0] && a[1] === b[1])) return;
+    segs.push([a, b]);
+    sources.push(i);
+  });
+  const boxes = segs.map(([a, b]) => segBbox(a, b));
+  const cuts = segs.map(() => []);
+  let intersectionCount = 0;
+
+  forEachCandidatePair(boxes, (i, j) => {
+    const [a, b] = segs[i];
+    const [c, d] = segs[j];
+    for (const [t, u] of intersectParams(a, b, c, d)) {
+      intersectionCount++;
+      // T 型接头直接使用端点作为共享节点，其余情况使用线段1上的插值点，
+      // 保证两条线段在同一点被打断
+      let p;
+      if (t <= EPS) p = a;
+      else if (t >= 1 - EPS) p = b;
+      else if (u <= EPS) p = c;
+      else if (u >= 1 - EPS) p = d;
+      else p = [a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t];
+      if (t > EPS && t < 1 - EPS) cuts[i].push([t, p]);
+      if (u > EPS && u < 1 - EPS) cuts[j].push([u, p]);
+    }
+  });
+
+  const out = [];
+  let splitCount = 0;
+  for (let i = 0; i < segs.length; i++) {
+    const [a, b] = segs[i];
+    const source = sources[i];
+    if (!cuts[i].length) {
+      out.push(Object.assign([a, b], { source }));
+      continue;
+    }
+    cuts[i].sort((x, y) => x[0] - y[0]);
+    let prev = a;
+    let prevKey = roundCoordKey(a, precision);
+    for (const [, p] of [...cuts[i], [1, b]]) {
+      const key = roundCoordKey(p, precision);
+      if (key === prevKey) continue;
+      out.push(Object.assign([prev, p], { source }));
+      prev = p;
+      prevKey = key;
+    }
+    splitCount += cuts[i].length;
+  }
+  return { segments: out, splitCount, intersectionCount };
+}
+
+/**
+ * 计算环的有向面积（逆时针为正）
+ *
+ * @param {Array<Array<number>>} ring - 闭合环坐标数组
+ * @returns {number} 有向面积
+ */
+export function ringSignedArea(ring) {
+  let s = 0;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    s += (ring[j][0] - ring[i][0]) * (ring[j][1] + ring[i][1]);
+  }
+  return s / 2;
+}
+
+/**
+ * 射线法判断点是否在环内
+ *
+ * @param {number} x - 点的 x 坐标
+ * @param {number} y - 点的 y 坐标
+ * @param {Array<Array<number>>} ring - 闭合环坐标数组
+ * @returns {boolean} 在环内返回 true
+ */
+function pointInRing(x, y, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const xi = ring[i][0],
+      yi = ring[i][1];
+    const xj = ring[j][0],
+      yj = ring[j][1];
+    if (yi > y !== yj > y && x < ((xj - xi) * (y - yi)) / (yj - yi || EPS) + xi)
+      inside = !inside;
+  }
+  return inside;
+}
+
+/**
+ * 计算环的包围盒
+ *
+ * @param {Array<Array<number>>} ring - 坐标数组
+ * @returns {Object} 包围盒 { minX, minY, maxX, maxY }
+ */
+function ringBbox(ring) {
+  let minX = Infinity,
+    minY = Infinity,
+    maxX = -Infinity,
+    maxY = -Infinity;
+  for (const [x, y] of ring) {
+    if (x < minX) minX = x;
+    if (y < minY) minY = y;
+    if (x > maxX) maxX = x;
+    if (y > maxY) maxY = y;
+  }
+  return { minX, minY, maxX, maxY };
+}
+
+/**
+ * 由打断后的线段构建平面图，去除悬挂边，并追踪所有面
+ *
+ * @param {Array} segments - 已打断的线段数组
+ * @param {number} precision - 节点去重精度
+ * @returns {Array<{ring: Array, area: number, component: number}>} 面数组；
+ *          area > 0 为有界面（逆时针），area < 0 为连通分量的外边界（顺时针）
+ */
+function traceFaces(segments, precision) {
+  const vertexByKey = new Map();
+  const coords = [];
+  const edgeKeys = new Set();
+  const edges = [];
+  function vertexId(p) {
+    const key = roundCoordKey(p, precision);
+    let id = vertexByKey.get(key);
+    if (id === undefined) {
+      id = coords.length;
+      vertexByKey.set(key, id);
+      coords.push([p[0], p[1]]);
+    }
+    return id;
+  }
+  for (const [a, b] of segments) {
+    const u = vertexId(a),
+      v = vertexId(b);
+    if (u === v) continue;
+    const key = u < v ? `${u}:${v}` : `${v}:${u}`;
+    if (edgeKeys.has(key)) continue;
+    edgeKeys.add(key);
+    edges.push([u, v]);
+  }
+
+  // 迭代删除度为 1 的悬挂边，它们不可能围成面
+  const degree = new Int32Array(coords.length);
+  for (const [u, v] of edges) {
+    degree[u]++;
+    degree[v]++;
+  }
+  const alive = new Uint8Array(edges.length).fill(1);
+  const incident = coords.map(() => []);
+  edges.forEach(([u, v], e) => {
+    incident[u].push(e);
+    incident[v].push(e);
+  });
+  const stack = [];
+  for (let i = 0; i < coords.length; i++) if (degree[i] === 1) stack.push(i);
+  while (stack.length) {
+    const v = stack.pop();
+    if (degree[v] !== 1) continue;
+    for (const e of incident[v]) {
+      if (!alive[e]) continue;
+      alive[e] = 0;
+      const [a, b] = edges[e];
+      const other = a === v ? b : a;
+      degree[v]--;
+      degree[other]--;
+      if (degree[other] === 1) stack.push(other);
+    }
+  }
+
+  // 半边结构：边 e 对应半边 2e (u→v) 与 2e+1 (v→u)
+  const live = [];
+  for (let e = 0; e < edges.length; e++) if (alive[e]) live.push(e);
+  const origin = new Int32Array(edges.length * 2);
+  const outgoing = coords.map(() => []);
+  for (const e of live) {
+    const [u, v] = edges[e];
+    origin[2 * e] = u;
+    origin[2 * e + 1] = v;
+    outgoing[u].push(2 * e);
+    outgoing[v].push(2 * e + 1);
+  }
+  const angle = (h) => {
+    const from = coords[origin[h]];
+    const to = coords[origin[h ^ 1]];
+    return Math.atan2(to[1] - from[1], to[0] - from[0]);
+  };
+  // 每个顶点的出边按极角升序排列，并记录半边在列表中的位置
+  const position = new Int32Array(edges.length * 2);
+  for (const list of outgoing) {
+    list.sort((x, y) => angle(x) - angle(y));
+    list.forEach((h, i) => (position[h] = i));
+  }
+
+  // 连通分量（并查集），用于判断洞的归属
+  const parent = coords.map((_, i) => i);
+  const find = (x) => {
+    while (parent[x] !== x) x = parent[x] = parent[parent[x]];
+    return x;
+  };
+  for (const e of live) parent[find(edges[e][0])] = find(edges[e][1]);
+
+  // 沿每条半边追踪其左侧的面：到达终点后，取孪生半边顺时针方向的下一条出边
+  const visited = new Uint8Array(edges.length * 2);
+  const faces = [];
+  for (const e of live) {
+    for (const start of [2 * e, 2 * e + 1]) {
+      if (visited[start]) continue;
+      const ring = [];
+      let h = start;
+      while (!visited[h]) {
+        visited[h] = 1;
+        ring.push(coords[origin[h]]);
+        const twin = h ^ 1;
+        const list = outgoing[origin[twin]];
+        h = list[(position[twin] - 1 + list.length) % list.length];
+      }
+      ring.push(ring[0]);
+      faces.push({
+        ring,
+        area: ringSignedArea(ring),
+        component: find(origin[start]),
+      });
+    }
+  }
+  return faces;
+}
+
+/**
+ * 面构造：对线网打断后追踪所有封闭面，返回障碍物多边形
+ *
+ * @param {Array} segments - 线段数组，每条线段是 [[x, y], [x, y]]
+ * @param {Object} [options={}] - 选项
+ * @param {number} [options.precision=6] - 节点去重精度
+ * @param {number} [options.minArea=0] - 最小面积（坐标单位的平方），小于该值的面被丢弃
+ * @param {number} [options.maxArea=Infinity] - 最大面积，大于该值的面被丢弃，
+ *        且不再作为内嵌线网的外层面（房间内的柱子仍是独立障碍，而不是房间的洞）
+ * @param {boolean|Function} [options.solid=false] - 是否将连通线网整体视为实心：
+ *        true 时每个连通分量只输出其外轮廓（内部分隔线与内嵌环都被填实），
+ *        false 时输出每个最小封闭面，按奇偶嵌套规则处理内嵌线网（第一层内嵌为洞，再内一层又是障碍）；
+ *        也可传入函数 (ring, area) => boolean，按外轮廓逐个决定
+ * @returns {Array} 多边形数组，每个多边形是环数组 [外环(逆时针), 洞1(顺时针), ...]
+ */
+export function polygonize(segments, options = {}) {
+  const precision = options.precision ?? 6;
+  const minArea = options.minArea ?? 0;
+  const maxArea = options.maxArea ?? Infinity;
+  const solidOpt = options.solid ?? false;
+  const isSolid =
+    typeof solidOpt === "function" ? solidOpt : () => Boolean(solidOpt);
+
+  const noded = nodeSegments(segments, { precision }).segments;
+  const faces = traceFaces(noded, precision);
+  const bounded = faces.filter((f) => f.area > EPS);
+  const shells = faces.filter((f) => f.area < -EPS);
+  for (const f of [...bounded, ...shells]) f.bbox = ringBbox(f.ring);
+
+  // 每个连通分量的外轮廓（翻转为逆时针），决定该分量是否按实心处理；
+  // 外轮廓超过最大面积的分量按非实心处理，只保留其中足够小的面
+  const solidComponents = new Map();
+  for (const s of shells) {
+    const outer = [...s.ring].reverse();
+    const area = -s.area;
+    if (area <= maxArea && isSolid(outer, area)) {
+      solidComponents.set(s.component, { outer, area });
+    }
+  }
+
+  /**
+   * 找到直接包含某个点、且属于其他连通分量的最小有界面
+   */
+  function smallestContaining(x, y, component, candidates) {
+    let best = null;
+    for (const f of candidates) {
+      if (f.component === component) continue;
+      const bb = f.bbox;
+      if (x < bb.minX || x > bb.maxX || y < bb.minY || y > bb.maxY) continue;
+      if (!pointInRing(x, y, f.ring)) continue;
+      if (!best || f.area < best.area) best = f;
+    }
+    return best;
+  }
+
+  // 位于实心轮廓内部的连通分量被实心区域覆盖，直接忽略
+  const solidFaces = [...solidComponents.entries()].map(([component, s]) => ({
+    component,
+    ring: s.outer,
+    area: s.area,
+    bbox: ringBbox(s.outer),
+  }));
+  const covered = new Set();
+  for (const s of shells) {
+    const [x, y] = s.ring[0];
+    if (smallestContaining(x, y, s.component, solidFaces)) {
+      covered.add(s.component);
+    }
+  }
+
+  const polygons = [];
+  for (const s of solidFaces) {
+    if (covered.has(s.component) || s.area < minArea) continue;
+    polygons.push([s.ring]);
+  }
+
+  // 非实心分量：每个有界面单独成为多边形；按嵌套深度奇偶判断，
+  // 奇数层的分量是其外层面的洞，偶数层的分量又是独立的障碍
+  const ownerOf = new Map();
+  const owners = bounded.filter((f) => f.area <= maxArea);
+  for (const s of shells) {
+    if (covered.has(s.component)) continue;
+    const [x, y] = s.ring[0];
+    const owner = smallestContaining(x, y, s.component, owners);
+    if (owner) ownerOf.set(s.component, { owner, ring: s.ring });
+  }
+  const depthMemo = new Map();
+  function depth(component) {
+    if (depthMemo.has(component)) return depthMemo.get(component);
+    depthMemo.set(component, 0);
+    const entry = ownerOf.get(component);
+    const d = entry ? depth(entry.owner.component) + 1 : 0;
+    depthMemo.set(component, d);
+    return d;
+  }
+  const holes = new Map();
+  for (const [component, { owner, ring }] of ownerOf) {
+    if (solidComponents.has(owner.component)) continue;
+    if (depth(component) % 2 === 0) continue;
+    if (!holes.has(owner)) holes.set(owner, []);
+    holes.get(owner).push(ring);
+  }
+  for (const f of bounded) {
+    if (solidComponents.has(f.component) || covered.has(f.component)) continue;
+    if (depth(f.component) % 2 === 1 || f.area > maxArea) continue;
+    const faceHoles = holes.get(f) || [];
+    const holeArea = faceHoles.reduce((sum, h) => sum - ringSignedArea(h), 0);
+    if (f.area - holeArea < minArea) continue;
+    polygons.push([f.ring, ...faceHoles]);
+  }
+  return polygons;
+}
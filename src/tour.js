@@ -0,0 +1,172 @@
+/**
+ * 多点巡回顺序模块
+ *
+ * 巡检、配送等多站点路线需要确定停靠点的访问顺序（旅行商问题）。本模块在停靠点之间的代价矩阵上
+ * 用最近邻构造初始顺序，再以 2-opt 与 Or-opt 局部改进，适合几十个以内的停靠点。
+ *
+ * 首尾可以固定或开放：引入一个虚拟点，它只与可以作为首尾的停靠点相连，
+ * 把开放路径转化为环路求解，最后在虚拟点处断开。2-opt 会反转路段，代价矩阵应（近似）对称。
+ *
+ * 主要功能：
+ * 1. solveTour：求停靠点的访问顺序
+ * 2. tourCost：按给定顺序累计代价
+ */
+
+/** 判定改进的最小代价差，避免浮点误差导致来回交换 */
+const EPS = 1e-9;
+
+/** 局部改进的最大轮数 */
+const MAX_ROUNDS = 100;
+
+/**
+ * 按给定顺序累计代价
+ *
+ * @param {Array<Array<number>>} cost - 代价矩阵，cost[i][j] 为 i 到 j 的代价，不可达为 Infinity
+ * @param {Array<number>} order - 停靠点序号
+ * @returns {number} 相邻停靠点之间的代价之和
+ */
+export function tourCost(cost, order) {
+  let sum = 0;
+  for (let k = 1; k < order.length; k++) sum += cost[order[k - 1]][order[k]];
+  return sum;
+}
+
+/**
+ * 求停靠点的访问顺序
+ * 停靠点 0 为起点，n - 1 为终点；固定的首尾保持原位，开放的首尾可以是任意停靠点
+ *
+ * @param {Array<Array<number>>} cost - n × n 代价矩阵，不可达为 Infinity
+ * @param {Object} [options={}] - 选项
+ * @param {boolean} [options.fixedStart=true] - 是否从停靠点 0 出发
+ * @param {boolean} [options.fixedEnd=true] - 是否到停靠点 n - 1 结束
+ * @returns {Object} { order, cost }：order 为停靠点序号的访问顺序，cost 为总代价（含不可达段时为 Infinity）
+ */
+export function solveTour(cost, options = {}) {
+  const { fixedStart = true, fixedEnd = true } = options;
+  const n = cost.length;
+  if (n <= 2) {
+    const order = [...Array(n).keys()];
+    return { order, cost: tourCost(cost, order) };
+  }
+
+  // 惩罚项：任何只含可达段的路径代价都小于 FREE，FREE 的若干倍仍小于 BLOCKED
+  let maxFinite = 0;
+  for (const row of cost) {
+    for (const c of row) if (isFinite(c)) maxFinite = Math.max(maxFinite, c);
+  }
+  const FREE = (maxFinite + 1) * (n + 1);
+  const BLOCKED = FREE * 8;
+  // 虚拟点与停靠点 j 之间的代价：固定的首尾为 0，开放的一端对所有停靠点收取相同的 FREE，
+  // 首尾都固定时其余停靠点不可与虚拟点相连
+  const DUMMY = n;
+  const dummyLink = (j) => {
+    if ((fixedStart && j === 0) || (fixedEnd && j === n - 1)) return 0;
+    if (!fixedStart && !fixedEnd) return 0;
+    return fixedStart && fixedEnd ? BLOCKED : FREE;
+  };
+  const w = (i, j) => {
+    if (i === DUMMY) return dummyLink(j);
+    if (j === DUMMY) return dummyLink(i);
+    // 环路中两个方向都会经过，取较小的一侧保证对称
+    const c = Math.min(cost[i][j], cost[j][i]);
+    return isFinite(c) ? c : BLOCKED;
+  };
+
+  const tour = nearestNeighbour(n + 1, DUMMY, w);
+  for (let round = 0; round < MAX_ROUNDS; round++) {
+    const improved = twoOpt(tour, w);
+    if (!orOpt(tour, w) && !improved) break;
+  }
+
+  // 在虚拟点处断开，并按固定的首尾调整方向
+  const at = tour.indexOf(DUMMY);
+  const order = [...tour.slice(at + 1), ...tour.slice(0, at)];
+  if (
+    (fixedStart && order[0] !== 0) ||
+    (!fixedStart && fixedEnd && order[order.length - 1] !== n - 1)
+  ) {
+    order.reverse();
+  }
+  return { order, cost: tourCost(cost, order) };
+}
+
+/**
+ * 最近邻构造：从 first 出发，每次走向代价最小的未访问点
+ */
+function nearestNeighbour(m, first, w) {
+  const visited = new Uint8Array(m);
+  const tour = [first];
+  visited[first] = 1;
+  for (let k = 1; k < m; k++) {
+    const cur = tour[k - 1];
+    let best = -1;
+    for (let j = 0; j < m; j++) {
+      if (!visited[j] && (best < 0 || w(cur, j) < w(cur, best))) best = j;
+    }
+    visited[best] = 1;
+    tour.push(best);
+  }
+  return tour;
+}
+
+/**
+ * 2-opt：交换两条不相邻的边并反转其间的路段，原地修改环路
+ * @returns {boolean} 是否有改进
+ */
+function twoOpt(tour, w) {
+  const m = tour.length;
+  let improved = false;
+  for (let i = 0; i < m - 2; i++) {
+    for (let j = i + 2; j < m; j++) {
+      if (i === 0 && j === m - 1) continue;
+      const a = tour[i];
+      const b = tour[i + 1];
+      const c = tour[j];
+      const d = tour[(j + 1) % m];
+      if (w(a, c) + w(b, d) - w(a, b) - w(c, d) < -EPS) {
+        for (let lo = i + 1, hi = j; lo < hi; lo++, hi--) {
+          [tour[lo], tour[hi]] = [tour[hi], tour[lo]];
+        }
+        improved = true;
+      }
+    }
+  }
+  return improved;
+}
+
+/**
+ * Or-opt：把 1 ~ 3 个连续点移到另一条边中间（可反向插入），原地修改环路
+ * @returns {boolean} 是否有改进
+ */
+function orOpt(tour, w) {
+  const m = tour.length;
+  let improved = false;
+  for (let len = 1; len <= 3 && len < m - 2; len++) {
+    for (let i = 0; i + len <= m; i++) {
+      const first = tour[i];
+      const last = tour[i + len - 1];
+      const prev = tour[(i - 1 + m) % m];
+      const next = tour[(i + len) % m];
+      const removeGain = w(prev, first) + w(last, next) - w(prev, next);
+      let best = null;
+      for (let j = 0; j < m; j++) {
+        // 跳过与该路段相接或在其内部的边
+        if ((j - (i - 1) + m) % m <= len) continue;
+        const p = tour[j];
+        const q = tour[(j + 1) % m];
+        const forward = w(p, first) + w(last, q);
+        const backward = w(p, last) + w(first, q);
+        const delta = Math.min(forward, backward) - w(p, q) - removeGain;
+        if (delta < -EPS && (!best || delta < best.delta)) {
+          best = { delta, p, reversed: backward < forward };
+        }
+      }
+      if (!best) continue;
+      const segment = tour.splice(i, len);
+      if (best.reversed) segment.reverse();
+      tour.splice(tour.indexOf(best.p) + 1, 0, ...segment);
+      improved = true;
+    }
+  }
+  return improved;
+}
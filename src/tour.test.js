@@ -0,0 +1,78 @@
+import { describe, expect, it } from "vitest";
+import { solveTour, tourCost } from "./tour.js";
+
+/** 数轴上停靠点之间的距离矩阵 */
+const lineCost = (xs) => xs.map((a) => xs.map((b) => Math.abs(a - b)));
+
+describe("solveTour", () => {
+  it("首尾固定时按位置顺序经过中间的停靠点", () => {
+    const cost = lineCost([0, 30, 10, 20, 40]);
+    const result = solveTour(cost);
+    expect(result.order).toEqual([0, 2, 3, 1, 4]);
+    expect(result.cost).toBe(40);
+  });
+
+  it("终点开放时从起点走到最远的停靠点结束", () => {
+    const cost = lineCost([20, 30, 0, 10]);
+    const result = solveTour(cost, { fixedEnd: false });
+    expect(result.order).toEqual([0, 1, 3, 2]);
+    expect(result.cost).toBe(40);
+  });
+
+  it("起点开放时可以从任意停靠点出发", () => {
+    const cost = lineCost([10, 30, 0, 40]);
+    const result = solveTour(cost, { fixedStart: false });
+    expect(result.order).toEqual([2, 0, 1, 3]);
+    expect(result.cost).toBe(40);
+  });
+
+  it("首尾都开放时从一端走到另一端", () => {
+    const cost = lineCost([20, 0, 30, 10]);
+    const result = solveTour(cost, { fixedStart: false, fixedEnd: false });
+    expect([
+      [1, 3, 0, 2],
+      [2, 0, 3, 1],
+    ]).toContainEqual(result.order);
+    expect(result.cost).toBe(30);
+  });
+
+  it("绕开不可达的停靠点对", () => {
+    const cost = lineCost([0, 10, 20, 30, 40]);
+    cost[1][2] = cost[2][1] = Infinity;
+    const result = solveTour(cost);
+    expect(result.order).toEqual([0, 1, 3, 2, 4]);
+    expect(result.cost).toBe(60);
+  });
+
+  it("平面上的停靠点沿周边依次经过，代价与顺序一致", () => {
+    // 正方形四角与各边中点，最优路线沿周边走一圈（不回到起点）
+    const points = [
+      [0, 0],
+      [100, 100],
+      [0, 100],
+      [100, 0],
+      [50, 0],
+      [100, 50],
+      [50, 100],
+      [0, 50],
+    ];
+    const cost = points.map(([ax, ay]) =>
+      points.map(([bx, by]) => Math.hypot(ax - bx, ay - by)),
+    );
+    const result = solveTour(cost, { fixedEnd: false });
+    expect(result.order[0]).toBe(0);
+    expect([...result.order].sort()).toEqual([0, 1, 2, 3, 4, 5, 6, 7]);
+    expect(result.cost).toBeCloseTo(350);
+    expect(result.cost).toBe(tourCost(cost, result.order));
+  });
+
+  it("两个以内的停靠点保持原顺序", () => {
+    expect(solveTour([[0]])).toEqual({ order: [0], cost: 0 });
+    expect(
+      solveTour([
+        [0, 5],
+        [7, 0],
+      ]),
+    ).toEqual({ order: [0, 1], cost: 5 });
+  });
+});
@@ -0,0 +1,328 @@
+/**
+ * 可视图路径模块
+ *
+ * 在开阔区域中求任意角度的最短路径：最短路径只会在障碍物的凸角处转向，
+ * 因此以墙体和障碍物的凸角顶点为路标，两点之间无遮挡（视线可达）即相连，在这张可视图上做 A*。
+ *
+ * 主要功能：
+ * 1. createVisibilityMap：从障碍物与墙体提取凸角路标，并建立障碍物、墙体和路标的空间索引
+ * 2. visibilityPath：按需计算视线连接的 A* 搜索（不预先构建全部 O(n²) 条可视边）
+ *
+ * 凸角判断：把墙体线段和障碍物环的边看作从顶点发出的射线，按角度排序后，
+ * 相邻射线之间张角大于 180° 的扇区即从该扇区一侧看是凸角；路标放在扇区角平分线上、
+ * 离顶点 clearance 处，使路径绕过拐角而不接触墙体。落在障碍物内部的路标会被丢弃。
+ *
+ * 视线判断复用 obstacles.js 的 segmentIntersectsAnyWall（segmentsIntersect）
+ * 与 segmentIntersectsAnyObstacle（segmentIntersectsPolygon）。
+ *
+ * 机器人半径：设置 radius 时，凸角按半径膨胀为外切折线（每段张角不超过 90°），路标放在折线顶点上，
+ * 视线还要求连线离墙体和障碍物边界不小于半径（见 clearance.js），比机器人窄的缝隙因此不可通过。
+ */
+
+import { roundCoordKey } from "./geo.js";
+import {
+  pointInAnyObstacle,
+  pointNearAnyWall,
+  segmentIntersectsAnyObstacle,
+  segmentIntersectsAnyWall,
+} from "./obstacles.js";
+import {
+  indexPoints,
+  indexSegments,
+  indexPolygons,
+  searchBBox,
+} from "./spatialIndex.js";
+import { createIndexedHeap } from "./priorityQueue.js";
+import {
+  createClearanceField,
+  pointClearance,
+  segmentClearance,
+} from "./clearance.js";
+
+/** 路标离顶点的默认距离，相对于地图包围盒对角线 */
+const DEFAULT_CLEARANCE_RATIO = 1e-4;
+/** 扇区张角超过 180° 的最小余量（弧度），避免近似共线的顶点产生路标 */
+const CONVEX_TOLERANCE = 1e-6;
+/** 膨胀判断的余量：沿膨胀折线走的连线恰好离边界一个半径，不应被浮点误差挡住 */
+const RADIUS_TOLERANCE = 0.99;
+
+/**
+ * 收集顶点发出的射线方向：键为顶点坐标，值为 { at, angles }
+ */
+function collectRays(walls, obstacles, precision) {
+  const vertices = new Map();
+  const addRay = (a, b) => {
+    if (a[0] === b[0] && a[1] === b[1]) return;
+    const key = roundCoordKey(a, precision);
+    let v = vertices.get(key);
+    if (!v) vertices.set(key, (v = { at: a, angles: [] }));
+    v.angles.push(Math.atan2(b[1] - a[1], b[0] - a[0]));
+  };
+  for (const [a, b] of walls) {
+    addRay(a, b);
+    addRay(b, a);
+  }
+  for (const rings of obstacles) {
+    for (const ring of rings) {
+      for (let i = 1; i < ring.length; i++) {
+        addRay(ring[i - 1], ring[i]);
+        addRay(ring[i], ring[i - 1]);
+      }
+    }
+  }
+  return vertices;
+}
+
+/**
+ * 构建可视图路径所需的地图：凸角路标与空间索引
+ * 地图只依赖障碍物和墙体，可在多次查询之间复用
+ *
+ * @param {Array} obstacles - 障碍物多边形数组
+ * @param {Array} walls - 墙体线段数组，每条线段是 [[x, y], [x, y]]
+ * @param {Object} [options={}] - 选项
+ * @param {number} [options.clearance] - 路标离顶点的距离（坐标单位），缺省为包围盒对角线的万分之一
+ * @param {number} [options.precision=9] - 合并顶点时的坐标精度（小数位）
+ * @param {number} [options.radius=0] - 机器人半径（坐标单位），大于 0 时按半径膨胀凸角
+ * @returns {Object} 地图 { obstacles, walls, obstacleIndex, wallIndex, waypoints, wedges, waypointIndex, clearance, radius, field }，
+ *          wedges[2i]、wedges[2i+1] 为路标 i 所在拐角被墙体占据的角度范围，field 为净距查询结构（仅 radius 大于 0 时）
+ */
+export function createVisibilityMap(obstacles, walls, options = {}) {
+  obstacles = obstacles || [];
+  walls = walls || [];
+  const obstacleIndex = indexPolygons(obstacles);
+  const wallIndex = indexSegments(walls);
+  const vertices = collectRays(walls, obstacles, options.precision ?? 9);
+
+  let clearance = options.clearance;
+  if (!(clearance > 0)) {
+    let minX = Infinity,
+      minY = Infinity,
+      maxX = -Infinity,
+      maxY = -Infinity;
+    for (const { at } of vertices.values()) {
+      if (at[0] < minX) minX = at[0];
+      if (at[0] > maxX) maxX = at[0];
+      if (at[1] < minY) minY = at[1];
+      if (at[1] > maxY) maxY = at[1];
+    }
+    const diagonal = Math.hypot(maxX - minX, maxY - minY);
+    clearance = isFinite(diagonal)
+      ? diagonal * DEFAULT_CLEARANCE_RATIO || 1e-6
+      : 1e-6;
+  }
+
+  const radius = Math.max(0, Number(options.radius) || 0);
+  const field = radius > 0 ? createClearanceField(obstacles, walls) : null;
+
+  const waypoints = [];
+  const wedges = [];
+  for (const { at, angles } of vertices.values()) {
+    angles.sort((a, b) => a - b);
+    for (let i = 0; i < angles.length; i++) {
+      const from = angles[i];
+      const to =
+        i + 1 < angles.length ? angles[i + 1] : angles[0] + 2 * Math.PI;
+      const gap = to - from;
+      if (gap <= Math.PI + CONVEX_TOLERANCE) continue;
+      if (field) {
+        inflateCorner(at, from, gap, radius, (p, wedgeFrom, wedgeTo) => {
+          const limit = radius * RADIUS_TOLERANCE;
+          if (pointClearance(field, p[0], p[1], limit) < limit) return;
+          waypoints.push(p);
+          wedges.push(wedgeFrom, wedgeTo);
+        });
+        continue;
+      }
+      const mid = from + gap / 2;
+      const p = [
+        at[0] + clearance * Math.cos(mid),
+        at[1] + clearance * Math.sin(mid),
+      ];
+      if (pointInAnyObstacle(p[0], p[1], obstacles, obstacleIndex)) continue;
+      // 锐角墙端的路标可能贴近另一条墙
+      if (pointNearAnyWall(p[0], p[1], walls, clearance * 0.5, wallIndex)) {
+        continue;
+      }
+      waypoints.push(p);
+      // 被墙体占据的楔形（不含路标所在扇区），用于切线剪枝
+      wedges.push(to, from + 2 * Math.PI);
+    }
+  }
+
+  return {
+    obstacles,
+    walls,
+    obstacleIndex,
+    wallIndex,
+    waypoints,
+    wedges: Float64Array.from(wedges),
+    waypointIndex: indexPoints(waypoints),
+    clearance,
+    radius,
+    field,
+  };
+}
+
+/**
+ * 按半径膨胀凸角：张角为 gap 的空闲扇区一侧，拐角膨胀后的圆弧用外切折线近似，
+ * 每段折线对应的圆心角不超过 90°，折线顶点即路标
+ *
+ * @param {Array<number>} at - 拐角顶点
+ * @param {number} from - 空闲扇区起始射线的角度
+ * @param {number} gap - 空闲扇区张角（大于 π）
+ * @param {number} radius - 膨胀半径
+ * @param {Function} emit - 回调 (point, wedgeFrom, wedgeTo)，wedge 为路标处指向膨胀区内部的角度范围
+ */
+function inflateCorner(at, from, gap, radius, emit) {
+  const arc = gap - Math.PI; // 两条墙体外法线之间的圆心角
+  const count = Math.max(1, Math.ceil(arc / (Math.PI / 2) - 1e-9));
+  const step = arc / count;
+  const dist = radius / Math.cos(step / 2);
+  for (let j = 0; j < count; j++) {
+    // 第 j 段与第 j+1 段切线的法向角
+    const a0 = from + Math.PI / 2 + step * j;
+    const a1 = a0 + step;
+    const mid = a0 + step / 2;
+    emit(
+      [at[0] + dist * Math.cos(mid), at[1] + dist * Math.sin(mid)],
+      a1 + Math.PI / 2,
+      a0 + (3 * Math.PI) / 2,
+    );
+  }
+}
+
+/**
+ * 角度 a 是否落在 [from, to] 范围内且离两端都超过 tolerance（按 2π 周期）
+ */
+function angleInside(a, from, to, tolerance) {
+  const t = (((a - from) % (2 * Math.PI)) + 2 * Math.PI) % (2 * Math.PI);
+  return t > tolerance && t < to - from - tolerance;
+}
+
+/**
+ * 路标与另一点的连线是否与路标所在拐角相切：直线把拐角的墙体楔形全部留在一侧
+ * 最短路径只在拐角处转向，每条中间边在两端都与拐角相切，不相切的边无需做视线判断。
+ * 路标离顶点 clearance，按连线长度放宽相应的角度，避免剪掉相邻路标之间的边
+ *
+ * @param {Object} map - createVisibilityMap 返回的地图
+ * @param {number} i - 路标序号
+ * @param {Array<number>} q - 连线另一端 [x, y]
+ * @returns {boolean} 相切返回 true
+ */
+function tangentAt(map, i, q) {
+  const p = map.waypoints[i];
+  const dx = q[0] - p[0];
+  const dy = q[1] - p[1];
+  const angle = Math.atan2(dy, dx);
+  const tolerance = Math.asin(
+    Math.min(1, (2 * map.clearance) / (Math.hypot(dx, dy) || 1e-12)),
+  );
+  const from = map.wedges[2 * i];
+  const to = map.wedges[2 * i + 1];
+  return (
+    !angleInside(angle, from, to, tolerance) &&
+    !angleInside(angle + Math.PI, from, to, tolerance)
+  );
+}
+
+/**
+ * 判断两点之间是否视线可达（不穿过墙体和障碍物）
+ * 地图设置了机器人半径时，连线离边界还必须不小于半径
+ *
+ * @param {Object} map - createVisibilityMap 返回的地图
+ * @param {Array<number>} a - 起点 [x, y]
+ * @param {Array<number>} b - 终点 [x, y]
+ * @param {boolean} [inflate=true] - 是否按机器人半径判断，为 false 时只要求不穿墙
+ * @returns {boolean} 可达返回 true
+ */
+export function lineOfSight(map, a, b, inflate = true) {
+  if (map.field && inflate) {
+    const limit = map.radius * RADIUS_TOLERANCE;
+    return segmentClearance(map.field, a, b, limit) >= limit;
+  }
+  return (
+    !segmentIntersectsAnyWall(a, b, map.walls, map.wallIndex) &&
+    !segmentIntersectsAnyObstacle(a, b, map.obstacles, map.obstacleIndex)
+  );
+}
+
+/**
+ * 在可视图上搜索两点之间的最短路径
+ * 节点的视线连接在扩展时才计算；路标可限定在 window 包围盒内以减少视线判断
+ *
+ * @param {Object} map - createVisibilityMap 返回的地图
+ * @param {Array<number>} start - 起点 [x, y]
+ * @param {Array<number>} end - 终点 [x, y]
+ * @param {Object} [options={}] - 选项
+ * @param {Function} [options.distance] - 距离函数 (p, q) => 米，缺省为坐标欧几里得距离
+ * @param {number} [options.weight=1] - 启发函数权重（≥ 1），大于 1 时为加权 A*
+ * @param {Object} [options.window] - 参与搜索的路标范围 { minLon, minLat, maxLon, maxLat }，缺省为全部路标
+ * @returns {Object} 结果 { ok, path?, length?, expanded, error? }，path 为 [{ lon, lat }]
+ */
+export function visibilityPath(map, start, end, options = {}) {
+  const distance =
+    options.distance ?? ((p, q) => Math.hypot(p[0] - q[0], p[1] - q[1]));
+  const weight = Math.max(1, Number(options.weight) || 1);
+
+  // 参与搜索的点：起点、终点与范围内的路标
+  const w = options.window;
+  const ids = w
+    ? searchBBox(map.waypointIndex, w.minLon, w.minLat, w.maxLon, w.maxLat)
+    : map.waypoints.map((_, i) => i);
+  const points = [start, end, ...ids.map((i) => map.waypoints[i])];
+  const n = points.length;
+  const START = 0;
+  const GOAL = 1;
+
+  const g = new Float64Array(n).fill(Infinity);
+  const came = new Int32Array(n).fill(-1);
+  const closed = new Uint8Array(n);
+  const h = new Float64Array(n).fill(-1);
+  const heuristic = (i) =>
+    h[i] < 0 ? (h[i] = distance(points[i], end)) : h[i];
+  const open = createIndexedHeap(n);
+
+  // 起终点本身离边界不足半径时（紧贴墙体），与它相连的视线只要求不穿墙
+  const tight = (p) =>
+    map.field &&
+    pointClearance(map.field, p[0], p[1], map.radius * RADIUS_TOLERANCE) <
+      map.radius * RADIUS_TOLERANCE;
+  const startTight = tight(start);
+  const endTight = tight(end);
+
+  g[START] = 0;
+  open.push(START, weight * heuristic(START));
+  let expanded = 0;
+
+  while (open.size() > 0) {
+    const cur = open.pop();
+    closed[cur] = 1;
+    expanded++;
+    if (cur === GOAL) {
+      const path = [];
+      for (let i = cur; i !== -1; i = came[i]) {
+        path.push({ lon: points[i][0], lat: points[i][1] });
+      }
+      path.reverse();
+      return { ok: true, path, length: g[GOAL], expanded };
+    }
+    const p = points[cur];
+    for (let j = 1; j < n; j++) {
+      if (closed[j]) continue;
+      const q = points[j];
+      const tentativeG = g[cur] + distance(p, q);
+      // 先比较长度与切线条件，只有可能更短时才做视线判断
+      if (tentativeG >= g[j]) continue;
+      if (cur > GOAL && !tangentAt(map, ids[cur - 2], q)) continue;
+      if (j > GOAL && !tangentAt(map, ids[j - 2], p)) continue;
+      const inflate =
+        !(cur === START && startTight) && !(j === GOAL && endTight);
+      if (!lineOfSight(map, p, q, inflate)) continue;
+      came[j] = cur;
+      g[j] = tentativeG;
+      open.push(j, tentativeG + weight * heuristic(j));
+    }
+  }
+
+  return { ok: false, error: "no-path", expanded };
+}